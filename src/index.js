@@ -2,65 +2,331 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 
-const { PORT, HOST } = require('./utils/constants');
+const {
+  PORT,
+  HOST,
+  SIMULATION_TICK_MS,
+  EXCHANGE_MODE,
+  EXCHANGE_VENUES,
+  FEE_SCHEDULE,
+  ALLOW_SHORT_SELLING,
+  DEFAULT_INDEX_PRICE,
+  REBALANCE_PREVIEW_TOLERANCE_PERCENT
+} = require('./utils/constants');
 const logger = require('./utils/logger');
 
 // Models
-const Asset = require('./models/Asset');
 const Index = require('./models/Index');
 const Order = require('./models/Order');
+const Position = require('./models/Position');
+const RebalancePolicy = require('./models/RebalancePolicy');
 
 // Services
 const QueueManager = require('./services/QueueManager');
 const OrderProcessor = require('./services/OrderProcessor');
 const LiquidityAnalyzer = require('./services/LiquidityAnalyzer');
 const BinanceAdapter = require('./services/BinanceAdapter');
+const BinanceLiveAdapter = require('./services/BinanceLiveAdapter');
+const ExchangeRouter = require('./services/ExchangeRouter');
 const RebalanceManager = require('./services/RebalanceManager');
+const RebalanceScheduler = require('./services/RebalanceScheduler');
+const MarketSimulator = require('./services/MarketSimulator');
+const Decimal = require('./utils/Decimal');
+const FeeModel = require('./services/FeeModel');
+
+// Storage
+const { createStorage, StateStore } = require('./storage');
 
 // Initialize the application
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
-// In-memory storage for indices and orders
-const indices = new Map();
-const positions = new Map();
-
 // Initialize service objects
+// All simulated market data is drawn from one seeded simulator
+const marketSimulator = new MarketSimulator();
 const queueManager = new QueueManager();
-const liquidityAnalyzer = new LiquidityAnalyzer();
-const binanceAdapter = new BinanceAdapter();
-const rebalanceManager = new RebalanceManager();
+const liquidityAnalyzer = new LiquidityAnalyzer(marketSimulator);
+const rebalanceManager = new RebalanceManager(liquidityAnalyzer);
+
+// Set up the venues (name[:feePercent],...) with their fee schedules and route orders across them
+const feeSchedule = FEE_SCHEDULE ? JSON.parse(FEE_SCHEDULE) : {};
+const venues = EXCHANGE_VENUES.split(',').map(entry => {
+  const [name, fee] = entry.trim().split(':');
+  const feeModel = FeeModel.forVenue(feeSchedule, name, fee !== undefined ? parseFloat(fee) : undefined);
+  
+  if (EXCHANGE_MODE !== 'live') {
+    return new BinanceAdapter(marketSimulator, { name, feeModel });
+  }
+  if (name !== 'binance') {
+    throw new Error(`No live adapter for venue ${name}`);
+  }
+  return new BinanceLiveAdapter({ name, feeModel });
+});
+const binanceAdapter = venues.find(venue => venue.name === 'binance') || venues[0];
+const exchangeRouter = new ExchangeRouter(venues);
+
+// Rehydrate indices, positions and queues from storage
+const stateStore = new StateStore(createStorage());
+const { indices, positions } = stateStore.restore(queueManager);
 
 // Set up the order processor
 const orderProcessor = new OrderProcessor(
   queueManager,
   liquidityAnalyzer,
-  binanceAdapter,
+  exchangeRouter,
   rebalanceManager,
-  indices
+  indices,
+  positions,
+  stateStore
 );
 
-// Start the order processor
-orderProcessor.start();
+// Queue the rebalances called for by the index rebalance policies
+const rebalanceScheduler = new RebalanceScheduler(queueManager, indices, stateStore);
+
+// The interval moving simulated market prices, while it runs
+let simulationTick = null;
+
+/**
+ * Start the background timers: the order processor, the rebalance scheduler
+ * and, if configured, the simulated market ticks
+ */
+const startTimers = () => {
+  orderProcessor.start();
+  rebalanceScheduler.start();
+  
+  if (EXCHANGE_MODE !== 'live' && SIMULATION_TICK_MS > 0 && simulationTick === null) {
+    simulationTick = setInterval(() => {
+      marketSimulator.stepAll();
+      venues.forEach(venue => venue.refreshOrderBooks());
+    }, SIMULATION_TICK_MS);
+  }
+};
+
+/**
+ * Stop every background timer that is running
+ */
+const stopTimers = () => {
+  if (orderProcessor.isRunning) {
+    orderProcessor.stop();
+  }
+  if (rebalanceScheduler.isRunning) {
+    rebalanceScheduler.stop();
+  }
+  if (simulationTick !== null) {
+    clearInterval(simulationTick);
+    simulationTick = null;
+  }
+};
+
+/**
+ * Get the current price of an index
+ * @param {string} indexId - The index ID
+ * @return {Decimal|null} The current index price, or null if the index is gone
+ */
+const getIndexPrice = (indexId) => {
+  const index = indices.get(indexId);
+  return index ? index.getCurrentPrice() : null;
+};
+
+/**
+ * Check that a request amount is a positive decimal
+ * Amounts may be given as numbers or as decimal strings
+ * @param {*} value - The amount from the request body
+ * @return {boolean} True for a positive number or numeric string
+ */
+const isPositiveAmount = (value) => {
+  try {
+    return Decimal.from(value).isPositive();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the pricing, size and time-in-force options of a buy or sell request
+ * Orders give either a quantity in index units or a notional in the quote
+ * asset; limit and stop-limit orders also need an indexPrice
+ * @param {Object} body - The request body
+ * @return {{options: Object, limitPrice: number, error: string}} The order options and
+ * limit price (null for orders executing at market), or an error message
+ */
+const parseOrderOptions = ({
+  orderType = 'limit',
+  quantity,
+  notional,
+  indexPrice,
+  maxSlippagePercent,
+  stopPrice,
+  trailingPercent,
+  timeInForce = 'GTC',
+  expiresAt,
+  algorithm,
+  horizonMs,
+  sliceCount,
+  volumeProfile,
+  participationRate,
+  displaySize
+}) => {
+  if (!Order.ORDER_TYPES.includes(orderType)) {
+    return { error: `orderType must be one of ${Order.ORDER_TYPES.join(', ')}` };
+  }
+  
+  if ((quantity === undefined) === (notional === undefined)) {
+    return { error: 'Either quantity or notional is required' };
+  }
+  
+  if (quantity !== undefined && !isPositiveAmount(quantity)) {
+    return { error: 'Quantity must be a positive number' };
+  }
+  
+  if (notional !== undefined && !isPositiveAmount(notional)) {
+    return { error: 'Notional must be a positive number' };
+  }
+  
+  // The order type the order executes as, once a stop has triggered
+  const executionType = Order.STOP_CONVERSIONS[orderType] || orderType;
+  
+  if (executionType === 'limit' && !isPositiveAmount(indexPrice)) {
+    return { error: 'Limit orders need a positive indexPrice' };
+  }
+  
+  if (maxSlippagePercent !== undefined && (executionType !== 'market' || !(maxSlippagePercent >= 0))) {
+    return { error: 'maxSlippagePercent must be a non-negative number and is only allowed for market orders' };
+  }
+  
+  if (orderType === 'stop' || orderType === 'stop_limit' ? !isPositiveAmount(stopPrice) : stopPrice !== undefined) {
+    return { error: 'stopPrice must be a positive number and is only allowed for stop and stop_limit orders' };
+  }
+  
+  if (orderType === 'trailing_stop' ? !(typeof trailingPercent === 'number' && trailingPercent > 0 && trailingPercent < 100) : trailingPercent !== undefined) {
+    return { error: 'trailingPercent must be a number between 0 and 100 and is only allowed for trailing_stop orders' };
+  }
+  
+  const options = { orderType };
+  if (notional !== undefined) {
+    options.notional = notional;
+  }
+  if (maxSlippagePercent !== undefined) {
+    options.maxSlippagePercent = maxSlippagePercent;
+  }
+  if (stopPrice !== undefined) {
+    options.stopPrice = stopPrice;
+  }
+  if (trailingPercent !== undefined) {
+    options.trailingPercent = trailingPercent;
+  }
+  
+  if (!Order.TIME_IN_FORCE.includes(timeInForce)) {
+    return { error: `timeInForce must be one of ${Order.TIME_IN_FORCE.join(', ')}` };
+  }
+  
+  const schedule = parseAlgorithmOptions({ algorithm, horizonMs, sliceCount, volumeProfile, participationRate }, orderType, timeInForce);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+  Object.assign(options, schedule.options);
+  
+  if (displaySize !== undefined) {
+    if (!isPositiveAmount(displaySize) || timeInForce === 'IOC' || timeInForce === 'FOK') {
+      return { error: 'displaySize must be a positive number and needs a GTC or GTD time in force' };
+    }
+    options.displaySize = displaySize;
+  }
+  
+  const limitPrice = executionType === 'limit' ? indexPrice : null;
+  
+  if (timeInForce !== 'GTD') {
+    return expiresAt === undefined
+      ? { options: { ...options, timeInForce }, limitPrice }
+      : { error: 'expiresAt is only allowed for GTD orders' };
+  }
+  
+  // Accept a timestamp in ms or a date string
+  const expiry = new Date(expiresAt).getTime();
+  if (!(expiry > Date.now())) {
+    return { error: 'GTD orders need an expiresAt in the future' };
+  }
+  
+  return { options: { ...options, timeInForce, expiresAt: expiry }, limitPrice };
+};
+
+/**
+ * Parse the execution algorithm of a buy or sell order from a request body
+ * @param {Object} body - The algorithm fields of the request body
+ * @param {string} orderType - The order type of the request
+ * @param {string} timeInForce - The time in force of the request
+ * @return {{options: Object, error: string}} The algorithm options, or an error message
+ */
+const parseAlgorithmOptions = ({ algorithm, horizonMs, sliceCount, volumeProfile, participationRate }, orderType, timeInForce) => {
+  if (algorithm === undefined) {
+    return [horizonMs, sliceCount, volumeProfile, participationRate].every(value => value === undefined)
+      ? { options: {} }
+      : { error: 'horizonMs, sliceCount, volumeProfile and participationRate are only allowed with an algorithm' };
+  }
+  
+  if (!Order.ALGORITHMS.includes(algorithm)) {
+    return { error: `algorithm must be one of ${Order.ALGORITHMS.join(', ')}` };
+  }
+  
+  const options = { algorithm };
+  if (horizonMs !== undefined) {
+    options.horizonMs = horizonMs;
+  }
+  if (participationRate !== undefined) {
+    options.participationRate = participationRate;
+  }
+  if (sliceCount !== undefined) {
+    options.sliceCount = sliceCount;
+  }
+  if (volumeProfile !== undefined) {
+    options.volumeProfile = volumeProfile;
+  }
+  
+  try {
+    Order.validateAlgorithm({ algorithm, orderType, timeInForce, participationRate: options.participationRate, ...Order.buildSchedule(options) });
+  } catch (error) {
+    return { error: error.message };
+  }
+  
+  return { options };
+};
+
+/**
+ * Describe the size and price of a buy or sell order for logging
+ * @param {Order} order - The order
+ * @return {string} The description
+ */
+const describeOrder = (order) => {
+  const size = order.isNotional() ? `notional: ${order.notional}` : `qty: ${order.quantity}`;
+  const price = order.indexPrice === null ? 'market' : `price: ${order.indexPrice}`;
+  const stop = order.isStop() ? `, ${order.orderType}: ${order.stopPrice || `${order.trailingPercent}%`}` : '';
+  const schedule = order.isScheduled() ? `, ${order.algorithm}: ${order.sliceCount} slices over ${order.horizonMs}ms` : '';
+  const participation = order.algorithm === 'pov' ? `, pov: ${order.participationRate}% of depth` : '';
+  const iceberg = order.displaySize !== null ? `, display: ${order.displaySize}` : '';
+  return `index: ${order.indexId}, ${size}, ${price}${stop}${schedule}${participation}${iceberg}`;
+};
 
 // API Routes
 // 1. Index Management
 app.post('/api/indices', (req, res) => {
   try {
-    const { id, assets } = req.body;
+    const { id, assets, weighting = 'quantity', baseValue = DEFAULT_INDEX_PRICE } = req.body;
     
     if (indices.has(id)) {
       return res.status(400).json({ error: `Index ${id} already exists` });
     }
     
-    const indexAssets = assets.map(asset => 
-      new Asset(asset.id, asset.quantity, asset.price, asset.price));
+    const definitionError = Index.getDefinitionError(assets, weighting, baseValue);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
     
-    const index = new Index(id, indexAssets);
+    const index = Index.fromDefinition(id, assets, weighting, baseValue);
     indices.set(id, index);
+    stateStore.flush();
     
-    logger.info(`Created index ${id} with ${assets.length} assets`);
+    logger.info(`Created ${weighting} weighted index ${id} with ${assets.length} assets at ${index.getCurrentPrice()}`);
     return res.status(201).json(index.toObject());
   } catch (error) {
     logger.error(`Error creating index: ${error.message}`);
@@ -94,6 +360,10 @@ app.put('/api/indices/:indexId/assets/:assetId/price', (req, res) => {
       return res.status(404).json({ error: `Index ${indexId} not found` });
     }
     
+    if (!isPositiveAmount(price)) {
+      return res.status(400).json({ error: 'Price must be a positive number' });
+    }
+    
     const index = indices.get(indexId);
     const updated = index.updateAssetPrice(assetId, price);
     
@@ -101,6 +371,16 @@ app.put('/api/indices/:indexId/assets/:assetId/price', (req, res) => {
       return res.status(404).json({ error: `Asset ${assetId} not found in index ${indexId}` });
     }
     
+    // Simulated venues quote around the new price, so executions follow the index
+    if (EXCHANGE_MODE !== 'live') {
+      marketSimulator.setPrice(assetId, Number(price));
+      venues.forEach(venue => venue.refreshOrderBooks([assetId]));
+    }
+    
+    // The index price moved, stop orders on it may trigger
+    queueManager.triggerStopOrders(indices);
+    stateStore.flush();
+    
     logger.info(`Updated price of asset ${assetId} in index ${indexId} to ${price}`);
     return res.json(index.toObject());
   } catch (error) {
@@ -109,6 +389,118 @@ app.put('/api/indices/:indexId/assets/:assetId/price', (req, res) => {
   }
 });
 
+// Set the rebalance policy of an index
+app.put('/api/indices/:id/rebalance-policy', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { schedule = null, driftThresholdPercent = null } = req.body;
+    const index = indices.get(id);
+    
+    if (!index) {
+      return res.status(404).json({ error: `Index ${id} not found` });
+    }
+    
+    try {
+      index.rebalancePolicy = new RebalancePolicy({ schedule, driftThresholdPercent });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    stateStore.flush();
+    
+    logger.info(`Set rebalance policy of index ${id} (schedule: ${schedule}, drift threshold: ${driftThresholdPercent}%)`);
+    return res.json(index.toObject());
+  } catch (error) {
+    logger.error(`Error setting rebalance policy: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove the rebalance policy of an index, it is then only rebalanced on request
+app.delete('/api/indices/:id/rebalance-policy', (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = indices.get(id);
+    
+    if (!index) {
+      return res.status(404).json({ error: `Index ${id} not found` });
+    }
+    
+    index.rebalancePolicy = null;
+    stateStore.flush();
+    
+    logger.info(`Removed rebalance policy of index ${id}`);
+    return res.json(index.toObject());
+  } catch (error) {
+    logger.error(`Error removing rebalance policy: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview a rebalance of an index without trading
+app.post('/api/indices/:id/rebalance/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { target = null } = req.body;
+    const index = indices.get(id);
+    
+    if (!index) {
+      return res.status(404).json({ error: `Index ${id} not found` });
+    }
+    
+    // Without a target the index goes back to its target weights
+    const targetError = await rebalanceManager.getTargetError(index, target || { weights: index.targetWeights }, exchangeRouter);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    const preview = await rebalanceManager.previewRebalance(index, exchangeRouter, target);
+    
+    return res.status(201).json(preview);
+  } catch (error) {
+    logger.error(`Error previewing rebalance: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a previewed rebalance, queueing its plan for execution
+app.post('/api/indices/:id/rebalance/preview/:previewId/approve', async (req, res) => {
+  try {
+    const { id, previewId } = req.params;
+    const { tolerancePercent = REBALANCE_PREVIEW_TOLERANCE_PERCENT } = req.body;
+    const index = indices.get(id);
+    const preview = rebalanceManager.getPreview(previewId);
+    
+    if (!index) {
+      return res.status(404).json({ error: `Index ${id} not found` });
+    }
+    
+    if (!preview || preview.indexId !== id) {
+      return res.status(404).json({ error: `Rebalance preview ${previewId} not found for index ${id}` });
+    }
+    
+    if (typeof tolerancePercent !== 'number' || tolerancePercent < 0) {
+      return res.status(400).json({ error: 'tolerancePercent must be a number of at least 0' });
+    }
+    
+    // The market or the index may have moved on since the preview
+    const approvalError = await rebalanceManager.approvePreview(index, preview, exchangeRouter, tolerancePercent);
+    if (approvalError) {
+      return res.status(409).json({ error: approvalError });
+    }
+    
+    const order = Order.createRebalanceOrder(id, Date.now(), null, previewId);
+    
+    queueManager.queueOrder(order);
+    stateStore.flush();
+    
+    logger.info(`Queued rebalance order for index ${id} (preview: ${previewId})`);
+    return res.status(201).json(order.toObject());
+  } catch (error) {
+    logger.error(`Error approving rebalance preview: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete an index
 app.delete('/api/indices/:id', (req, res) => {
   try {
@@ -119,6 +511,7 @@ app.delete('/api/indices/:id', (req, res) => {
     }
     
     indices.delete(id);
+    stateStore.flush();
     logger.info(`Deleted index ${id}`);
     return res.status(204).send();
   } catch (error) {
@@ -130,7 +523,7 @@ app.delete('/api/indices/:id', (req, res) => {
 // 2. Order Management
 app.post('/api/orders/buy', (req, res) => {
   try {
-    const { positionId, indexId, quantity, indexPrice } = req.body;
+    const { positionId, indexId, quantity } = req.body;
     
     if (!indices.has(indexId)) {
       return res.status(404).json({ error: `Index ${indexId} not found` });
@@ -140,12 +533,31 @@ app.post('/api/orders/buy', (req, res) => {
       return res.status(400).json({ error: `Position ${positionId} already exists` });
     }
     
-    const order = Order.createBuyOrder(positionId, indexId, quantity, indexPrice);
-    positions.set(positionId, order);
+    const { options, limitPrice, error } = parseOrderOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const order = Order.createBuyOrder(
+      positionId,
+      indexId,
+      options.notional ? null : quantity,
+      limitPrice,
+      Date.now(),
+      options
+    );
+    const position = new Position(positionId, indexId);
+    position.addOrder(order);
+    positions.set(positionId, position);
     
     queueManager.queueOrder(order);
+    if (order.isStop()) {
+      // Anchor trailing stops at the current price and catch stops already reached
+      queueManager.triggerStopOrders(indices);
+    }
+    stateStore.flush();
     
-    logger.info(`Queued buy order for position ${positionId} (index: ${indexId}, qty: ${quantity}, price: ${indexPrice})`);
+    logger.info(`Queued ${order.timeInForce} ${order.orderType} buy order for position ${positionId} (${describeOrder(order)})`);
     return res.status(201).json(order.toObject());
   } catch (error) {
     logger.error(`Error creating buy order: ${error.message}`);
@@ -155,20 +567,70 @@ app.post('/api/orders/buy', (req, res) => {
 
 app.post('/api/orders/sell', (req, res) => {
   try {
-    const { positionId, indexId, quantity, indexPrice } = req.body;
+    const { positionId, indexId, quantity, short = false } = req.body;
     
     if (!indices.has(indexId)) {
       return res.status(404).json({ error: `Index ${indexId} not found` });
     }
     
-    const order = Order.createSellOrder(positionId, indexId, quantity, indexPrice);
+    const { options, limitPrice, error } = parseOrderOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    // We don't check for position existence here as it might be a new sell position
-    positions.set(positionId, order);
+    let position = positions.get(positionId);
+    
+    if (position && position.indexId !== indexId) {
+      return res.status(400).json({ error: `Position ${positionId} is held in index ${position.indexId}` });
+    }
+    
+    // Sells are limited to the filled units not already reserved by other sells,
+    // unless short selling is enabled and explicitly requested
+    if (short && !ALLOW_SHORT_SELLING) {
+      return res.status(400).json({ error: 'Short selling is not enabled' });
+    }
+    
+    if (!short) {
+      // Notional sells are checked against the value of the available units at the current price
+      const currentPrice = getIndexPrice(indexId);
+      const units = options.notional ? Decimal.from(options.notional).div(currentPrice) : Decimal.from(quantity);
+      const availableUnits = position ? position.getAvailableUnits(currentPrice) : Decimal.ZERO;
+      const exceeds = options.notional
+        ? Decimal.from(options.notional).gt(availableUnits.times(currentPrice))
+        : units.gt(availableUnits);
+      
+      if (exceeds) {
+        logger.warn(`Rejected sell of ${units} units for position ${positionId} (available: ${availableUnits})`);
+        return res.status(400).json({
+          error: `Insufficient holdings: position ${positionId} has ${Decimal.max(0, availableUnits)} units available to sell`,
+          availableUnits: Decimal.max(0, availableUnits)
+        });
+      }
+    }
+    
+    if (!position) {
+      position = new Position(positionId, indexId);
+      positions.set(positionId, position);
+    }
+    
+    const order = Order.createSellOrder(
+      positionId,
+      indexId,
+      options.notional ? null : quantity,
+      limitPrice,
+      Date.now(),
+      { ...options, short: Boolean(short) }
+    );
+    position.addOrder(order);
     
     queueManager.queueOrder(order);
+    if (order.isStop()) {
+      // Anchor trailing stops at the current price and catch stops already reached
+      queueManager.triggerStopOrders(indices);
+    }
+    stateStore.flush();
     
-    logger.info(`Queued sell order for position ${positionId} (index: ${indexId}, qty: ${quantity}, price: ${indexPrice})`);
+    logger.info(`Queued ${order.timeInForce} ${order.orderType} sell order for position ${positionId} (${describeOrder(order)})`);
     return res.status(201).json(order.toObject());
   } catch (error) {
     logger.error(`Error creating sell order: ${error.message}`);
@@ -176,6 +638,39 @@ app.post('/api/orders/sell', (req, res) => {
   }
 });
 
+// Estimate the cost of a hypothetical buy or sell without queueing it
+app.post('/api/orders/estimate', async (req, res) => {
+  try {
+    const { side, indexId, quantity } = req.body;
+
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({ error: 'side must be buy or sell' });
+    }
+
+    const index = indices.get(indexId);
+    if (!index) {
+      return res.status(404).json({ error: `Index ${indexId} not found` });
+    }
+
+    const { options, limitPrice, error } = parseOrderOptions(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The order is only priced: it never reaches a position or a queue
+    const createOrder = side === 'buy' ? Order.createBuyOrder : Order.createSellOrder;
+    const order = createOrder('estimate', indexId, options.notional ? null : quantity, limitPrice, Date.now(), options);
+
+    const estimate = await liquidityAnalyzer.estimateOrderCost(order, index, exchangeRouter, side);
+
+    logger.info(`Estimated ${side} order on index ${indexId} (${describeOrder(order)}): ${estimate.expectedFillPercent.toFixed(2)}% fillable, expected loss ${estimate.expectedLoss.toFixed(2)}`);
+    return res.json(estimate);
+  } catch (error) {
+    logger.error(`Error estimating order: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/orders/cancel', (req, res) => {
   try {
     const { positionId } = req.body;
@@ -187,6 +682,7 @@ app.post('/api/orders/cancel', (req, res) => {
     const order = Order.createCancelOrder(positionId);
     
     queueManager.queueOrder(order);
+    stateStore.flush();
     
     logger.info(`Queued cancel order for position ${positionId}`);
     return res.status(201).json(order.toObject());
@@ -196,19 +692,65 @@ app.post('/api/orders/cancel', (req, res) => {
   }
 });
 
-app.post('/api/orders/rebalance', (req, res) => {
+// Amend the limit price or reduce the quantity of the resting order of a position
+app.patch('/api/orders/:positionId', (req, res) => {
   try {
-    const { indexId } = req.body;
+    const { positionId } = req.params;
+    const { indexPrice, quantity } = req.body;
+    
+    if (!positions.has(positionId)) {
+      return res.status(404).json({ error: `Position ${positionId} not found` });
+    }
+    
+    const order = queueManager.getOpenOrder(positionId);
+    
+    if (!order) {
+      return res.status(404).json({ error: `Position ${positionId} has no open order to amend` });
+    }
+    
+    // Orders taken into the running batch are being executed; amending them would race the processor
+    if (queueManager.isOrderProcessing(order)) {
+      return res.status(409).json({ error: `Order ${order.id} is being processed, retry once the batch completes` });
+    }
+    
+    const changes = { indexPrice, quantity };
+    const error = order.getAmendmentError(changes);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const priorityReset = queueManager.amendOrder(order, changes);
+    stateStore.flush();
+    
+    return res.json({ ...order.toObject(), priorityReset });
+  } catch (error) {
+    logger.error(`Error amending order: ${error.message}`);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/orders/rebalance', async (req, res) => {
+  try {
+    const { indexId, target = null } = req.body;
     
     if (!indices.has(indexId)) {
       return res.status(404).json({ error: `Index ${indexId} not found` });
     }
     
-    const order = Order.createRebalanceOrder(indexId);
+    // Without a target the index goes back to its target weights
+    if (target !== null) {
+      const targetError = await rebalanceManager.getTargetError(indices.get(indexId), target, exchangeRouter);
+      if (targetError) {
+        return res.status(400).json({ error: targetError });
+      }
+    }
+    
+    const order = Order.createRebalanceOrder(indexId, Date.now(), target);
     
     queueManager.queueOrder(order);
+    stateStore.flush();
     
-    logger.info(`Queued rebalance order for index ${indexId}`);
+    logger.info(`Queued rebalance order for index ${indexId} (target: ${target ? Object.keys(target).join(', ') : 'index weights'})`);
     return res.status(201).json(order.toObject());
   } catch (error) {
     logger.error(`Error creating rebalance order: ${error.message}`);
@@ -225,11 +767,12 @@ app.get('/api/positions/:id', (req, res) => {
     return res.status(404).json({ error: `Position ${id} not found` });
   }
   
-  return res.json(position.toObject());
+  return res.json(position.toObject(getIndexPrice(position.indexId)));
 });
 
 app.get('/api/positions', (req, res) => {
-  const allPositions = Array.from(positions.values()).map(position => position.toObject());
+  const allPositions = Array.from(positions.values())
+    .map(position => position.toObject(getIndexPrice(position.indexId)));
   return res.json(allPositions);
 });
 
@@ -242,16 +785,23 @@ app.get('/api/reporting/fill/:positionId', (req, res) => {
     return res.status(404).json({ error: `Position ${positionId} not found` });
   }
   
+  // Report on the latest order of the position
+  const order = position.getLatestOrder();
   const fillReport = {
     positionId,
-    orderType: position.type,
-    indexId: position.indexId,
-    status: position.status,
-    fillPercentage: position.fillPercentage,
-    loss: position.loss,
-    executionDetails: position.executionDetails,
-    createdAt: position.createdAt,
-    updatedAt: position.updatedAt
+    orderType: order.type,
+    indexId: order.indexId,
+    status: order.status,
+    fillPercentage: order.fillPercentage,
+    filledQuantity: order.filledQuantity,
+    loss: order.loss,
+    fees: order.fees,
+    slippageLoss: order.slippageLoss,
+    residualLegs: position.getResidualLegs(),
+    roundingResidue: position.getRoundingResidue(),
+    executionDetails: order.executionDetails,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
   };
   
   return res.json(fillReport);
@@ -276,19 +826,29 @@ app.get('/api/queue/status', (req, res) => {
   return res.json(queueStatus);
 });
 
-// Start the server
-app.listen(PORT, HOST, () => {
-  logger.info(`Server running at http://${HOST}:${PORT}`);
-});
+// Start the timers and the server, tests drive the app and the processor themselves
+if (process.env.NODE_ENV !== 'test') {
+  startTimers();
+  
+  app.listen(PORT, HOST, () => {
+    logger.info(`Server running at http://${HOST}:${PORT}`);
+  });
+}
 
 // Export for testing purposes
 module.exports = {
   app,
   indices,
   positions,
+  stateStore,
   orderProcessor,
+  rebalanceScheduler,
   queueManager,
   liquidityAnalyzer,
   binanceAdapter,
-  rebalanceManager
+  exchangeRouter,
+  rebalanceManager,
+  marketSimulator,
+  startTimers,
+  stopTimers
 };
@@ -1,3 +1,5 @@
+const Decimal = require('../utils/Decimal');
+
 /**
  * Asset model representing a single asset in an index
  */
@@ -5,50 +7,50 @@ class Asset {
   /**
    * Create a new asset
    * @param {string} id - The asset identifier (e.g., BTC, ETH)
-   * @param {number} quantity - The quantity of the asset in the index
-   * @param {number} initialPrice - The price at last rebalance
-   * @param {number} currentPrice - The current price of the asset
+   * @param {Decimal|number|string} quantity - The quantity of the asset in the index
+   * @param {Decimal|number|string} initialPrice - The price at last rebalance
+   * @param {Decimal|number|string} currentPrice - The current price of the asset
    */
   constructor(id, quantity, initialPrice, currentPrice = initialPrice) {
     this.id = id;
-    this.quantity = quantity;
-    this.initialPrice = initialPrice;
-    this.currentPrice = currentPrice;
+    this.quantity = Decimal.from(quantity);
+    this.initialPrice = Decimal.from(initialPrice);
+    this.currentPrice = Decimal.from(currentPrice);
   }
 
   /**
    * Get the total value of this asset
-   * @return {number} The total value (quantity * currentPrice)
+   * @return {Decimal} The total value (quantity * currentPrice)
    */
   getValue() {
-    return this.quantity * this.currentPrice;
+    return this.quantity.times(this.currentPrice);
   }
 
   /**
    * Get the total value at initial price
-   * @return {number} The initial value (quantity * initialPrice)
+   * @return {Decimal} The initial value (quantity * initialPrice)
    */
   getInitialValue() {
-    return this.quantity * this.initialPrice;
+    return this.quantity.times(this.initialPrice);
   }
 
   /**
    * Update the current price of the asset
-   * @param {number} newPrice - The new current price
+   * @param {Decimal|number|string} newPrice - The new current price
    */
   updatePrice(newPrice) {
-    this.currentPrice = newPrice;
+    this.currentPrice = Decimal.from(newPrice);
   }
 
   /**
    * Update the asset during rebalance
-   * @param {number} newQuantity - The new quantity after rebalance
-   * @param {number} newPrice - The new price at rebalance time
+   * @param {Decimal|number|string} newQuantity - The new quantity after rebalance
+   * @param {Decimal|number|string} newPrice - The new price at rebalance time
    */
   rebalance(newQuantity, newPrice) {
-    this.quantity = newQuantity;
-    this.initialPrice = newPrice;
-    this.currentPrice = newPrice;
+    this.quantity = Decimal.from(newQuantity);
+    this.initialPrice = Decimal.from(newPrice);
+    this.currentPrice = Decimal.from(newPrice);
   }
 
   /**
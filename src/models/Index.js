@@ -1,38 +1,83 @@
 const Asset = require('./Asset');
+const RebalancePolicy = require('./RebalancePolicy');
+const Decimal = require('../utils/Decimal');
+const { DEFAULT_INDEX_PRICE } = require('../utils/constants');
+
+// How the target weights of an index are set: from the given asset quantities,
+// equally, by market capitalization or by custom weights
+const WEIGHTINGS = ['quantity', 'equal', 'cap', 'custom'];
+
+/**
+ * Check that a value is a positive decimal
+ * @param {*} value - The value
+ * @return {boolean} True for a positive number or numeric string
+ */
+const isPositive = (value) => {
+  try {
+    return Decimal.from(value).isPositive();
+  } catch (error) {
+    return false;
+  }
+};
 
 /**
  * Index model representing an ETF index with multiple assets
+ * The index level is the value of the asset quantities divided by the divisor.
+ * The divisor is set so a new index starts at its base value, and adjusted on
+ * every composition change so the level carries on without a jump. One index
+ * unit holds each asset quantity divided by the divisor.
  */
 class Index {
   /**
    * Create a new index
    * @param {string} id - The index identifier
    * @param {Array<Asset>} assets - The assets composing the index
+   * @param {Object} options - The index definition
+   * @param {string} options.weighting - How the target weights were set ('quantity', 'equal', 'cap' or 'custom')
+   * @param {Object<string, Decimal|number|string>} options.targetWeights - Target weight by asset id (fractions summing to 1), the current weights if not given
+   * @param {Decimal|number|string} options.divisor - The divisor of the index level
+   * @param {Decimal|number|string} options.baseValue - The index level at creation, the current level if not given
    */
-  constructor(id, assets = []) {
+  constructor(id, assets = [], { weighting = 'quantity', targetWeights = null, divisor = 1, baseValue = null } = {}) {
     this.id = id;
     this.assets = assets;
+    this.weighting = weighting;
+    this.divisor = Decimal.from(divisor);
+    this.targetWeights = targetWeights ? Index.toWeights(targetWeights) : this.getWeights();
+    this.baseValue = baseValue !== null ? Decimal.from(baseValue) : this.getCurrentPrice();
+    this.rebalancePolicy = null; // When the index is rebalanced automatically, see RebalancePolicy
     this.createdAt = Date.now();
     this.lastRebalance = Date.now();
   }
 
   /**
    * Add an asset to the index
+   * The divisor is adjusted so the index level does not change
    * @param {Asset} asset - The asset to add
    */
   addAsset(asset) {
+    const level = this.getCurrentPrice();
     this.assets.push(asset);
+    this.updateComposition(level);
   }
 
   /**
    * Remove an asset from the index by id
+   * The divisor is adjusted so the index level does not change
    * @param {string} assetId - The id of the asset to remove
    * @return {boolean} Whether the asset was found and removed
    */
   removeAsset(assetId) {
+    const level = this.getCurrentPrice();
     const initialLength = this.assets.length;
     this.assets = this.assets.filter(asset => asset.id !== assetId);
-    return initialLength !== this.assets.length;
+    
+    if (initialLength === this.assets.length) {
+      return false;
+    }
+    
+    this.updateComposition(level);
+    return true;
   }
 
   /**
@@ -44,26 +89,73 @@ class Index {
     return this.assets.find(asset => asset.id === assetId) || null;
   }
 
+  /**
+   * Calculate the value of the asset quantities
+   * @return {Decimal} The sum of all asset values
+   */
+  getBasketValue() {
+    return Decimal.sum(this.assets.map(asset => asset.getValue()));
+  }
+
   /**
    * Calculate the current index price
-   * @return {number} The current index price (sum of all asset values)
+   * @return {Decimal} The current index level (basket value / divisor)
    */
   getCurrentPrice() {
-    return this.assets.reduce((total, asset) => total + asset.getValue(), 0);
+    return this.getBasketValue().div(this.divisor);
   }
 
   /**
    * Calculate the index price at last rebalance
-   * @return {number} The index price at last rebalance
+   * @return {Decimal} The index level at last rebalance prices
    */
   getInitialPrice() {
-    return this.assets.reduce((total, asset) => total + asset.getInitialValue(), 0);
+    return Decimal.sum(this.assets.map(asset => asset.getInitialValue())).div(this.divisor);
+  }
+
+  /**
+   * Get the quantity of an asset held by one index unit
+   * @param {Asset} asset - The asset of this index
+   * @return {Decimal} The asset quantity per index unit
+   */
+  getUnitQuantity(asset) {
+    return asset.quantity.div(this.divisor);
+  }
+
+  /**
+   * Get the current weights, which drift away from the targets as prices move
+   * @return {Object<string, Decimal>} The share of the basket value by asset id
+   */
+  getWeights() {
+    const basketValue = this.getBasketValue();
+    
+    return this.assets.reduce((weights, asset) => {
+      weights[asset.id] = basketValue.isPositive() ? asset.getValue().div(basketValue) : Decimal.ZERO;
+      return weights;
+    }, {});
+  }
+
+  /**
+   * Get how far the current weights have drifted from the targets
+   * Assets without a target, or with a target but no longer held, count in full
+   * @return {Object<string, Decimal>} The weight minus the target by asset id, in percentage points
+   */
+  getDrift() {
+    const weights = this.getWeights();
+    const assetIds = new Set([...Object.keys(weights), ...Object.keys(this.targetWeights)]);
+    
+    return Array.from(assetIds).reduce((drift, assetId) => {
+      const weight = weights[assetId] || Decimal.ZERO;
+      const target = this.targetWeights[assetId] || Decimal.ZERO;
+      drift[assetId] = weight.minus(target).times(100);
+      return drift;
+    }, {});
   }
 
   /**
    * Update the price of an asset in the index
    * @param {string} assetId - The id of the asset to update
-   * @param {number} newPrice - The new price for the asset
+   * @param {Decimal|number|string} newPrice - The new price for the asset
    * @return {boolean} Whether the asset was found and updated
    */
   updateAssetPrice(assetId, newPrice) {
@@ -76,11 +168,15 @@ class Index {
 
   /**
    * Perform a rebalance of the index
+   * The divisor is adjusted so the index level does not change
    * @param {Array<Asset>} newAssets - The new composition of assets after rebalance
+   * @param {Object<string, Decimal|number|string>} targetWeights - The weights the rebalance aimed at,
+   * the weights of the new composition if not given
    * @return {Object} Report on the rebalance costs and changes
    */
-  rebalance(newAssets) {
+  rebalance(newAssets, targetWeights = null) {
     const oldPrice = this.getCurrentPrice();
+    const oldDivisor = this.divisor;
     const oldAssets = [...this.assets];
     
     // Create map of new assets by ID for easier lookup
@@ -100,7 +196,7 @@ class Index {
     
     const changedAssets = newAssets.filter(asset => {
       const oldAsset = this.getAsset(asset.id);
-      return oldAsset && (oldAsset.quantity !== asset.quantity);
+      return oldAsset && !oldAsset.quantity.eq(asset.quantity);
     });
     
     // Update the index with new assets
@@ -110,6 +206,7 @@ class Index {
       asset.currentPrice,
       asset.currentPrice
     ));
+    this.updateComposition(oldPrice, targetWeights);
     
     const newPrice = this.getCurrentPrice();
     this.lastRebalance = Date.now();
@@ -117,41 +214,205 @@ class Index {
     return {
       oldPrice,
       newPrice,
-      priceDifference: newPrice - oldPrice,
+      priceDifference: newPrice.minus(oldPrice),
+      oldDivisor,
+      newDivisor: this.divisor,
       addedAssets: addedAssets.map(a => a.toObject()),
       removedAssets: removedAssets.map(a => a.toObject()),
       changedAssets: changedAssets.map(a => {
         const oldAsset = oldAssets.find(oa => oa.id === a.id);
+        const oldQuantity = oldAsset ? oldAsset.quantity : Decimal.ZERO;
         return {
           asset: a.toObject(),
-          oldQuantity: oldAsset ? oldAsset.quantity : 0,
+          oldQuantity,
           newQuantity: a.quantity,
-          change: a.quantity - (oldAsset ? oldAsset.quantity : 0)
+          change: a.quantity.minus(oldQuantity)
         };
       }),
       timestamp: this.lastRebalance
     };
   }
 
+  /**
+   * Take on a new composition: adjust the divisor so the level stays where it
+   * was and set the target weights
+   * An index without value keeps its divisor, its level starts from the new basket
+   * @param {Decimal} level - The index level before the change
+   * @param {Object<string, Decimal|number|string>} targetWeights - The new target weights,
+   * the weights of the new composition if not given
+   * @private
+   */
+  updateComposition(level, targetWeights = null) {
+    const basketValue = this.getBasketValue();
+    
+    if (level.isPositive() && basketValue.isPositive()) {
+      this.divisor = basketValue.div(level);
+    }
+    this.targetWeights = targetWeights ? Index.toWeights(targetWeights) : this.getWeights();
+  }
+
   /**
    * Clone the index
    * @return {Index} A new index instance with cloned assets
    */
   clone() {
-    return new Index(
+    const clone = new Index(
       this.id,
-      this.assets.map(asset => asset.clone())
+      this.assets.map(asset => asset.clone()),
+      {
+        weighting: this.weighting,
+        targetWeights: this.targetWeights,
+        divisor: this.divisor,
+        baseValue: this.baseValue
+      }
     );
+    clone.rebalancePolicy = this.rebalancePolicy ? RebalancePolicy.fromObject(this.rebalancePolicy.toObject()) : null;
+    clone.createdAt = this.createdAt;
+    clone.lastRebalance = this.lastRebalance;
+    return clone;
+  }
+
+  /**
+   * Get the error in an index definition, if any
+   * @param {Array<Object>} assets - The assets as {id, price} plus their quantity,
+   * weight (custom) or marketCap (cap) as the weighting needs
+   * @param {string} weighting - How the target weights are set, see Index.fromDefinition()
+   * @param {Decimal|number|string} baseValue - The index level at creation for weighted indices
+   * @return {string|null} The error message, or null if the definition is valid
+   */
+  static getDefinitionError(assets, weighting = 'quantity', baseValue = DEFAULT_INDEX_PRICE) {
+    if (!WEIGHTINGS.includes(weighting)) {
+      return `weighting must be one of ${WEIGHTINGS.join(', ')}`;
+    }
+    
+    if (!Array.isArray(assets)) {
+      return 'assets must be an array';
+    }
+    
+    if (assets.some(asset => !asset || typeof asset.id !== 'string' || asset.id === '')) {
+      return 'Each asset needs an id';
+    }
+    
+    const ids = new Set(assets.map(asset => asset.id));
+    if (ids.size !== assets.length) {
+      return 'Each asset can only appear once';
+    }
+    
+    if (weighting === 'quantity') {
+      for (const asset of assets) {
+        if (!isPositive(asset.quantity)) {
+          return `Asset ${asset.id} needs a positive quantity`;
+        }
+        if (!isPositive(asset.price)) {
+          return `Asset ${asset.id} needs a positive price`;
+        }
+      }
+      
+      return null;
+    }
+    
+    if (assets.length === 0) {
+      return `${weighting} weighting needs at least one asset`;
+    }
+    
+    if (!isPositive(baseValue)) {
+      return 'baseValue must be a positive number';
+    }
+    
+    for (const asset of assets) {
+      if (!isPositive(asset.price)) {
+        return `Asset ${asset.id} needs a positive price`;
+      }
+      if (weighting === 'custom' && !isPositive(asset.weight)) {
+        return `Asset ${asset.id} needs a positive weight for custom weighting`;
+      }
+      if (weighting === 'cap' && !isPositive(asset.marketCap)) {
+        return `Asset ${asset.id} needs a positive marketCap for cap weighting`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Create an index from its definition
+   * Quantity indices hold the given asset quantities and start at their value.
+   * Weighted indices get the quantities that give each asset its target
+   * weight at the given prices, and start at the base value:
+   * - equal: every asset has the same weight
+   * - cap: assets are weighted by their market capitalization
+   * - custom: assets are weighted by their weight, normalized to sum to 1
+   * @param {string} id - The index identifier
+   * @param {Array<Object>} assets - The assets as {id, price} plus their quantity,
+   * weight (custom) or marketCap (cap) as the weighting needs
+   * @param {string} weighting - How the target weights are set ('quantity', 'equal', 'cap' or 'custom')
+   * @param {Decimal|number|string} baseValue - The index level at creation for weighted indices
+   * @return {Index} A new index instance
+   * @throws {Error} If the definition is not valid
+   */
+  static fromDefinition(id, assets, weighting = 'quantity', baseValue = DEFAULT_INDEX_PRICE) {
+    const error = Index.getDefinitionError(assets, weighting, baseValue);
+    if (error) {
+      throw new Error(error);
+    }
+    
+    if (weighting === 'quantity') {
+      return new Index(id, assets.map(asset => new Asset(asset.id, asset.quantity, asset.price, asset.price)));
+    }
+    
+    const basis = {
+      equal: () => 1,
+      cap: asset => asset.marketCap,
+      custom: asset => asset.weight
+    }[weighting];
+    const total = Decimal.sum(assets.map(basis));
+    const targetWeights = {};
+    
+    const indexAssets = assets.map(asset => {
+      targetWeights[asset.id] = Decimal.from(basis(asset)).div(total);
+      const quantity = targetWeights[asset.id].times(baseValue).div(asset.price);
+      return new Asset(asset.id, quantity, asset.price, asset.price);
+    });
+    
+    // Quantities are rounded, the divisor makes the index start exactly at its base value
+    const basketValue = Decimal.sum(indexAssets.map(asset => asset.getValue()));
+    
+    return new Index(id, indexAssets, {
+      weighting,
+      targetWeights,
+      divisor: basketValue.div(baseValue),
+      baseValue
+    });
+  }
+
+  /**
+   * Convert weights into decimals
+   * @param {Object<string, Decimal|number|string>} weights - Weight by asset id
+   * @return {Object<string, Decimal>} The weights as decimals
+   * @private
+   */
+  static toWeights(weights) {
+    return Object.keys(weights).reduce((result, assetId) => {
+      result[assetId] = Decimal.from(weights[assetId]);
+      return result;
+    }, {});
   }
 
   /**
    * Create an index from a serialized object
+   * Indices saved before divisors and target weights are quantity indices with a divisor of 1
    * @param {Object} data - The serialized index data
    * @return {Index} A new index instance
    */
   static fromObject(data) {
     const assets = data.assets.map(assetData => Asset.fromObject(assetData));
-    const index = new Index(data.id, assets);
+    const index = new Index(data.id, assets, {
+      weighting: data.weighting,
+      targetWeights: data.targetWeights || null,
+      divisor: data.divisor || 1,
+      baseValue: data.baseValue || null
+    });
+    index.rebalancePolicy = data.rebalancePolicy ? RebalancePolicy.fromObject(data.rebalancePolicy) : null;
     index.createdAt = data.createdAt || Date.now();
     index.lastRebalance = data.lastRebalance || Date.now();
     return index;
@@ -165,6 +426,12 @@ class Index {
     return {
       id: this.id,
       assets: this.assets.map(asset => asset.toObject()),
+      weighting: this.weighting,
+      targetWeights: this.targetWeights,
+      weights: this.getWeights(),
+      baseValue: this.baseValue,
+      divisor: this.divisor,
+      rebalancePolicy: this.rebalancePolicy ? this.rebalancePolicy.toObject() : null,
       createdAt: this.createdAt,
       lastRebalance: this.lastRebalance,
       currentPrice: this.getCurrentPrice(),
@@ -1,3 +1,116 @@
+const { MARKET_MAX_SLIPPAGE_PERCENT, RATE_LIMIT_WINDOW_MS } = require('../utils/constants');
+const { isStopTriggered, buildVolumeProfile } = require('../utils/helpers');
+const Decimal = require('../utils/Decimal');
+
+// Sequence number keeping order ids unique within the same millisecond
+let orderSequence = 0;
+
+/**
+ * Order lifecycle: the statuses each status may move to
+ * An order returns from processing to pending when its price condition or
+ * liquidity is not met; a partially filled order may be worked again.
+ * Statuses without outgoing transitions are terminal.
+ */
+const TRANSITIONS = {
+  pending: ['processing', 'canceled', 'expired', 'failed'],
+  processing: ['pending', 'partially_filled', 'filled', 'canceled', 'failed', 'expired'],
+  partially_filled: ['pending', 'processing', 'canceled', 'expired'],
+  filled: [],
+  canceled: [],
+  failed: [],
+  expired: []
+};
+
+// Statuses in which an order is queued or being worked
+const ACTIVE_STATUSES = ['pending', 'processing', 'partially_filled'];
+
+/**
+ * Time-in-force policies for buy and sell orders
+ * GTC: rests until filled or canceled
+ * IOC: fills what it can in one pass, the rest is canceled
+ * FOK: executes only if fully fillable, otherwise canceled
+ * GTD: rests like GTC until expiresAt, then expires
+ */
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'GTD'];
+
+/**
+ * Stop order types and the order type each converts to once triggered
+ * stop: becomes a market order when the index price reaches stopPrice
+ * stop_limit: becomes a limit order at indexPrice when the index price reaches stopPrice
+ * trailing_stop: like stop, with stopPrice trailing the best index price by trailingPercent
+ */
+const STOP_CONVERSIONS = {
+  stop: 'market',
+  stop_limit: 'limit',
+  trailing_stop: 'market'
+};
+
+/**
+ * Pricing of buy and sell orders
+ * limit: triggers when the index price crosses indexPrice
+ * market: executes at the best available prices within maxSlippagePercent
+ * stop, stop_limit, trailing_stop: see STOP_CONVERSIONS
+ */
+const ORDER_TYPES = ['limit', 'market', ...Object.keys(STOP_CONVERSIONS)];
+
+/**
+ * Execution algorithms slicing a parent order into child orders
+ * twap: equal slices at regular intervals over a horizon
+ * vwap: slices over a horizon weighted by a volume profile (U-shaped intraday curve by default)
+ * pov: one child per batch sized at participationRate of the visible book depth
+ */
+const ALGORITHMS = ['twap', 'vwap', 'pov'];
+
+/**
+ * Get an optional amount as a decimal
+ * @param {Decimal|number|string|null} value - The amount, or null
+ * @return {Decimal|null} The decimal, or null
+ */
+const toDecimal = value => (value === null || value === undefined ? null : Decimal.from(value));
+
+/**
+ * Add asset quantities to a per-asset list in place
+ * @param {Array<{assetId: string, quantity: Decimal}>} target - The accumulated legs
+ * @param {Array<{assetId: string, quantity: Decimal}>} legs - The legs to add
+ */
+const accumulateLegs = (target, legs) => {
+  for (const { assetId, quantity } of legs) {
+    const existing = target.find(leg => leg.assetId === assetId);
+    
+    if (existing) {
+      existing.quantity = existing.quantity.plus(quantity);
+    } else {
+      target.push({ assetId, quantity: Decimal.from(quantity) });
+    }
+  }
+};
+
+/**
+ * Read serialized asset legs back into decimals
+ * @param {Array<Object>} legs - The serialized legs
+ * @return {Array<{assetId: string, quantity: Decimal}>} The legs
+ */
+const parseLegs = (legs = []) => legs.map(leg => ({ ...leg, quantity: Decimal.from(leg.quantity) }));
+
+/**
+ * Read the target composition of a rebalance order into decimals
+ * @param {Object|null} target - The target as {weights} or {quantities} by asset id, or null
+ * @return {Object|null} The target with decimal amounts, or null
+ */
+const parseTarget = (target) => {
+  if (!target) {
+    return null;
+  }
+  
+  return Object.keys(target).reduce((parsed, kind) => {
+    parsed[kind] = Object.keys(target[kind]).reduce((amounts, assetId) => {
+      amounts[assetId] = Decimal.from(target[kind][assetId]);
+      return amounts;
+    }, {});
+    return parsed;
+  }, {});
+};
+
 /**
  * Order model representing a trading order (buy/sell/cancel/rebalance)
  */
@@ -7,41 +120,180 @@ class Order {
    * @param {string} type - The order type ('buy', 'sell', 'cancel', 'rebalance')
    * @param {string} positionId - The position ID for this order
    * @param {string} indexId - The index ID this order is for (null for cancel)
-   * @param {number} quantity - The quantity to buy/sell (null for cancel/rebalance)
-   * @param {number} indexPrice - The target price for the index (null for cancel/rebalance)
+   * @param {Decimal|number|string} quantity - The index units to buy/sell (null for notional orders and cancel/rebalance)
+   * @param {Decimal|number|string} indexPrice - The limit price for the index (null for market orders and cancel/rebalance)
    * @param {number} timestamp - The timestamp when this order was created
+   * @param {Object} options - Execution options for buy/sell orders
+   * @param {string} options.orderType - The pricing of the order (limit, market)
+   * @param {Decimal|number|string} options.notional - The quote amount to trade instead of a quantity
+   * @param {number} options.maxSlippagePercent - The price band of market orders
+   * @param {Decimal|number|string} options.stopPrice - The index price triggering stop and stop-limit orders
+   * @param {number} options.trailingPercent - The distance of a trailing stop from the best index price
+   * @param {string} options.timeInForce - The time-in-force policy (GTC, IOC, FOK, GTD)
+   * @param {number} options.expiresAt - The expiry timestamp of GTD orders
+   * @param {string} options.algorithm - The execution algorithm slicing the order (twap, vwap)
+   * @param {number} options.horizonMs - The time the algorithm spreads the order over
+   * @param {number} options.sliceCount - The number of slices (default: one per rate limit window)
+   * @param {Array<number>} options.volumeProfile - The relative volume of each VWAP slice
+   * @param {number} options.participationRate - The share of visible depth a POV child takes, in percent
+   * @param {Decimal|number|string} options.displaySize - The iceberg size shown per pass, in the unit of the order
+   * @param {boolean} options.short - Whether a sell may go beyond the units held
+   * @throws {Error} If the options are invalid
    */
-  constructor(type, positionId, indexId = null, quantity = null, indexPrice = null, timestamp = Date.now()) {
-    this.id = `order_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+  constructor(type, positionId, indexId = null, quantity = null, indexPrice = null, timestamp = Date.now(), options = {}) {
+    const {
+      orderType = 'limit',
+      notional = null,
+      maxSlippagePercent = [orderType, STOP_CONVERSIONS[orderType]].includes('market') ? MARKET_MAX_SLIPPAGE_PERCENT : null,
+      stopPrice = null,
+      trailingPercent = null,
+      timeInForce = 'GTC',
+      expiresAt = null,
+      algorithm = null,
+      horizonMs = null,
+      sliceCount = null,
+      volumeProfile = null,
+      participationRate = null,
+      displaySize = null,
+      short = false
+    } = options;
+    
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`Unknown order type: ${orderType}`);
+    }
+    
+    if (orderType === 'trailing_stop' ? !(typeof trailingPercent === 'number' && trailingPercent > 0 && trailingPercent < 100) : trailingPercent !== null) {
+      throw new Error('trailingPercent, a number between 0 and 100, is required for trailing stops and only allowed for them');
+    }
+    
+    if ((orderType === 'stop' || orderType === 'stop_limit') && !(stopPrice > 0)) {
+      throw new Error(`${orderType} orders need a positive stopPrice`);
+    }
+    
+    if (notional !== null && quantity !== null) {
+      throw new Error('An order has either a quantity or a notional, not both');
+    }
+    
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      throw new Error(`Unknown time in force: ${timeInForce}`);
+    }
+    
+    if (timeInForce === 'GTD' ? !(expiresAt > 0) : expiresAt !== null) {
+      throw new Error('expiresAt is required for GTD orders and only allowed for them');
+    }
+    
+    const schedule = algorithm !== null
+      ? Order.buildSchedule({ algorithm, horizonMs, sliceCount, volumeProfile })
+      : { horizonMs: null, sliceCount: null, volumeProfile: null };
+    
+    if (algorithm !== null) {
+      Order.validateAlgorithm({ algorithm, orderType, timeInForce, participationRate, ...schedule });
+    } else if (horizonMs !== null || sliceCount !== null || volumeProfile !== null || participationRate !== null) {
+      throw new Error('horizonMs, sliceCount, volumeProfile and participationRate are only allowed with an execution algorithm');
+    }
+    
+    if (displaySize !== null && !(displaySize > 0 && (timeInForce === 'GTC' || timeInForce === 'GTD'))) {
+      throw new Error('displaySize must be positive and needs a GTC or GTD time in force');
+    }
+    
+    if (short && type !== 'sell') {
+      throw new Error('Only sell orders can be short');
+    }
+    
+    this.id = `order_${Date.now()}_${++orderSequence}`;
     this.type = type;
     this.positionId = positionId;
     this.indexId = indexId;
-    this.quantity = quantity;
-    this.indexPrice = indexPrice;
+    this.quantity = toDecimal(quantity);
+    this.indexPrice = toDecimal(indexPrice);
     this.timestamp = timestamp;
-    this.status = 'pending'; // pending, processing, filled, partially_filled, canceled, failed
-    this.fillPercentage = 0;
-    this.loss = 0;
+    this.orderType = orderType;
+    this.notional = toDecimal(notional);
+    this.maxSlippagePercent = maxSlippagePercent;
+    this.stopType = STOP_CONVERSIONS[orderType] ? orderType : null; // Kept after the stop triggers
+    this.stopPrice = toDecimal(stopPrice); // Set from the trailing anchor for trailing stops
+    this.trailingPercent = trailingPercent;
+    this.trailingAnchor = null; // Best index price seen by a trailing stop
+    this.triggeredAt = null;
+    this.timeInForce = timeInForce;
+    this.expiresAt = expiresAt;
+    this.algorithm = algorithm;
+    this.horizonMs = schedule.horizonMs;
+    this.sliceCount = schedule.sliceCount;
+    this.volumeProfile = schedule.volumeProfile;
+    this.participationRate = participationRate;
+    this.displaySize = toDecimal(displaySize); // Iceberg: the most worked per pass, the rest stays hidden
+    this.short = short; // Short sells are not limited to the units held when they execute
+    this.scheduleStartedAt = null; // Set when the first slice is worked
+    this.slices = []; // The child orders worked so far, see recordSlice()
+    this.activeSlice = null; // The child order being worked, not persisted
+    this.parentId = null; // Set on the child orders of an algorithm
+    this.status = 'pending'; // See TRANSITIONS for the lifecycle
+    this.transitions = []; // Every status change with its time and reason
+    this.fillPercentage = Decimal.ZERO;
+    this.loss = Decimal.ZERO; // Slippage and fees
+    this.fees = Decimal.ZERO;
+    this.slippageLoss = Decimal.ZERO;
+    this.filledQuantity = Decimal.ZERO;
+    this.filledNotional = Decimal.ZERO; // Quote amount traded, the budget used by notional orders
+    this.fills = []; // Index units filled per execution with their average price and fees
+    this.residualLegs = []; // Asset units traded beyond the complete baskets, see recordResidual()
+    this.roundingResidue = []; // Asset units the symbol filters kept from trading, see recordRoundingResidue()
     this.executionDetails = [];
+    this.amendments = []; // Changes made in place with PATCH, see amend()
+    this.cancelRequested = false; // Set when a cancel arrives while the order is being worked
+    this.rebalanceTarget = null; // Target composition of rebalance orders, see createRebalanceOrder()
+    this.rebalancePreviewId = null; // Approved preview whose plan a rebalance order executes
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
   }
 
   /**
    * Update the order status
+   * Updating to the current status only records the details
    * @param {string} status - The new status
    * @param {Object} details - Additional details about the status change
+   * @param {string} details.reason - Optional reason recorded in the transition log
+   * @param {Decimal} details.loss - The total loss, slippage and fees
+   * @param {Decimal} details.fees - The fees part of the loss
+   * @param {Decimal} details.slippageLoss - The slippage part of the loss
+   * @throws {Error} If the lifecycle does not allow the transition
    */
   updateStatus(status, details = {}) {
-    this.status = status;
+    if (status !== this.status) {
+      if (!this.canTransitionTo(status)) {
+        throw new Error(`Illegal status transition for order ${this.id}: ${this.status} -> ${status}`);
+      }
+      
+      this.transitions.push({
+        from: this.status,
+        to: status,
+        reason: details.reason || null,
+        timestamp: Date.now()
+      });
+      this.status = status;
+    }
+    
     this.updatedAt = Date.now();
     
     if (details.fillPercentage !== undefined) {
-      this.fillPercentage = details.fillPercentage;
+      this.fillPercentage = Decimal.from(details.fillPercentage);
     }
     
     if (details.loss !== undefined) {
-      this.loss = details.loss;
+      this.loss = Decimal.from(details.loss);
+    }
+    
+    if (details.fees !== undefined) {
+      this.fees = Decimal.from(details.fees);
+    }
+    
+    if (details.slippageLoss !== undefined) {
+      this.slippageLoss = Decimal.from(details.slippageLoss);
+    }
+    
+    if (details.fill) {
+      this.recordFill(details.fill);
     }
     
     if (details.execution) {
@@ -52,6 +304,456 @@ class Order {
     }
   }
 
+  /**
+   * Check whether the order may move to a status
+   * @param {string} status - The target status
+   * @return {boolean} True if the transition is allowed
+   * @throws {Error} If the status is unknown
+   */
+  canTransitionTo(status) {
+    if (!TRANSITIONS[status]) {
+      throw new Error(`Unknown order status: ${status}`);
+    }
+    
+    return TRANSITIONS[this.status].includes(status);
+  }
+
+  /**
+   * Record a fill of the order
+   * @param {Object} fill - The fill
+   * @param {Decimal} fill.quantity - The index units filled
+   * @param {Decimal} fill.price - The average price paid or received per index unit
+   * @param {Decimal} fill.fee - The fees charged for the fill
+   */
+  recordFill({ quantity, price, fee = Decimal.ZERO }) {
+    const recorded = {
+      quantity: Decimal.from(quantity),
+      price: Decimal.from(price),
+      fee: Decimal.from(fee),
+      timestamp: Date.now()
+    };
+    
+    this.fills.push(recorded);
+    this.filledQuantity = this.filledQuantity.plus(recorded.quantity);
+    this.filledNotional = this.filledNotional.plus(recorded.quantity.times(recorded.price));
+  }
+
+  /**
+   * Record the residual of an execution
+   * Asset units a leg traded beyond the complete baskets that reconciliation
+   * could not trade away, accumulated per asset
+   * @param {Array<{assetId: string, quantity: Decimal}>} residualLegs - The residual legs
+   */
+  recordResidual(residualLegs) {
+    accumulateLegs(this.residualLegs, residualLegs);
+  }
+
+  /**
+   * Record the rounding residue of an execution
+   * Asset units the baskets counted as filled but the legs did not trade,
+   * because the exchange's step size, maximum quantity or minimum notional
+   * rounded them away, accumulated per asset
+   * @param {Array<{assetId: string, quantity: Decimal}>} roundingResidue - The residue per asset
+   */
+  recordRoundingResidue(roundingResidue) {
+    accumulateLegs(this.roundingResidue, roundingResidue);
+  }
+
+  /**
+   * Get the quantity still to be filled
+   * @return {Decimal} The unfilled quantity
+   */
+  getRemainingQuantity() {
+    return Decimal.max(0, this.quantity.minus(this.filledQuantity));
+  }
+
+  /**
+   * Get the quote amount a notional order still has to trade
+   * @return {Decimal} The unspent notional
+   */
+  getRemainingNotional() {
+    return Decimal.max(0, this.notional.minus(this.filledNotional));
+  }
+
+  /**
+   * Check if the order is denominated in quote notional instead of index units
+   * @return {boolean} True for notional orders
+   */
+  isNotional() {
+    return this.notional !== null;
+  }
+
+  /**
+   * Check if this is a market order
+   * @return {boolean} True if the order executes at the best available prices
+   */
+  isMarket() {
+    return this.orderType === 'market';
+  }
+
+  /**
+   * Check if this is a stop order waiting for its trigger
+   * @return {boolean} True until the stop triggers and the order converts
+   */
+  isStop() {
+    return STOP_CONVERSIONS[this.orderType] !== undefined;
+  }
+
+  /**
+   * Evaluate the stop trigger against the current index price
+   * Trailing stops first move their stop price with the best price seen:
+   * sells trail the highest price downwards, buys the lowest price upwards
+   * @param {Decimal} indexPrice - The current index price
+   * @return {boolean} True if the stop is triggered
+   */
+  checkStopTrigger(indexPrice) {
+    if (!this.isStop()) {
+      return false;
+    }
+    
+    if (this.orderType === 'trailing_stop') {
+      const price = Decimal.from(indexPrice);
+      const isBetter = this.trailingAnchor === null ||
+        (this.isSell() ? price.gt(this.trailingAnchor) : price.lt(this.trailingAnchor));
+      
+      if (isBetter) {
+        this.trailingAnchor = price;
+        this.stopPrice = price
+          .times(this.isSell() ? 100 - this.trailingPercent : 100 + this.trailingPercent)
+          .div(100);
+        this.updatedAt = Date.now();
+      }
+    }
+    
+    return isStopTriggered(this.type, this.stopPrice, indexPrice);
+  }
+
+  /**
+   * Convert a triggered stop into the market or limit order it stands for
+   * @param {Decimal} indexPrice - The index price that triggered the stop
+   * @param {number} now - The trigger timestamp
+   * @throws {Error} If the order is not a waiting stop order
+   */
+  triggerStop(indexPrice, now = Date.now()) {
+    if (!this.isStop()) {
+      throw new Error(`Order ${this.id} is not a waiting stop order`);
+    }
+    
+    this.orderType = STOP_CONVERSIONS[this.orderType];
+    this.triggeredAt = now;
+    this.updatedAt = now;
+    this.executionDetails.push({
+      message: `${this.stopType} triggered at index price ${indexPrice} (stop: ${this.stopPrice})`,
+      timestamp: now
+    });
+  }
+
+  /**
+   * Check if the order must be resolved in a single pass (IOC or FOK)
+   * @return {boolean} True if the unfilled part is canceled instead of resting
+   */
+  isImmediate() {
+    return this.timeInForce === 'IOC' || this.timeInForce === 'FOK';
+  }
+
+  /**
+   * Check whether an amendment is allowed
+   * Only resting orders can be amended: the limit price of limit and stop-limit
+   * orders may change, and the quantity of quantity orders may be reduced, but
+   * not to or below what is already filled
+   * @param {Object} changes - The requested changes
+   * @param {Decimal|number|string} changes.indexPrice - The new limit price
+   * @param {Decimal|number|string} changes.quantity - The new, smaller quantity
+   * @return {string|null} Why the amendment is not allowed, or null if it is
+   */
+  getAmendmentError({ indexPrice, quantity } = {}) {
+    if (this.status !== 'pending' && this.status !== 'partially_filled') {
+      return `Order ${this.id} is ${this.status} and cannot be amended`;
+    }
+    
+    if (indexPrice === undefined && quantity === undefined) {
+      return 'Nothing to amend: give an indexPrice or a quantity';
+    }
+    
+    let price = null;
+    let size = null;
+    try {
+      price = indexPrice !== undefined ? Decimal.from(indexPrice) : null;
+      size = quantity !== undefined ? Decimal.from(quantity) : null;
+    } catch (error) {
+      return 'indexPrice and quantity must be numbers';
+    }
+    
+    if (price) {
+      if (this.orderType !== 'limit' && this.orderType !== 'stop_limit') {
+        return `${this.orderType} orders have no limit price to amend`;
+      }
+      if (!price.isPositive()) {
+        return 'indexPrice must be a positive number';
+      }
+    }
+    
+    if (size) {
+      if (this.isNotional()) {
+        return 'The quantity of notional orders cannot be amended';
+      }
+      if (!size.lt(this.quantity)) {
+        return `Quantity can only be reduced (current: ${this.quantity})`;
+      }
+      if (!size.gt(this.filledQuantity)) {
+        return `Quantity must stay above the filled quantity (${this.filledQuantity}), cancel the order instead`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Amend the limit price and/or reduce the quantity in place
+   * A new limit price loses queue priority; a quantity reduction keeps it
+   * @param {Object} changes - The changes, see getAmendmentError()
+   * @return {boolean} True if the amendment loses queue priority
+   * @throws {Error} If the amendment is not allowed
+   */
+  amend(changes = {}) {
+    const error = this.getAmendmentError(changes);
+    if (error) {
+      throw new Error(error);
+    }
+    
+    const { indexPrice, quantity } = changes;
+    const amendment = { timestamp: Date.now() };
+    
+    if (indexPrice !== undefined && !this.indexPrice.eq(indexPrice)) {
+      amendment.indexPrice = { from: this.indexPrice, to: Decimal.from(indexPrice) };
+      this.indexPrice = amendment.indexPrice.to;
+    }
+    
+    if (quantity !== undefined) {
+      amendment.quantity = { from: this.quantity, to: Decimal.from(quantity) };
+      this.quantity = amendment.quantity.to;
+      this.fillPercentage = this.filledQuantity.div(this.quantity).times(100);
+    }
+    
+    amendment.priorityReset = amendment.indexPrice !== undefined;
+    this.amendments.push(amendment);
+    this.updatedAt = amendment.timestamp;
+    
+    return amendment.priorityReset;
+  }
+
+  /**
+   * Ask an order that is being worked to stop
+   * The processor working the order cancels its open remainder once the
+   * current pass settles; fills made until then are kept
+   */
+  requestCancel() {
+    this.cancelRequested = true;
+    this.updatedAt = Date.now();
+    
+    // The slice an algorithm is working stops with its parent
+    if (this.activeSlice) {
+      this.activeSlice.requestCancel();
+    }
+  }
+
+  /**
+   * Check if the order is worked by an execution algorithm
+   * @return {boolean} True for TWAP, VWAP and POV orders
+   */
+  isAlgorithmic() {
+    return this.algorithm !== null;
+  }
+
+  /**
+   * Check if the order follows a time schedule
+   * @return {boolean} True for TWAP and VWAP orders
+   */
+  isScheduled() {
+    return this.horizonMs !== null;
+  }
+
+  /**
+   * Check if the order is worked through child orders
+   * @return {boolean} True for algorithmic and iceberg orders
+   */
+  isSliced() {
+    return this.isAlgorithmic() || this.displaySize !== null;
+  }
+
+  /**
+   * Start the slice schedule of an algorithmic order
+   * @param {number} now - The current timestamp
+   */
+  startSchedule(now = Date.now()) {
+    if (this.scheduleStartedAt === null) {
+      this.scheduleStartedAt = now;
+    }
+  }
+
+  /**
+   * Get the slice of the schedule an algorithmic order is in
+   * Orders without a schedule count their passes instead
+   * @param {number} now - The current timestamp
+   * @return {number} The zero-based slice, the last one past the horizon
+   */
+  getCurrentSlice(now = Date.now()) {
+    if (!this.isScheduled()) {
+      return this.slices.length;
+    }
+    
+    if (this.scheduleStartedAt === null) {
+      return 0;
+    }
+    
+    const interval = this.horizonMs / this.sliceCount;
+    return Math.min(this.sliceCount - 1, Math.floor((now - this.scheduleStartedAt) / interval));
+  }
+
+  /**
+   * Get the share of the order the schedule wants worked by a slice
+   * TWAP spreads the order evenly; VWAP follows the cumulative volume profile;
+   * orders without a schedule want all of it
+   * @param {number} slice - The zero-based slice
+   * @return {number} The cumulative target share (0-1)
+   */
+  getScheduledShare(slice) {
+    if (!this.isScheduled()) {
+      return 1;
+    }
+    
+    if (this.algorithm === 'vwap') {
+      const total = this.volumeProfile.reduce((sum, weight) => sum + weight, 0);
+      return this.volumeProfile.slice(0, slice + 1).reduce((sum, weight) => sum + weight, 0) / total;
+    }
+    
+    return (slice + 1) / this.sliceCount;
+  }
+
+  /**
+   * Get what the schedule wants traded now, in the unit of the order
+   * Shortfalls of earlier slices are carried into the current one
+   * @param {number} now - The current timestamp
+   * @return {Decimal} The quantity (or notional for notional orders) due
+   */
+  getSliceDue(now = Date.now()) {
+    const share = this.getScheduledShare(this.getCurrentSlice(now));
+    
+    if (this.isNotional()) {
+      return Decimal.max(0, this.notional.times(share).minus(this.filledNotional));
+    }
+    return Decimal.max(0, this.quantity.times(share).minus(this.filledQuantity));
+  }
+
+  /**
+   * Check if an order has work due
+   * Orders without a schedule always have; TWAP and VWAP orders only when
+   * their schedule is ahead of their fills
+   * @param {number} now - The current timestamp
+   * @return {boolean} True if the order should be worked
+   */
+  isSliceDue(now = Date.now()) {
+    if (!this.isScheduled() || this.scheduleStartedAt === null) {
+      return true;
+    }
+    
+    // Ignore rounding dust left by earlier slices
+    const total = this.isNotional() ? this.notional : this.quantity;
+    return this.getSliceDue(now).gt(total.times(1e-9));
+  }
+
+  /**
+   * Get the start of the next slice of an algorithmic order
+   * @param {number} now - The current timestamp
+   * @return {number|null} The timestamp, or null past the last slice
+   */
+  getNextSliceAt(now = Date.now()) {
+    const nextSlice = this.getCurrentSlice(now) + 1;
+    
+    if (!this.isScheduled() || this.scheduleStartedAt === null || nextSlice >= this.sliceCount) {
+      return null;
+    }
+    return this.scheduleStartedAt + nextSlice * this.horizonMs / this.sliceCount;
+  }
+
+  /**
+   * Create the child order working a slice of an algorithmic order
+   * The child is an IOC order at the parent's pricing; it is not queued
+   * and only lives for the pass that works it
+   * @param {Decimal} amount - The quantity (or notional) of the slice
+   * @param {number} now - The current timestamp
+   * @return {Order} The child order
+   */
+  createSlice(amount, now = Date.now()) {
+    const child = new Order(
+      this.type,
+      this.positionId,
+      this.indexId,
+      this.isNotional() ? null : amount,
+      this.indexPrice,
+      now,
+      {
+        orderType: this.orderType,
+        notional: this.isNotional() ? amount : null,
+        maxSlippagePercent: this.maxSlippagePercent,
+        timeInForce: 'IOC',
+        short: this.short
+      }
+    );
+    
+    child.parentId = this.id;
+    child.cancelRequested = this.cancelRequested;
+    this.activeSlice = child;
+    
+    return child;
+  }
+
+  /**
+   * Aggregate a worked child order into its parent
+   * The child's fills, loss and residual become the parent's; the fill
+   * percentage is measured against the parent's whole quantity (or notional)
+   * @param {Order} child - The child order, done with its pass
+   */
+  recordSlice(child) {
+    for (const fill of child.fills) {
+      this.recordFill(fill);
+    }
+    this.recordResidual(child.residualLegs);
+    this.recordRoundingResidue(child.roundingResidue);
+    this.loss = this.loss.plus(child.loss);
+    this.fees = this.fees.plus(child.fees);
+    this.slippageLoss = this.slippageLoss.plus(child.slippageLoss);
+    this.fillPercentage = Decimal.min(100, this.isNotional()
+      ? this.filledNotional.div(this.notional).times(100)
+      : this.filledQuantity.div(this.quantity).times(100));
+    
+    this.slices.push({
+      id: child.id,
+      slice: this.getCurrentSlice(child.timestamp),
+      status: child.status,
+      quantity: child.quantity,
+      notional: child.notional,
+      filledQuantity: child.filledQuantity,
+      filledNotional: child.filledNotional,
+      fillPercentage: child.fillPercentage,
+      loss: child.loss,
+      fees: child.fees,
+      slippageLoss: child.slippageLoss,
+      timestamp: child.timestamp
+    });
+    this.activeSlice = null;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Check if a good-till-date order has reached its expiry
+   * @param {number} now - The current timestamp
+   * @return {boolean} True if the order has expired
+   */
+  isExpired(now = Date.now()) {
+    return this.timeInForce === 'GTD' && now >= this.expiresAt;
+  }
+
   /**
    * Check if this is a buy order
    * @return {boolean} True if this is a buy order
@@ -85,19 +787,19 @@ class Order {
   }
 
   /**
-   * Check if the order is active (pending or processing)
+   * Check if the order is active (queued, being worked or partially filled)
    * @return {boolean} True if the order is active
    */
   isActive() {
-    return this.status === 'pending' || this.status === 'processing';
+    return ACTIVE_STATUSES.includes(this.status);
   }
 
   /**
-   * Check if the order is complete (filled, canceled, or failed)
+   * Check if the order is complete (in a terminal status)
    * @return {boolean} True if the order is complete
    */
   isComplete() {
-    return this.status === 'filled' || this.status === 'canceled' || this.status === 'failed';
+    return TRANSITIONS[this.status].length === 0;
   }
 
   /**
@@ -112,14 +814,56 @@ class Order {
       data.indexId,
       data.quantity,
       data.indexPrice,
-      data.timestamp
+      data.timestamp,
+      {
+        // Triggered stops are rebuilt as the stop they were placed as
+        orderType: data.stopType || data.orderType || 'limit',
+        notional: data.notional !== undefined ? data.notional : null,
+        maxSlippagePercent: data.maxSlippagePercent !== undefined ? data.maxSlippagePercent : null,
+        stopPrice: data.stopPrice !== undefined ? data.stopPrice : null,
+        trailingPercent: data.trailingPercent !== undefined ? data.trailingPercent : null,
+        timeInForce: data.timeInForce || 'GTC',
+        expiresAt: data.expiresAt !== undefined ? data.expiresAt : null,
+        ...(data.algorithm ? {
+          algorithm: data.algorithm,
+          horizonMs: data.horizonMs,
+          sliceCount: data.sliceCount,
+          volumeProfile: data.volumeProfile,
+          participationRate: data.participationRate
+        } : {}),
+        displaySize: data.displaySize !== undefined ? data.displaySize : null,
+        short: data.short || false
+      }
     );
     
     order.id = data.id;
     order.status = data.status;
-    order.fillPercentage = data.fillPercentage;
-    order.loss = data.loss;
+    order.transitions = data.transitions || [];
+    order.fillPercentage = Decimal.from(data.fillPercentage || 0);
+    order.loss = Decimal.from(data.loss || 0);
+    order.fees = Decimal.from(data.fees || 0);
+    order.slippageLoss = Decimal.from(data.slippageLoss || 0);
+    order.filledQuantity = Decimal.from(data.filledQuantity || 0);
+    order.filledNotional = Decimal.from(data.filledNotional || 0);
+    order.orderType = data.orderType || 'limit';
+    order.trailingAnchor = toDecimal(data.trailingAnchor);
+    order.triggeredAt = data.triggeredAt || null;
+    order.fills = (data.fills || []).map(fill => ({
+      ...fill,
+      quantity: Decimal.from(fill.quantity),
+      price: Decimal.from(fill.price),
+      fee: Decimal.from(fill.fee || 0)
+    }));
+    order.residualLegs = parseLegs(data.residualLegs);
+    order.roundingResidue = parseLegs(data.roundingResidue);
     order.executionDetails = data.executionDetails || [];
+    order.amendments = data.amendments || [];
+    order.cancelRequested = data.cancelRequested || false;
+    order.rebalanceTarget = parseTarget(data.rebalanceTarget);
+    order.rebalancePreviewId = data.rebalancePreviewId || null;
+    order.scheduleStartedAt = data.scheduleStartedAt || null;
+    order.slices = data.slices || [];
+    order.parentId = data.parentId || null;
     order.createdAt = data.createdAt;
     order.updatedAt = data.updatedAt;
     
@@ -128,6 +872,7 @@ class Order {
 
   /**
    * Convert the order to a simple object for serialization
+   * Amounts stay decimals and serialize to JSON as strings
    * @return {Object} A plain object representation of the order
    */
   toObject() {
@@ -139,39 +884,142 @@ class Order {
       quantity: this.quantity,
       indexPrice: this.indexPrice,
       timestamp: this.timestamp,
+      orderType: this.orderType,
+      notional: this.notional,
+      maxSlippagePercent: this.maxSlippagePercent,
+      stopType: this.stopType,
+      stopPrice: this.stopPrice,
+      trailingPercent: this.trailingPercent,
+      trailingAnchor: this.trailingAnchor,
+      triggeredAt: this.triggeredAt,
+      timeInForce: this.timeInForce,
+      expiresAt: this.expiresAt,
+      algorithm: this.algorithm,
+      horizonMs: this.horizonMs,
+      sliceCount: this.sliceCount,
+      volumeProfile: this.volumeProfile,
+      participationRate: this.participationRate,
+      displaySize: this.displaySize,
+      short: this.short,
+      scheduleStartedAt: this.scheduleStartedAt,
+      slices: this.slices,
+      parentId: this.parentId,
       status: this.status,
+      transitions: this.transitions,
       fillPercentage: this.fillPercentage,
       loss: this.loss,
+      fees: this.fees,
+      slippageLoss: this.slippageLoss,
+      filledQuantity: this.filledQuantity,
+      filledNotional: this.filledNotional,
+      fills: this.fills,
+      residualLegs: this.residualLegs,
+      roundingResidue: this.roundingResidue,
       executionDetails: this.executionDetails,
+      amendments: this.amendments,
+      cancelRequested: this.cancelRequested,
+      rebalanceTarget: this.rebalanceTarget,
+      rebalancePreviewId: this.rebalancePreviewId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
 
+  /**
+   * Apply the schedule defaults of an execution algorithm
+   * One slice per rate limit window over the horizon, and for VWAP the
+   * default volume profile over those slices
+   * @param {Object} options - The algorithm and the schedule options given
+   * @return {{horizonMs: number, sliceCount: number, volumeProfile: Array<number>}} The schedule
+   */
+  static buildSchedule({ algorithm, horizonMs = null, sliceCount = null, volumeProfile = null }) {
+    const slices = sliceCount === null && horizonMs > 0
+      ? Math.max(1, Math.floor(horizonMs / RATE_LIMIT_WINDOW_MS))
+      : sliceCount;
+    
+    return {
+      horizonMs,
+      sliceCount: slices,
+      volumeProfile: volumeProfile === null && algorithm === 'vwap' && slices > 0 ? buildVolumeProfile(slices) : volumeProfile
+    };
+  }
+
+  /**
+   * Validate the execution algorithm options of an order
+   * Slices are worked one per batch, so they can be no closer together
+   * than the rate limit window
+   * @param {Object} options - The algorithm, pricing and schedule options
+   * @throws {Error} If the options are invalid
+   */
+  static validateAlgorithm({ algorithm, orderType, timeInForce, horizonMs, sliceCount, volumeProfile, participationRate = null }) {
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown execution algorithm: ${algorithm}`);
+    }
+    
+    if (orderType !== 'limit' && orderType !== 'market') {
+      throw new Error('Execution algorithms only work limit and market orders');
+    }
+    
+    if (timeInForce !== 'GTC' && timeInForce !== 'GTD') {
+      throw new Error('Execution algorithms need a GTC or GTD time in force');
+    }
+    
+    // POV children are sized by the book, not by a schedule
+    if (algorithm === 'pov') {
+      if (!(participationRate > 0 && participationRate <= 100)) {
+        throw new Error('participationRate between 0 and 100 is required for POV');
+      }
+      if (horizonMs !== null || sliceCount !== null || volumeProfile !== null) {
+        throw new Error('POV orders take no horizonMs, sliceCount or volumeProfile');
+      }
+      return;
+    }
+    
+    if (participationRate !== null) {
+      throw new Error('participationRate is only allowed for POV');
+    }
+    
+    if (!(horizonMs >= RATE_LIMIT_WINDOW_MS)) {
+      throw new Error(`horizonMs must be at least the rate limit window (${RATE_LIMIT_WINDOW_MS}ms)`);
+    }
+    
+    if (!Number.isInteger(sliceCount) || sliceCount < 1 || horizonMs / sliceCount < RATE_LIMIT_WINDOW_MS) {
+      throw new Error(`sliceCount must be a positive integer leaving at least ${RATE_LIMIT_WINDOW_MS}ms between slices`);
+    }
+    
+    if (algorithm === 'vwap'
+      ? !(Array.isArray(volumeProfile) && volumeProfile.length === sliceCount && volumeProfile.every(weight => weight > 0))
+      : volumeProfile !== null) {
+      throw new Error('volumeProfile needs a positive weight per slice and is only allowed for VWAP');
+    }
+  }
+
   /**
    * Create a buy order
    * @param {string} positionId - The position ID
    * @param {string} indexId - The index ID
-   * @param {number} quantity - The quantity to buy
-   * @param {number} indexPrice - The target price for the index
+   * @param {Decimal|number|string} quantity - The quantity to buy
+   * @param {Decimal|number|string} indexPrice - The target price for the index
    * @param {number} timestamp - The timestamp
+   * @param {Object} options - Execution options (orderType, notional, maxSlippagePercent, stopPrice, trailingPercent, timeInForce, expiresAt)
    * @return {Order} A new buy order
    */
-  static createBuyOrder(positionId, indexId, quantity, indexPrice, timestamp = Date.now()) {
-    return new Order('buy', positionId, indexId, quantity, indexPrice, timestamp);
+  static createBuyOrder(positionId, indexId, quantity, indexPrice, timestamp = Date.now(), options = {}) {
+    return new Order('buy', positionId, indexId, quantity, indexPrice, timestamp, options);
   }
 
   /**
    * Create a sell order
    * @param {string} positionId - The position ID
    * @param {string} indexId - The index ID
-   * @param {number} quantity - The quantity to sell
-   * @param {number} indexPrice - The target price for the index
+   * @param {Decimal|number|string} quantity - The quantity to sell
+   * @param {Decimal|number|string} indexPrice - The target price for the index
    * @param {number} timestamp - The timestamp
+   * @param {Object} options - Execution options (orderType, notional, maxSlippagePercent, stopPrice, trailingPercent, timeInForce, expiresAt)
    * @return {Order} A new sell order
    */
-  static createSellOrder(positionId, indexId, quantity, indexPrice, timestamp = Date.now()) {
-    return new Order('sell', positionId, indexId, quantity, indexPrice, timestamp);
+  static createSellOrder(positionId, indexId, quantity, indexPrice, timestamp = Date.now(), options = {}) {
+    return new Order('sell', positionId, indexId, quantity, indexPrice, timestamp, options);
   }
 
   /**
@@ -188,11 +1036,24 @@ class Order {
    * Create a rebalance order
    * @param {string} indexId - The index ID to rebalance
    * @param {number} timestamp - The timestamp
+   * @param {Object} target - The target composition as {weights} or {quantities} by asset id,
+   * null to rebalance back to the index's target weights
+   * @param {string} previewId - An approved rebalance preview to execute instead of planning anew
    * @return {Order} A new rebalance order
    */
-  static createRebalanceOrder(indexId, timestamp = Date.now()) {
-    return new Order('rebalance', `rebalance_${indexId}_${Date.now()}`, indexId, null, null, timestamp);
+  static createRebalanceOrder(indexId, timestamp = Date.now(), target = null, previewId = null) {
+    const order = new Order('rebalance', `rebalance_${indexId}_${Date.now()}`, indexId, null, null, timestamp);
+    order.rebalanceTarget = parseTarget(target);
+    order.rebalancePreviewId = previewId;
+    return order;
   }
 }
 
+Order.STATUSES = Object.keys(TRANSITIONS);
+Order.TRANSITIONS = TRANSITIONS;
+Order.TIME_IN_FORCE = TIME_IN_FORCE;
+Order.ORDER_TYPES = ORDER_TYPES;
+Order.STOP_CONVERSIONS = STOP_CONVERSIONS;
+Order.ALGORITHMS = ALGORITHMS;
+
 module.exports = Order;
@@ -0,0 +1,233 @@
+const Decimal = require('../utils/Decimal');
+
+/**
+ * Position model aggregating the orders placed for one position on an index
+ * Units held, cost basis and PnL are derived from the fills of the orders,
+ * replayed in the order they happened. PnL figures are before fees; the
+ * net PnL subtracts all fees paid.
+ */
+class Position {
+  /**
+   * Create a new position
+   * @param {string} positionId - The position identifier
+   * @param {string} indexId - The index the position is held in
+   */
+  constructor(positionId, indexId) {
+    this.positionId = positionId;
+    this.indexId = indexId;
+    this.orders = [];
+    this.createdAt = Date.now();
+  }
+
+  /**
+   * Add an order to the position
+   * @param {Order} order - The order placed for this position
+   */
+  addOrder(order) {
+    this.orders.push(order);
+  }
+
+  /**
+   * Get the most recent order of the position
+   * @return {Order|null} The latest order if any
+   */
+  getLatestOrder() {
+    return this.orders.length > 0 ? this.orders[this.orders.length - 1] : null;
+  }
+
+  /**
+   * Get the fills of all orders in chronological order
+   * @return {Array<Object>} The fills with the side of their order
+   */
+  getFills() {
+    return this.orders
+      .flatMap(order => order.fills.map(fill => ({ ...fill, side: order.type, orderId: order.id })))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Replay the fills into units held, average entry price and realized PnL
+   * Units are signed: a sell beyond the units held opens a short position
+   * @return {Object} The position accounting
+   */
+  getAccounting() {
+    let units = Decimal.ZERO;
+    let avgEntryPrice = Decimal.ZERO;
+    let realizedPnl = Decimal.ZERO;
+    let fees = Decimal.ZERO;
+    let boughtUnits = Decimal.ZERO;
+    let soldUnits = Decimal.ZERO;
+    
+    for (const fill of this.getFills()) {
+      const signedQuantity = fill.side === 'buy' ? fill.quantity : fill.quantity.neg();
+      fees = fees.plus(fill.fee);
+      
+      if (fill.side === 'buy') {
+        boughtUnits = boughtUnits.plus(fill.quantity);
+      } else {
+        soldUnits = soldUnits.plus(fill.quantity);
+      }
+      
+      if (units.isZero() || units.sign() === signedQuantity.sign()) {
+        // Adding to the position moves the average entry price
+        const newUnits = units.plus(signedQuantity);
+        avgEntryPrice = avgEntryPrice.times(units).plus(fill.price.times(signedQuantity)).div(newUnits);
+        units = newUnits;
+        continue;
+      }
+      
+      // Reducing the position realizes PnL against the average entry price
+      const direction = units.sign();
+      const closedQuantity = Decimal.min(units.abs(), fill.quantity);
+      realizedPnl = realizedPnl.plus(fill.price.minus(avgEntryPrice).times(closedQuantity).times(direction));
+      units = units.minus(closedQuantity.times(direction));
+      
+      // Whatever is left opens a position on the other side
+      const remaining = fill.quantity.minus(closedQuantity);
+      if (remaining.isPositive()) {
+        units = remaining.times(signedQuantity.sign());
+        avgEntryPrice = fill.price;
+      } else if (units.isZero()) {
+        avgEntryPrice = Decimal.ZERO;
+      }
+    }
+    
+    return {
+      units,
+      avgEntryPrice,
+      costBasis: units.times(avgEntryPrice),
+      boughtUnits,
+      soldUnits,
+      fees,
+      realizedPnl
+    };
+  }
+
+  /**
+   * Get the index units currently held (negative when short)
+   * @return {Decimal} The units held
+   */
+  getUnitsHeld() {
+    return this.getAccounting().units;
+  }
+
+  /**
+   * Get the units that can still be sold
+   * Units held minus the unfilled quantity of sell orders still in flight
+   * Notional sells reserve their unspent notional converted at the index price
+   * @param {Decimal} currentPrice - The current index price
+   * @param {Array<string>} exceptOrderIds - Sell orders whose reservation is not counted
+   * @return {Decimal} The units available to sell
+   */
+  getAvailableUnits(currentPrice = null, exceptOrderIds = []) {
+    const reserved = this.orders
+      .filter(order => order.isSell() && order.isActive() && !exceptOrderIds.includes(order.id))
+      .map(order => {
+        if (order.isNotional()) {
+          return currentPrice !== null && Decimal.from(currentPrice).isPositive()
+            ? order.getRemainingNotional().div(currentPrice)
+            : Decimal.ZERO;
+        }
+        return order.getRemainingQuantity();
+      });
+    
+    return this.getUnitsHeld().minus(Decimal.sum(reserved));
+  }
+
+  /**
+   * Get the asset units held beyond the index baskets of the position
+   * Residuals of buys add to the holdings, residuals of sells reduce them
+   * @return {Array<{assetId: string, quantity: Decimal}>} The signed residual per asset
+   */
+  getResidualLegs() {
+    const residuals = new Map();
+    
+    for (const order of this.orders) {
+      const sign = order.isSell() ? -1 : 1;
+      
+      for (const { assetId, quantity } of order.residualLegs || []) {
+        residuals.set(assetId, (residuals.get(assetId) || Decimal.ZERO).plus(quantity.times(sign)));
+      }
+    }
+    
+    return Array.from(residuals, ([assetId, quantity]) => ({ assetId, quantity }));
+  }
+
+  /**
+   * Get the rounding residue of the position per asset
+   * The units the symbol filters kept from trading: buys hold less of an
+   * asset than their baskets (negative), sells hold more (positive)
+   * @return {Array<{assetId: string, quantity: Decimal}>} The signed residue per asset
+   */
+  getRoundingResidue() {
+    const residue = new Map();
+    
+    for (const order of this.orders) {
+      const sign = order.isSell() ? 1 : -1;
+      
+      for (const { assetId, quantity } of order.roundingResidue || []) {
+        residue.set(assetId, (residue.get(assetId) || Decimal.ZERO).plus(quantity.times(sign)));
+      }
+    }
+    
+    return Array.from(residue, ([assetId, quantity]) => ({ assetId, quantity }));
+  }
+
+  /**
+   * Calculate the unrealized PnL of the units held at an index price
+   * @param {Decimal} currentPrice - The current index price
+   * @return {Decimal} The unrealized PnL
+   */
+  getUnrealizedPnl(currentPrice) {
+    const { units, avgEntryPrice } = this.getAccounting();
+    return Decimal.from(currentPrice).minus(avgEntryPrice).times(units);
+  }
+
+  /**
+   * Convert the position to a simple object for serialization
+   * The status fields of the latest order are kept at the top level
+   * @param {Decimal} currentPrice - Optional current index price for unrealized PnL
+   * @return {Object} A plain object representation of the position
+   */
+  toObject(currentPrice = null) {
+    const accounting = this.getAccounting();
+    const latestOrder = this.getLatestOrder();
+    const unrealizedPnl = currentPrice !== null ? Decimal.from(currentPrice).minus(accounting.avgEntryPrice).times(accounting.units) : null;
+    
+    return {
+      positionId: this.positionId,
+      indexId: this.indexId,
+      type: latestOrder ? latestOrder.type : null,
+      quantity: latestOrder ? latestOrder.quantity : null,
+      indexPrice: latestOrder ? latestOrder.indexPrice : null,
+      status: latestOrder ? latestOrder.status : null,
+      fillPercentage: latestOrder ? latestOrder.fillPercentage : Decimal.ZERO,
+      loss: latestOrder ? latestOrder.loss : Decimal.ZERO,
+      ...accounting,
+      currentPrice,
+      marketValue: currentPrice !== null ? accounting.units.times(currentPrice) : null,
+      unrealizedPnl,
+      netPnl: accounting.realizedPnl.plus(unrealizedPnl || 0).minus(accounting.fees),
+      residualLegs: this.getResidualLegs(),
+      roundingResidue: this.getRoundingResidue(),
+      orders: this.orders.map(order => order.toObject()),
+      createdAt: this.createdAt,
+      updatedAt: latestOrder ? latestOrder.updatedAt : this.createdAt
+    };
+  }
+
+  /**
+   * Create a position from a serialized object
+   * @param {Object} data - The serialized position data
+   * @param {Array<Order>} orders - The orders of the position
+   * @return {Position} A new position instance
+   */
+  static fromObject(data, orders = []) {
+    const position = new Position(data.positionId, data.indexId);
+    position.orders = orders;
+    position.createdAt = data.createdAt || Date.now();
+    return position;
+  }
+}
+
+module.exports = Position;
@@ -0,0 +1,110 @@
+const { parseCron, getNextCronRun } = require('../utils/cron');
+const { REBALANCE_DRIFT_COOLDOWN_MS } = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+
+/**
+ * Rebalance policy of an index: when it is rebalanced back to its target weights
+ * A calendar schedule rebalances at every run of a cron expression; a drift
+ * threshold rebalances when any asset's weight is more than that many
+ * percentage points away from its target. A policy has either or both.
+ */
+class RebalancePolicy {
+  /**
+   * Create a new rebalance policy
+   * @param {Object} options - The policy
+   * @param {string} options.schedule - A cron expression or preset (e.g. '@monthly'), see utils/cron
+   * @param {number} options.driftThresholdPercent - The weight drift, in percentage points, that triggers a rebalance
+   * @param {number} now - The time the schedule starts from
+   * @throws {Error} If the policy is not valid
+   */
+  constructor({ schedule = null, driftThresholdPercent = null } = {}, now = Date.now()) {
+    if (schedule === null && driftThresholdPercent === null) {
+      throw new Error('A rebalance policy needs a schedule, a driftThresholdPercent or both');
+    }
+
+    if (driftThresholdPercent !== null && !(typeof driftThresholdPercent === 'number' && driftThresholdPercent > 0 && driftThresholdPercent <= 100)) {
+      throw new Error('driftThresholdPercent must be a number above 0 and at most 100');
+    }
+
+    this.schedule = schedule;
+    this.cron = schedule !== null ? parseCron(schedule) : null;
+    this.driftThresholdPercent = driftThresholdPercent;
+    this.nextRunAt = this.cron ? getNextCronRun(this.cron, now) : null;
+    this.lastTriggeredAt = null;
+    this.lastTrigger = null; // 'schedule' or 'drift'
+  }
+
+  /**
+   * Get what calls for a rebalance of an index, if anything
+   * A due schedule comes first. Drift only triggers REBALANCE_DRIFT_COOLDOWN_MS
+   * after the last rebalance, so one that cannot close the drift is not
+   * repeated on every check.
+   * @param {Index} index - The index of this policy
+   * @param {number} now - The current time
+   * @return {string|null} 'schedule', 'drift', or null if no rebalance is due
+   */
+  getTrigger(index, now = Date.now()) {
+    if (this.nextRunAt !== null && now >= this.nextRunAt) {
+      return 'schedule';
+    }
+
+    if (this.driftThresholdPercent === null) {
+      return null;
+    }
+
+    if (this.lastTriggeredAt !== null && now - this.lastTriggeredAt < REBALANCE_DRIFT_COOLDOWN_MS) {
+      return null;
+    }
+
+    const drift = Object.values(index.getDrift()).map(value => value.abs());
+    return Decimal.max(0, ...drift).gt(this.driftThresholdPercent) ? 'drift' : null;
+  }
+
+  /**
+   * Record that a rebalance was triggered
+   * A schedule moves on to its next run after the current time, so runs
+   * missed while the server was down are only made up once
+   * @param {string} trigger - What triggered the rebalance ('schedule' or 'drift')
+   * @param {number} now - The current time
+   */
+  recordTrigger(trigger, now = Date.now()) {
+    this.lastTriggeredAt = now;
+    this.lastTrigger = trigger;
+
+    if (trigger === 'schedule') {
+      this.nextRunAt = getNextCronRun(this.cron, now);
+    }
+  }
+
+  /**
+   * Create a policy from a serialized object
+   * @param {Object} data - The serialized policy data
+   * @return {RebalancePolicy} A new policy instance
+   */
+  static fromObject(data) {
+    const policy = new RebalancePolicy({
+      schedule: data.schedule,
+      driftThresholdPercent: data.driftThresholdPercent
+    });
+    policy.nextRunAt = data.nextRunAt !== undefined ? data.nextRunAt : policy.nextRunAt;
+    policy.lastTriggeredAt = data.lastTriggeredAt || null;
+    policy.lastTrigger = data.lastTrigger || null;
+    return policy;
+  }
+
+  /**
+   * Convert the policy to a simple object for serialization
+   * @return {Object} A plain object representation of the policy
+   */
+  toObject() {
+    return {
+      schedule: this.schedule,
+      driftThresholdPercent: this.driftThresholdPercent,
+      nextRunAt: this.nextRunAt,
+      lastTriggeredAt: this.lastTriggeredAt,
+      lastTrigger: this.lastTrigger
+    };
+  }
+}
+
+module.exports = RebalancePolicy;
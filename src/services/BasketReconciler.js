@@ -0,0 +1,288 @@
+const logger = require('../utils/logger');
+const { LEG_IMBALANCE_TOLERANCE_PERCENT, LEG_RECONCILIATION } = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+
+/**
+ * How lagging legs are brought back in line
+ * top_up: trade the lagging legs up to the leading leg, then unwind the
+ * excess of the others if some legs still lag
+ * unwind: trade the excess of every leg back down to the least filled leg
+ */
+const RECONCILIATION_MODES = ['top_up', 'unwind'];
+
+// Fill rates and residuals this close to zero are division rounding, not imbalance
+const EPSILON = new Decimal('0.000000000001');
+
+/**
+ * Reconciles the asset legs of a basket execution with the index weights
+ * The legs of an order are sized to the same share of their target, but each
+ * leg fills on its own book, so an execution can leave a basket that does not
+ * match the index weights. The reconciler measures the spread of the leg fill
+ * rates and trades it away when it exceeds the tolerance. Whatever it could
+ * not trade away is reported as the residual of the execution.
+ */
+class BasketReconciler {
+  /**
+   * Create a new basket reconciler
+   * @param {Object} options - Reconciliation options
+   * @param {number} options.tolerancePercent - The spread of leg fill rates accepted without trading
+   * @param {string} options.mode - How lagging legs are handled (top_up, unwind)
+   * @throws {Error} If the mode is unknown
+   */
+  constructor({ tolerancePercent = LEG_IMBALANCE_TOLERANCE_PERCENT, mode = LEG_RECONCILIATION } = {}) {
+    if (!RECONCILIATION_MODES.includes(mode)) {
+      throw new Error(`Unknown leg reconciliation mode: ${mode}`);
+    }
+
+    this.tolerancePercent = tolerancePercent;
+    this.mode = mode;
+  }
+
+  /**
+   * Measure how far the legs of an execution are apart
+   * Only legs with a target quantity and a reported fill take part
+   * @param {Object} executionResult - The execution result of the exchange
+   * @return {Object} The legs, the fill rate of the complete baskets
+   * (basketRatio), the rate of the leading leg and the spread in percent
+   */
+  measureImbalance(executionResult) {
+    const legs = (executionResult.assets || [])
+      .filter(asset => asset.filledQuantity !== undefined && asset.filledQuantity !== null)
+      .filter(asset => Decimal.from(asset.targetQuantity).isPositive());
+
+    if (legs.length === 0) {
+      return { legs, basketRatio: Decimal.ZERO, leadingRatio: Decimal.ZERO, imbalancePercent: Decimal.ZERO };
+    }
+
+    const ratios = legs.map(leg => this.getFillRatio(leg));
+    const basketRatio = Decimal.min(...ratios);
+    const leadingRatio = Decimal.max(...ratios);
+
+    return {
+      legs,
+      basketRatio,
+      leadingRatio,
+      imbalancePercent: leadingRatio.minus(basketRatio).times(100)
+    };
+  }
+
+  /**
+   * Get the share of its target a leg has filled
+   * @param {Object} leg - The leg
+   * @return {Decimal} The filled quantity over the target quantity
+   * @private
+   */
+  getFillRatio(leg) {
+    return Decimal.from(leg.filledQuantity).div(leg.targetQuantity);
+  }
+
+  /**
+   * Reconcile the legs of an execution
+   * Executions whose legs are within the tolerance are not traded further.
+   * Otherwise lagging legs are topped up (top_up mode, unless the execution
+   * was canceled) and the excess of the legs ahead of the least filled one is
+   * unwound on the opposite side. The returned result carries the traded
+   * legs, a fill rate of the complete baskets only and a reconciliation
+   * summary with the residual asset quantities beyond the basket.
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} executionResult - The execution result of the exchange
+   * @param {string} positionId - The position ID
+   * @param {Object} exchangeAdapter - The exchange adapter to trade on
+   * @return {Object} The reconciled execution result
+   */
+  async reconcile(side, executionResult, positionId, exchangeAdapter) {
+    const measured = this.measureImbalance(executionResult);
+
+    if (measured.legs.length < 2 || measured.imbalancePercent.lte(this.tolerancePercent)) {
+      const filled = measured.basketRatio.times(100);
+      return {
+        ...executionResult,
+        // Only complete baskets count as filled, the rest is residual
+        ...(measured.legs.length > 0 ? { filled, overallFillRate: filled } : {}),
+        reconciliation: this.buildSummary(measured, measured, [], [])
+      };
+    }
+
+    logger.info(`Legs of position ${positionId} are ${measured.imbalancePercent.toFixed(2)}% apart, reconciling (${this.mode})`);
+
+    const legs = executionResult.assets.map(asset => ({ ...asset, fills: [...(asset.fills || [])] }));
+    const result = { ...executionResult, assets: legs };
+    const topUps = [];
+    const unwinds = [];
+    const roundingResidue = [];
+
+    // A canceled execution is not traded further up, only evened out
+    if (this.mode === 'top_up' && !executionResult.canceled) {
+      topUps.push(...await this.topUp(side, result, positionId, exchangeAdapter, roundingResidue));
+    }
+
+    if (this.measureImbalance(result).imbalancePercent.gt(this.tolerancePercent)) {
+      unwinds.push(...await this.unwind(side, result, positionId, exchangeAdapter, roundingResidue));
+    }
+
+    const reconciled = this.measureImbalance(result);
+    const total = key => Decimal.sum(legs.map(leg => leg[key] || 0));
+    result.fees = total('fee');
+    result.slippageLoss = total('slippageLoss');
+    result.loss = total('loss');
+    result.filled = reconciled.basketRatio.times(100);
+    result.overallFillRate = result.filled;
+    result.totalFilledQuantity = total('filledQuantity');
+    result.reconciliation = this.buildSummary(measured, reconciled, topUps, unwinds, roundingResidue);
+
+    logger.info(`Reconciled legs of position ${positionId}: ${reconciled.imbalancePercent.toFixed(2)}% apart, ${result.reconciliation.residualLegs.length} legs with a residual`);
+
+    return result;
+  }
+
+  /**
+   * Trade the lagging legs up to the fill rate of the leading leg
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} result - The execution result being reconciled, updated in place
+   * @param {string} positionId - The position ID
+   * @param {Object} exchangeAdapter - The exchange adapter to trade on
+   * @param {Array<Object>} roundingResidue - Collects the units the symbol filters kept from trading
+   * @return {Array<Object>} The top-up quantities traded per asset
+   * @private
+   */
+  async topUp(side, result, positionId, exchangeAdapter, roundingResidue) {
+    const { legs, leadingRatio } = this.measureImbalance(result);
+    const assetOrders = legs
+      .filter(leg => leadingRatio.minus(this.getFillRatio(leg)).times(100).gt(this.tolerancePercent))
+      .map(leg => ({
+        assetId: leg.assetId,
+        quantity: leadingRatio.times(leg.targetQuantity).minus(leg.filledQuantity),
+        targetPrice: leg.targetPrice,
+        side
+      }));
+
+    const topUpResult = await this.trade(side, assetOrders, positionId, exchangeAdapter, roundingResidue);
+
+    return topUpResult.map(asset => {
+      this.applyTrade(legs.find(leg => leg.assetId === asset.assetId), asset, 1);
+      return { assetId: asset.assetId, quantity: asset.filledQuantity, notional: asset.notional };
+    });
+  }
+
+  /**
+   * Trade the excess of the legs ahead of the least filled leg back
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} result - The execution result being reconciled, updated in place
+   * @param {string} positionId - The position ID
+   * @param {Object} exchangeAdapter - The exchange adapter to trade on
+   * @param {Array<Object>} roundingResidue - Collects the units the symbol filters kept from trading
+   * @return {Array<Object>} The unwound quantities per asset
+   * @private
+   */
+  async unwind(side, result, positionId, exchangeAdapter, roundingResidue) {
+    const { legs, basketRatio } = this.measureImbalance(result);
+    const unwindSide = side === 'buy' ? 'sell' : 'buy';
+    const assetOrders = legs
+      .filter(leg => this.getFillRatio(leg).minus(basketRatio).gt(EPSILON))
+      .map(leg => ({
+        assetId: leg.assetId,
+        quantity: Decimal.from(leg.filledQuantity).minus(basketRatio.times(leg.targetQuantity)),
+        targetPrice: leg.targetPrice,
+        side: unwindSide
+      }));
+
+    const unwindResult = await this.trade(unwindSide, assetOrders, positionId, exchangeAdapter, roundingResidue);
+
+    return unwindResult.map(asset => {
+      this.applyTrade(legs.find(leg => leg.assetId === asset.assetId), asset, -1);
+      return { assetId: asset.assetId, quantity: asset.filledQuantity, notional: asset.notional };
+    });
+  }
+
+  /**
+   * Execute reconciling asset orders
+   * The orders are sized to the symbol filters like any leg; what rounding
+   * takes off is collected as rounding residue and stays in the imbalance.
+   * @param {string} side - The side to trade on
+   * @param {Array<Object>} assetOrders - The asset orders
+   * @param {string} positionId - The position ID
+   * @param {Object} exchangeAdapter - The exchange adapter to trade on
+   * @param {Array<Object>} roundingResidue - Collects the units the symbol filters kept from trading
+   * @return {Array<Object>} The asset results that filled anything
+   * @private
+   */
+  async trade(side, assetOrders, positionId, exchangeAdapter, roundingResidue) {
+    if (assetOrders.length === 0) {
+      return [];
+    }
+
+    try {
+      const filtered = await exchangeAdapter.applySymbolFilters(assetOrders);
+      roundingResidue.push(...filtered.roundingResidue.map(residue => ({ ...residue, side })));
+
+      if (filtered.assetOrders.length === 0) {
+        return [];
+      }
+
+      const tradeResult = await exchangeAdapter.executeOrder(side, filtered.assetOrders, positionId);
+      return tradeResult.assets.filter(asset => Decimal.from(asset.filledQuantity).isPositive());
+    } catch (error) {
+      // What could not be traded stays in the residual
+      logger.error(`Error reconciling legs of position ${positionId} (${side}): ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Apply a reconciling trade to a leg
+   * Unwinds reduce the quantity and notional of the leg; fees and slippage of
+   * both directions add to its loss
+   * @param {Object} leg - The leg, updated in place
+   * @param {Object} asset - The asset result of the reconciling trade
+   * @param {number} direction - 1 for a top-up, -1 for an unwind
+   * @private
+   */
+  applyTrade(leg, asset, direction) {
+    leg.filledQuantity = Decimal.from(leg.filledQuantity).plus(Decimal.from(asset.filledQuantity).times(direction));
+    leg.notional = Decimal.from(leg.notional).plus(Decimal.from(asset.notional).times(direction));
+    leg.fee = Decimal.from(leg.fee || 0).plus(asset.fee);
+    leg.slippageLoss = Decimal.from(leg.slippageLoss || 0).plus(asset.slippageLoss);
+    leg.loss = Decimal.from(leg.loss || 0).plus(asset.loss);
+    leg.fills.push(...(asset.fills || []).map(fill => ({ ...fill, reconciliation: direction > 0 ? 'top_up' : 'unwind' })));
+    leg.avgPrice = leg.filledQuantity.isPositive() ? leg.notional.div(leg.filledQuantity) : Decimal.ZERO;
+    leg.vwap = leg.avgPrice;
+    leg.fill = this.getFillRatio(leg).times(100);
+  }
+
+  /**
+   * Build the reconciliation summary of an execution
+   * The residual of a leg is what it holds beyond the complete baskets, in
+   * asset units
+   * @param {Object} before - The imbalance measured on the execution
+   * @param {Object} after - The imbalance left after reconciling
+   * @param {Array<Object>} topUps - The top-ups traded
+   * @param {Array<Object>} unwinds - The unwinds traded
+   * @param {Array<Object>} roundingResidue - The units of the top-ups and unwinds the symbol filters kept from trading
+   * @return {Object} The reconciliation summary
+   * @private
+   */
+  buildSummary(before, after, topUps, unwinds, roundingResidue = []) {
+    const residualLegs = after.legs
+      .map(leg => ({
+        assetId: leg.assetId,
+        quantity: Decimal.from(leg.filledQuantity).minus(after.basketRatio.times(leg.targetQuantity))
+      }))
+      .filter(residual => residual.quantity.gt(EPSILON));
+
+    return {
+      tolerancePercent: this.tolerancePercent,
+      mode: this.mode,
+      imbalancePercent: before.imbalancePercent,
+      residualImbalancePercent: after.imbalancePercent,
+      basketFillPercent: after.basketRatio.times(100),
+      topUps,
+      unwinds,
+      roundingResidue,
+      residualLegs
+    };
+  }
+}
+
+BasketReconciler.RECONCILIATION_MODES = RECONCILIATION_MODES;
+
+module.exports = BasketReconciler;
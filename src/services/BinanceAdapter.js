@@ -1,16 +1,32 @@
 const logger = require('../utils/logger');
 const { sleep } = require('../utils/helpers');
+const Decimal = require('../utils/Decimal');
+const { TRADING_FEE_PERCENT, MIN_ASSET_PURCHASE } = require('../utils/constants');
+const MarketSimulator = require('./MarketSimulator');
+const ExchangeAdapter = require('./ExchangeAdapter');
 
 /**
  * Adapter for Binance API operations
  * In a real implementation, this would use the Binance API client
  * Here we're simulating the Binance API for testing purposes
  */
-class BinanceAdapter {
-  constructor() {
+class BinanceAdapter extends ExchangeAdapter {
+  /**
+   * Create a new Binance adapter
+   * @param {MarketSimulator} simulator - The simulator generating market data
+   * @param {Object} options - Venue options
+   * @param {string} options.name - The venue name (simulated venues get their own books)
+   * @param {number} options.feePercent - One fee rate in percent for maker and taker fills
+   * @param {FeeModel} options.feeModel - The fee model of the venue, instead of feePercent
+   */
+  constructor(simulator = new MarketSimulator(), { name = 'binance', feePercent = TRADING_FEE_PERCENT, feeModel } = {}) {
+    super(name, feeModel || feePercent);
+    this.simulator = simulator;
     this.orderBooks = new Map();
+    this.symbols = new Map(); // assetId -> symbol filters
     this.orders = new Map();
     this.executedOrders = [];
+    this.orderSequence = 0;
     this.requestCount = 0;
     this.lastRequestTime = Date.now();
   }
@@ -18,136 +34,233 @@ class BinanceAdapter {
   /**
    * Get the order book for an asset
    * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price to center a newly generated book on
    * @return {Object} The order book with bids and asks
    */
-  async getOrderBook(assetId) {
+  async getOrderBook(assetId, referencePrice) {
     // Simulate rate limiting
     await this.checkRateLimit();
     
     // Check if we have a cached order book
     if (!this.orderBooks.has(assetId)) {
-      this.orderBooks.set(assetId, this.generateMockOrderBook(assetId));
+      this.orderBooks.set(assetId, this.generateMockOrderBook(assetId, referencePrice));
     }
     
     logger.debug(`Retrieved order book for ${assetId}`);
     return this.orderBooks.get(assetId);
   }
 
+  /**
+   * Get the trading rules of the symbol of an asset
+   * Simulated symbols are sized like Binance's by the price they are first
+   * seen at: a step worth about a tenth of a quote unit, a tick of a millionth
+   * of the price, and the configured minimum purchase as minimum notional
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - The price to size a newly seen symbol by
+   * @return {Object} The symbol filters
+   */
+  async getSymbolInfo(assetId, referencePrice) {
+    if (!this.symbols.has(assetId)) {
+      const powerOfTen = exponent => Decimal.from(`1e${exponent}`);
+      const hinted = referencePrice !== undefined && referencePrice !== null ? Decimal.from(referencePrice) : Decimal.ZERO;
+      const price = hinted.isPositive() ? hinted : new Decimal(1);
+      // The logarithm of a number can land just off an integer, the powers of ten settle it
+      let magnitude = Math.floor(Math.log10(price.toNumber()));
+      if (powerOfTen(magnitude + 1).lte(price)) magnitude += 1;
+      if (powerOfTen(magnitude).gt(price)) magnitude -= 1;
+      const stepSize = powerOfTen(-(magnitude + 1));
+      
+      this.symbols.set(assetId, {
+        assetId,
+        minNotional: Decimal.from(MIN_ASSET_PURCHASE),
+        minQuantity: stepSize,
+        maxQuantity: powerOfTen(8 - magnitude),
+        stepSize,
+        tickSize: powerOfTen(magnitude - 6)
+      });
+    }
+    
+    return this.symbols.get(assetId);
+  }
+
   /**
    * Execute an order on Binance
+   * Each asset order walks the opposite side of the order book level by level
+   * and consumes the depth it takes, so later orders see the reduced liquidity
    * @param {string} side - The order side (buy/sell)
    * @param {Array<Object>} assetOrders - The asset orders to execute
    * @param {string} positionId - The position ID
    * @return {Object} The execution result
    */
   async executeOrder(side, assetOrders, positionId) {
+    return this.runExecution(positionId, isCanceled => this.executeLegs(side, assetOrders, positionId, isCanceled));
+  }
+
+  /**
+   * Execute the asset legs of an order
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders to execute
+   * @param {string} positionId - The position ID
+   * @param {Function} isCanceled - Tells whether a cancel stopped the execution
+   * @return {Object} The execution result
+   * @private
+   */
+  async executeLegs(side, assetOrders, positionId, isCanceled) {
     logger.info(`Executing ${side} order for position ${positionId} with ${assetOrders.length} assets`);
     
     // Track the orders
-    const orderId = `binance_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    const orderId = `${this.name}_${Date.now()}_${++this.orderSequence}`;
     
-    // Simulate order execution
     const results = await Promise.all(assetOrders.map(async (assetOrder) => {
       // Simulate rate limiting
       await this.checkRateLimit();
       
-      // Get the order book
-      const orderBook = await this.getOrderBook(assetOrder.assetId);
-      const bookSide = side === 'buy' ? 'asks' : 'bids';
+      // Legs not sent before a cancel arrived are skipped
+      if (isCanceled()) {
+        return this.buildCanceledLeg(side, assetOrder);
+      }
       
-      // Simulate execution with some randomness
-      const executionRate = 0.95 + Math.random() * 0.05; // 95-100% fill rate
-      const filledQuantity = assetOrder.quantity * executionRate;
+      const quantity = Decimal.from(assetOrder.quantity);
+      const targetPrice = Decimal.from(assetOrder.targetPrice);
       
-      // Calculate average execution price with simulated slippage
-      const slippageRate = 1 + (side === 'buy' ? 1 : -1) * (Math.random() * 0.01); // 0-1% slippage
-      const avgPrice = assetOrder.targetPrice * slippageRate;
+      // Get the order book and take liquidity from it
+      await this.getOrderBook(assetOrder.assetId, targetPrice);
+      const { fills, filledQuantity: tradedQuantity, notional } = this.consumeLiquidity(
+        assetOrder.assetId,
+        side,
+        quantity
+      );
+      
+      const avgPrice = tradedQuantity.isPositive() ? notional.div(tradedQuantity) : Decimal.ZERO;
+      
+      // Simulated orders cross the book, so every fill pays the taker rate
+      const { fee, feePercent, liquidity, feeAsset, feeQuantity } = this.feeModel.charge({
+        assetId: assetOrder.assetId,
+        side,
+        notional,
+        price: avgPrice,
+        liquidity: 'taker'
+      });
       
-      // Calculate loss due to slippage
-      const idealCost = assetOrder.quantity * assetOrder.targetPrice;
-      const actualCost = filledQuantity * avgPrice;
-      const loss = side === 'buy' ? actualCost - idealCost : idealCost - actualCost;
+      // Fees in the traded asset are kept from the units received
+      const filledQuantity = feeAsset === assetOrder.assetId ? tradedQuantity.minus(feeQuantity) : tradedQuantity;
+      
+      // Slippage is measured against the target price on the traded quantity only
+      const slippageLoss = side === 'buy'
+        ? notional.minus(tradedQuantity.times(targetPrice))
+        : tradedQuantity.times(targetPrice).minus(notional);
       
       return {
         assetId: assetOrder.assetId,
         side,
-        targetQuantity: assetOrder.quantity,
+        targetQuantity: quantity,
         filledQuantity,
-        targetPrice: assetOrder.targetPrice,
+        targetPrice,
         avgPrice,
-        fill: executionRate * 100,
-        loss
+        vwap: avgPrice,
+        notional,
+        fills,
+        fill: quantity.isPositive() ? filledQuantity.div(quantity).times(100) : new Decimal(100),
+        canceledQuantity: Decimal.ZERO,
+        fee,
+        feePercent,
+        feeAsset,
+        feeQuantity,
+        liquidity,
+        slippageLoss,
+        loss: slippageLoss.plus(fee)
       };
     }));
     
-    // Calculate overall execution statistics
-    const totalTargetQuantity = assetOrders.reduce((sum, order) => sum + order.quantity, 0);
-    const totalFilledQuantity = results.reduce((sum, result) => sum + result.filledQuantity, 0);
-    const totalLoss = results.reduce((sum, result) => sum + result.loss, 0);
-    const overallFillRate = totalFilledQuantity / totalTargetQuantity;
-    
-    const executionResult = {
-      orderId,
-      positionId,
-      side,
-      assets: results,
-      totalTargetQuantity,
-      totalFilledQuantity,
-      overallFillRate: overallFillRate * 100,
-      filled: overallFillRate * 100,
-      loss: totalLoss,
-      timestamp: Date.now()
-    };
+    const executionResult = this.buildExecutionResult(orderId, positionId, side, results);
     
     // Store the executed order
     this.orders.set(orderId, executionResult);
     this.executedOrders.push(executionResult);
     
-    logger.info(`Executed ${side} order ${orderId} (fill: ${(overallFillRate * 100).toFixed(2)}%, loss: ${totalLoss.toFixed(2)})`);
+    logger.info(`Executed ${side} order ${orderId} (fill: ${executionResult.filled.toFixed(2)}%, loss: ${executionResult.loss.toFixed(2)})`);
     
     return executionResult;
   }
 
   /**
-   * Cancel an order on Binance
+   * Walk the order book and remove the liquidity taken by an order
+   * @param {string} assetId - The asset identifier
+   * @param {string} side - The order side (buy takes asks, sell takes bids)
+   * @param {Decimal} quantity - The quantity to fill
+   * @return {Object} The per-level fills, filled quantity and notional
+   * @private
+   */
+  consumeLiquidity(assetId, side, quantity) {
+    const orderBook = this.orderBooks.get(assetId);
+    const bookSide = side === 'buy' ? 'asks' : 'bids';
+    const levels = [];
+    const fills = [];
+    let remaining = quantity;
+    let notional = Decimal.ZERO;
+    
+    for (const [price, qty] of orderBook[bookSide]) {
+      const priceValue = new Decimal(price);
+      const qtyValue = new Decimal(qty);
+      
+      if (!remaining.isPositive()) {
+        levels.push([price, qty]);
+        continue;
+      }
+      
+      const takenQty = Decimal.min(remaining, qtyValue);
+      fills.push({ price: priceValue, quantity: takenQty });
+      notional = notional.plus(takenQty.times(priceValue));
+      remaining = remaining.minus(takenQty);
+      
+      // Keep what is left of a partially consumed level
+      if (qtyValue.gt(takenQty)) {
+        levels.push([price, qtyValue.minus(takenQty).toFixed(8)]);
+      }
+    }
+    
+    this.orderBooks.set(assetId, {
+      ...orderBook,
+      [bookSide]: levels,
+      timestamp: Date.now()
+    });
+    
+    return {
+      fills,
+      filledQuantity: quantity.minus(Decimal.max(0, remaining)),
+      notional
+    };
+  }
+
+  /**
+   * Cancel the execution in flight for a position
+   * Simulated executions are market orders: legs already sent are filled and
+   * only the legs not sent yet can be stopped
    * @param {string} positionId - The position ID to cancel
    * @param {string} orderType - The order type (buy/sell)
-   * @return {Object} The cancellation result
+   * @return {Object} The cancellation result with the exact filled and unsent legs
    */
   async cancelOrder(positionId, orderType) {
     logger.info(`Cancelling order for position ${positionId}`);
     
-    // Simulate rate limiting
-    await this.checkRateLimit();
-    
-    // Find any orders for this position
-    const matchingOrders = this.executedOrders.filter(order => order.positionId === positionId);
+    const inFlight = this.stopExecution(positionId);
     
-    if (matchingOrders.length === 0) {
-      logger.warn(`No orders found for position ${positionId}`);
+    if (!inFlight) {
+      logger.warn(`No execution in flight for position ${positionId}`);
       return {
         positionId,
         success: false,
-        message: 'No orders found for this position',
-        fillPercentage: 0,
-        loss: 0
+        message: 'No execution in flight for this position',
+        filledLegs: [],
+        unsentLegs: [],
+        fillPercentage: Decimal.ZERO,
+        loss: Decimal.ZERO
       };
     }
     
-    // Simulate cancellation with some random fill
-    const fillPercentage = Math.random() * 30; // 0-30% filled before cancel
-    const loss = Math.random() * 10; // 0-10 loss due to partial execution
+    const cancelResult = this.buildCancelResult(positionId, await inFlight);
     
-    const cancelResult = {
-      positionId,
-      success: true,
-      affectedOrders: matchingOrders.map(order => order.orderId),
-      fillPercentage,
-      loss,
-      timestamp: Date.now()
-    };
-    
-    logger.info(`Cancelled order for position ${positionId} (fill: ${fillPercentage.toFixed(2)}%, loss: ${loss.toFixed(2)})`);
+    logger.info(`Cancelled order for position ${positionId} (${cancelResult.filledLegs.length} legs filled, ${cancelResult.unsentLegs.length} unsent)`);
     
     return cancelResult;
   }
@@ -181,40 +294,40 @@ class BinanceAdapter {
   /**
    * Generate a mock order book for testing
    * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price to center the book on
    * @return {Object} A mock order book
    * @private
    */
-  generateMockOrderBook(assetId) {
-    const basePrice = 10 + Math.random() * 990; // Random price between 10 and 1000
-    const bids = [];
-    const asks = [];
+  generateMockOrderBook(assetId, referencePrice) {
+    return this.simulator.generateOrderBook(assetId, referencePrice, 20, this.name);
+  }
+
+  /**
+   * Advance the simulated market by one step
+   * @return {Object} The new prices by asset ID
+   */
+  simulateMarketTick() {
+    const prices = {};
     
-    // Generate 20 levels of bids (buys) at decreasing prices
-    for (let i = 0; i < 20; i++) {
-      const price = basePrice * (1 - 0.001 * i - Math.random() * 0.001);
-      const quantity = 10 + Math.random() * 90; // 10-100 quantity
-      bids.push([price.toFixed(8), quantity.toFixed(8)]);
+    for (const assetId of Array.from(this.orderBooks.keys()).sort()) {
+      prices[assetId] = this.simulator.step(assetId);
     }
     
-    // Generate 20 levels of asks (sells) at increasing prices
-    for (let i = 0; i < 20; i++) {
-      const price = basePrice * (1 + 0.001 * i + Math.random() * 0.001);
-      const quantity = 10 + Math.random() * 90; // 10-100 quantity
-      asks.push([price.toFixed(8), quantity.toFixed(8)]);
-    }
+    this.refreshOrderBooks();
     
-    // Sort bids in descending order (highest price first)
-    bids.sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]));
-    
-    // Sort asks in ascending order (lowest price first)
-    asks.sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]));
-    
-    return {
-      assetId,
-      bids,
-      asks,
-      timestamp: Date.now()
-    };
+    logger.debug(`Simulated market tick for ${Object.keys(prices).length} assets`);
+    return prices;
+  }
+
+  /**
+   * Regenerate every cached order book around its asset's simulated price
+   * This also replenishes the depth consumed by executions
+   * @param {Array<string>} assetIds - The assets to refresh (every cached book by default)
+   */
+  refreshOrderBooks(assetIds = Array.from(this.orderBooks.keys())) {
+    for (const assetId of assetIds.filter(id => this.orderBooks.has(id))) {
+      this.orderBooks.set(assetId, this.generateMockOrderBook(assetId));
+    }
   }
 
   /**
@@ -230,21 +343,19 @@ class BinanceAdapter {
     }
     
     // Apply price change to all levels
-    const bids = orderBook.bids.map(([price, qty]) => {
-      const newPrice = parseFloat(price) * (1 + priceChange / 100);
-      return [newPrice.toFixed(8), qty];
-    });
-    
-    const asks = orderBook.asks.map(([price, qty]) => {
-      const newPrice = parseFloat(price) * (1 + priceChange / 100);
-      return [newPrice.toFixed(8), qty];
-    });
+    const factor = new Decimal(1).plus(Decimal.from(priceChange).div(100));
+    const shift = ([price, qty]) => [Decimal.from(price).times(factor).toFixed(8), qty];
+    const bids = orderBook.bids.map(shift);
+    const asks = orderBook.asks.map(shift);
     
     // Sort bids in descending order (highest price first)
-    bids.sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]));
+    bids.sort((a, b) => Decimal.from(b[0]).cmp(a[0]));
     
     // Sort asks in ascending order (lowest price first)
-    asks.sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]));
+    asks.sort((a, b) => Decimal.from(a[0]).cmp(b[0]));
+    
+    // Keep the simulated price in line with the shifted book
+    this.simulator.setPrice(assetId, factor.times(this.simulator.getPrice(assetId)).toNumber());
     
     this.orderBooks.set(assetId, {
       assetId,
@@ -261,10 +372,12 @@ class BinanceAdapter {
    */
   clear() {
     this.orderBooks.clear();
+    this.symbols.clear();
     this.orders.clear();
     this.executedOrders = [];
     this.requestCount = 0;
     this.lastRequestTime = Date.now();
+    this.simulator.reset(this.simulator.seed);
     
     logger.debug('Binance adapter data cleared');
   }
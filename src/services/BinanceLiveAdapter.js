@@ -0,0 +1,540 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+const Decimal = require('../utils/Decimal');
+const {
+  BINANCE_BASE_URL,
+  BINANCE_API_KEY,
+  BINANCE_API_SECRET,
+  BINANCE_QUOTE_ASSET,
+  BINANCE_RECV_WINDOW,
+  BINANCE_WEIGHT_LIMIT,
+  BINANCE_WEIGHT_WINDOW_MS,
+  BINANCE_DEPTH_LIMIT,
+  TRADING_FEE_PERCENT
+} = require('../utils/constants');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+/**
+ * Request weights of the Binance spot endpoints used by the adapter
+ */
+const ENDPOINT_WEIGHTS = {
+  newOrder: 1,
+  cancelOrder: 1,
+  myTrades: 20,
+  exchangeInfo: 20
+};
+
+/**
+ * Step and tick size of symbols whose filters do not set one
+ */
+const MIN_FILTER_STEP = new Decimal('0.00000001');
+
+/**
+ * Parse a symbol filter value, Binance sends "0" for filters that do not apply
+ * @param {string} value - The filter value from exchangeInfo
+ * @param {Decimal|null} fallback - The value of a filter that does not apply
+ * @return {Decimal|null} The filter value
+ */
+const parseFilter = (value, fallback) => {
+  const parsed = Decimal.from(value === undefined ? 0 : value);
+  return parsed.isPositive() ? parsed : fallback;
+};
+
+/**
+ * Get the request weight of a depth request for a given limit
+ * @param {number} limit - The number of levels requested
+ * @return {number} The request weight
+ */
+const getDepthWeight = (limit) => {
+  if (limit <= 100) return 5;
+  if (limit <= 500) return 25;
+  if (limit <= 1000) return 50;
+  return 250;
+};
+
+/**
+ * Adapter for the live Binance spot REST API
+ * Exposes the same interface as the simulated BinanceAdapter, signs private
+ * requests with HMAC-SHA256 and throttles on Binance's request weight limit
+ */
+class BinanceLiveAdapter extends ExchangeAdapter {
+  /**
+   * Create a new live Binance adapter
+   * @param {Object} options - Adapter options (default to the configured values)
+   * @param {string} options.baseUrl - The REST API base URL
+   * @param {string} options.apiKey - The API key
+   * @param {string} options.apiSecret - The API secret used for signing
+   * @param {string} options.quoteAsset - The quote asset of every traded symbol
+   * @param {number} options.recvWindow - The validity window of signed requests in ms
+   * @param {number} options.weightLimit - The request weight allowed per window
+   * @param {number} options.weightWindowMs - The request weight window in ms
+   * @param {number} options.depthLimit - The number of order book levels to fetch
+   * @param {string} options.name - The venue name
+   * @param {number} options.feePercent - The expected fee in percent (used for routing)
+   * @param {FeeModel} options.feeModel - The expected fee schedule, instead of feePercent
+   */
+  constructor({
+    baseUrl = BINANCE_BASE_URL,
+    apiKey = BINANCE_API_KEY,
+    apiSecret = BINANCE_API_SECRET,
+    quoteAsset = BINANCE_QUOTE_ASSET,
+    recvWindow = BINANCE_RECV_WINDOW,
+    weightLimit = BINANCE_WEIGHT_LIMIT,
+    weightWindowMs = BINANCE_WEIGHT_WINDOW_MS,
+    depthLimit = BINANCE_DEPTH_LIMIT,
+    name = 'binance',
+    feePercent = TRADING_FEE_PERCENT,
+    feeModel
+  } = {}) {
+    super(name, feeModel || feePercent);
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.quoteAsset = quoteAsset;
+    this.recvWindow = recvWindow;
+    this.weightLimit = weightLimit;
+    this.weightWindowMs = weightWindowMs;
+    this.depthLimit = depthLimit;
+
+    this.http = axios.create({
+      baseURL: baseUrl,
+      timeout: 10000
+    });
+
+    this.orders = new Map(); // positionId -> exchange orders placed for it
+    this.symbols = new Map(); // assetId -> symbol filters from exchangeInfo
+    this.executedOrders = [];
+    this.orderSequence = 0;
+    this.usedWeight = 0;
+    this.weightWindowStart = Date.now();
+    this.weightQueue = Promise.resolve(); // Requests take their weight one at a time, see acquireWeight()
+  }
+
+  /**
+   * Get the order book for an asset
+   * @param {string} assetId - The asset identifier
+   * @return {Object} The order book with bids and asks
+   */
+  async getOrderBook(assetId) {
+    const data = await this.request('GET', '/api/v3/depth', {
+      symbol: this.getSymbol(assetId),
+      limit: this.depthLimit
+    }, { weight: getDepthWeight(this.depthLimit) });
+
+    logger.debug(`Retrieved order book for ${assetId}`);
+
+    return {
+      assetId,
+      bids: data.bids,
+      asks: data.asks,
+      lastUpdateId: data.lastUpdateId,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get the trading rules of the symbol of an asset from exchangeInfo
+   * Filters rarely change, so every symbol is fetched once
+   * @param {string} assetId - The asset identifier
+   * @return {Object} The symbol filters
+   */
+  async getSymbolInfo(assetId) {
+    if (!this.symbols.has(assetId)) {
+      const data = await this.request('GET', '/api/v3/exchangeInfo', {
+        symbol: this.getSymbol(assetId)
+      }, { weight: ENDPOINT_WEIGHTS.exchangeInfo });
+
+      const filters = new Map(data.symbols[0].filters.map(filter => [filter.filterType, filter]));
+      const lotSize = filters.get('LOT_SIZE') || {};
+      const priceFilter = filters.get('PRICE_FILTER') || {};
+      const notional = filters.get('NOTIONAL') || filters.get('MIN_NOTIONAL') || {};
+
+      this.symbols.set(assetId, {
+        assetId,
+        minNotional: parseFilter(notional.minNotional, Decimal.ZERO),
+        minQuantity: parseFilter(lotSize.minQty, Decimal.ZERO),
+        maxQuantity: parseFilter(lotSize.maxQty, null),
+        stepSize: parseFilter(lotSize.stepSize, MIN_FILTER_STEP),
+        tickSize: parseFilter(priceFilter.tickSize, MIN_FILTER_STEP)
+      });
+    }
+
+    return this.symbols.get(assetId);
+  }
+
+  /**
+   * Execute an order on Binance as one market order per asset
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders to execute
+   * @param {string} positionId - The position ID
+   * @return {Object} The execution result
+   */
+  async executeOrder(side, assetOrders, positionId) {
+    return this.runExecution(positionId, isCanceled => this.executeLegs(side, assetOrders, positionId, isCanceled));
+  }
+
+  /**
+   * Send the asset legs of an order one after the other
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders to execute
+   * @param {string} positionId - The position ID
+   * @param {Function} isCanceled - Tells whether a cancel stopped the execution
+   * @return {Object} The execution result
+   * @private
+   */
+  async executeLegs(side, assetOrders, positionId, isCanceled) {
+    logger.info(`Executing ${side} order for position ${positionId} with ${assetOrders.length} assets on Binance`);
+
+    const orderId = `binance_${Date.now()}_${++this.orderSequence}`;
+
+    // Orders are sent one at a time so the weight accounting stays exact,
+    // and a cancel stops the legs not sent yet
+    const results = [];
+    for (const [i, assetOrder] of assetOrders.entries()) {
+      results.push(isCanceled()
+        ? this.buildCanceledLeg(side, assetOrder)
+        : await this.executeAssetOrder(side, assetOrder, positionId, `${orderId}_${i}`));
+    }
+
+    const executionResult = this.buildExecutionResult(orderId, positionId, side, results);
+
+    this.executedOrders.push(executionResult);
+
+    logger.info(`Executed ${side} order ${orderId} on Binance (fill: ${executionResult.filled.toFixed(2)}%, loss: ${executionResult.loss.toFixed(2)})`);
+
+    return executionResult;
+  }
+
+  /**
+   * Cancel the open Binance orders of a position
+   * @param {string} positionId - The position ID to cancel
+   * @param {string} orderType - The order type (buy/sell)
+   * @return {Object} The cancellation result
+   */
+  async cancelOrder(positionId, orderType) {
+    logger.info(`Cancelling Binance orders for position ${positionId}`);
+
+    // Stop the legs of an execution in flight before canceling what was placed
+    const inFlight = this.stopExecution(positionId);
+    const stopped = inFlight ? this.buildCancelResult(positionId, await inFlight) : { filledLegs: [], unsentLegs: [] };
+
+    const placedOrders = this.orders.get(positionId) || [];
+
+    if (placedOrders.length === 0) {
+      logger.warn(`No orders found for position ${positionId}`);
+      return inFlight ? stopped : {
+        positionId,
+        success: false,
+        message: 'No orders found for this position',
+        ...stopped,
+        fillPercentage: Decimal.ZERO,
+        loss: Decimal.ZERO
+      };
+    }
+
+    const openOrders = placedOrders.filter(order => order.status === 'NEW' || order.status === 'PARTIALLY_FILLED');
+
+    for (const order of openOrders) {
+      const data = await this.request('DELETE', '/api/v3/order', {
+        symbol: order.symbol,
+        origClientOrderId: order.clientOrderId
+      }, { signed: true, weight: ENDPOINT_WEIGHTS.cancelOrder });
+
+      order.status = data.status;
+      order.executedQty = new Decimal(data.executedQty);
+    }
+
+    const targetQuantity = Decimal.sum(placedOrders.map(order => order.origQty));
+    const executedQuantity = Decimal.sum(placedOrders.map(order => order.executedQty));
+    const fillPercentage = targetQuantity.isPositive() ? executedQuantity.div(targetQuantity).times(100) : Decimal.ZERO;
+    const loss = Decimal.sum(placedOrders.map(order => order.loss));
+
+    logger.info(`Cancelled ${openOrders.length} Binance orders for position ${positionId} (fill: ${fillPercentage.toFixed(2)}%)`);
+
+    return {
+      positionId,
+      success: true,
+      affectedOrders: openOrders.map(order => order.clientOrderId),
+      filledLegs: stopped.filledLegs,
+      unsentLegs: stopped.unsentLegs,
+      fillPercentage,
+      loss,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get the trades of an order
+   * @param {string} assetId - The asset identifier
+   * @param {number} exchangeOrderId - The Binance order ID
+   * @return {Array<Object>} The trades
+   */
+  async getTrades(assetId, exchangeOrderId) {
+    return this.request('GET', '/api/v3/myTrades', {
+      symbol: this.getSymbol(assetId),
+      orderId: exchangeOrderId
+    }, { signed: true, weight: ENDPOINT_WEIGHTS.myTrades });
+  }
+
+  /**
+   * Place a market order for a single asset and report its fills
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} assetOrder - The asset order
+   * @param {string} positionId - The position ID
+   * @param {string} clientOrderId - The client order ID
+   * @return {Object} The asset execution result
+   * @private
+   */
+  async executeAssetOrder(side, assetOrder, positionId, clientOrderId) {
+    const symbol = this.getSymbol(assetOrder.assetId);
+    const quantity = Decimal.from(assetOrder.quantity);
+    const targetPrice = Decimal.from(assetOrder.targetPrice);
+
+    const data = await this.request('POST', '/api/v3/order', {
+      symbol,
+      side: side.toUpperCase(),
+      type: 'MARKET',
+      quantity: quantity.toFixed(8),
+      newClientOrderId: clientOrderId,
+      newOrderRespType: 'FULL'
+    }, { signed: true, weight: ENDPOINT_WEIGHTS.newOrder });
+
+    // Fall back to the trade list if the response carries no fills
+    let rawFills = data.fills || [];
+    if (rawFills.length === 0 && new Decimal(data.executedQty).isPositive()) {
+      const trades = await this.getTrades(assetOrder.assetId, data.orderId);
+      rawFills = trades.map(trade => ({
+        price: trade.price,
+        qty: trade.qty,
+        commission: trade.commission,
+        commissionAsset: trade.commissionAsset
+      }));
+    }
+
+    const fills = rawFills.map(fill => ({
+      price: new Decimal(fill.price),
+      quantity: new Decimal(fill.qty)
+    }));
+
+    const tradedQuantity = Decimal.sum(fills.map(fill => fill.quantity));
+    const notional = Decimal.sum(fills.map(fill => fill.price.times(fill.quantity)));
+    const avgPrice = tradedQuantity.isPositive() ? notional.div(tradedQuantity) : Decimal.ZERO;
+    const fee = Decimal.sum(rawFills.map((fill, i) => this.getCommissionValue(fill, assetOrder.assetId, fills[i])));
+    this.feeModel.recordVolume(notional);
+
+    // Binance takes the commission from the asset received, so a buy paying
+    // it in the base asset holds that much less of it
+    const baseCommission = side === 'buy'
+      ? Decimal.sum(rawFills.filter(fill => fill.commissionAsset === assetOrder.assetId).map(fill => fill.commission || 0))
+      : Decimal.ZERO;
+    const filledQuantity = tradedQuantity.minus(baseCommission);
+
+    // Slippage is measured on the quantity traded, the commission is in the fee
+    const slippageLoss = side === 'buy'
+      ? notional.minus(tradedQuantity.times(targetPrice))
+      : tradedQuantity.times(targetPrice).minus(notional);
+
+    const placedOrder = {
+      symbol,
+      clientOrderId,
+      exchangeOrderId: data.orderId,
+      status: data.status,
+      origQty: quantity,
+      executedQty: tradedQuantity,
+      loss: slippageLoss.plus(fee)
+    };
+
+    if (!this.orders.has(positionId)) {
+      this.orders.set(positionId, []);
+    }
+    this.orders.get(positionId).push(placedOrder);
+
+    return {
+      assetId: assetOrder.assetId,
+      side,
+      targetQuantity: quantity,
+      filledQuantity,
+      targetPrice,
+      avgPrice,
+      vwap: avgPrice,
+      notional,
+      fills,
+      fill: quantity.isPositive() ? filledQuantity.div(quantity).times(100) : new Decimal(100),
+      fee,
+      slippageLoss,
+      loss: slippageLoss.plus(fee),
+      canceledQuantity: Decimal.ZERO,
+      exchangeOrderId: data.orderId,
+      exchangeStatus: data.status
+    };
+  }
+
+  /**
+   * Get the quote value of the commission charged on a fill
+   * Commissions paid in other assets (e.g. BNB) cannot be valued here and are
+   * estimated at the taker rate of the fee model instead
+   * @param {Object} fill - The raw Binance fill
+   * @param {string} assetId - The traded asset
+   * @param {{price: Decimal, quantity: Decimal}} parsedFill - The parsed fill
+   * @return {Decimal} The commission in the quote asset
+   * @private
+   */
+  getCommissionValue(fill, assetId, { price, quantity }) {
+    const commission = new Decimal(fill.commission || 0);
+
+    if (fill.commissionAsset === this.quoteAsset) {
+      return commission;
+    }
+
+    if (fill.commissionAsset === assetId) {
+      return commission.times(price);
+    }
+
+    return price.times(quantity).times(this.feeModel.getRate(assetId, 'taker')).div(100);
+  }
+
+  /**
+   * Get the Binance symbol of an asset
+   * @param {string} assetId - The asset identifier
+   * @return {string} The symbol (e.g. BTCUSDT)
+   * @private
+   */
+  getSymbol(assetId) {
+    return `${assetId}${this.quoteAsset}`;
+  }
+
+  /**
+   * Sign a query string with the API secret
+   * @param {string} query - The query string
+   * @return {string} The hex HMAC-SHA256 signature
+   * @private
+   */
+  sign(query) {
+    return crypto.createHmac('sha256', this.apiSecret).update(query).digest('hex');
+  }
+
+  /**
+   * Send a request to the Binance REST API
+   * @param {string} method - The HTTP method
+   * @param {string} path - The endpoint path
+   * @param {Object} params - The request parameters
+   * @param {Object} options - Request options
+   * @param {boolean} options.signed - Whether the request needs a signature
+   * @param {number} options.weight - The request weight
+   * @return {Object} The response data
+   * @private
+   */
+  async request(method, path, params = {}, { signed = false, weight = 1 } = {}) {
+    await this.acquireWeight(weight);
+
+    const query = new URLSearchParams(params);
+    const headers = {};
+
+    if (signed) {
+      query.set('recvWindow', this.recvWindow);
+      query.set('timestamp', Date.now());
+      query.set('signature', this.sign(query.toString()));
+      headers['X-MBX-APIKEY'] = this.apiKey;
+    }
+
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${path}?${query.toString()}`,
+        headers
+      });
+
+      this.updateUsedWeight(response.headers);
+      return response.data;
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+
+      this.updateUsedWeight(error.response.headers);
+      const { status, data } = error.response;
+
+      // 429: rate limited, 418: banned after ignoring 429s
+      if (status === 429 || status === 418) {
+        const retryAfter = parseInt(error.response.headers['retry-after'], 10) || 1;
+        this.usedWeight = this.weightLimit;
+        this.weightWindowStart = Date.now() + retryAfter * 1000 - this.weightWindowMs;
+      }
+
+      const code = data && data.code !== undefined ? data.code : status;
+      const message = data && data.msg ? data.msg : error.message;
+      throw new Error(`Binance API error ${code}: ${message}`);
+    }
+  }
+
+  /**
+   * Wait until a request of the given weight fits in the current window
+   * Requests sent in parallel queue up, so those waiting for the same window
+   * do not all send once it opens
+   * @param {number} weight - The request weight
+   * @return {Promise} Resolves once the weight is taken
+   * @private
+   */
+  acquireWeight(weight) {
+    const acquired = this.weightQueue.then(() => this.waitForWeight(weight));
+    this.weightQueue = acquired.catch(() => {});
+    return acquired;
+  }
+
+  /**
+   * Take the weight of a request, sleeping until the window has room for it
+   * A request heavier than the whole limit goes alone in a fresh window
+   * @param {number} weight - The request weight
+   * @private
+   */
+  async waitForWeight(weight) {
+    for (;;) {
+      const now = Date.now();
+
+      if (now - this.weightWindowStart >= this.weightWindowMs) {
+        this.usedWeight = 0;
+        this.weightWindowStart = now;
+      }
+
+      if (this.usedWeight === 0 || this.usedWeight + weight <= this.weightLimit) {
+        break;
+      }
+
+      // The limit may still be reached after the wait (e.g. a 429), so check again
+      const waitTime = this.weightWindowMs - (now - this.weightWindowStart);
+      logger.debug(`Request weight limit reached, waiting ${waitTime}ms`);
+      await sleep(waitTime);
+    }
+
+    this.usedWeight += weight;
+  }
+
+  /**
+   * Align the local weight counter with the weight reported by Binance
+   * @param {Object} headers - The response headers
+   * @private
+   */
+  updateUsedWeight(headers = {}) {
+    const reported = parseInt(headers['x-mbx-used-weight-1m'], 10);
+
+    if (!Number.isNaN(reported)) {
+      this.usedWeight = Math.max(this.usedWeight, reported);
+    }
+  }
+
+  /**
+   * Clear all locally tracked data (for testing)
+   */
+  clear() {
+    this.orders.clear();
+    this.symbols.clear();
+    this.executedOrders = [];
+    this.usedWeight = 0;
+    this.weightWindowStart = Date.now();
+
+    logger.debug('Binance live adapter data cleared');
+  }
+}
+
+module.exports = BinanceLiveAdapter;
@@ -0,0 +1,259 @@
+const { TRADING_FEE_PERCENT } = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+const FeeModel = require('./FeeModel');
+
+/**
+ * Base class for exchange adapters (venues)
+ * Every venue exposes the same order book, execution and cancellation
+ * interface so the order processor and the router can treat them alike
+ */
+class ExchangeAdapter {
+  /**
+   * Create a new exchange adapter
+   * @param {string} name - The venue name
+   * @param {FeeModel|number} fees - The fee model of the venue, or one rate in percent for maker and taker fills
+   */
+  constructor(name, fees = TRADING_FEE_PERCENT) {
+    this.name = name;
+    this.feeModel = fees instanceof FeeModel ? fees : new FeeModel({ makerPercent: fees, takerPercent: fees });
+    this.activeExecutions = new Map(); // positionId -> execution in flight
+  }
+
+  /**
+   * Get the order book for an asset
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price hint for simulated venues
+   * @return {Object} The order book with bids and asks as [price, quantity] string pairs
+   */
+  async getOrderBook(assetId, referencePrice) {
+    throw new Error(`getOrderBook not implemented by venue ${this.name}`);
+  }
+
+  /**
+   * Get the trading rules of the symbol of an asset
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price hint for simulated venues
+   * @return {Object} The symbol filters as decimals: minNotional, minQuantity,
+   * maxQuantity (null if unbounded), stepSize and tickSize
+   */
+  async getSymbolInfo(assetId, referencePrice) {
+    throw new Error(`getSymbolInfo not implemented by venue ${this.name}`);
+  }
+
+  /**
+   * Apply the symbol filters of the venue to asset orders
+   * Quantities are capped at the maximum quantity and rounded down to the
+   * step size, target prices are rounded to the tick size, and legs left
+   * below the minimum quantity or notional are dropped. What the filters take
+   * off a leg is returned as its rounding residue.
+   * @param {Array<Object>} assetOrders - The asset orders ({assetId, quantity, targetPrice, side})
+   * @return {{assetOrders: Array<Object>, roundingResidue: Array<{assetId: string, quantity: Decimal}>}}
+   * The orders that can be sent and the asset units rounded away
+   */
+  async applySymbolFilters(assetOrders) {
+    const filtered = await Promise.all(assetOrders.map(async (assetOrder) => {
+      const symbol = await this.getSymbolInfo(assetOrder.assetId, assetOrder.targetPrice);
+      const targetPrice = Decimal.from(assetOrder.targetPrice).roundToStep(symbol.tickSize);
+      const capped = symbol.maxQuantity !== null
+        ? Decimal.min(assetOrder.quantity, symbol.maxQuantity)
+        : Decimal.from(assetOrder.quantity);
+      let quantity = capped.floorToStep(symbol.stepSize);
+
+      if (quantity.lt(symbol.minQuantity) || quantity.times(targetPrice).lt(symbol.minNotional)) {
+        quantity = Decimal.ZERO;
+      }
+
+      return {
+        assetOrder: { ...assetOrder, quantity, targetPrice },
+        residue: Decimal.from(assetOrder.quantity).minus(quantity)
+      };
+    }));
+
+    return {
+      assetOrders: filtered
+        .filter(({ assetOrder }) => assetOrder.quantity.isPositive())
+        .map(({ assetOrder }) => assetOrder),
+      roundingResidue: filtered
+        .filter(({ residue }) => residue.isPositive())
+        .map(({ assetOrder, residue }) => ({ assetId: assetOrder.assetId, quantity: residue }))
+    };
+  }
+
+  /**
+   * Execute asset orders on the venue
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders ({assetId, quantity, targetPrice, side})
+   * @param {string} positionId - The position ID
+   * @return {Object} The execution result
+   */
+  async executeOrder(side, assetOrders, positionId) {
+    throw new Error(`executeOrder not implemented by venue ${this.name}`);
+  }
+
+  /**
+   * Cancel the orders of a position on the venue
+   * An execution in flight is stopped before its remaining legs are sent;
+   * the result reports the legs that filled (filledLegs) and the quantities
+   * that were never sent (unsentLegs). The venue keeps the filled legs; the
+   * order processor reconciles them afterwards and may unwind some, see
+   * OrderProcessor.processCancelOrder().
+   * @param {string} positionId - The position ID to cancel
+   * @param {string} orderType - The order type (buy/sell)
+   * @return {Object} The cancellation result
+   */
+  async cancelOrder(positionId, orderType) {
+    throw new Error(`cancelOrder not implemented by venue ${this.name}`);
+  }
+
+  /**
+   * Get the fee rate the venue charges at its current volume tier
+   * @param {string} assetId - The traded asset (null for the venue rate)
+   * @param {string} liquidity - maker or taker
+   * @return {number} The fee in percent
+   */
+  getFeePercent(assetId = null, liquidity = 'taker') {
+    return this.feeModel.getRate(assetId, liquidity);
+  }
+
+  /**
+   * Build the execution result of an order from its asset results
+   * The overall fill rate weights each asset by its target notional
+   * @param {string} orderId - The venue order ID
+   * @param {string} positionId - The position ID
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} results - The asset execution results
+   * @return {Object} The execution result
+   * @protected
+   */
+  buildExecutionResult(orderId, positionId, side, results) {
+    const total = key => Decimal.sum(results.map(result => result[key]));
+    const totalTargetNotional = Decimal.sum(results.map(result => result.targetQuantity.times(result.targetPrice)));
+    const totalFilledNotional = Decimal.sum(results.map(result => result.filledQuantity.times(result.targetPrice)));
+    const canceled = results.some(result => Decimal.from(result.canceledQuantity || 0).isPositive());
+    const overallFillRate = totalTargetNotional.isPositive() ? totalFilledNotional.div(totalTargetNotional).times(100) : new Decimal(100);
+
+    return {
+      orderId,
+      positionId,
+      side,
+      venue: this.name,
+      assets: results,
+      totalTargetQuantity: total('targetQuantity'),
+      totalFilledQuantity: total('filledQuantity'),
+      overallFillRate,
+      filled: overallFillRate,
+      fees: total('fee'),
+      slippageLoss: total('slippageLoss'),
+      loss: total('loss'),
+      canceled,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Run an execution that a cancel of its position can stop between legs
+   * @param {string} positionId - The position ID
+   * @param {Function} execute - Runs the execution; gets an isCanceled() callback
+   * to check before sending each leg and resolves to the execution result
+   * @return {Object} The execution result
+   * @protected
+   */
+  async runExecution(positionId, execute) {
+    const execution = { canceled: false };
+    execution.done = execute(() => execution.canceled);
+    this.activeExecutions.set(positionId, execution);
+
+    try {
+      return await execution.done;
+    } finally {
+      if (this.activeExecutions.get(positionId) === execution) {
+        this.activeExecutions.delete(positionId);
+      }
+    }
+  }
+
+  /**
+   * Stop the execution in flight for a position
+   * Legs already sent complete; the others are skipped
+   * @param {string} positionId - The position ID
+   * @return {Promise<Object>|null} The settled execution result, or null if nothing is in flight
+   * @protected
+   */
+  stopExecution(positionId) {
+    const execution = this.activeExecutions.get(positionId);
+    if (!execution) {
+      return null;
+    }
+
+    execution.canceled = true;
+    return execution.done;
+  }
+
+  /**
+   * Build the result of a leg skipped because its execution was canceled
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} assetOrder - The asset order
+   * @return {Object} The asset execution result with nothing filled
+   * @protected
+   */
+  buildCanceledLeg(side, assetOrder) {
+    return {
+      assetId: assetOrder.assetId,
+      side,
+      targetQuantity: Decimal.from(assetOrder.quantity),
+      filledQuantity: Decimal.ZERO,
+      canceledQuantity: Decimal.from(assetOrder.quantity),
+      targetPrice: Decimal.from(assetOrder.targetPrice),
+      avgPrice: Decimal.ZERO,
+      vwap: Decimal.ZERO,
+      notional: Decimal.ZERO,
+      fills: [],
+      fill: 0,
+      fee: Decimal.ZERO,
+      slippageLoss: Decimal.ZERO,
+      loss: Decimal.ZERO
+    };
+  }
+
+  /**
+   * Build the cancellation result of a stopped execution from its exact legs
+   * @param {string} positionId - The position ID
+   * @param {Object} executionResult - The settled execution result
+   * @return {Object} The cancellation result
+   * @protected
+   */
+  buildCancelResult(positionId, executionResult) {
+    const filledLegs = executionResult.assets
+      .filter(asset => Decimal.from(asset.filledQuantity).isPositive())
+      .map(asset => ({
+        assetId: asset.assetId,
+        filledQuantity: asset.filledQuantity,
+        avgPrice: asset.avgPrice,
+        notional: asset.notional,
+        fee: asset.fee
+      }));
+    // Canceled quantities were never sent to the venue
+    const unsentLegs = executionResult.assets
+      .filter(asset => Decimal.from(asset.canceledQuantity || 0).isPositive())
+      .map(asset => ({ assetId: asset.assetId, quantity: asset.canceledQuantity }));
+
+    return {
+      positionId,
+      success: true,
+      affectedOrders: [executionResult.orderId],
+      filledLegs,
+      unsentLegs,
+      fillPercentage: executionResult.filled,
+      loss: executionResult.loss,
+      fees: executionResult.fees,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Clear all stored data (for testing)
+   */
+  clear() {}
+}
+
+module.exports = ExchangeAdapter;
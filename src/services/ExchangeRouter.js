@@ -0,0 +1,377 @@
+const logger = require('../utils/logger');
+const Decimal = require('../utils/Decimal');
+const ExchangeAdapter = require('./ExchangeAdapter');
+
+/**
+ * Routes orders across several venues
+ * The router is itself an exchange adapter: it exposes a consolidated order
+ * book for liquidity analysis and splits every asset leg across the venues
+ * by fee-adjusted price and available depth
+ */
+class ExchangeRouter extends ExchangeAdapter {
+  /**
+   * Create a new exchange router
+   * @param {Array<ExchangeAdapter>} venues - The venues to route to
+   */
+  constructor(venues) {
+    super('router', 0);
+
+    if (!venues || venues.length === 0) {
+      throw new Error('Exchange router needs at least one venue');
+    }
+
+    this.venues = venues;
+    this.routedPositions = new Map(); // positionId -> Set of venue names, while its execution is in flight
+  }
+
+  /**
+   * Get a venue by name
+   * @param {string} name - The venue name
+   * @return {ExchangeAdapter|null} The venue if found, null otherwise
+   */
+  getVenue(name) {
+    return this.venues.find(venue => venue.name === name) || null;
+  }
+
+  /**
+   * Get the fee rate of the routed venues
+   * Legs can be routed to any venue, so estimates assume the highest fee
+   * @param {string} assetId - The traded asset (null for the venue rate)
+   * @param {string} liquidity - maker or taker
+   * @return {number} The fee in percent
+   */
+  getFeePercent(assetId = null, liquidity = 'taker') {
+    return Math.max(...this.venues.map(venue => venue.getFeePercent(assetId, liquidity)));
+  }
+
+  /**
+   * Get the trading rules of the symbol of an asset across all venues
+   * A leg can be sent to any venue, so the strictest filter of each kind applies
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price hint for simulated venues
+   * @return {Object} The symbol filters
+   */
+  async getSymbolInfo(assetId, referencePrice) {
+    const symbols = await Promise.all(this.venues.map(venue => venue.getSymbolInfo(assetId, referencePrice)));
+    const strictest = key => Decimal.max(...symbols.map(symbol => symbol[key]));
+    const maxQuantities = symbols.map(symbol => symbol.maxQuantity).filter(quantity => quantity !== null);
+
+    return {
+      assetId,
+      minNotional: strictest('minNotional'),
+      minQuantity: strictest('minQuantity'),
+      maxQuantity: maxQuantities.length > 0 ? Decimal.min(...maxQuantities) : null,
+      stepSize: strictest('stepSize'),
+      tickSize: strictest('tickSize')
+    };
+  }
+
+  /**
+   * Get the consolidated order book of an asset across all venues
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional price hint for simulated venues
+   * @return {Object} The order book with bids and asks aggregated by price
+   */
+  async getOrderBook(assetId, referencePrice) {
+    const books = await Promise.all(this.venues.map(venue => venue.getOrderBook(assetId, referencePrice)));
+
+    if (books.length === 1) {
+      return books[0];
+    }
+
+    return {
+      assetId,
+      bids: this.mergeLevels(books.map(book => book.bids), 'desc'),
+      asks: this.mergeLevels(books.map(book => book.asks), 'asc'),
+      venues: this.venues.map(venue => venue.name),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Execute asset orders, splitting each leg across the venues
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders to execute
+   * @param {string} positionId - The position ID
+   * @return {Object} The execution result with a per-venue breakdown for every asset
+   */
+  async executeOrder(side, assetOrders, positionId) {
+    return this.runExecution(positionId, isCanceled => this.routeOrder(side, assetOrders, positionId, isCanceled));
+  }
+
+  /**
+   * Allocate the legs of an order to the venues and execute them there
+   * @param {string} side - The order side (buy/sell)
+   * @param {Array<Object>} assetOrders - The asset orders to execute
+   * @param {string} positionId - The position ID
+   * @param {Function} isCanceled - Tells whether a cancel stopped the execution
+   * @return {Object} The merged execution result
+   * @private
+   */
+  async routeOrder(side, assetOrders, positionId, isCanceled) {
+    const orderId = `routed_${Date.now()}_${positionId}`;
+
+    // Decide how much of every leg goes to which venue
+    const allocations = await Promise.all(assetOrders.map(assetOrder => this.allocate(side, assetOrder)));
+
+    // A cancel that arrived while allocating stops the order before any venue sees it
+    if (isCanceled()) {
+      const results = assetOrders.map(assetOrder => this.buildCanceledLeg(side, assetOrder));
+      return { ...this.buildExecutionResult(orderId, positionId, side, results), venueOrders: [] };
+    }
+
+    const venueOrders = new Map();
+    allocations.forEach((legs, i) => {
+      for (const { venue, quantity } of legs) {
+        if (!venueOrders.has(venue)) {
+          venueOrders.set(venue, []);
+        }
+        venueOrders.get(venue).push({ ...assetOrders[i], quantity });
+      }
+    });
+
+    logger.info(`Routing ${side} order for position ${positionId} to ${venueOrders.size} venues`);
+
+    // Remember the venues before sending, so a cancel reaches the executions in flight
+    if (!this.routedPositions.has(positionId)) {
+      this.routedPositions.set(positionId, new Set());
+    }
+    venueOrders.forEach((orders, venue) => this.routedPositions.get(positionId).add(venue));
+
+    let venueResults;
+    try {
+      venueResults = await Promise.all(Array.from(venueOrders.entries()).map(async ([venueName, orders]) => {
+        const result = await this.getVenue(venueName).executeOrder(side, orders, positionId);
+        return { venue: venueName, result };
+      }));
+    } finally {
+      // Completed or canceled, the venues have nothing left to stop for this position
+      this.routedPositions.delete(positionId);
+    }
+
+    // Merge the venue fills back into one result per asset
+    const results = assetOrders.map(assetOrder => {
+      const venueAssets = venueResults
+        .map(({ venue, result }) => ({
+          venue,
+          asset: result.assets.find(asset => asset.assetId === assetOrder.assetId)
+        }))
+        .filter(({ asset }) => asset);
+
+      return this.mergeAssetResults(side, assetOrder, venueAssets);
+    });
+
+    const executionResult = this.buildExecutionResult(orderId, positionId, side, results);
+    executionResult.venueOrders = venueResults.map(({ venue, result }) => ({ venue, orderId: result.orderId }));
+
+    return executionResult;
+  }
+
+  /**
+   * Cancel the orders of a position on every venue it was routed to
+   * @param {string} positionId - The position ID to cancel
+   * @param {string} orderType - The order type (buy/sell)
+   * @return {Object} The cancellation result with the per-venue results
+   */
+  async cancelOrder(positionId, orderType) {
+    // Flag the routed execution first so no further venue orders are sent
+    const inFlight = this.stopExecution(positionId);
+
+    const venueNames = this.routedPositions.has(positionId)
+      ? Array.from(this.routedPositions.get(positionId))
+      : this.venues.map(venue => venue.name);
+
+    const venueResults = await Promise.all(venueNames.map(async (venueName) => ({
+      venue: venueName,
+      ...(await this.getVenue(venueName).cancelOrder(positionId, orderType))
+    })));
+
+    // The merged execution reports the exact legs across all venues
+    if (inFlight) {
+      return {
+        ...this.buildCancelResult(positionId, await inFlight),
+        venues: venueResults
+      };
+    }
+
+    const successful = venueResults.filter(result => result.success);
+
+    if (successful.length === 0) {
+      return {
+        positionId,
+        success: false,
+        message: 'No orders found for this position',
+        filledLegs: [],
+        unsentLegs: [],
+        fillPercentage: Decimal.ZERO,
+        loss: Decimal.ZERO,
+        venues: venueResults
+      };
+    }
+
+    const venueLegs = key => successful.flatMap(result => (result[key] || []).map(leg => ({ ...leg, venue: result.venue })));
+
+    return {
+      positionId,
+      success: true,
+      affectedOrders: successful.flatMap(result => result.affectedOrders),
+      filledLegs: venueLegs('filledLegs'),
+      unsentLegs: venueLegs('unsentLegs'),
+      fillPercentage: Decimal.sum(successful.map(result => result.fillPercentage)).div(successful.length),
+      loss: Decimal.sum(successful.map(result => result.loss)),
+      venues: venueResults,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Split an asset order across the venues by fee-adjusted price and depth
+   * Levels of every venue are taken best price first; whatever the combined
+   * depth cannot cover goes to the venue with the best top of book
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} assetOrder - The asset order
+   * @return {Array<{venue: string, quantity: Decimal}>} The quantity per venue
+   * @private
+   */
+  async allocate(side, assetOrder) {
+    if (this.venues.length === 1) {
+      return [{ venue: this.venues[0].name, quantity: Decimal.from(assetOrder.quantity) }];
+    }
+
+    const bookSide = side === 'buy' ? 'asks' : 'bids';
+    const books = await Promise.all(this.venues.map(venue => venue.getOrderBook(assetOrder.assetId, assetOrder.targetPrice)));
+
+    // Flatten the levels of all venues with their fee-adjusted price
+    const levels = [];
+    books.forEach((book, i) => {
+      const venue = this.venues[i];
+      const feePercent = venue.getFeePercent(assetOrder.assetId);
+      const feeFactor = side === 'buy' ? 100 + feePercent : 100 - feePercent;
+
+      for (const [price, qty] of book[bookSide]) {
+        levels.push({
+          venue: venue.name,
+          effectivePrice: new Decimal(price).times(feeFactor).div(100),
+          quantity: new Decimal(qty)
+        });
+      }
+    });
+
+    // Best prices first: lowest for buys, highest for sells
+    levels.sort((a, b) => side === 'buy' ? a.effectivePrice.cmp(b.effectivePrice) : b.effectivePrice.cmp(a.effectivePrice));
+
+    const quantities = new Map();
+    const addQuantity = (venue, quantity) => quantities.set(venue, (quantities.get(venue) || Decimal.ZERO).plus(quantity));
+    let remaining = Decimal.from(assetOrder.quantity);
+
+    for (const level of levels) {
+      if (!remaining.isPositive()) break;
+
+      const takenQty = Decimal.min(remaining, level.quantity);
+      addQuantity(level.venue, takenQty);
+      remaining = remaining.minus(takenQty);
+    }
+
+    if (remaining.isPositive() && levels.length > 0) {
+      addQuantity(levels[0].venue, remaining);
+    }
+
+    // Keep every venue's part on the step size, the best venue takes what rounding leaves
+    if (levels.length > 0) {
+      const { stepSize } = await this.getSymbolInfo(assetOrder.assetId, assetOrder.targetPrice);
+      const bestVenue = levels[0].venue;
+      let rounded = Decimal.ZERO;
+
+      quantities.forEach((quantity, venue) => {
+        if (venue !== bestVenue) {
+          quantities.set(venue, quantity.floorToStep(stepSize));
+          rounded = rounded.plus(quantity.minus(quantities.get(venue)));
+        }
+      });
+      addQuantity(bestVenue, rounded);
+    }
+
+    return Array.from(quantities.entries())
+      .filter(([, quantity]) => quantity.isPositive())
+      .map(([venue, quantity]) => ({ venue, quantity }));
+  }
+
+  /**
+   * Merge the results of one asset executed on several venues
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} assetOrder - The original asset order
+   * @param {Array<{venue: string, asset: Object}>} venueAssets - The venue results of the asset
+   * @return {Object} The combined asset result
+   * @private
+   */
+  mergeAssetResults(side, assetOrder, venueAssets) {
+    const total = key => Decimal.sum(venueAssets.map(({ asset }) => asset[key] || 0));
+    const quantity = Decimal.from(assetOrder.quantity);
+    const filledQuantity = total('filledQuantity');
+    const notional = total('notional');
+    const fee = total('fee');
+    const slippageLoss = total('slippageLoss');
+    const avgPrice = filledQuantity.isPositive() ? notional.div(filledQuantity) : Decimal.ZERO;
+
+    return {
+      assetId: assetOrder.assetId,
+      side,
+      targetQuantity: quantity,
+      filledQuantity,
+      targetPrice: Decimal.from(assetOrder.targetPrice),
+      avgPrice,
+      vwap: avgPrice,
+      notional,
+      fills: venueAssets.flatMap(({ venue, asset }) => asset.fills.map(fill => ({ ...fill, venue }))),
+      fill: quantity.isPositive() ? filledQuantity.div(quantity).times(100) : new Decimal(100),
+      canceledQuantity: total('canceledQuantity'),
+      fee,
+      slippageLoss,
+      loss: slippageLoss.plus(fee),
+      venues: venueAssets.map(({ venue, asset }) => ({
+        venue,
+        targetQuantity: asset.targetQuantity,
+        filledQuantity: asset.filledQuantity,
+        avgPrice: asset.avgPrice,
+        fee: asset.fee
+      }))
+    };
+  }
+
+  /**
+   * Merge the levels of several books, aggregating equal prices
+   * Prices are compared as decimals, so "100" and "100.0" are one level
+   * @param {Array<Array>} sides - The [price, quantity] levels of every book
+   * @param {string} order - 'asc' for asks, 'desc' for bids
+   * @return {Array<Array<string>>} The merged levels
+   * @private
+   */
+  mergeLevels(sides, order) {
+    const byPrice = new Map(); // normalised price -> { price, qty }
+
+    for (const levels of sides) {
+      for (const [rawPrice, qty] of levels) {
+        const price = Decimal.from(rawPrice);
+        const key = price.toString();
+        const level = byPrice.get(key) || { price, qty: Decimal.ZERO };
+        byPrice.set(key, { price, qty: level.qty.plus(qty) });
+      }
+    }
+
+    return Array.from(byPrice.values())
+      .sort((a, b) => order === 'asc' ? a.price.cmp(b.price) : b.price.cmp(a.price))
+      .map(({ price, qty }) => [price.toFixed(8), qty.toFixed(8)]);
+  }
+
+  /**
+   * Clear all stored data on every venue (for testing)
+   */
+  clear() {
+    this.venues.forEach(venue => venue.clear());
+    this.routedPositions.clear();
+
+    logger.debug('Exchange router data cleared');
+  }
+}
+
+module.exports = ExchangeRouter;
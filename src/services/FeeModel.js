@@ -0,0 +1,198 @@
+const {
+  TRADING_FEE_PERCENT,
+  MAKER_FEE_PERCENT,
+  FEE_ASSET,
+  FEE_VOLUME_WINDOW_MS,
+  BINANCE_QUOTE_ASSET
+} = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+
+/**
+ * Which side of the book a fill was on
+ * maker: the fill added liquidity (a resting order was hit)
+ * taker: the fill removed liquidity (the order crossed the book)
+ */
+const LIQUIDITY = ['maker', 'taker'];
+
+/**
+ * The asset fees are charged in
+ * quote: the quote asset of the traded symbol
+ * base: the asset received, as on Binance: the traded asset on buys, the
+ * quote asset on sells
+ */
+const FEE_ASSETS = ['quote', 'base'];
+
+/**
+ * Calculates the trading fees of a venue
+ * A venue charges a maker and a taker rate. Volume tiers lower the rates once
+ * the quote volume traded within the volume window reaches their threshold,
+ * and per-asset rates take precedence over both. Every charge adds to the
+ * traded volume.
+ */
+class FeeModel {
+  /**
+   * Create a new fee model
+   * @param {Object} schedule - The fee schedule
+   * @param {number} schedule.makerPercent - The base maker rate in percent
+   * @param {number} schedule.takerPercent - The base taker rate in percent
+   * @param {Object<string, Object>} schedule.assets - Rates by asset ({makerPercent, takerPercent}, either may be left out)
+   * @param {Array<Object>} schedule.tiers - Volume tiers ({minVolume, makerPercent, takerPercent})
+   * @param {string} schedule.feeAsset - The asset fees are charged in (quote, base)
+   * @param {number} schedule.volumeWindowMs - The window the traded volume is measured over
+   * @throws {Error} If a rate, tier or the fee asset is invalid
+   */
+  constructor({
+    makerPercent = MAKER_FEE_PERCENT,
+    takerPercent = TRADING_FEE_PERCENT,
+    assets = {},
+    tiers = [],
+    feeAsset = FEE_ASSET,
+    volumeWindowMs = FEE_VOLUME_WINDOW_MS
+  } = {}) {
+    FeeModel.validateRates({ makerPercent, takerPercent }, 'Base');
+    Object.entries(assets).forEach(([assetId, rates]) => FeeModel.validateRates(rates, `Asset ${assetId}`));
+    tiers.forEach((tier, i) => {
+      if (typeof tier.minVolume !== 'number' || !(tier.minVolume >= 0)) {
+        throw new Error(`Fee tier ${i} needs a minVolume of at least 0`);
+      }
+      FeeModel.validateRates(tier, `Tier ${i}`);
+    });
+
+    if (!FEE_ASSETS.includes(feeAsset)) {
+      throw new Error(`feeAsset must be one of ${FEE_ASSETS.join(', ')}`);
+    }
+
+    this.makerPercent = makerPercent;
+    this.takerPercent = takerPercent;
+    this.assets = assets;
+    this.tiers = [...tiers].sort((a, b) => a.minVolume - b.minVolume);
+    this.feeAsset = feeAsset;
+    this.volumeWindowMs = volumeWindowMs;
+    this.trades = []; // Quote volume charged, as {timestamp, notional: Decimal}
+  }
+
+  /**
+   * Check the rates of a schedule entry
+   * @param {Object} rates - The entry with optional makerPercent and takerPercent
+   * @param {string} label - The entry named in the error
+   * @throws {Error} If a given rate is not a non-negative number
+   * @private
+   */
+  static validateRates(rates, label) {
+    for (const key of ['makerPercent', 'takerPercent']) {
+      if (rates[key] !== undefined && (typeof rates[key] !== 'number' || !(rates[key] >= 0))) {
+        throw new Error(`${label} ${key} must be a number of at least 0`);
+      }
+    }
+  }
+
+  /**
+   * Get the quote volume traded within the volume window
+   * @param {number} now - The current timestamp
+   * @return {Decimal} The traded volume
+   */
+  getVolume(now = Date.now()) {
+    this.trades = this.trades.filter(trade => now - trade.timestamp < this.volumeWindowMs);
+    return Decimal.sum(this.trades.map(trade => trade.notional));
+  }
+
+  /**
+   * Get the volume tier reached
+   * @param {number} now - The current timestamp
+   * @return {Object|null} The highest tier reached, or null below every tier
+   */
+  getTier(now = Date.now()) {
+    const volume = this.getVolume(now);
+    return this.tiers.filter(tier => volume.gte(tier.minVolume)).pop() || null;
+  }
+
+  /**
+   * Get the rate charged on a fill
+   * Per-asset rates win over the volume tier, which wins over the base rates
+   * @param {string} assetId - The traded asset (null for the venue rate)
+   * @param {string} liquidity - maker or taker
+   * @param {number} now - The current timestamp
+   * @return {number} The rate in percent
+   * @throws {Error} If the liquidity is unknown
+   */
+  getRate(assetId = null, liquidity = 'taker', now = Date.now()) {
+    if (!LIQUIDITY.includes(liquidity)) {
+      throw new Error(`Unknown liquidity: ${liquidity}`);
+    }
+
+    const key = `${liquidity}Percent`;
+    const assetRates = assetId !== null ? this.assets[assetId] : undefined;
+    if (assetRates && assetRates[key] !== undefined) {
+      return assetRates[key];
+    }
+
+    const tier = this.getTier(now);
+    if (tier && tier[key] !== undefined) {
+      return tier[key];
+    }
+
+    return this[key];
+  }
+
+  /**
+   * Charge the fee of a fill and add its notional to the traded volume
+   * Fees in the base asset are the same value taken in asset units, which
+   * the venue keeps from the units a buy receives
+   * @param {Object} fill - The fill
+   * @param {string} fill.assetId - The traded asset
+   * @param {string} fill.side - The order side (buy/sell)
+   * @param {Decimal} fill.notional - The quote amount traded
+   * @param {Decimal} fill.price - The average price of the fill
+   * @param {string} fill.liquidity - maker or taker
+   * @param {number} now - The current timestamp
+   * @return {Object} The fee in the quote asset, its rate and liquidity, and
+   * the fee asset with the quantity charged in it
+   */
+  charge({ assetId, side, notional, price, liquidity = 'taker' }, now = Date.now()) {
+    const feePercent = this.getRate(assetId, liquidity, now);
+    const fee = Decimal.from(notional).times(feePercent).div(100);
+    this.recordVolume(notional, now);
+
+    const inBase = this.feeAsset === 'base' && side === 'buy' && Decimal.from(price).isPositive();
+
+    return {
+      fee,
+      feePercent,
+      liquidity,
+      feeAsset: inBase ? assetId : BINANCE_QUOTE_ASSET,
+      feeQuantity: inBase ? fee.div(price) : fee
+    };
+  }
+
+  /**
+   * Add traded quote volume towards the volume tier
+   * @param {Decimal} notional - The quote amount traded
+   * @param {number} now - The current timestamp
+   */
+  recordVolume(notional, now = Date.now()) {
+    if (Decimal.from(notional).isPositive()) {
+      this.trades.push({ timestamp: now, notional: Decimal.from(notional) });
+    }
+  }
+
+  /**
+   * Build the fee model of a venue from a fee schedule
+   * The venue's own fee (from EXCHANGE_VENUES) sets its base rates; the
+   * schedule's entry under venues overrides any part of the schedule
+   * @param {Object} schedule - The fee schedule, with optional per-venue entries under venues
+   * @param {string} name - The venue name
+   * @param {number} feePercent - The venue's own fee in percent, if configured
+   * @return {FeeModel} The fee model of the venue
+   */
+  static forVenue(schedule = {}, name, feePercent) {
+    const { venues = {}, ...defaults } = schedule;
+    const venueRates = feePercent !== undefined ? { makerPercent: feePercent, takerPercent: feePercent } : {};
+
+    return new FeeModel({ ...defaults, ...venueRates, ...(venues[name] || {}) });
+  }
+}
+
+FeeModel.LIQUIDITY = LIQUIDITY;
+FeeModel.FEE_ASSETS = FEE_ASSETS;
+
+module.exports = FeeModel;
@@ -1,11 +1,20 @@
 const logger = require('../utils/logger');
 const { MIN_ASSET_PURCHASE } = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+const MarketSimulator = require('./MarketSimulator');
+
+const HUNDRED = new Decimal(100);
 
 /**
  * Analyzes market liquidity for optimal order execution
  */
 class LiquidityAnalyzer {
-  constructor() {
+  /**
+   * Create a new liquidity analyzer
+   * @param {MarketSimulator} simulator - The simulator used for rough liquidity estimates
+   */
+  constructor(simulator = new MarketSimulator()) {
+    this.simulator = simulator;
     this.orderBookCache = new Map(); // Cache order book data to reduce API calls
     this.orderBookCacheTTL = 5000; // 5 seconds TTL for order book cache
   }
@@ -27,7 +36,7 @@ class LiquidityAnalyzer {
       
       if (!index) {
         logger.warn(`Index ${order.indexId} not found for order ${order.id}`);
-        return { ...orderData, fillable: 0, notional: 0 };
+        return { ...orderData, fillable: 0, notional: Decimal.ZERO };
       }
       
       // Quick liquidity analysis
@@ -38,26 +47,32 @@ class LiquidityAnalyzer {
           ...orderData,
           index,
           fillable: liquidityInfo.fillablePercent,
-          notional: order.quantity * order.indexPrice * (liquidityInfo.fillablePercent / 100),
+          notional: this.getOrderNotional(order, index).times(liquidityInfo.fillablePercent).div(100),
           worstAsset: liquidityInfo.worstAsset
         };
       } catch (error) {
         logger.error(`Error analyzing liquidity for order ${order.id}: ${error.message}`);
-        return { ...orderData, fillable: 0, notional: 0 };
+        return { ...orderData, fillable: 0, notional: Decimal.ZERO };
       }
     }));
     
     // Sort by fillable percentage and notional value
+    // IOC and FOK orders are always taken first: they must be resolved in this
+    // batch, even if that means canceling them for lack of liquidity
     const prioritized = ordersWithData
-      .filter(o => o.fillable > 0) // Only consider orders with some liquidity
+      .filter(o => o.fillable > 0 || o.order.isImmediate()) // Only consider orders with some liquidity
       .sort((a, b) => {
-        // First sort by fillable percentage in descending order
+        if (a.order.isImmediate() !== b.order.isImmediate()) {
+          return a.order.isImmediate() ? -1 : 1;
+        }
+        
+        // Then sort by fillable percentage in descending order
         if (b.fillable !== a.fillable) {
           return b.fillable - a.fillable;
         }
         
         // If fillable percentages are equal, sort by notional value
-        return b.notional - a.notional;
+        return b.notional.cmp(a.notional);
       })
       .slice(0, limit);
     
@@ -65,6 +80,23 @@ class LiquidityAnalyzer {
     return prioritized;
   }
 
+  /**
+   * Get the quote amount an order still has to trade
+   * Notional orders carry it directly; quantity orders are valued at their
+   * limit price, or at the current index price for market orders
+   * @param {Order} order - The order
+   * @param {Index} index - The index for this order
+   * @return {Decimal} The remaining notional
+   */
+  getOrderNotional(order, index) {
+    if (order.isNotional()) {
+      return order.getRemainingNotional();
+    }
+    
+    const price = order.isMarket() ? index.getCurrentPrice() : order.indexPrice;
+    return order.getRemainingQuantity().times(price);
+  }
+
   /**
    * Perform a quick liquidity check without full order book analysis
    * @param {Order} order - The order to check
@@ -75,20 +107,23 @@ class LiquidityAnalyzer {
     const currentPrice = index.getCurrentPrice();
     
     // For now, a simple check based on order type and price
-    if (order.type === 'buy' && order.indexPrice < currentPrice) {
+    // Market orders have no limit price to trigger
+    if (!order.isMarket() && order.type === 'buy' && order.indexPrice.lt(currentPrice)) {
       return { fillablePercent: 0 };
     }
     
-    if (order.type === 'sell' && order.indexPrice > currentPrice) {
+    if (!order.isMarket() && order.type === 'sell' && order.indexPrice.gt(currentPrice)) {
       return { fillablePercent: 0 };
     }
     
+    const orderNotional = this.getOrderNotional(order, index);
+    
     // Perform a rough estimate based on the worst asset's liquidity
     const assetLiquidities = await Promise.all(index.assets.map(async (asset) => {
       // Calculate notional value for this asset
-      const assetNotional = (asset.getValue() / currentPrice) * order.quantity * order.indexPrice;
+      const assetNotional = index.getUnitQuantity(asset).times(asset.currentPrice).times(orderNotional).div(currentPrice);
       
-      if (assetNotional < MIN_ASSET_PURCHASE) {
+      if (assetNotional.lt(MIN_ASSET_PURCHASE)) {
         // Skip tiny purchases that would be rounded to zero
         return { asset: asset.id, fillablePercent: 100 };
       }
@@ -115,14 +150,14 @@ class LiquidityAnalyzer {
   /**
    * Get rough liquidity estimate for an asset
    * @param {string} assetId - The asset ID
-   * @param {number} notional - The notional value to fill
+   * @param {Decimal} notional - The notional value to fill
    * @param {string} orderType - The order type (buy/sell)
    * @return {Object} Liquidity estimate
    */
   async getAssetLiquidity(assetId, notional, orderType) {
     // In a real implementation, this would check actual order book data
-    // Here we're just returning a random value for simulation
-    const fillablePercent = Math.min(100, Math.random() * 100 + 50);
+    // Here we're just returning a simulated value
+    const fillablePercent = Math.min(100, this.simulator.uniform(50, 150, `liquidity:${assetId}`));
     
     return {
       fillablePercent,
@@ -134,70 +169,61 @@ class LiquidityAnalyzer {
    * Analyze the liquidity for an order to determine how much can be filled
    * @param {Order} order - The order to analyze
    * @param {Index} index - The index for this order
-   * @param {Object} binanceAdapter - The Binance API adapter
+   * @param {Object} exchangeAdapter - The exchange adapter
    * @param {string} side - The order side (buy/sell)
+   * @param {Decimal|null} maxUnits - The most index units to analyze, e.g. the units a sell holds (null for no limit)
    * @return {Object} Detailed liquidity analysis
    */
-  async analyzeOrderLiquidity(order, index, binanceAdapter, side = order.type) {
+  async analyzeOrderLiquidity(order, index, exchangeAdapter, side = order.type, maxUnits = null) {
     const currentPrice = index.getCurrentPrice();
-    const targetPrice = order.indexPrice;
-    const quantity = order.quantity;
+    // Market orders trade at the current price; notional orders are converted
+    // into index units at that price, the same way their legs are sized
+    const targetPrice = order.isMarket() || order.isNotional() ? currentPrice : order.indexPrice;
+    const remainingNotional = this.getOrderNotional(order, index); // Earlier passes may have filled part of the order
+    const limitedByUnits = maxUnits !== null && remainingNotional.div(targetPrice).gt(maxUnits);
+    const orderNotional = limitedByUnits ? Decimal.from(maxUnits).times(targetPrice) : remainingNotional;
+    const quantity = orderNotional.div(targetPrice);
     
     logger.info(`Analyzing liquidity for ${side} order ${order.id} (index: ${index.id}, qty: ${quantity}, price: ${targetPrice})`);
     
     // For each asset in the index, analyze how much can be filled
     const assetAnalysis = await Promise.all(index.assets.map(async (asset) => {
       // Calculate the notional value and quantity for this asset
-      const assetWeight = asset.getValue() / currentPrice;
-      const assetNotional = assetWeight * quantity * targetPrice;
-      const assetTargetQty = assetNotional / asset.currentPrice;
+      const assetNotional = index.getUnitQuantity(asset).times(asset.currentPrice).times(orderNotional).div(currentPrice);
+      const assetTargetQty = assetNotional.div(asset.currentPrice);
+      const symbol = await exchangeAdapter.getSymbolInfo(asset.id, asset.currentPrice);
       
-      if (assetNotional < MIN_ASSET_PURCHASE) {
-        // Skip assets with tiny notional values
+      if (assetNotional.lt(symbol.minNotional)) {
+        // Skip assets the exchange would not trade, their units become rounding residue
         return {
           assetId: asset.id,
-          notional: 0,
-          quantity: 0,
-          fillablePercent: 100,
+          notional: Decimal.ZERO,
+          quantity: Decimal.ZERO,
+          targetQuantity: assetTargetQty,
+          fillablePercent: HUNDRED,
           skip: true,
-          reason: 'Below minimum purchase'
+          reason: 'Below minimum notional'
         };
       }
       
       // Get the order book for this asset
-      const orderBook = await binanceAdapter.getOrderBook(asset.id);
+      const orderBook = await exchangeAdapter.getOrderBook(asset.id, asset.currentPrice);
       
       // Analyze the order book to determine fillable quantity
       const bookSide = side === 'sell' ? 'bids' : 'asks';
       
-      let fillableQty = 0;
-      let costBasis = 0;
-      
-      for (const [price, qty] of orderBook[bookSide]) {
-        const priceValue = parseFloat(price);
-        const qtyValue = parseFloat(qty);
-        
-        // Check if this level would exceed our target
-        if (fillableQty + qtyValue >= assetTargetQty) {
-          const remainingQty = assetTargetQty - fillableQty;
-          fillableQty += remainingQty;
-          costBasis += remainingQty * priceValue;
-          break;
-        }
-        
-        fillableQty += qtyValue;
-        costBasis += qtyValue * priceValue;
-        
-        if (fillableQty >= assetTargetQty) {
-          break;
-        }
-      }
+      const { fillableQty, costBasis } = this.walkOrderBook(
+        orderBook[bookSide],
+        assetTargetQty,
+        asset.currentPrice,
+        this.getPriceBand(order, asset)
+      );
       
-      const fillablePercent = (fillableQty / assetTargetQty) * 100;
-      const avgPrice = fillableQty > 0 ? costBasis / fillableQty : 0;
+      const fillablePercent = assetTargetQty.isPositive() ? fillableQty.div(assetTargetQty).times(100) : HUNDRED;
+      const avgPrice = fillableQty.isPositive() ? costBasis.div(fillableQty) : Decimal.ZERO;
       const slippage = side === 'buy' 
-        ? (avgPrice - asset.currentPrice) / asset.currentPrice * 100 
-        : (asset.currentPrice - avgPrice) / asset.currentPrice * 100;
+        ? avgPrice.minus(asset.currentPrice).div(asset.currentPrice).times(100) 
+        : asset.currentPrice.minus(avgPrice).div(asset.currentPrice).times(100);
       
       return {
         assetId: asset.id,
@@ -216,26 +242,32 @@ class LiquidityAnalyzer {
     // Find the asset with the lowest fillable percentage
     const worstAsset = assetAnalysis.reduce((worst, current) => {
       if (current.skip) return worst;
-      return current.fillablePercent < worst.fillablePercent ? current : worst;
-    }, { fillablePercent: 100 });
+      return current.fillablePercent.lt(worst.fillablePercent) ? current : worst;
+    }, { fillablePercent: HUNDRED });
     
     // Calculate the overall fillable percentage based on the worst asset
-    const overallFillablePercent = Math.min(100, worstAsset.fillablePercent);
+    const overallFillablePercent = Decimal.min(HUNDRED, worstAsset.fillablePercent);
     
     // Adjust all assets to match the worst fillable percentage
-    const assetOrders = assetAnalysis.map(asset => {
+    const scaledOrders = assetAnalysis.map(asset => {
       if (asset.skip) return null;
       
-      const adjustedQuantity = asset.targetQuantity * (overallFillablePercent / 100);
+      const adjustedQuantity = asset.targetQuantity.times(overallFillablePercent).div(100);
       
       return {
-        assetId: asset.id,
+        assetId: asset.assetId,
         quantity: adjustedQuantity,
         targetPrice: asset.currentPrice,
         side
       };
     }).filter(Boolean);
     
+    // Round the legs to what the exchange accepts and keep what rounding takes off
+    const { assetOrders, roundingResidue } = await exchangeAdapter.applySymbolFilters(scaledOrders);
+    const skippedResidue = assetAnalysis
+      .filter(asset => asset.skip && overallFillablePercent.isPositive())
+      .map(asset => ({ assetId: asset.assetId, quantity: asset.targetQuantity.times(overallFillablePercent).div(100) }));
+    
     logger.info(`Liquidity analysis for order ${order.id}: ${overallFillablePercent.toFixed(2)}% fillable`);
     
     return {
@@ -243,14 +275,195 @@ class LiquidityAnalyzer {
       indexId: index.id,
       side,
       targetQuantity: quantity,
-      fillableQuantity: quantity * (overallFillablePercent / 100),
+      fillableQuantity: quantity.times(overallFillablePercent).div(100),
       fillablePercent: overallFillablePercent,
+      fullyFillable: overallFillablePercent.eq(HUNDRED),
+      limitedByUnits,
       worstAsset: worstAsset.assetId,
       assetAnalysis,
-      assetOrders
+      assetOrders,
+      roundingResidue: [...skippedResidue, ...roundingResidue]
     };
   }
 
+  /**
+   * Estimate the cost of an order before it is placed
+   * Runs the liquidity analysis, then prices the legs as they would be sent:
+   * every asset scaled to the fillable percentage of the worst asset, walked
+   * through its book for the expected average price, slippage and fees
+   * @param {Order} order - The hypothetical order
+   * @param {Index} index - The index for this order
+   * @param {Object} exchangeAdapter - The exchange adapter quoting books and fees
+   * @param {string} side - The order side (buy/sell)
+   * @return {Object} The cost estimate
+   */
+  async estimateOrderCost(order, index, exchangeAdapter, side = order.type) {
+    const analysis = await this.analyzeOrderLiquidity(order, index, exchangeAdapter, side);
+    const bookSide = side === 'sell' ? 'bids' : 'asks';
+    
+    const assets = await Promise.all(analysis.assetOrders.map(async (assetOrder) => {
+      const asset = index.getAsset(assetOrder.assetId);
+      const orderBook = await exchangeAdapter.getOrderBook(asset.id, asset.currentPrice);
+      const { fillableQty, costBasis } = this.walkOrderBook(
+        orderBook[bookSide],
+        assetOrder.quantity,
+        asset.currentPrice,
+        this.getPriceBand(order, asset)
+      );
+      
+      const averagePrice = fillableQty.isPositive() ? costBasis.div(fillableQty) : Decimal.ZERO;
+      const referenceCost = fillableQty.times(asset.currentPrice);
+      const slippageCost = side === 'buy' ? costBasis.minus(referenceCost) : referenceCost.minus(costBasis);
+      const feePercent = exchangeAdapter.getFeePercent(asset.id);
+      const fee = costBasis.times(feePercent).div(100);
+      
+      return {
+        assetId: asset.id,
+        quantity: assetOrder.quantity,
+        fillableQuantity: fillableQty,
+        referencePrice: asset.currentPrice,
+        averagePrice,
+        notional: costBasis,
+        slippagePercent: averagePrice.isPositive() ? slippageCost.div(referenceCost).times(100) : Decimal.ZERO,
+        slippageCost,
+        feePercent,
+        fee,
+        expectedLoss: slippageCost.plus(fee)
+      };
+    }));
+    
+    const notional = Decimal.sum(assets.map(asset => asset.notional));
+    const slippageCost = Decimal.sum(assets.map(asset => asset.slippageCost));
+    const fees = Decimal.sum(assets.map(asset => asset.fee));
+    
+    return {
+      indexId: index.id,
+      side,
+      indexPrice: index.getCurrentPrice(),
+      targetQuantity: analysis.targetQuantity,
+      expectedFillPercent: analysis.fillablePercent,
+      expectedQuantity: analysis.fillableQuantity,
+      fullyFillable: analysis.fullyFillable,
+      // The asset limiting the fill, or the most expensive one when all fill
+      worstAsset: analysis.worstAsset || this.getCostliestAsset(assets),
+      notional,
+      averageIndexPrice: analysis.fillableQuantity.isPositive() ? notional.div(analysis.fillableQuantity) : null,
+      slippageCost,
+      feePercent: notional.isPositive() ? fees.div(notional).times(100) : Decimal.ZERO,
+      fees,
+      expectedLoss: slippageCost.plus(fees),
+      assets,
+      roundingResidue: analysis.roundingResidue,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get the asset with the highest expected loss relative to its notional
+   * @param {Array<Object>} assets - The asset estimates
+   * @return {string|null} The asset ID, or null without assets
+   * @private
+   */
+  getCostliestAsset(assets) {
+    const lossPercent = asset => asset.notional.isPositive() ? asset.expectedLoss.div(asset.notional) : Decimal.ZERO;
+    const costliest = assets.reduce((worst, current) => {
+      return worst === null || lossPercent(current).gt(lossPercent(worst)) ? current : worst;
+    }, null);
+    
+    return costliest ? costliest.assetId : null;
+  }
+
+  /**
+   * Get the price band an order may take book levels in around an asset's price
+   * Market orders only take levels inside their slippage band
+   * @param {Order} order - The order
+   * @param {Asset} asset - The asset
+   * @return {Decimal|null} The largest distance from the asset price, null for no band
+   * @private
+   */
+  getPriceBand(order, asset) {
+    return order.isMarket() && order.maxSlippagePercent !== null
+      ? asset.currentPrice.times(order.maxSlippagePercent).div(100)
+      : null;
+  }
+
+  /**
+   * Check if a book price lies inside a price band
+   * @param {string} price - The level price
+   * @param {Decimal} referencePrice - The price the band is measured from
+   * @param {Decimal|null} priceBand - The largest distance from the reference price, null for no band
+   * @return {boolean} True if the level may be taken
+   * @private
+   */
+  isInPriceBand(price, referencePrice, priceBand) {
+    return priceBand === null || new Decimal(price).minus(referencePrice).abs().lte(priceBand);
+  }
+
+  /**
+   * Walk the levels of one side of a book up to a quantity
+   * @param {Array<Array<string>>} levels - The [price, quantity] levels, best first
+   * @param {Decimal} targetQty - The quantity to fill
+   * @param {Decimal} referencePrice - The price the band is measured from
+   * @param {Decimal|null} priceBand - The largest distance from the reference price, null for no band
+   * @return {{fillableQty: Decimal, costBasis: Decimal}} The quantity the levels cover and its cost
+   */
+  walkOrderBook(levels, targetQty, referencePrice, priceBand = null) {
+    let fillableQty = Decimal.ZERO;
+    let costBasis = Decimal.ZERO;
+    
+    for (const [price, qty] of levels) {
+      if (!this.isInPriceBand(price, referencePrice, priceBand)) {
+        break;
+      }
+      
+      // Take the whole level, or what is left of the target
+      const takenQty = Decimal.min(qty, Decimal.from(targetQty).minus(fillableQty));
+      fillableQty = fillableQty.plus(takenQty);
+      costBasis = costBasis.plus(takenQty.times(price));
+      
+      if (fillableQty.gte(targetQty)) {
+        break;
+      }
+    }
+    
+    return { fillableQty, costBasis };
+  }
+
+  /**
+   * Measure the visible depth of the books of an index in index units
+   * Each asset's depth on the side the order takes is divided by the asset
+   * units per index unit; the thinnest asset bounds the index. Market orders
+   * only count levels within their slippage band.
+   * @param {Order} order - The order to measure the depth for
+   * @param {Index} index - The index for this order
+   * @param {Object} exchangeAdapter - The exchange adapter
+   * @param {string} side - The order side (buy/sell)
+   * @return {Object} The visible index units and the depth per asset
+   */
+  async getVisibleDepth(order, index, exchangeAdapter, side = order.type) {
+    const bookSide = side === 'sell' ? 'bids' : 'asks';
+    
+    const assets = await Promise.all(index.assets.filter(asset => asset.quantity.isPositive()).map(async (asset) => {
+      const orderBook = await exchangeAdapter.getOrderBook(asset.id, asset.currentPrice);
+      const priceBand = this.getPriceBand(order, asset);
+      
+      const depth = Decimal.sum(orderBook[bookSide]
+        .filter(([price]) => this.isInPriceBand(price, asset.currentPrice, priceBand))
+        .map(([, qty]) => qty));
+      
+      return {
+        assetId: asset.id,
+        depth,
+        indexUnits: depth.div(index.getUnitQuantity(asset))
+      };
+    }));
+    
+    const indexUnits = assets.length > 0 ? Decimal.min(...assets.map(asset => asset.indexUnits)) : Decimal.ZERO;
+    
+    logger.debug(`Visible depth for order ${order.id}: ${indexUnits} index units`);
+    return { indexUnits, assets };
+  }
+
   /**
    * Clear the order book cache
    */
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const { createRng, normal } = require('../utils/random');
+const { SIMULATION_SEED, SIMULATION_PRICE_PROCESS } = require('../utils/constants');
+
+/**
+ * Default parameters for the price processes (per step)
+ */
+const DEFAULT_PROCESS_OPTIONS = {
+  volatility: 0.002, // Standard deviation of the per-step return
+  drift: 0.0005, // Mean per-step return for trending markets
+  jumpProbability: 0.01, // Chance of a jump on each step
+  jumpSize: 0.05 // Size of a jump as a fraction of the price
+};
+
+/**
+ * Price processes returning the per-step return of an asset
+ * Each receives the random stream of the asset and the process options
+ */
+const PRICE_PROCESSES = {
+  random_walk: (rng, options) => options.volatility * normal(rng),
+
+  trending: (rng, options) => options.drift + options.volatility * normal(rng),
+
+  jump: (rng, options) => {
+    const diffusion = options.volatility * normal(rng);
+    if (rng() >= options.jumpProbability) {
+      return diffusion;
+    }
+    const direction = rng() < 0.5 ? -1 : 1;
+    return diffusion + direction * options.jumpSize;
+  }
+};
+
+/**
+ * Deterministic market simulator
+ * All simulated market data (prices, order books, liquidity estimates) is
+ * drawn from seeded random streams, so a scenario replays bit-for-bit for
+ * the same seed. Every asset and every consumer draws from its own stream,
+ * which keeps the results independent of the order of the calls.
+ */
+class MarketSimulator {
+  /**
+   * Create a new market simulator
+   * @param {Object} options - Simulator options
+   * @param {number|string} options.seed - The seed (random and logged if omitted)
+   * @param {string} options.priceProcess - The default price process (random_walk, trending, jump)
+   * @param {Object} options.processOptions - Overrides for the price process parameters
+   */
+  constructor({ seed = SIMULATION_SEED, priceProcess = SIMULATION_PRICE_PROCESS, processOptions = {} } = {}) {
+    if (!PRICE_PROCESSES[priceProcess]) {
+      throw new Error(`Unknown price process: ${priceProcess}`);
+    }
+
+    this.priceProcess = priceProcess;
+    this.processOptions = { ...DEFAULT_PROCESS_OPTIONS, ...processOptions };
+    this.assetProcesses = new Map();
+    this.reset(seed);
+  }
+
+  /**
+   * Restart every random stream from a seed and forget simulated prices
+   * @param {number|string} seed - The seed (random and logged if omitted)
+   */
+  reset(seed) {
+    this.seed = seed !== undefined && seed !== null ? seed : Date.now();
+    this.streams = new Map();
+    this.prices = new Map();
+
+    if (seed === undefined || seed === null) {
+      logger.info(`Market simulator seeded with ${this.seed} (set SIMULATION_SEED to replay)`);
+    }
+  }
+
+  /**
+   * Draw a random number from a named stream
+   * @param {string} stream - The stream name
+   * @return {number} A float in [0, 1)
+   */
+  random(stream = 'default') {
+    return this.getStream(stream)();
+  }
+
+  /**
+   * Draw a uniformly distributed number from a named stream
+   * @param {number} min - The lower bound
+   * @param {number} max - The upper bound
+   * @param {string} stream - The stream name
+   * @return {number} A float in [min, max)
+   */
+  uniform(min, max, stream = 'default') {
+    return min + this.random(stream) * (max - min);
+  }
+
+  /**
+   * Configure the price process of a single asset
+   * @param {string} assetId - The asset identifier
+   * @param {string} process - The price process (random_walk, trending, jump)
+   * @param {Object} options - Overrides for the price process parameters
+   */
+  setPriceProcess(assetId, process, options = {}) {
+    if (!PRICE_PROCESSES[process]) {
+      throw new Error(`Unknown price process: ${process}`);
+    }
+
+    this.assetProcesses.set(assetId, {
+      process,
+      options: { ...this.processOptions, ...options }
+    });
+  }
+
+  /**
+   * Get the simulated price of an asset, starting it if unknown
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional starting price
+   * @return {number} The simulated price
+   */
+  getPrice(assetId, referencePrice) {
+    if (!this.prices.has(assetId)) {
+      // Random price between 10 and 1000 unless a reference price is known
+      const price = referencePrice > 0 ? Number(referencePrice) : this.uniform(10, 1000, `price:${assetId}`);
+      this.prices.set(assetId, price);
+    }
+
+    return this.prices.get(assetId);
+  }
+
+  /**
+   * Set the simulated price of an asset
+   * @param {string} assetId - The asset identifier
+   * @param {number} price - The new price
+   */
+  setPrice(assetId, price) {
+    this.prices.set(assetId, price);
+  }
+
+  /**
+   * Advance the price of an asset by one step of its price process
+   * @param {string} assetId - The asset identifier
+   * @return {number} The new price
+   */
+  step(assetId) {
+    const { process, options } = this.assetProcesses.get(assetId) || {
+      process: this.priceProcess,
+      options: this.processOptions
+    };
+
+    const price = this.getPrice(assetId);
+    const stepReturn = PRICE_PROCESSES[process](this.getStream(`price:${assetId}`), options);
+
+    // Prices never go below a tiny positive floor
+    const newPrice = Math.max(price * (1 + stepReturn), 1e-8);
+    this.prices.set(assetId, newPrice);
+
+    return newPrice;
+  }
+
+  /**
+   * Advance every known asset by one step
+   * @return {Object} The new prices by asset ID
+   */
+  stepAll() {
+    const prices = {};
+    for (const assetId of Array.from(this.prices.keys()).sort()) {
+      prices[assetId] = this.step(assetId);
+    }
+    return prices;
+  }
+
+  /**
+   * Generate an order book around the simulated price of an asset
+   * @param {string} assetId - The asset identifier
+   * @param {number|Decimal} referencePrice - Optional starting price if the asset is unknown
+   * @param {number} levels - The number of levels per side
+   * @param {string} venue - Optional venue name; each venue draws its own book around the same price
+   * @return {Object} The order book with bids and asks
+   */
+  generateOrderBook(assetId, referencePrice, levels = 20, venue = null) {
+    const stream = venue ? `book:${venue}:${assetId}` : `book:${assetId}`;
+    const basePrice = this.getPrice(assetId, referencePrice);
+    const bids = [];
+    const asks = [];
+
+    // Generate levels of bids (buys) at decreasing prices
+    for (let i = 0; i < levels; i++) {
+      const price = basePrice * (1 - 0.001 * i - this.random(stream) * 0.001);
+      const quantity = this.uniform(10, 100, stream); // 10-100 quantity
+      bids.push([price.toFixed(8), quantity.toFixed(8)]);
+    }
+
+    // Generate levels of asks (sells) at increasing prices
+    for (let i = 0; i < levels; i++) {
+      const price = basePrice * (1 + 0.001 * i + this.random(stream) * 0.001);
+      const quantity = this.uniform(10, 100, stream); // 10-100 quantity
+      asks.push([price.toFixed(8), quantity.toFixed(8)]);
+    }
+
+    // Sort bids in descending order (highest price first)
+    bids.sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]));
+
+    // Sort asks in ascending order (lowest price first)
+    asks.sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]));
+
+    return {
+      assetId,
+      bids,
+      asks,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get (or create) a named random stream derived from the seed
+   * @param {string} stream - The stream name
+   * @return {Function} The random stream
+   * @private
+   */
+  getStream(stream) {
+    if (!this.streams.has(stream)) {
+      this.streams.set(stream, createRng(`${this.seed}:${stream}`));
+    }
+    return this.streams.get(stream);
+  }
+}
+
+MarketSimulator.PRICE_PROCESSES = Object.keys(PRICE_PROCESSES);
+
+module.exports = MarketSimulator;
@@ -1,6 +1,8 @@
 const logger = require('../utils/logger');
 const { sleep } = require('../utils/helpers');
 const { RATE_LIMIT_WINDOW_MS } = require('../utils/constants');
+const Decimal = require('../utils/Decimal');
+const BasketReconciler = require('./BasketReconciler');
 
 /**
  * Processes orders and handles execution logic
@@ -10,16 +12,23 @@ class OrderProcessor {
    * Create a new order processor
    * @param {Object} queueManager - The queue manager instance
    * @param {Object} liquidityAnalyzer - The liquidity analyzer instance
-   * @param {Object} binanceAdapter - The Binance API adapter
+   * @param {Object} exchangeAdapter - The exchange adapter
    * @param {Object} rebalanceManager - The rebalance manager
    * @param {Map<string, Index>} indices - Map of indices by ID
+   * @param {Map<string, Position>} positions - Map of positions by ID, limiting sells to the units held (null for no limit)
+   * @param {StateStore} stateStore - Optional store persisting state after each batch
+   * @param {BasketReconciler} basketReconciler - Reconciles the asset legs of each execution
    */
-  constructor(queueManager, liquidityAnalyzer, binanceAdapter, rebalanceManager, indices) {
+  constructor(queueManager, liquidityAnalyzer, exchangeAdapter, rebalanceManager, indices, positions = null, stateStore = null, basketReconciler = new BasketReconciler()) {
     this.queueManager = queueManager;
     this.liquidityAnalyzer = liquidityAnalyzer;
-    this.binanceAdapter = binanceAdapter;
+    this.exchangeAdapter = exchangeAdapter;
     this.rebalanceManager = rebalanceManager;
     this.indices = indices;
+    this.positions = positions;
+    this.stateStore = stateStore;
+    this.basketReconciler = basketReconciler;
+    this.activePasses = new Map(); // positionId -> reconciled execution in flight, see executeBasket()
     this.isRunning = false;
     this.processingInterval = null;
   }
@@ -67,22 +76,27 @@ class OrderProcessor {
       return;
     }
     
-    // Get the next batch of orders to process
-    const batch = await this.queueManager.getNextBatch(this.liquidityAnalyzer, this.indices);
-    
-    if (batch.length === 0) {
-      logger.debug('No orders to process in this batch');
-      return;
-    }
-    
-    logger.info(`Processing batch of ${batch.length} orders`);
-    
     try {
+      // Get the next batch of orders to process
+      const batch = await this.queueManager.getNextBatch(this.liquidityAnalyzer, this.indices);
+      
+      if (batch.length === 0) {
+        logger.debug('No orders to process in this batch');
+        return;
+      }
+      
+      logger.info(`Processing batch of ${batch.length} orders`);
+      
       // Process each order in the batch
       const processedOrders = await Promise.all(batch.map(order => this.processOrder(order)));
       
       // Mark the batch as completed
       this.queueManager.completeBatch(processedOrders);
+
+      // Persist the results of the batch
+      if (this.stateStore) {
+        this.stateStore.flush();
+      }
     } catch (error) {
       logger.error(`Error processing batch: ${error.message}`);
     }
@@ -97,14 +111,27 @@ class OrderProcessor {
     logger.info(`Processing order ${order.id} (type: ${order.type}, position: ${order.positionId})`);
     
     try {
+      // Good-till-date orders past their expiry are not worked any more
+      if (order.isExpired()) {
+        logger.info(`Order ${order.id} expired at ${new Date(order.expiresAt).toISOString()}`);
+        order.updateStatus('expired', { reason: 'Good-till-date reached' });
+        return order;
+      }
+      
+      // A cancel requested while the order was in a batch takes effect now
+      if (order.cancelRequested) {
+        order.updateStatus('canceled', { reason: 'Canceled by request' });
+        return order;
+      }
+      
       order.updateStatus('processing');
       
       switch (order.type) {
         case 'buy':
-          await this.processBuyOrder(order);
+          await (order.isSliced() ? this.processSlicedOrder(order) : this.processBuyOrder(order));
           break;
         case 'sell':
-          await this.processSellOrder(order);
+          await (order.isSliced() ? this.processSlicedOrder(order) : this.processSellOrder(order));
           break;
         case 'cancel':
           await this.processCancelOrder(order);
@@ -117,7 +144,9 @@ class OrderProcessor {
       }
     } catch (error) {
       logger.error(`Error processing order ${order.id}: ${error.message}`);
-      order.updateStatus('failed', { execution: { error: error.message } });
+      if (!order.isComplete()) {
+        order.updateStatus('failed', { execution: { error: error.message } });
+      }
     }
     
     return order;
@@ -135,16 +164,15 @@ class OrderProcessor {
     }
     
     // Check if the order is triggerable (limit price >= current price for buy)
+    // Market orders execute at whatever the book offers within their slippage band
     const currentPrice = index.getCurrentPrice();
     
-    if (order.indexPrice < currentPrice) {
+    if (!order.isMarket() && order.indexPrice.lt(currentPrice)) {
       logger.info(`Buy order ${order.id} not triggerable (limit: ${order.indexPrice}, current: ${currentPrice})`);
-      return order.updateStatus('pending', { 
-        execution: { 
-          message: 'Price condition not met',
-          currentPrice,
-          limitPrice: order.indexPrice
-        } 
+      return this.restOrder(order, {
+        message: 'Price condition not met',
+        currentPrice,
+        limitPrice: order.indexPrice
       });
     }
     
@@ -152,47 +180,40 @@ class OrderProcessor {
     const liquidityResult = await this.liquidityAnalyzer.analyzeOrderLiquidity(
       order, 
       index,
-      this.binanceAdapter
+      this.exchangeAdapter
     );
     
-    if (liquidityResult.fillablePercent === 0) {
+    if (!Decimal.from(liquidityResult.fillablePercent).isPositive()) {
       logger.info(`Buy order ${order.id} has no fillable liquidity`);
-      return order.updateStatus('pending', {
-        execution: {
-          message: 'No fillable liquidity',
-          liquidityAnalysis: liquidityResult
-        }
+      return this.restOrder(order, {
+        message: 'No fillable liquidity',
+        liquidityAnalysis: liquidityResult
+      });
+    }
+    
+    // A cancel may have arrived while the liquidity was analyzed
+    if (order.cancelRequested) {
+      logger.info(`Buy order ${order.id} canceled before execution`);
+      order.updateStatus('canceled', { reason: 'Canceled by request' });
+      return order;
+    }
+    
+    // Fill-or-kill orders only execute if the whole quantity is fillable
+    if (order.timeInForce === 'FOK' && !liquidityResult.fullyFillable) {
+      logger.info(`FOK buy order ${order.id} not fully fillable (${liquidityResult.fillablePercent.toFixed(2)}%)`);
+      return this.restOrder(order, {
+        message: 'Not fully fillable',
+        liquidityAnalysis: liquidityResult
       });
     }
     
-    // Execute the order on Binance
+    // Execute the order on the exchange
     try {
-      const executionResult = await this.binanceAdapter.executeOrder(
-        'buy',
-        liquidityResult.assetOrders,
-        order.positionId
-      );
-      
-      // Calculate fill percentage and loss
-      const fillPercentage = executionResult.filled / order.quantity * 100;
-      const loss = executionResult.loss;
+      const executionResult = await this.executeBasket(order, 'buy', liquidityResult);
       
-      // Update the order status
-      if (fillPercentage >= 99.5) {
-        order.updateStatus('filled', {
-          fillPercentage: 100,
-          loss,
-          execution: executionResult
-        });
-      } else {
-        order.updateStatus('partially_filled', {
-          fillPercentage,
-          loss,
-          execution: executionResult
-        });
-      }
+      this.recordExecution(order, liquidityResult, executionResult);
       
-      logger.info(`Buy order ${order.id} executed (fill: ${fillPercentage.toFixed(2)}%, loss: ${loss.toFixed(2)})`);
+      logger.info(`Buy order ${order.id} executed (fill: ${order.fillPercentage.toFixed(2)}%, loss: ${order.loss.toFixed(2)})`);
     } catch (error) {
       logger.error(`Error executing buy order ${order.id}: ${error.message}`);
       order.updateStatus('failed', {
@@ -217,63 +238,64 @@ class OrderProcessor {
     // Check if the order is triggerable (limit price <= current price for sell)
     const currentPrice = index.getCurrentPrice();
     
-    if (order.indexPrice > currentPrice) {
+    if (!order.isMarket() && order.indexPrice.gt(currentPrice)) {
       logger.info(`Sell order ${order.id} not triggerable (limit: ${order.indexPrice}, current: ${currentPrice})`);
-      return order.updateStatus('pending', { 
-        execution: { 
-          message: 'Price condition not met',
-          currentPrice,
-          limitPrice: order.indexPrice
-        } 
+      return this.restOrder(order, {
+        message: 'Price condition not met',
+        currentPrice,
+        limitPrice: order.indexPrice
       });
     }
     
-    // Analyze liquidity and determine how much we can fill
+    // Holdings were checked when the sell was placed, fills and prices have moved since
+    const sellableUnits = this.getSellableUnits(order, currentPrice);
+    
+    if (sellableUnits !== null && !sellableUnits.isPositive()) {
+      logger.warn(`Sell order ${order.id} canceled: position ${order.positionId} has no units left to sell`);
+      order.updateStatus('canceled', { reason: 'Insufficient holdings: no units left to sell' });
+      return order;
+    }
+    
+    // Analyze liquidity and determine how much we can fill, at most the units held
     const liquidityResult = await this.liquidityAnalyzer.analyzeOrderLiquidity(
       order, 
       index,
-      this.binanceAdapter,
-      'sell'
+      this.exchangeAdapter,
+      'sell',
+      sellableUnits
     );
     
-    if (liquidityResult.fillablePercent === 0) {
+    if (!Decimal.from(liquidityResult.fillablePercent).isPositive()) {
       logger.info(`Sell order ${order.id} has no fillable liquidity`);
-      return order.updateStatus('pending', {
-        execution: {
-          message: 'No fillable liquidity',
-          liquidityAnalysis: liquidityResult
-        }
+      return this.restOrder(order, {
+        message: 'No fillable liquidity',
+        liquidityAnalysis: liquidityResult
+      });
+    }
+    
+    // A cancel may have arrived while the liquidity was analyzed
+    if (order.cancelRequested) {
+      logger.info(`Sell order ${order.id} canceled before execution`);
+      order.updateStatus('canceled', { reason: 'Canceled by request' });
+      return order;
+    }
+    
+    // Fill-or-kill orders only execute if the whole quantity is fillable and held
+    if (order.timeInForce === 'FOK' && (!liquidityResult.fullyFillable || liquidityResult.limitedByUnits)) {
+      logger.info(`FOK sell order ${order.id} not fully fillable (${liquidityResult.fillablePercent.toFixed(2)}%)`);
+      return this.restOrder(order, {
+        message: 'Not fully fillable',
+        liquidityAnalysis: liquidityResult
       });
     }
     
-    // Execute the order on Binance
+    // Execute the order on the exchange
     try {
-      const executionResult = await this.binanceAdapter.executeOrder(
-        'sell',
-        liquidityResult.assetOrders,
-        order.positionId
-      );
+      const executionResult = await this.executeBasket(order, 'sell', liquidityResult);
       
-      // Calculate fill percentage and loss
-      const fillPercentage = executionResult.filled / order.quantity * 100;
-      const loss = executionResult.loss;
+      this.recordExecution(order, liquidityResult, executionResult);
       
-      // Update the order status
-      if (fillPercentage >= 99.5) {
-        order.updateStatus('filled', {
-          fillPercentage: 100,
-          loss,
-          execution: executionResult
-        });
-      } else {
-        order.updateStatus('partially_filled', {
-          fillPercentage,
-          loss,
-          execution: executionResult
-        });
-      }
-      
-      logger.info(`Sell order ${order.id} executed (fill: ${fillPercentage.toFixed(2)}%, loss: ${loss.toFixed(2)})`);
+      logger.info(`Sell order ${order.id} executed (fill: ${order.fillPercentage.toFixed(2)}%, loss: ${order.loss.toFixed(2)})`);
     } catch (error) {
       logger.error(`Error executing sell order ${order.id}: ${error.message}`);
       order.updateStatus('failed', {
@@ -285,93 +307,428 @@ class OrderProcessor {
   }
 
   /**
-   * Process a cancel order
-   * @param {Order} order - The cancel order to process
+   * Get the index units a sell may trade when it executes
+   * The units held minus what the other sells of the position reserve,
+   * valued at the current price. Short sells are not limited.
+   * @param {Order} order - The sell order, or a slice of one
+   * @param {Decimal} currentPrice - The current index price
+   * @return {Decimal|null} The units the sell may trade, null if it is not limited
+   * @private
    */
-  async processCancelOrder(order) {
-    // Find the order to cancel
-    const orderToCancel = this.queueManager.getOrderByPositionId(order.positionId);
+  getSellableUnits(order, currentPrice) {
+    if (order.short || this.positions === null) {
+      return null;
+    }
     
-    if (!orderToCancel) {
-      logger.warn(`Order to cancel with position ID ${order.positionId} not found`);
-      order.updateStatus('failed', {
-        execution: { error: `Order with position ID ${order.positionId} not found` }
+    const position = this.positions.get(order.positionId);
+    if (!position) {
+      return Decimal.ZERO;
+    }
+    
+    return Decimal.max(0, position.getAvailableUnits(currentPrice, [order.id, order.parentId]));
+  }
+
+  /**
+   * Process the due slice of a TWAP, VWAP, POV or iceberg order
+   * The slice is worked as an IOC child order through the regular buy or sell
+   * flow, then its fills and loss are aggregated into the parent. What the
+   * child could not fill is carried into the next slice. The parent rests in
+   * its queue between slices, and the queue only takes it into a batch when
+   * its next slice is due, so there is at most one child per batch.
+   * POV children take participationRate of the visible book depth, and no
+   * child is larger than the iceberg display size.
+   * @param {Order} order - The parent buy or sell order
+   * @return {Order} The parent order
+   */
+  async processSlicedOrder(order) {
+    const now = Date.now();
+    order.startSchedule(now);
+    
+    const slice = order.getCurrentSlice(now);
+    const label = order.isScheduled() ? `${slice + 1}/${order.sliceCount}` : `${slice + 1}`;
+    
+    if (!order.isSliceDue(now)) {
+      return this.restOrder(order, {
+        message: 'Next slice not due',
+        nextSliceAt: order.getNextSliceAt(now)
       });
+    }
+    
+    // Sliced sells stop once the position has nothing left to sell
+    const index = this.indices.get(order.indexId);
+    const sellableUnits = order.isSell() && index ? this.getSellableUnits(order, index.getCurrentPrice()) : null;
+    
+    if (sellableUnits !== null && !sellableUnits.isPositive()) {
+      logger.warn(`Sell order ${order.id} canceled: position ${order.positionId} has no units left to sell`);
+      order.updateStatus('canceled', { reason: 'Insufficient holdings: no units left to sell' });
       return order;
     }
     
-    // Check the order status
-    if (orderToCancel.isComplete()) {
-      logger.info(`Order ${orderToCancel.id} already completed, cannot cancel`);
+    let due = order.getSliceDue(now);
+    
+    if (order.algorithm === 'pov') {
+      due = Decimal.min(due, await this.getParticipationSize(order));
+    }
+    
+    if (order.displaySize !== null) {
+      due = Decimal.min(due, order.displaySize);
+    }
+    
+    if (!due.isPositive()) {
+      logger.info(`No visible depth for slice ${label} of order ${order.id}`);
+      return this.restOrder(order, { message: 'No visible depth' });
+    }
+    
+    const child = order.createSlice(due, now);
+    logger.info(`Working slice ${label} of ${order.algorithm || 'iceberg'} order ${order.id} as ${child.id} (${order.isNotional() ? 'notional' : 'qty'}: ${due})`);
+    
+    await this.processOrder(child);
+    order.recordSlice(child);
+    
+    const execution = {
+      message: `Slice ${label} ${child.status}`,
+      slice: order.slices[order.slices.length - 1],
+      nextSliceAt: order.getNextSliceAt(now)
+    };
+    
+    // Close out orders within rounding distance of their size
+    if (order.fillPercentage.gte(99.5)) {
+      order.updateStatus('filled', { fillPercentage: 100, execution });
+      logger.info(`Order ${order.id} filled over ${order.slices.length} slices (loss: ${order.loss.toFixed(2)})`);
+      return order;
+    }
+    
+    return this.restOrder(order, execution);
+  }
+
+  /**
+   * Size a POV child at the participation rate of the visible depth
+   * @param {Order} order - The POV order
+   * @return {Decimal} The child size in the unit of the order
+   * @throws {Error} If the index of the order does not exist
+   * @private
+   */
+  async getParticipationSize(order) {
+    const index = this.indices.get(order.indexId);
+    
+    if (!index) {
+      throw new Error(`Index ${order.indexId} not found`);
+    }
+    
+    const { indexUnits } = await this.liquidityAnalyzer.getVisibleDepth(order, index, this.exchangeAdapter);
+    const participation = Decimal.from(indexUnits).times(order.participationRate).div(100);
+    
+    return order.isNotional() ? participation.times(index.getCurrentPrice()) : participation;
+  }
+
+  /**
+   * Execute the asset legs of an order and reconcile them with the index weights
+   * Legs that drifted apart beyond the tolerance are topped up or unwound, and
+   * whatever is left beyond the complete baskets is kept as the order's residual
+   * @param {Order} order - The order being executed
+   * @param {string} side - The order side (buy/sell)
+   * @param {Object} liquidityResult - The liquidity analysis with the asset orders
+   * @return {Object} The reconciled execution result
+   * @private
+   */
+  async executeBasket(order, side, liquidityResult) {
+    // A cancel of the position waits for the reconciliation to report its unwinds
+    const pass = this.exchangeAdapter.executeOrder(side, liquidityResult.assetOrders, order.positionId)
+      .then(executionResult => this.basketReconciler.reconcile(side, executionResult, order.positionId, this.exchangeAdapter));
+    this.activePasses.set(order.positionId, pass);
+    
+    let reconciled;
+    try {
+      reconciled = await pass;
+    } finally {
+      if (this.activePasses.get(order.positionId) === pass) {
+        this.activePasses.delete(order.positionId);
+      }
+    }
+    
+    order.recordResidual(reconciled.reconciliation.residualLegs);
+    
+    // Only the baskets that filled leave their rounding residue behind
+    order.recordRoundingResidue((liquidityResult.roundingResidue || []).map(({ assetId, quantity }) => ({
+      assetId,
+      quantity: Decimal.from(quantity).times(reconciled.filled).div(100)
+    })));
+    
+    return reconciled;
+  }
+
+  /**
+   * Put an order that could not be worked back to rest in its queue
+   * Orders with earlier fills stay partially filled; IOC and FOK orders and
+   * orders with a cancel requested are canceled instead
+   * @param {Order} order - The order to rest
+   * @param {Object} execution - Why the order was not worked
+   * @return {Order} The order
+   * @private
+   */
+  restOrder(order, execution) {
+    if (order.cancelRequested) {
+      order.updateStatus('canceled', { reason: 'Canceled by request', execution });
+      return order;
+    }
+    
+    // IOC and FOK orders never rest
+    if (order.isImmediate()) {
+      order.updateStatus('canceled', {
+        reason: `${order.timeInForce}: ${execution.message}`,
+        execution
+      });
+      return order;
+    }
+    
+    order.updateStatus(order.filledQuantity.isPositive() ? 'partially_filled' : 'pending', {
+      reason: execution.message,
+      execution
+    });
+    return order;
+  }
+
+  /**
+   * Record the execution of the remaining quantity of an order
+   * The asset orders were already scaled to the fillable part of the remaining
+   * quantity, so this pass fills the fillable percentage times the execution
+   * fill rate of it. Fill percentage and loss accumulate over all passes.
+   * Notional orders measure their fill percentage by the quote amount spent.
+   * @param {Order} order - The executed order
+   * @param {Object} liquidityResult - The liquidity analysis the execution was based on
+   * @param {Object} executionResult - The execution result of the exchange
+   * @private
+   */
+  recordExecution(order, liquidityResult, executionResult) {
+    if (order.isNotional()) {
+      return this.recordNotionalExecution(order, liquidityResult, executionResult);
+    }
+    
+    const remainingQuantity = order.getRemainingQuantity();
+    const passPercentage = Decimal.from(liquidityResult.fillablePercent).times(executionResult.filled).div(100);
+    // Sells limited to the units held analyzed less than the remaining quantity
+    const passBase = liquidityResult.limitedByUnits ? Decimal.from(liquidityResult.targetQuantity) : remainingQuantity;
+    const passQuantity = passBase.times(passPercentage).div(100);
+    const fillPercentage = order.filledQuantity.plus(passQuantity).div(order.quantity).times(100);
+    
+    // Close out orders within rounding distance of their quantity
+    const isFilled = fillPercentage.gte(99.5);
+    const fillQuantity = isFilled ? remainingQuantity : passQuantity;
+    
+    order.updateStatus(isFilled ? 'filled' : 'partially_filled', {
+      fillPercentage: isFilled ? 100 : fillPercentage,
+      ...this.accumulateLoss(order, executionResult),
+      fill: this.buildFill(fillQuantity, executionResult),
+      execution: executionResult
+    });
+    
+    this.cancelRemainder(order);
+  }
+
+  /**
+   * Record the execution of a notional order
+   * The liquidity analysis converted the remaining notional into index units
+   * at the current price; the fill is that many units times the pass rate,
+   * valued at the prices actually traded.
+   * @param {Order} order - The executed order
+   * @param {Object} liquidityResult - The liquidity analysis the execution was based on
+   * @param {Object} executionResult - The execution result of the exchange
+   * @private
+   */
+  recordNotionalExecution(order, liquidityResult, executionResult) {
+    const passPercentage = Decimal.from(liquidityResult.fillablePercent).times(executionResult.filled).div(100);
+    const fill = this.buildFill(Decimal.from(liquidityResult.targetQuantity).times(passPercentage).div(100), executionResult);
+    const spent = order.filledNotional.plus(fill ? fill.quantity.times(fill.price) : 0);
+    const fillPercentage = Decimal.min(100, spent.div(order.notional).times(100));
+    
+    // Close out orders within rounding distance of their notional
+    const isFilled = fillPercentage.gte(99.5);
+    
+    order.updateStatus(isFilled ? 'filled' : 'partially_filled', {
+      fillPercentage: isFilled ? 100 : fillPercentage,
+      ...this.accumulateLoss(order, executionResult),
+      fill,
+      execution: executionResult
+    });
+    
+    this.cancelRemainder(order);
+  }
+
+  /**
+   * Add the loss of an execution pass to the loss of an order
+   * The loss is broken out into the fees and the slippage
+   * @param {Order} order - The executed order
+   * @param {Object} executionResult - The execution result of the exchange
+   * @return {{loss: Decimal, fees: Decimal, slippageLoss: Decimal}} The accumulated loss
+   * @private
+   */
+  accumulateLoss(order, executionResult) {
+    const fees = Decimal.from(executionResult.fees || 0);
+    const slippageLoss = executionResult.slippageLoss !== undefined
+      ? executionResult.slippageLoss
+      : fees.neg().plus(executionResult.loss);
+    
+    return {
+      loss: order.loss.plus(executionResult.loss),
+      fees: order.fees.plus(fees),
+      slippageLoss: order.slippageLoss.plus(slippageLoss)
+    };
+  }
+
+  /**
+   * Cancel the unfilled remainder of an order after an execution pass
+   * IOC and FOK orders never rest, and orders with a cancel requested while
+   * the pass was in flight stop here
+   * @param {Order} order - The executed order
+   * @private
+   */
+  cancelRemainder(order) {
+    if (order.isComplete()) {
+      return;
+    }
+    
+    if (order.cancelRequested) {
+      order.updateStatus('canceled', { reason: 'Canceled by request: unfilled remainder canceled' });
+    } else if (order.isImmediate()) {
+      order.updateStatus('canceled', { reason: `${order.timeInForce}: unfilled remainder canceled` });
+    }
+  }
+
+  /**
+   * Build the fill of an order execution in index units
+   * The price per index unit is the notional traded across all assets
+   * divided by the index units filled
+   * @param {Decimal} quantity - The index units filled
+   * @param {Object} executionResult - The execution result of the exchange
+   * @return {Object|undefined} The fill, or undefined if nothing was filled
+   * @private
+   */
+  buildFill(quantity, executionResult) {
+    if (!quantity.isPositive()) {
+      return undefined;
+    }
+    
+    const notional = Decimal.sum(executionResult.assets.map(asset => asset.notional || 0));
+    
+    return {
+      quantity,
+      price: notional.div(quantity),
+      fee: Decimal.from(executionResult.fees || 0)
+    };
+  }
+
+  /**
+   * Process a cancel order
+   * A resting order is taken off its queue. An order in the running batch is
+   * flagged and its execution stopped at the exchange: legs already sent keep
+   * their fills, the others are pulled, and the processor working the order
+   * cancels its remainder once that pass settles. The filled legs are then
+   * reconciled like any execution, so the cancel reports the legs unwound
+   * back to complete baskets along with the filled and unsent legs.
+   * @param {Order} order - The cancel order to process
+   */
+  async processCancelOrder(order) {
+    // Find the open order of the position
+    const orderToCancel = this.queueManager.getOpenOrder(order.positionId);
+    
+    if (!orderToCancel) {
+      logger.warn(`No open order to cancel for position ${order.positionId}`);
       order.updateStatus('failed', {
-        execution: { 
-          error: `Order ${orderToCancel.id} already completed with status ${orderToCancel.status}` 
-        }
+        execution: { error: `No open order found for position ${order.positionId}` }
       });
       return order;
     }
     
-    // If the order is still in the queue (not processing), simply remove it
-    if (orderToCancel.status === 'pending') {
-      this.queueManager.removeOrderByPositionId(order.positionId);
+    // If the order is resting in the queue (not in the batch), simply remove it
+    // Fills of a partially filled order are kept
+    if (!this.queueManager.isOrderProcessing(orderToCancel)) {
+      this.queueManager.removeOrder(orderToCancel);
       orderToCancel.updateStatus('canceled', {
+        reason: 'Canceled by request',
         execution: { message: 'Order canceled while in queue' }
       });
       
       order.updateStatus('filled', {
         execution: { 
           message: `Successfully canceled order ${orderToCancel.id}`,
-          canceledOrder: orderToCancel.toObject()
+          canceledOrder: orderToCancel.toObject(),
+          canceledQuantity: this.getOpenRemainder(orderToCancel)
         }
       });
       
-      logger.info(`Canceled pending order ${orderToCancel.id}`);
+      logger.info(`Canceled resting order ${orderToCancel.id}`);
       return order;
     }
     
-    // If the order is being processed, try to cancel it on Binance
-    if (orderToCancel.status === 'processing') {
-      try {
-        // Get the index for the order
-        const index = this.indices.get(orderToCancel.indexId);
-        if (!index) {
-          throw new Error(`Index ${orderToCancel.indexId} not found`);
+    // The order is being worked: stop its execution on the exchange
+    try {
+      orderToCancel.requestCancel();
+      
+      const stopped = await this.exchangeAdapter.cancelOrder(
+        orderToCancel.positionId,
+        orderToCancel.type
+      );
+      const cancelResult = await this.addReconciliation(stopped, orderToCancel.positionId);
+      
+      order.updateStatus('filled', {
+        execution: {
+          message: `Cancel requested for in-flight order ${orderToCancel.id}`,
+          canceledOrder: orderToCancel.toObject(),
+          cancelResult
         }
-        
-        // Cancel the order on Binance
-        const cancelResult = await this.binanceAdapter.cancelOrder(
-          orderToCancel.positionId,
-          orderToCancel.type
-        );
-        
-        // Update the original order's status
-        orderToCancel.updateStatus('canceled', {
-          fillPercentage: cancelResult.fillPercentage,
-          loss: cancelResult.loss,
-          execution: cancelResult
-        });
-        
-        // Update the cancel order's status
-        order.updateStatus('filled', {
-          execution: {
-            message: `Successfully canceled order ${orderToCancel.id}`,
-            canceledOrder: orderToCancel.toObject(),
-            cancelResult
-          }
-        });
-        
-        logger.info(`Canceled processing order ${orderToCancel.id} (fill: ${cancelResult.fillPercentage.toFixed(2)}%, loss: ${cancelResult.loss.toFixed(2)})`);
-      } catch (error) {
-        logger.error(`Error canceling order ${orderToCancel.id}: ${error.message}`);
-        order.updateStatus('failed', {
-          execution: { error: error.message }
-        });
-      }
+      });
+      
+      logger.info(`Stopped in-flight order ${orderToCancel.id} (${(cancelResult.filledLegs || []).length} legs filled, ${(cancelResult.unsentLegs || []).length} unsent, ${cancelResult.unwoundLegs.length} unwound)`);
+    } catch (error) {
+      logger.error(`Error canceling order ${orderToCancel.id}: ${error.message}`);
+      order.updateStatus('failed', {
+        execution: { error: error.message }
+      });
     }
     
     return order;
   }
 
+  /**
+   * Add the reconciliation of a stopped execution to its cancel result
+   * The pass working the order reconciles the legs that filled; once it
+   * settles, the legs it traded back are reported as unwoundLegs and only
+   * the complete baskets count towards the fill percentage
+   * @param {Object} cancelResult - The cancel result of the exchange
+   * @param {string} positionId - The position ID
+   * @return {Object} The cancel result with the unwound legs
+   * @private
+   */
+  async addReconciliation(cancelResult, positionId) {
+    const pass = this.activePasses.get(positionId);
+    // The pass reports its own errors, the cancel keeps what the exchange reported
+    const reconciled = pass ? await pass.catch(() => null) : null;
+    
+    if (!reconciled || !reconciled.reconciliation) {
+      return { ...cancelResult, unwoundLegs: [] };
+    }
+    
+    return {
+      ...cancelResult,
+      unwoundLegs: reconciled.reconciliation.unwinds,
+      fillPercentage: reconciled.filled,
+      loss: reconciled.loss,
+      fees: reconciled.fees
+    };
+  }
+
+  /**
+   * Get the open remainder of an order in its own unit
+   * @param {Order} order - The order
+   * @return {Object} The unfilled quantity or notional
+   * @private
+   */
+  getOpenRemainder(order) {
+    return order.isNotional()
+      ? { notional: order.getRemainingNotional() }
+      : { quantity: order.getRemainingQuantity() };
+  }
+
   /**
    * Process a rebalance order
    * @param {Order} order - The rebalance order to process
@@ -384,19 +741,30 @@ class OrderProcessor {
     }
     
     try {
-      // Get the rebalance plan from the rebalance manager
-      const rebalancePlan = await this.rebalanceManager.createRebalancePlan(index, this.binanceAdapter);
+      let rebalancePlan;
+      let rebalanceResult;
       
-      // Execute the rebalance
-      const rebalanceResult = await this.rebalanceManager.executeRebalance(
-        index,
-        rebalancePlan,
-        this.binanceAdapter
-      );
+      if (order.rebalancePreviewId) {
+        // Execute the plan approved from a preview, if the market still fits it
+        rebalanceResult = await this.rebalanceManager.executePreview(index, order.rebalancePreviewId, this.exchangeAdapter);
+        rebalancePlan = this.rebalanceManager.getPreview(order.rebalancePreviewId).plan;
+      } else {
+        // Get the rebalance plan from the rebalance manager
+        rebalancePlan = await this.rebalanceManager.createRebalancePlan(index, this.exchangeAdapter, order.rebalanceTarget);
+        
+        // Execute the rebalance
+        rebalanceResult = await this.rebalanceManager.executeRebalance(
+          index,
+          rebalancePlan,
+          this.exchangeAdapter
+        );
+      }
       
       // Update the order status
       order.updateStatus('filled', {
         loss: rebalanceResult.totalLoss,
+        fees: rebalanceResult.totalFees,
+        slippageLoss: rebalanceResult.totalSlippageLoss,
         execution: {
           rebalancePlan,
           rebalanceResult
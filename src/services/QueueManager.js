@@ -20,6 +20,7 @@ class QueueManager {
       rebalance: []
     };
     
+    this.stopOrders = []; // Stop orders waiting for their trigger, queued once converted
     this.executionHistory = [];
     this.lastBatchTime = Date.now();
     this.ordersInCurrentBatch = 0;
@@ -36,17 +37,91 @@ class QueueManager {
       return false;
     }
     
+    if (order.isStop()) {
+      this.stopOrders.push(order);
+      logger.info(`Stop order ${order.id} waiting for its trigger (type: ${order.type}, position: ${order.positionId})`);
+      return true;
+    }
+    
     this.queues[order.type].push(order);
     logger.info(`Order ${order.id} queued (type: ${order.type}, position: ${order.positionId})`);
     return true;
   }
 
+  /**
+   * Evaluate waiting stop orders against the current index prices
+   * Triggered stops convert to market or limit orders and join their queue
+   * @param {Map<string, Index>} indices - Map of indices by ID
+   * @return {Array<Order>} The triggered orders
+   */
+  triggerStopOrders(indices) {
+    const triggered = [];
+    const now = Date.now();
+    
+    this.stopOrders = this.stopOrders.filter(order => {
+      const index = indices.get(order.indexId);
+      if (!index) return true;
+      
+      const indexPrice = index.getCurrentPrice();
+      if (!order.checkStopTrigger(indexPrice)) return true;
+      
+      order.triggerStop(indexPrice, now);
+      this.queues[order.type].push(order);
+      triggered.push(order);
+      logger.info(`Stop order ${order.id} triggered at index price ${indexPrice}, queued as ${order.orderType} order`);
+      return false;
+    });
+    
+    return triggered;
+  }
+
+  /**
+   * Amend a resting order in place
+   * Priority rules: reducing the quantity keeps the order's place in its
+   * queue; changing the limit price moves it to the end of its queue, as if
+   * it had been canceled and placed again
+   * @param {Order} order - The order to amend
+   * @param {Object} changes - The changes (indexPrice, quantity)
+   * @return {boolean} True if the order lost its queue priority
+   * @throws {Error} If the order is not resting in a queue or the amendment is not allowed
+   */
+  amendOrder(order, changes) {
+    const queue = order.isStop() ? this.stopOrders : this.queues[order.type];
+    const position = queue ? queue.indexOf(order) : -1;
+    
+    if (position === -1) {
+      throw new Error(`Order ${order.id} is not resting in a queue`);
+    }
+    
+    const priorityReset = order.amend(changes);
+    
+    if (priorityReset) {
+      queue.splice(position, 1);
+      queue.push(order);
+    }
+    
+    logger.info(`Order ${order.id} amended (${priorityReset ? 'moved to the end of the queue' : 'priority kept'})`);
+    return priorityReset;
+  }
+
+  /**
+   * Check if an order has been taken into the batch being processed
+   * @param {Order} order - The order
+   * @return {boolean} True if the order is in a processing list
+   */
+  isOrderProcessing(order) {
+    return Boolean(this.processing[order.type] && this.processing[order.type].includes(order));
+  }
+
   /**
    * Get an order by position ID
    * @param {string} positionId - The position ID to look for
    * @return {Order|null} The order if found, null otherwise
    */
   getOrderByPositionId(positionId) {
+    const stopOrder = this.stopOrders.find(order => order.positionId === positionId);
+    if (stopOrder) return stopOrder;
+    
     // Look in all queues and processing lists
     for (const type of Object.keys(this.queues)) {
       // Check queues
@@ -61,12 +136,62 @@ class QueueManager {
     return null;
   }
 
+  /**
+   * Get the open buy or sell order of a position
+   * Looks at waiting stops, queued and processing orders; finished orders
+   * are in the history and have nothing left to cancel or amend
+   * @param {string} positionId - The position ID to look for
+   * @return {Order|null} The order if found, null otherwise
+   */
+  getOpenOrder(positionId) {
+    const isOpen = order => order.positionId === positionId && !order.isComplete();
+    
+    return this.stopOrders.find(isOpen) ||
+      ['buy', 'sell'].map(type => this.queues[type].find(isOpen) || this.processing[type].find(isOpen)).find(Boolean) ||
+      null;
+  }
+
+  /**
+   * Check if an index has a rebalance order queued or being processed
+   * @param {string} indexId - The index ID
+   * @return {boolean} True if a rebalance of the index is still to come
+   */
+  hasOpenRebalance(indexId) {
+    return [...this.queues.rebalance, ...this.processing.rebalance]
+      .some(order => order.indexId === indexId && !order.isComplete());
+  }
+
+  /**
+   * Remove a resting order from its queue
+   * @param {Order} order - The order to remove
+   * @return {boolean} True if the order was found and removed
+   */
+  removeOrder(order) {
+    const queue = order.isStop() ? this.stopOrders : this.queues[order.type];
+    const position = queue ? queue.indexOf(order) : -1;
+    
+    if (position === -1) {
+      return false;
+    }
+    
+    queue.splice(position, 1);
+    logger.info(`Order ${order.id} removed from queue (type: ${order.type}, position: ${order.positionId})`);
+    return true;
+  }
+
   /**
    * Remove an order from all queues by position ID
    * @param {string} positionId - The position ID to remove
    * @return {Order|null} The removed order if found, null otherwise
    */
   removeOrderByPositionId(positionId) {
+    const stopIndex = this.stopOrders.findIndex(order => order.positionId === positionId);
+    if (stopIndex !== -1) {
+      const removedOrder = this.stopOrders.splice(stopIndex, 1)[0];
+      logger.info(`Stop order ${removedOrder.id} removed (type: ${removedOrder.type}, position: ${removedOrder.positionId})`);
+      return removedOrder;
+    }
+    
     for (const type of Object.keys(this.queues)) {
       const index = this.queues[type].findIndex(order => order.positionId === positionId);
       if (index !== -1) {
@@ -94,6 +219,12 @@ class QueueManager {
     
     // Check if we need to wait for rate limiting
     const now = Date.now();
+    
+    // Good-till-date orders expire even when they are not picked for a batch
+    this.expireOrders(now);
+    
+    // Catch stops whose trigger was reached by price changes since the last batch
+    this.triggerStopOrders(indices);
     const timeSinceLastBatch = now - this.lastBatchTime;
     
     if (timeSinceLastBatch < RATE_LIMIT_WINDOW_MS && this.ordersInCurrentBatch >= RATE_LIMIT) {
@@ -133,14 +264,16 @@ class QueueManager {
     }
     
     // Now prioritize buy and sell orders based on liquidity
+    // TWAP and VWAP orders wait in their queue until their next slice is due
     let buyAndSellOrders = [];
+    const isDue = order => order.isSliceDue(now);
     
     // If we have a liquidity analyzer object with prioritizeOrders method, use it
     if (liquidityAnalyzer && typeof liquidityAnalyzer.prioritizeOrders === 'function') {
       try {
         // Prepare all buy and sell orders for analysis
-        const buyOrders = this.queues.buy.map(order => ({ order, type: 'buy' }));
-        const sellOrders = this.queues.sell.map(order => ({ order, type: 'sell' }));
+        const buyOrders = this.queues.buy.filter(isDue).map(order => ({ order, type: 'buy' }));
+        const sellOrders = this.queues.sell.filter(isDue).map(order => ({ order, type: 'sell' }));
         const allOrders = [...buyOrders, ...sellOrders];
         
         // Get prioritized orders from the analyzer using the correct method
@@ -166,8 +299,11 @@ class QueueManager {
       }
     } else {
       // Simple FIFO if no liquidity analyzer provided
-      const buys = this.queues.buy.splice(0, Math.floor(remainingCapacityAfterRebalances / 2));
-      const sells = this.queues.sell.splice(0, remainingCapacityAfterRebalances - buys.length);
+      const buys = this.queues.buy.filter(isDue).slice(0, Math.floor(remainingCapacityAfterRebalances / 2));
+      const sells = this.queues.sell.filter(isDue).slice(0, remainingCapacityAfterRebalances - buys.length);
+      
+      this.queues.buy = this.queues.buy.filter(order => !buys.includes(order));
+      this.queues.sell = this.queues.sell.filter(order => !sells.includes(order));
       
       this.processing.buy.push(...buys);
       this.processing.sell.push(...sells);
@@ -177,7 +313,9 @@ class QueueManager {
     
     const batch = [...cancellations, ...rebalances, ...buyAndSellOrders];
     this.ordersInCurrentBatch += batch.length;
-    this.isProcessing = true;
+    
+    // An empty batch is never completed, so it must not block the next one
+    this.isProcessing = batch.length > 0;
     
     logger.info(`Prepared batch of ${batch.length} orders (${cancellations.length} cancellations, ${rebalances.length} rebalances, ${buyAndSellOrders.length} buy/sell)`);
     
@@ -185,21 +323,60 @@ class QueueManager {
   }
 
   /**
-   * Mark a batch of orders as completed and move to history
+   * Expire queued good-till-date orders that reached their expiry
+   * @param {number} now - The current timestamp
+   * @return {Array<Order>} The expired orders
+   */
+  expireOrders(now = Date.now()) {
+    const expired = [];
+    
+    const keepUnexpired = order => {
+      if (!order.isExpired(now)) return true;
+      
+      order.updateStatus('expired', { reason: 'Good-till-date reached' });
+      expired.push(order);
+      return false;
+    };
+    
+    for (const type of ['buy', 'sell']) {
+      this.queues[type] = this.queues[type].filter(keepUnexpired);
+    }
+    this.stopOrders = this.stopOrders.filter(keepUnexpired);
+    
+    if (expired.length > 0) {
+      this.executionHistory.push(...expired);
+      logger.info(`Expired ${expired.length} good-till-date orders`);
+    }
+    
+    return expired;
+  }
+
+  /**
+   * Mark a batch of orders as processed
+   * Orders that reached a terminal status move to history; untriggered and
+   * partially filled orders go back to the end of their queue so they are
+   * re-evaluated in the next batches until filled, canceled or expired
    * @param {Array<Order>} completedOrders - The orders that have been processed
    */
   completeBatch(completedOrders) {
-    // Move the completed orders from processing to history
+    let requeued = 0;
+    
     for (const order of completedOrders) {
       const index = this.processing[order.type].findIndex(o => o.id === order.id);
-      if (index !== -1) {
-        this.processing[order.type].splice(index, 1);
+      if (index === -1) continue;
+      
+      this.processing[order.type].splice(index, 1);
+      
+      if (order.isComplete()) {
         this.executionHistory.push(order);
+      } else {
+        this.queues[order.type].push(order);
+        requeued++;
       }
     }
     
     this.isProcessing = false;
-    logger.info(`Completed batch of ${completedOrders.length} orders`);
+    logger.info(`Completed batch of ${completedOrders.length} orders (${requeued} re-queued)`);
   }
 
   /**
@@ -218,6 +395,7 @@ class QueueManager {
     return {
       queued: queueCounts,
       processing: processingCounts,
+      stops: this.stopOrders.length,
       history: this.executionHistory.length,
       ordersInCurrentBatch: this.ordersInCurrentBatch,
       lastBatchTime: this.lastBatchTime,
@@ -225,6 +403,96 @@ class QueueManager {
     };
   }
 
+  /**
+   * Get every order known to the queue manager
+   * @return {Array<Order>} Queued, processing and historical orders
+   */
+  getAllOrders() {
+    const orders = [];
+
+    for (const type of Object.keys(this.queues)) {
+      orders.push(...this.queues[type], ...this.processing[type]);
+    }
+
+    return [...orders, ...this.stopOrders, ...this.executionHistory];
+  }
+
+  /**
+   * Convert the queue state to a simple object for serialization
+   * Orders are referenced by id; they are persisted separately
+   * @return {Object} A plain object representation of the queue state
+   */
+  toObject() {
+    const toIds = orders => orders.map(order => order.id);
+    const queues = {};
+    const processing = {};
+
+    for (const type of Object.keys(this.queues)) {
+      queues[type] = toIds(this.queues[type]);
+      processing[type] = toIds(this.processing[type]);
+    }
+
+    return {
+      queues,
+      processing,
+      stopOrders: toIds(this.stopOrders),
+      executionHistory: toIds(this.executionHistory)
+    };
+  }
+
+  /**
+   * Restore the queue state from a serialized object
+   * Orders of an interrupted batch that were not started yet, and cancel
+   * orders, are put back at the front of their queue. Orders that were
+   * executing may have traded legs the state never recorded, so running them
+   * again could trade those legs twice: they fail and are flagged for
+   * reconciliation with the venue instead.
+   * @param {Object} state - The serialized queue state
+   * @param {Map<string, Order>} ordersById - The restored orders by id
+   */
+  restore(state, ordersById) {
+    const resolve = ids => (ids || []).map(id => ordersById.get(id)).filter(Boolean);
+    const finished = [];
+
+    for (const type of Object.keys(this.queues)) {
+      const interrupted = resolve(state.processing && state.processing[type]);
+
+      const requeued = [];
+      for (const order of interrupted) {
+        // Orders that reached a terminal status before the crash are done
+        if (order.isComplete()) {
+          finished.push(order);
+          continue;
+        }
+
+        if (order.status === 'processing' && order.type !== 'cancel') {
+          const error = 'Interrupted by restart while executing, its legs may have traded: reconcile with the venue';
+          logger.warn(`Order ${order.id} was interrupted while executing, failing it for reconciliation`);
+          order.updateStatus('failed', { reason: error, execution: { error, needsReconciliation: true } });
+          finished.push(order);
+          continue;
+        }
+        
+        logger.warn(`Order ${order.id} was interrupted before executing, re-queueing`);
+        if (order.status === 'processing') {
+          order.updateStatus('pending', { reason: 'Interrupted by restart' });
+        }
+        requeued.push(order);
+      }
+
+      // Queued orders can have been completed on restore, see StateStore.restore()
+      const queued = resolve(state.queues && state.queues[type]);
+      finished.push(...queued.filter(order => order.isComplete()));
+      
+      this.queues[type] = [...requeued, ...queued.filter(order => !order.isComplete())];
+      this.processing[type] = [];
+    }
+
+    this.stopOrders = resolve(state.stopOrders);
+    this.executionHistory = [...resolve(state.executionHistory), ...finished];
+    this.isProcessing = false;
+  }
+
   /**
    * Clear all order queues and processing lists
    */
@@ -234,6 +502,7 @@ class QueueManager {
       this.processing[type] = [];
     }
     
+    this.stopOrders = [];
     this.executionHistory = [];
     this.lastBatchTime = Date.now();
     this.ordersInCurrentBatch = 0;
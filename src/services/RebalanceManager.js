@@ -1,43 +1,63 @@
 const logger = require('../utils/logger');
+const { REBALANCE_WEIGHT_TOLERANCE, REBALANCE_PREVIEW_TTL_MS } = require('../utils/constants');
 const Asset = require('../models/Asset');
+const Decimal = require('../utils/Decimal');
+const LiquidityAnalyzer = require('./LiquidityAnalyzer');
+
+let previewSequence = 0;
 
 /**
  * Manages index rebalancing operations
  */
 class RebalanceManager {
-  constructor() {
+  /**
+   * Create a new rebalance manager
+   * @param {LiquidityAnalyzer} liquidityAnalyzer - Walks the order books for cost estimates
+   */
+  constructor(liquidityAnalyzer = new LiquidityAnalyzer()) {
+    this.liquidityAnalyzer = liquidityAnalyzer;
     this.rebalanceHistory = [];
+    this.previews = new Map(); // Previewed plans by id, see previewRebalance()
   }
 
   /**
    * Create a rebalance plan for an index
+   * The trades take the index from its current composition to the target
    * @param {Index} index - The index to rebalance
-   * @param {Object} binanceAdapter - The Binance API adapter for market data
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @param {Object} target - The target composition as {weights} or {quantities} by asset id,
+   * see getTargetError(); null to rebalance back to the index's target weights
    * @return {Object} The rebalance plan
+   * @throws {Error} If the target is not valid
    */
-  async createRebalancePlan(index, binanceAdapter) {
+  async createRebalancePlan(index, exchangeAdapter, target = null) {
     logger.info(`Creating rebalance plan for index ${index.id}`);
     
     // Get current prices for all assets
-    await this.updateAssetPrices(index, binanceAdapter);
+    await this.updateAssetPrices(index, exchangeAdapter);
     
     const currentPrice = index.getCurrentPrice();
     const currentAssets = index.assets.map(asset => asset.toObject());
+    const rebalanceTarget = target || { weights: index.targetWeights };
     
-    // Simulate rebalance by generating updated weights
-    // In a real implementation, this would come from the ETF manager
-    const newAssets = this.generateRebalanceAssets(index);
+    const error = await this.getTargetError(index, rebalanceTarget, exchangeAdapter);
+    if (error) {
+      throw new Error(`Invalid rebalance target for index ${index.id}: ${error}`);
+    }
+    
+    const newAssets = await this.buildTargetAssets(index, rebalanceTarget, exchangeAdapter);
     
     // Calculate changes for each asset
     const assetChanges = this.calculateAssetChanges(currentAssets, newAssets);
     
     // Calculate estimated costs
-    const estimatedCosts = await this.estimateRebalanceCosts(assetChanges, binanceAdapter);
+    const estimatedCosts = await this.estimateRebalanceCosts(assetChanges, exchangeAdapter);
     
     return {
       indexId: index.id,
       timestamp: Date.now(),
       currentPrice,
+      target: rebalanceTarget,
       currentAssets,
       newAssets,
       assetChanges,
@@ -45,192 +65,479 @@ class RebalanceManager {
     };
   }
 
+  /**
+   * Plan a rebalance without trading and keep the plan for approval
+   * The plan is made on a copy of the index, so previewing leaves its prices
+   * as they are. Turnover is one-way: the larger of the buy and sell notionals
+   * over the basket value (null for a basket worth nothing).
+   * @param {Index} index - The index to rebalance
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @param {Object} target - The target composition, see createRebalancePlan()
+   * @param {number} now - The current time
+   * @return {Object} The preview with its id, plan, turnover and resulting weights
+   * @throws {Error} If the target is not valid
+   */
+  async previewRebalance(index, exchangeAdapter, target = null, now = Date.now()) {
+    this.pruneExpiredPreviews(now);
+    
+    const plan = await this.createRebalancePlan(index.clone(), exchangeAdapter, target);
+    const { totalBuyNotional, totalSellNotional } = plan.estimatedCosts;
+    const basketValue = Decimal.sum(plan.currentAssets.map(asset => asset.quantity.times(asset.currentPrice)));
+    const turnoverNotional = Decimal.max(totalBuyNotional, totalSellNotional);
+    const newValues = plan.newAssets.map(asset => asset.quantity.times(asset.price));
+    const newBasketValue = Decimal.sum(newValues);
+    
+    const preview = {
+      id: `preview_${index.id}_${now}_${++previewSequence}`,
+      indexId: index.id,
+      status: 'pending', // 'approved' once queued for execution, 'executing', then 'executed' or 'failed'
+      tolerancePercent: null, // Set on approval
+      createdAt: now,
+      expiresAt: now + REBALANCE_PREVIEW_TTL_MS,
+      plan,
+      turnover: {
+        notional: turnoverNotional,
+        percent: basketValue.isPositive() ? turnoverNotional.div(basketValue).times(100) : null
+      },
+      resultingWeights: plan.newAssets.reduce((weights, asset, position) => {
+        weights[asset.id] = newBasketValue.isPositive() ? newValues[position].div(newBasketValue) : Decimal.ZERO;
+        return weights;
+      }, {})
+    };
+    
+    this.previews.set(preview.id, preview);
+    logger.info(`Previewed rebalance ${preview.id} (turnover: ${turnoverNotional.toFixed(2)}, estimated cost: ${plan.estimatedCosts.totalCost.toFixed(2)})`);
+    
+    return preview;
+  }
+
+  /**
+   * Get a previewed rebalance
+   * @param {string} previewId - The preview ID
+   * @return {Object|undefined} The preview, see previewRebalance()
+   */
+  getPreview(previewId) {
+    return this.previews.get(previewId);
+  }
+
+  /**
+   * Approve a preview for execution
+   * Only pending previews within REBALANCE_PREVIEW_TTL_MS of their creation
+   * can be approved, and the plan must still fit the market, see
+   * getPreviewError(). The preview is claimed before the market is checked,
+   * so of concurrent approvals only the first gets through; a failed check
+   * releases it again.
+   * @param {Index} index - The index of the preview
+   * @param {Object} preview - The preview
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @param {number} tolerancePercent - The largest price move accepted until it is executed
+   * @param {number} now - The current time
+   * @return {string|null} Why the preview cannot be approved, or null once it is approved
+   */
+  async approvePreview(index, preview, exchangeAdapter, tolerancePercent, now = Date.now()) {
+    if (preview.status !== 'pending') {
+      return `Rebalance preview ${preview.id} is already ${preview.status}`;
+    }
+    
+    if (now > preview.expiresAt) {
+      return `Rebalance preview ${preview.id} expired at ${new Date(preview.expiresAt).toISOString()}`;
+    }
+    
+    preview.status = 'approved';
+    preview.tolerancePercent = tolerancePercent;
+    
+    let error;
+    try {
+      error = await this.getPreviewError(index, preview, exchangeAdapter, tolerancePercent);
+    } finally {
+      // Release the preview if the check failed or could not be made
+      if (error !== null) {
+        preview.status = 'pending';
+        preview.tolerancePercent = null;
+      }
+    }
+    
+    if (error) {
+      return error;
+    }
+    
+    logger.info(`Approved rebalance preview ${preview.id} (tolerance: ${tolerancePercent}%)`);
+    return null;
+  }
+
+  /**
+   * Execute the plan of an approved preview
+   * The preview is claimed before anything is awaited, so a plan is executed
+   * once however many orders ask for it. The plan is checked against the
+   * market again first, so a move between approval and execution beyond the
+   * tolerance fails the rebalance.
+   * @param {Index} index - The index of the preview
+   * @param {string} previewId - The preview ID
+   * @param {Object} exchangeAdapter - The exchange adapter
+   * @return {Object} The rebalance result, see executeRebalance()
+   * @throws {Error} If the preview is unknown, not approved, no longer fits the market or fails to execute
+   */
+  async executePreview(index, previewId, exchangeAdapter) {
+    const preview = this.previews.get(previewId);
+    
+    if (!preview) {
+      throw new Error(`Rebalance preview ${previewId} not found`);
+    }
+    
+    if (preview.status !== 'approved') {
+      throw new Error(`Rebalance preview ${previewId} is ${preview.status}, not approved`);
+    }
+    
+    preview.status = 'executing';
+    
+    try {
+      const error = await this.getPreviewError(index, preview, exchangeAdapter, preview.tolerancePercent);
+      if (error) {
+        throw new Error(error);
+      }
+      
+      const result = await this.executeRebalance(index, preview.plan, exchangeAdapter);
+      preview.status = 'executed';
+      return result;
+    } catch (error) {
+      preview.status = 'failed';
+      throw error;
+    }
+  }
+
+  /**
+   * Get why the plan of a preview no longer fits, if it does not
+   * The index must hold the quantities it held when previewed, and no asset
+   * price may have moved more than the tolerance from the plan's.
+   * @param {Index} index - The index of the preview
+   * @param {Object} preview - The preview
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @param {number} tolerancePercent - The largest price move accepted
+   * @return {string|null} The error message, or null if the plan still fits
+   * @private
+   */
+  async getPreviewError(index, preview, exchangeAdapter, tolerancePercent) {
+    const { currentAssets, assetChanges } = preview.plan;
+    const unchanged = index.assets.length === currentAssets.length && currentAssets.every(previewed => {
+      const asset = index.getAsset(previewed.id);
+      return asset && asset.quantity.eq(previewed.quantity);
+    });
+    
+    if (!unchanged) {
+      return `Index ${index.id} changed since rebalance preview ${preview.id}`;
+    }
+    
+    for (const change of assetChanges) {
+      const constituent = index.getAsset(change.assetId);
+      const orderBook = await exchangeAdapter.getOrderBook(change.assetId, constituent ? constituent.currentPrice : change.newPrice);
+      const movePercent = this.getMidPrice(orderBook).minus(change.newPrice).div(change.newPrice).times(100);
+      
+      if (movePercent.abs().gt(tolerancePercent)) {
+        return `The price of ${change.assetId} moved ${movePercent.toFixed(2)}% since rebalance preview ${preview.id}, beyond the ${tolerancePercent}% tolerance`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Drop previews that can no longer be approved
+   * Approved previews are kept until they are executed.
+   * @param {number} now - The current time
+   * @private
+   */
+  pruneExpiredPreviews(now) {
+    for (const [previewId, preview] of this.previews) {
+      if (!['approved', 'executing'].includes(preview.status) && now > preview.expiresAt) {
+        this.previews.delete(previewId);
+      }
+    }
+  }
+
+  /**
+   * Get the error in a target composition, if any
+   * A target gives either the weight (fractions summing to 1) or the quantity
+   * of each asset after the rebalance; constituents left out or set to zero
+   * are sold off. Assets new to the index must be quoted by the exchange, and
+   * every asset kept must be worth at least the minimum notional of its symbol.
+   * @param {Index} index - The index to rebalance
+   * @param {Object} target - The target as {weights} or {quantities} by asset id
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @return {string|null} The error message, or null if the target is valid
+   */
+  async getTargetError(index, target, exchangeAdapter) {
+    const { weights, quantities } = target || {};
+    const amounts = weights || quantities;
+    
+    if (!amounts || (weights && quantities) || typeof amounts !== 'object' || Array.isArray(amounts)) {
+      return 'target needs either weights or quantities by asset id';
+    }
+    
+    let values;
+    try {
+      values = Object.values(amounts).map(value => Decimal.from(value));
+    } catch (error) {
+      return 'Target weights and quantities must be numbers';
+    }
+    
+    if (values.some(value => value.isNegative())) {
+      return 'Target weights and quantities cannot be negative';
+    }
+    
+    if (!values.some(value => value.isPositive())) {
+      return 'The target must hold at least one asset';
+    }
+    
+    const weightSum = Decimal.sum(values);
+    if (weights && weightSum.minus(1).abs().gt(REBALANCE_WEIGHT_TOLERANCE)) {
+      return `Target weights must sum to 1 (got ${weightSum})`;
+    }
+    
+    if (weights && !index.getBasketValue().isPositive()) {
+      return `Target weights need a basket with a value, index ${index.id} is worth nothing`;
+    }
+    
+    let targetAssets;
+    try {
+      targetAssets = await this.buildTargetAssets(index, target, exchangeAdapter);
+    } catch (error) {
+      return error.message;
+    }
+    
+    for (const asset of targetAssets) {
+      const symbol = await exchangeAdapter.getSymbolInfo(asset.id, asset.price);
+      const value = asset.quantity.times(asset.price);
+      
+      if (value.lt(symbol.minNotional)) {
+        return `Asset ${asset.id} would be worth ${value.toFixed(2)}, below its minimum notional of ${symbol.minNotional}`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Work out the assets of the index after a rebalance to a target
+   * Target weights are applied to the current basket value, so the rebalance
+   * pays for itself before costs. Constituents keep their current price, new
+   * assets are priced at the mid of their order book.
+   * @param {Index} index - The index to rebalance
+   * @param {Object} target - The target as {weights} or {quantities} by asset id
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @return {Array<Object>} The assets held after the rebalance, without those at zero
+   * @throws {Error} If an asset new to the index is not quoted by the exchange
+   * @private
+   */
+  async buildTargetAssets(index, target, exchangeAdapter) {
+    const amounts = target.weights || target.quantities;
+    const basketValue = index.getBasketValue();
+    
+    const assets = await Promise.all(Object.keys(amounts).map(async (assetId) => {
+      const amount = Decimal.from(amounts[assetId]);
+      const constituent = index.getAsset(assetId);
+      const price = constituent ? constituent.currentPrice : await this.getNewAssetPrice(assetId, exchangeAdapter);
+      const quantity = target.weights ? amount.times(basketValue).div(price) : amount;
+      
+      return {
+        id: assetId,
+        quantity,
+        price,
+        initialPrice: price,
+        currentPrice: price
+      };
+    }));
+    
+    return assets.filter(asset => asset.quantity.isPositive());
+  }
+
+  /**
+   * Get the price of an asset new to an index from the exchange
+   * @param {string} assetId - The asset ID
+   * @param {Object} exchangeAdapter - The exchange adapter for market data
+   * @return {Decimal} The mid price
+   * @throws {Error} If the exchange does not quote the asset
+   * @private
+   */
+  async getNewAssetPrice(assetId, exchangeAdapter) {
+    let orderBook;
+    try {
+      orderBook = await exchangeAdapter.getOrderBook(assetId);
+    } catch (error) {
+      throw new Error(`Unknown asset ${assetId}: ${error.message}`);
+    }
+    
+    if (!orderBook.bids.length || !orderBook.asks.length) {
+      throw new Error(`Unknown asset ${assetId}: no quotes on the exchange`);
+    }
+    
+    return this.getMidPrice(orderBook);
+  }
+
+  /**
+   * Get the mid price of an order book
+   * @param {Object} orderBook - The order book
+   * @return {Decimal} The mid price between the best bid and ask
+   * @private
+   */
+  getMidPrice(orderBook) {
+    const bestBid = new Decimal(orderBook.bids[0][0]);
+    const bestAsk = new Decimal(orderBook.asks[0][0]);
+    return bestBid.plus(bestAsk).div(2);
+  }
+
   /**
    * Execute a rebalance for an index
    * @param {Index} index - The index to rebalance
    * @param {Object} rebalancePlan - The rebalance plan
-   * @param {Object} binanceAdapter - The Binance API adapter
+   * @param {Object} exchangeAdapter - The exchange adapter
    * @return {Object} The rebalance result
    */
-  async executeRebalance(index, rebalancePlan, binanceAdapter) {
+  async executeRebalance(index, rebalancePlan, exchangeAdapter) {
     logger.info(`Executing rebalance for index ${index.id}`);
     
     const { assetChanges } = rebalancePlan;
     
     // Group assets by buy/sell to batch operations
-    const buys = assetChanges.filter(change => change.changeQuantity > 0);
-    const sells = assetChanges.filter(change => change.changeQuantity < 0);
+    const buys = assetChanges.filter(change => change.changeQuantity.isPositive());
+    const sells = assetChanges.filter(change => change.changeQuantity.isNegative());
     
     // Execute sells first to free up capital
-    let totalLoss = 0;
+    let totalLoss = Decimal.ZERO;
+    let totalFees = Decimal.ZERO;
+    let totalSlippageLoss = Decimal.ZERO;
     const executionResults = [];
+    const roundingResidue = [];
     
-    if (sells.length > 0) {
-      const sellOrders = sells.map(sell => ({
-        assetId: sell.assetId,
-        quantity: Math.abs(sell.changeQuantity),
-        targetPrice: sell.newPrice,
-        side: 'sell'
-      }));
-      
-      const sellResult = await binanceAdapter.executeOrder(
+    // Round the legs to what the exchange accepts and keep what rounding takes off
+    const filterOrders = async (assetOrders) => {
+      const filtered = await exchangeAdapter.applySymbolFilters(assetOrders);
+      roundingResidue.push(...filtered.roundingResidue.map(residue => ({ ...residue, side: assetOrders[0].side })));
+      return filtered.assetOrders;
+    };
+    
+    const sellOrders = await filterOrders(sells.map(sell => ({
+      assetId: sell.assetId,
+      quantity: sell.changeQuantity.abs(),
+      targetPrice: sell.newPrice,
+      side: 'sell'
+    })));
+    
+    if (sellOrders.length > 0) {
+      const sellResult = await exchangeAdapter.executeOrder(
         'sell',
         sellOrders,
         `rebalance_${index.id}_sell_${Date.now()}`
       );
       
-      totalLoss += sellResult.loss;
+      totalLoss = totalLoss.plus(sellResult.loss);
+      totalFees = totalFees.plus(sellResult.fees);
+      totalSlippageLoss = totalSlippageLoss.plus(sellResult.slippageLoss);
       executionResults.push(sellResult);
     }
     
     // Then execute buys
-    if (buys.length > 0) {
-      const buyOrders = buys.map(buy => ({
-        assetId: buy.assetId,
-        quantity: buy.changeQuantity,
-        targetPrice: buy.newPrice,
-        side: 'buy'
-      }));
-      
-      const buyResult = await binanceAdapter.executeOrder(
+    const buyOrders = await filterOrders(buys.map(buy => ({
+      assetId: buy.assetId,
+      quantity: buy.changeQuantity,
+      targetPrice: buy.newPrice,
+      side: 'buy'
+    })));
+    
+    if (buyOrders.length > 0) {
+      const buyResult = await exchangeAdapter.executeOrder(
         'buy',
         buyOrders,
         `rebalance_${index.id}_buy_${Date.now()}`
       );
       
-      totalLoss += buyResult.loss;
+      totalLoss = totalLoss.plus(buyResult.loss);
+      totalFees = totalFees.plus(buyResult.fees);
+      totalSlippageLoss = totalSlippageLoss.plus(buyResult.slippageLoss);
       executionResults.push(buyResult);
     }
     
-    // Update the index with new assets
-    const newAssetsObjects = rebalancePlan.newAssets.map(assetData => {
-      return new Asset(
-        assetData.id,
-        assetData.quantity,
-        assetData.price,
-        assetData.price
-      );
-    });
+    // Update the index with what was traded, so units rounded off or left
+    // unfilled stay where they were instead of being booked as planned
+    const newAssetsObjects = this.buildExecutedAssets(index, rebalancePlan, executionResults);
+    
+    // Target weights are kept as given, assets left at zero drop out
+    const { weights = null } = rebalancePlan.target || {};
+    const targetWeights = weights && Object.keys(weights)
+      .filter(assetId => Decimal.from(weights[assetId]).isPositive())
+      .reduce((result, assetId) => ({ ...result, [assetId]: weights[assetId] }), {});
     
-    const rebalanceReport = index.rebalance(newAssetsObjects);
+    const rebalanceReport = index.rebalance(newAssetsObjects, targetWeights);
     
     // Record the rebalance in history
     const rebalanceResult = {
       indexId: index.id,
       timestamp: Date.now(),
       totalLoss,
+      totalFees,
+      totalSlippageLoss,
       executionResults,
+      roundingResidue,
       rebalanceReport
     };
     
     this.rebalanceHistory.push(rebalanceResult);
     
-    logger.info(`Rebalance executed for index ${index.id} (loss: ${totalLoss.toFixed(2)})`);
+    logger.info(`Rebalance executed for index ${index.id} (loss: ${totalLoss.toFixed(2)}, fees: ${totalFees.toFixed(2)})`);
     
     return rebalanceResult;
   }
 
+  /**
+   * Work out the assets of an index after the legs of its rebalance executed
+   * Each asset keeps its quantity before the rebalance plus what its buy leg
+   * filled or minus what its sell leg filled. Assets keep the plan's order and
+   * price; constituents the plan drops but that could not be sold off entirely
+   * stay at their current price.
+   * @param {Index} index - The index being rebalanced
+   * @param {Object} rebalancePlan - The rebalance plan
+   * @param {Array<Object>} executionResults - The execution results of the legs
+   * @return {Array<Asset>} The assets held after the rebalance, without those at zero
+   * @private
+   */
+  buildExecutedAssets(index, rebalancePlan, executionResults) {
+    const quantities = new Map(index.assets.map(asset => [asset.id, asset.quantity]));
+    
+    for (const result of executionResults) {
+      for (const leg of result.assets) {
+        const filled = result.side === 'buy' ? leg.filledQuantity : leg.filledQuantity.neg();
+        quantities.set(leg.assetId, (quantities.get(leg.assetId) || Decimal.ZERO).plus(filled));
+      }
+    }
+    
+    const prices = new Map(index.assets.map(asset => [asset.id, asset.currentPrice]));
+    rebalancePlan.newAssets.forEach(asset => prices.set(asset.id, asset.price));
+    
+    const assetIds = new Set([...rebalancePlan.newAssets.map(asset => asset.id), ...quantities.keys()]);
+    
+    return Array.from(assetIds)
+      .filter(assetId => quantities.has(assetId) && quantities.get(assetId).isPositive())
+      .map(assetId => new Asset(assetId, quantities.get(assetId), prices.get(assetId), prices.get(assetId)));
+  }
+
   /**
    * Update asset prices from market data
    * @param {Index} index - The index to update
-   * @param {Object} binanceAdapter - The Binance API adapter
+   * @param {Object} exchangeAdapter - The exchange adapter
    * @private
    */
-  async updateAssetPrices(index, binanceAdapter) {
+  async updateAssetPrices(index, exchangeAdapter) {
     logger.debug(`Updating asset prices for index ${index.id}`);
     
     await Promise.all(index.assets.map(async (asset) => {
       // In a real implementation, we would get the current price from the market
       // Here we're using the mock order book for simulation
-      const orderBook = await binanceAdapter.getOrderBook(asset.id);
+      const orderBook = await exchangeAdapter.getOrderBook(asset.id, asset.currentPrice);
       
       // Use the mid price from the order book
-      const bestBid = parseFloat(orderBook.bids[0][0]);
-      const bestAsk = parseFloat(orderBook.asks[0][0]);
-      const midPrice = (bestBid + bestAsk) / 2;
-      
-      asset.updatePrice(midPrice);
+      asset.updatePrice(this.getMidPrice(orderBook));
     }));
   }
 
-  /**
-   * Generate rebalanced assets for simulation
-   * @param {Index} index - The index to rebalance
-   * @return {Array<Object>} The rebalanced assets
-   * @private
-   */
-  generateRebalanceAssets(index) {
-    const currentAssets = index.assets;
-    const currentPrice = index.getCurrentPrice();
-    
-    // In a real implementation, this would come from the ETF manager
-    // Here we're simulating by:
-    // 1. Keeping 70% of existing assets
-    // 2. Adjusting quantities by ±20%
-    // 3. Potentially adding or removing assets
-    
-    // Start with existing assets and adjust quantities
-    const adjustedAssets = currentAssets.map(asset => {
-      // Random adjustment between -20% and +20%
-      const adjustmentFactor = 0.8 + Math.random() * 0.4;
-      const newQuantity = asset.quantity * adjustmentFactor;
-      
-      return {
-        id: asset.id,
-        quantity: newQuantity,
-        price: asset.currentPrice,
-        initialPrice: asset.currentPrice,
-        currentPrice: asset.currentPrice
-      };
-    });
-    
-    // Randomly decide if we should remove some assets
-    const assetsToKeep = [];
-    const assetsToRemove = [];
-    
-    for (const asset of adjustedAssets) {
-      if (Math.random() > 0.7) {
-        assetsToRemove.push(asset);
-      } else {
-        assetsToKeep.push(asset);
-      }
-    }
-    
-    // Generate some new assets to add
-    const newAssetCount = Math.floor(Math.random() * 3); // 0-2 new assets
-    const newAssets = [];
-    
-    for (let i = 0; i < newAssetCount; i++) {
-      const assetId = `NEW_ASSET_${Date.now()}_${i}`;
-      const price = 10 + Math.random() * 990; // Random price between 10 and 1000
-      const quantity = 1 + Math.random() * 9; // Random quantity between 1 and 10
-      
-      newAssets.push({
-        id: assetId,
-        quantity,
-        price,
-        initialPrice: price,
-        currentPrice: price
-      });
-    }
-    
-    // Combine kept assets and new assets
-    const finalAssets = [...assetsToKeep, ...newAssets];
-    
-    // Ensure the rebalanced index has a similar total value
-    const newTotalValue = finalAssets.reduce((total, asset) => 
-      total + asset.quantity * asset.price, 0);
-    
-    // Scale quantities to maintain approximately the same index value
-    const scaleFactor = currentPrice / newTotalValue;
-    
-    for (const asset of finalAssets) {
-      asset.quantity *= scaleFactor;
-    }
-    
-    return finalAssets;
-  }
-
   /**
    * Calculate asset changes for rebalancing
    * @param {Array<Object>} currentAssets - Current assets
@@ -261,11 +568,11 @@ class RebalanceManager {
           assetId,
           action: 'remove',
           oldQuantity: currentAsset.quantity,
-          newQuantity: 0,
-          changeQuantity: -currentAsset.quantity,
+          newQuantity: Decimal.ZERO,
+          changeQuantity: currentAsset.quantity.neg(),
           oldPrice: currentAsset.currentPrice,
           newPrice: currentAsset.currentPrice,
-          valueDifference: -currentAsset.quantity * currentAsset.currentPrice
+          valueDifference: currentAsset.quantity.times(currentAsset.currentPrice).neg()
         });
       }
       // Asset is being added
@@ -273,28 +580,28 @@ class RebalanceManager {
         changes.push({
           assetId,
           action: 'add',
-          oldQuantity: 0,
+          oldQuantity: Decimal.ZERO,
           newQuantity: newAsset.quantity,
           changeQuantity: newAsset.quantity,
           oldPrice: newAsset.price,
           newPrice: newAsset.price,
-          valueDifference: newAsset.quantity * newAsset.price
+          valueDifference: newAsset.quantity.times(newAsset.price)
         });
       }
       // Asset quantity is changing
       else if (currentAsset && newAsset) {
-        const qtyDifference = newAsset.quantity - currentAsset.quantity;
+        const qtyDifference = newAsset.quantity.minus(currentAsset.quantity);
         
         changes.push({
           assetId,
-          action: qtyDifference > 0 ? 'increase' : qtyDifference < 0 ? 'decrease' : 'unchanged',
+          action: qtyDifference.isPositive() ? 'increase' : qtyDifference.isNegative() ? 'decrease' : 'unchanged',
           oldQuantity: currentAsset.quantity,
           newQuantity: newAsset.quantity,
           changeQuantity: qtyDifference,
           oldPrice: currentAsset.currentPrice,
           newPrice: newAsset.price,
-          valueDifference: (newAsset.quantity * newAsset.price) - 
-                           (currentAsset.quantity * currentAsset.currentPrice)
+          valueDifference: newAsset.quantity.times(newAsset.price)
+            .minus(currentAsset.quantity.times(currentAsset.currentPrice))
         });
       }
     }
@@ -305,61 +612,68 @@ class RebalanceManager {
   /**
    * Estimate costs for rebalancing
    * @param {Array<Object>} assetChanges - Asset changes
-   * @param {Object} binanceAdapter - The Binance API adapter
+   * @param {Object} exchangeAdapter - The exchange adapter
    * @return {Object} Estimated costs
    * @private
    */
-  async estimateRebalanceCosts(assetChanges, binanceAdapter) {
+  async estimateRebalanceCosts(assetChanges, exchangeAdapter) {
     // Group by buy/sell
-    const buys = assetChanges.filter(change => change.changeQuantity > 0);
-    const sells = assetChanges.filter(change => change.changeQuantity < 0);
+    const buys = assetChanges.filter(change => change.changeQuantity.isPositive());
+    const sells = assetChanges.filter(change => change.changeQuantity.isNegative());
     
     // Estimate costs for buys
     const buyEstimates = await Promise.all(buys.map(async (buy) => {
-      // Get order book to estimate slippage
-      const orderBook = await binanceAdapter.getOrderBook(buy.assetId);
-      
-      // Simple slippage estimation based on order book
-      const estimatedSlippage = 0.001 + Math.random() * 0.005; // 0.1-0.6% slippage
-      const estimatedCost = buy.changeQuantity * buy.newPrice * estimatedSlippage;
+      // Walk the order book to estimate slippage
+      const orderBook = await exchangeAdapter.getOrderBook(buy.assetId, buy.newPrice);
+      const estimatedSlippage = this.estimateSlippage(orderBook, 'buy', buy.changeQuantity, buy.newPrice);
+      const notional = buy.changeQuantity.times(buy.newPrice);
+      const estimatedSlippageCost = notional.times(estimatedSlippage);
+      const estimatedFee = notional.times(exchangeAdapter.getFeePercent(buy.assetId)).div(100);
       
       return {
         assetId: buy.assetId,
         action: 'buy',
         quantity: buy.changeQuantity,
         price: buy.newPrice,
-        notional: buy.changeQuantity * buy.newPrice,
+        notional,
         estimatedSlippage,
-        estimatedCost
+        estimatedSlippageCost,
+        estimatedFee,
+        estimatedCost: estimatedSlippageCost.plus(estimatedFee)
       };
     }));
     
     // Estimate costs for sells
     const sellEstimates = await Promise.all(sells.map(async (sell) => {
-      // Get order book to estimate slippage
-      const orderBook = await binanceAdapter.getOrderBook(sell.assetId);
-      
-      // Simple slippage estimation based on order book
-      const estimatedSlippage = 0.001 + Math.random() * 0.005; // 0.1-0.6% slippage
-      const estimatedCost = Math.abs(sell.changeQuantity) * sell.newPrice * estimatedSlippage;
+      // Walk the order book to estimate slippage
+      const orderBook = await exchangeAdapter.getOrderBook(sell.assetId, sell.newPrice);
+      const estimatedSlippage = this.estimateSlippage(orderBook, 'sell', sell.changeQuantity.abs(), sell.newPrice);
+      const notional = sell.changeQuantity.abs().times(sell.newPrice);
+      const estimatedSlippageCost = notional.times(estimatedSlippage);
+      const estimatedFee = notional.times(exchangeAdapter.getFeePercent(sell.assetId)).div(100);
       
       return {
         assetId: sell.assetId,
         action: 'sell',
-        quantity: Math.abs(sell.changeQuantity),
+        quantity: sell.changeQuantity.abs(),
         price: sell.newPrice,
-        notional: Math.abs(sell.changeQuantity) * sell.newPrice,
+        notional,
         estimatedSlippage,
-        estimatedCost
+        estimatedSlippageCost,
+        estimatedFee,
+        estimatedCost: estimatedSlippageCost.plus(estimatedFee)
       };
     }));
     
     // Calculate totals
-    const totalBuyNotional = buyEstimates.reduce((sum, est) => sum + est.notional, 0);
-    const totalSellNotional = sellEstimates.reduce((sum, est) => sum + est.notional, 0);
-    const totalBuyCost = buyEstimates.reduce((sum, est) => sum + est.estimatedCost, 0);
-    const totalSellCost = sellEstimates.reduce((sum, est) => sum + est.estimatedCost, 0);
-    const totalCost = totalBuyCost + totalSellCost;
+    const totalBuyNotional = Decimal.sum(buyEstimates.map(est => est.notional));
+    const totalSellNotional = Decimal.sum(sellEstimates.map(est => est.notional));
+    const totalBuyCost = Decimal.sum(buyEstimates.map(est => est.estimatedCost));
+    const totalSellCost = Decimal.sum(sellEstimates.map(est => est.estimatedCost));
+    const totalCost = totalBuyCost.plus(totalSellCost);
+    const allEstimates = [...buyEstimates, ...sellEstimates];
+    const totalFees = Decimal.sum(allEstimates.map(est => est.estimatedFee));
+    const totalSlippageCost = Decimal.sum(allEstimates.map(est => est.estimatedSlippageCost));
     
     return {
       buyEstimates,
@@ -368,10 +682,35 @@ class RebalanceManager {
       totalSellNotional,
       totalBuyCost,
       totalSellCost,
+      totalFees,
+      totalSlippageCost,
       totalCost
     };
   }
 
+  /**
+   * Estimate the slippage of a trade by walking the side of the book it takes
+   * The depth the book shows is assumed to cost the same on what it cannot cover
+   * @param {Object} orderBook - The order book of the asset
+   * @param {string} side - The trade side (buy/sell)
+   * @param {Decimal} quantity - The quantity to trade
+   * @param {Decimal} price - The price the slippage is measured from
+   * @return {Decimal} The slippage as a fraction of the notional
+   * @private
+   */
+  estimateSlippage(orderBook, side, quantity, price) {
+    const levels = side === 'buy' ? orderBook.asks : orderBook.bids;
+    const { fillableQty, costBasis } = this.liquidityAnalyzer.walkOrderBook(levels, quantity, price);
+    const referenceCost = fillableQty.times(price);
+    
+    if (!referenceCost.isPositive()) {
+      return Decimal.ZERO;
+    }
+    
+    const slippageCost = side === 'buy' ? costBasis.minus(referenceCost) : referenceCost.minus(costBasis);
+    return slippageCost.div(referenceCost);
+  }
+
   /**
    * Get rebalance history for an index
    * @param {string} indexId - The index ID
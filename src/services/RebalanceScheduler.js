@@ -0,0 +1,101 @@
+const logger = require('../utils/logger');
+const { REBALANCE_CHECK_INTERVAL_MS } = require('../utils/constants');
+const Order = require('../models/Order');
+
+/**
+ * Evaluates the rebalance policies of the indices and queues the rebalances
+ * they call for
+ */
+class RebalanceScheduler {
+  /**
+   * Create a new rebalance scheduler
+   * @param {Object} queueManager - The queue manager the rebalance orders go to
+   * @param {Map<string, Index>} indices - Map of indices by ID
+   * @param {StateStore} stateStore - Optional store persisting state after queueing rebalances
+   */
+  constructor(queueManager, indices, stateStore = null) {
+    this.queueManager = queueManager;
+    this.indices = indices;
+    this.stateStore = stateStore;
+    this.isRunning = false;
+    this.checkInterval = null;
+  }
+
+  /**
+   * Start evaluating the policies on an interval
+   * @param {number} intervalMs - The interval between evaluations (default: REBALANCE_CHECK_INTERVAL_MS)
+   */
+  start(intervalMs = REBALANCE_CHECK_INTERVAL_MS) {
+    if (this.isRunning) {
+      logger.warn('Rebalance scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`Rebalance scheduler started (every ${intervalMs}ms)`);
+
+    this.checkInterval = setInterval(() => {
+      this.evaluate();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the rebalance scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Rebalance scheduler is not running');
+      return;
+    }
+
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+    this.isRunning = false;
+
+    logger.info('Rebalance scheduler stopped');
+  }
+
+  /**
+   * Queue a rebalance for every index whose policy calls for one
+   * Rebalances go back to the index's target weights. An index with a
+   * rebalance already queued or processing gets no second one; the trigger
+   * counts as served by it.
+   * @param {number} now - The current time
+   * @return {Array<Order>} The rebalance orders queued
+   */
+  evaluate(now = Date.now()) {
+    const queued = [];
+    let triggered = false;
+
+    for (const index of this.indices.values()) {
+      const policy = index.rebalancePolicy;
+      const trigger = policy ? policy.getTrigger(index, now) : null;
+
+      if (!trigger) {
+        continue;
+      }
+
+      policy.recordTrigger(trigger, now);
+      triggered = true;
+
+      if (this.queueManager.hasOpenRebalance(index.id)) {
+        logger.info(`Rebalance of index ${index.id} due (${trigger}), one is already queued`);
+        continue;
+      }
+
+      const order = Order.createRebalanceOrder(index.id, now);
+      this.queueManager.queueOrder(order);
+      queued.push(order);
+
+      logger.info(`Queued ${trigger} rebalance order ${order.id} for index ${index.id}`);
+    }
+
+    if (triggered && this.stateStore) {
+      this.stateStore.flush();
+    }
+
+    return queued;
+  }
+}
+
+module.exports = RebalanceScheduler;
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { STORAGE_JOURNAL_MAX_BYTES } = require('../utils/constants');
+const MemoryStorage = require('./MemoryStorage');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+/**
+ * File-backed storage keeping a snapshot of every collection and a journal
+ * of the changes made since
+ * Reads are served from memory. Every write (or transaction) appends the
+ * records it changed, across all collections, as one journal line and syncs
+ * it, so a write costs what it changed and a crash leaves either all of a
+ * transaction or none of it. Once the journal grows beyond its limit it is
+ * compacted into a new snapshot.
+ */
+class FileStorage extends MemoryStorage {
+  /**
+   * Create a new file storage and load its state from disk
+   * @param {string} directory - The directory holding the snapshot and journal
+   * @param {number} maxJournalBytes - The journal size that triggers a compaction
+   * @throws {Error} If a journal entry other than the last one is corrupt
+   */
+  constructor(directory, maxJournalBytes = STORAGE_JOURNAL_MAX_BYTES) {
+    super();
+    this.directory = directory;
+    this.maxJournalBytes = maxJournalBytes;
+    this.journalSize = 0;
+    this.dirtyKeys = new Map(); // collection -> Set of keys changed in the open transaction
+    this.clearedCollections = new Set();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Load the snapshot and replay the journal on top of it
+   * @private
+   */
+  load() {
+    const snapshotPath = this.getFilePath(SNAPSHOT_FILE);
+    let legacyFiles = [];
+
+    if (fs.existsSync(snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      for (const [collection, records] of Object.entries(snapshot)) {
+        this.collections.set(collection, new Map(Object.entries(records)));
+      }
+    } else {
+      legacyFiles = this.readCollectionFiles();
+    }
+
+    const { complete } = this.replayJournal();
+
+    // A torn entry must not be followed by new ones, and collection files are
+    // replaced by the snapshot
+    if (!complete || legacyFiles.length > 0 || this.journalSize >= this.maxJournalBytes) {
+      this.compact();
+    }
+    for (const filePath of legacyFiles) {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Read the per-collection files written before the journal was introduced
+   * @return {Array<string>} The paths of the files read
+   * @private
+   */
+  readCollectionFiles() {
+    const filePaths = [];
+
+    for (const fileName of fs.readdirSync(this.directory)) {
+      if (!fileName.endsWith('.json')) {
+        continue;
+      }
+
+      const filePath = this.getFilePath(fileName);
+      const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.collections.set(path.basename(fileName, '.json'), new Map(Object.entries(records)));
+      filePaths.push(filePath);
+      logger.debug(`Loaded ${Object.keys(records).length} records from ${filePath}`);
+    }
+
+    return filePaths;
+  }
+
+  /**
+   * Apply the journal entries to the loaded state
+   * An unterminated last entry is a transaction that was never synced
+   * completely: it is discarded
+   * @return {{complete: boolean}} Whether the journal ended with a complete entry
+   * @throws {Error} If an entry other than the last one is corrupt
+   * @private
+   */
+  replayJournal() {
+    const journalPath = this.getFilePath(JOURNAL_FILE);
+
+    if (!fs.existsSync(journalPath)) {
+      return { complete: true };
+    }
+
+    const content = fs.readFileSync(journalPath, 'utf8');
+    const lines = content.split('\n');
+    const torn = lines.pop(); // Empty when the last entry was terminated
+    this.journalSize = Buffer.byteLength(content);
+
+    lines.forEach((line, i) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Corrupt entry ${i + 1} in ${journalPath}: ${error.message}`);
+      }
+      entry.changes.forEach(change => this.applyChange(change));
+    });
+
+    if (torn) {
+      logger.warn(`Discarding an incomplete transaction at the end of ${journalPath}`);
+    }
+    logger.debug(`Replayed ${lines.length} transactions from ${journalPath}`);
+
+    return { complete: !torn };
+  }
+
+  /**
+   * Apply one journaled change to the loaded state
+   * @param {Object} change - The change ({collection, key, value}, {collection, key, deleted} or {collection, cleared})
+   * @private
+   */
+  applyChange({ collection, key, value, deleted, cleared }) {
+    const records = this.getCollection(collection);
+
+    if (cleared) {
+      records.clear();
+    } else if (deleted) {
+      records.delete(key);
+    } else {
+      records.set(key, value);
+    }
+  }
+
+  /**
+   * Record a change and write it through unless inside a transaction
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key, undefined when the collection was cleared
+   * @private
+   */
+  markDirty(collection, key) {
+    if (key === undefined) {
+      this.clearedCollections.add(collection);
+    } else {
+      if (!this.dirtyKeys.has(collection)) {
+        this.dirtyKeys.set(collection, new Set());
+      }
+      this.dirtyKeys.get(collection).add(key);
+    }
+
+    if (this.transactionDepth === 0) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Append the records changed since the last commit to the journal
+   * @private
+   */
+  commit() {
+    const changes = [];
+
+    // Clears come first so records written after them in the transaction stay
+    for (const collection of this.clearedCollections) {
+      changes.push({ collection, cleared: true });
+    }
+    for (const [collection, keys] of this.dirtyKeys) {
+      const records = this.getCollection(collection);
+      for (const key of keys) {
+        changes.push(records.has(key)
+          ? { collection, key, value: records.get(key) }
+          : { collection, key, deleted: true });
+      }
+    }
+
+    this.clearedCollections.clear();
+    this.dirtyKeys.clear();
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    this.appendJournal(changes);
+
+    if (this.journalSize >= this.maxJournalBytes) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Append one transaction to the journal and sync it
+   * @param {Array<Object>} changes - The changed records
+   * @private
+   */
+  appendJournal(changes) {
+    const line = `${JSON.stringify({ changes })}\n`;
+
+    const fd = fs.openSync(this.getFilePath(JOURNAL_FILE), 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.journalSize += Buffer.byteLength(line);
+  }
+
+  /**
+   * Write every collection to a new snapshot and start an empty journal
+   * A crash before the journal is removed replays it onto the new snapshot,
+   * which leaves the same state
+   * @private
+   */
+  compact() {
+    const snapshot = {};
+    for (const [collection, records] of this.collections) {
+      snapshot[collection] = Object.fromEntries(records);
+    }
+
+    this.writeFile(this.getFilePath(SNAPSHOT_FILE), JSON.stringify(snapshot));
+    fs.rmSync(this.getFilePath(JOURNAL_FILE), { force: true });
+    this.journalSize = 0;
+
+    logger.debug(`Compacted the journal into ${this.getFilePath(SNAPSHOT_FILE)}`);
+  }
+
+  /**
+   * Get the path of a file in the storage directory
+   * @param {string} fileName - The file name
+   * @return {string} The file path
+   * @private
+   */
+  getFilePath(fileName) {
+    return path.join(this.directory, fileName);
+  }
+
+  /**
+   * Atomically write a file (write to a temp file, then rename)
+   * @param {string} filePath - The file path
+   * @param {string} content - The file content
+   * @private
+   */
+  writeFile(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,125 @@
+/**
+ * In-memory key/value storage grouped by collection
+ * Values are stored as detached copies so later mutations of live objects
+ * never leak into the stored state without an explicit write
+ */
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+    this.transactionDepth = 0;
+  }
+
+  /**
+   * Get a single value from a collection
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key
+   * @return {Object|null} A copy of the stored value, null if not found
+   */
+  get(collection, key) {
+    const records = this.getCollection(collection);
+    return records.has(key) ? this.copy(records.get(key)) : null;
+  }
+
+  /**
+   * Get all values in a collection
+   * @param {string} collection - The collection name
+   * @return {Object} Copies of the stored values keyed by record key
+   */
+  getAll(collection) {
+    const result = {};
+    for (const [key, value] of this.getCollection(collection)) {
+      result[key] = this.copy(value);
+    }
+    return result;
+  }
+
+  /**
+   * Store a value in a collection
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key
+   * @param {Object} value - A JSON-serializable value
+   */
+  set(collection, key, value) {
+    this.getCollection(collection).set(key, this.copy(value));
+    this.markDirty(collection, key);
+  }
+
+  /**
+   * Delete a value from a collection
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key
+   * @return {boolean} Whether the record existed
+   */
+  delete(collection, key) {
+    const deleted = this.getCollection(collection).delete(key);
+    if (deleted) {
+      this.markDirty(collection, key);
+    }
+    return deleted;
+  }
+
+  /**
+   * Remove every value from a collection
+   * @param {string} collection - The collection name
+   */
+  clear(collection) {
+    this.getCollection(collection).clear();
+    this.markDirty(collection);
+  }
+
+  /**
+   * Run several writes as one unit so backing stores can flush them together
+   * @param {Function} fn - The function performing the writes
+   * @return {*} The value returned by fn
+   */
+  transaction(fn) {
+    this.transactionDepth++;
+    try {
+      return fn();
+    } finally {
+      this.transactionDepth--;
+      if (this.transactionDepth === 0) {
+        this.commit();
+      }
+    }
+  }
+
+  /**
+   * Get (or create) the record map for a collection
+   * @param {string} collection - The collection name
+   * @return {Map<string, Object>} The record map
+   * @private
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Hook called after a record changes (no-op in memory)
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key, undefined when the collection was cleared
+   * @private
+   */
+  markDirty(collection, key) {}
+
+  /**
+   * Hook called when the outermost transaction finishes (no-op in memory)
+   * @private
+   */
+  commit() {}
+
+  /**
+   * Copy a value so the stored state is detached from the caller's objects
+   * @param {Object} value - The value to copy
+   * @return {Object} The copy
+   * @private
+   */
+  copy(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = MemoryStorage;
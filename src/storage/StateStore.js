@@ -0,0 +1,312 @@
+const logger = require('../utils/logger');
+const Index = require('../models/Index');
+const Order = require('../models/Order');
+const Position = require('../models/Position');
+
+// Order ids per stored chunk of the execution history
+const HISTORY_CHUNK_SIZE = 1000;
+
+/**
+ * Persists the application state (indices, positions, orders and queues)
+ * to a storage backend and rehydrates it on boot
+ *
+ * Orders are stored once in the `orders` collection; positions and queues
+ * only reference them by id so a restored order is the same instance in
+ * its position and in the queue manager.
+ *
+ * A flush only serializes what may have changed: completed orders are final,
+ * so once written they are skipped unless their updatedAt moves, positions
+ * are rewritten when orders are added to them and the execution history,
+ * which only grows, is stored in chunks of which only the last ones change.
+ */
+class StateStore {
+  /**
+   * Create a new state store
+   * @param {MemoryStorage} storage - The storage backend
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.indices = new Map();
+    this.positions = new Map();
+    this.queueManager = null;
+    this.savedSnapshots = new Map(); // collection -> Map<key, JSON string> of indices, open orders and the queue state
+    this.settledOrders = new Map(); // id -> updatedAt of completed orders as written
+    this.savedPositions = new Map(); // positionId -> number of orders as written
+    this.savedHistoryLength = 0; // Execution history entries written
+  }
+
+  /**
+   * Load the persisted state and rehydrate the queue manager
+   * @param {QueueManager} queueManager - The queue manager to rehydrate
+   * @return {{indices: Map<string, Index>, positions: Map<string, Position>}} The live state maps
+   */
+  restore(queueManager) {
+    this.queueManager = queueManager;
+
+    const storedIndices = this.storage.getAll('indices');
+    for (const [id, data] of Object.entries(storedIndices)) {
+      this.indices.set(id, Index.fromObject(data));
+      this.rememberSnapshot('indices', id, data);
+    }
+
+    const ordersById = new Map();
+    const storedOrders = this.storage.getAll('orders');
+    for (const [id, data] of Object.entries(storedOrders)) {
+      const order = Order.fromObject(data);
+      ordersById.set(id, order);
+      if (order.isComplete()) {
+        this.settledOrders.set(id, order.updatedAt);
+      } else {
+        this.rememberSnapshot('orders', id, data);
+      }
+    }
+
+    // Rebalance previews live in memory only, so the rebalances approved from
+    // one cannot execute after a restart; they fail and must be previewed again
+    for (const order of ordersById.values()) {
+      if (order.rebalancePreviewId && !order.isComplete()) {
+        const error = `Rebalance preview ${order.rebalancePreviewId} was lost on restart, preview and approve the rebalance again`;
+        logger.warn(`Failing rebalance order ${order.id}: ${error}`);
+        order.updateStatus('failed', { reason: error, execution: { error } });
+      }
+    }
+
+    const storedPositions = this.storage.getAll('positions');
+    for (const [positionId, data] of Object.entries(storedPositions)) {
+      // Records written before positions aggregated orders hold a single orderId
+      const orderIds = data.orderIds || [data.orderId];
+      const orders = orderIds.map(orderId => ordersById.get(orderId)).filter(Boolean);
+      if (orders.length < orderIds.length) {
+        logger.warn(`${orderIds.length - orders.length} orders of position ${positionId} not found in storage`);
+      }
+      if (orders.length === 0) {
+        continue;
+      }
+
+      const position = Position.fromObject({
+        positionId,
+        indexId: data.indexId || orders[0].indexId,
+        createdAt: data.createdAt
+      }, orders);
+      this.positions.set(positionId, position);
+      // Positions written as a single order are rewritten in the current format
+      if (data.orderIds) {
+        this.savedPositions.set(positionId, orderIds.length);
+      }
+    }
+
+    const queueState = this.storage.get('queues', 'state');
+    if (queueState) {
+      // Queue states written before the history was chunked hold it inline
+      const executionHistory = queueState.executionHistory || this.readHistory();
+      queueManager.restore({ ...queueState, executionHistory }, ordersById);
+      this.rememberSnapshot('queues', 'state', queueState);
+      this.savedHistoryLength = queueState.executionHistory ? 0 : executionHistory.length;
+    }
+
+    logger.info(`Restored ${this.indices.size} indices, ${this.positions.size} positions and ${ordersById.size} orders from storage`);
+
+    return {
+      indices: this.indices,
+      positions: this.positions
+    };
+  }
+
+  /**
+   * Write every changed record of the live state to storage
+   * The changes of all collections are committed as one transaction
+   */
+  flush() {
+    const indexRecords = new Map();
+    for (const [id, index] of this.indices) {
+      indexRecords.set(id, index.toObject());
+    }
+
+    const orders = new Map();
+    for (const position of this.positions.values()) {
+      for (const order of position.orders) {
+        orders.set(order.id, order);
+      }
+    }
+
+    let queueState = null;
+    let executionHistory = [];
+    if (this.queueManager) {
+      for (const order of this.queueManager.getAllOrders()) {
+        orders.set(order.id, order);
+      }
+      ({ executionHistory, ...queueState } = this.queueManager.toObject());
+    }
+
+    this.storage.transaction(() => {
+      this.syncCollection('indices', indexRecords);
+      this.flushOrders(orders);
+      this.flushPositions();
+      this.syncCollection('queues', new Map(queueState ? [['state', queueState]] : []));
+      this.flushHistory(executionHistory);
+    });
+  }
+
+  /**
+   * Write the orders that may have changed since the last flush
+   * Open orders are compared with what was written; completed orders are
+   * written once and then skipped
+   * @param {Map<string, Order>} orders - The live orders by id
+   * @private
+   */
+  flushOrders(orders) {
+    const snapshots = this.getSnapshots('orders');
+
+    for (const [id, order] of orders) {
+      if (this.settledOrders.get(id) === order.updatedAt) {
+        continue;
+      }
+
+      const value = order.toObject();
+      const json = JSON.stringify(value);
+      if (snapshots.get(id) !== json) {
+        this.storage.set('orders', id, value);
+      }
+
+      if (order.isComplete()) {
+        this.settledOrders.set(id, order.updatedAt);
+        snapshots.delete(id);
+      } else {
+        this.settledOrders.delete(id);
+        snapshots.set(id, json);
+      }
+    }
+
+    for (const saved of [this.settledOrders, snapshots]) {
+      for (const id of Array.from(saved.keys())) {
+        if (!orders.has(id)) {
+          this.storage.delete('orders', id);
+          saved.delete(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Write the positions whose orders changed since the last flush
+   * @private
+   */
+  flushPositions() {
+    for (const [positionId, position] of this.positions) {
+      if (this.savedPositions.get(positionId) === position.orders.length) {
+        continue;
+      }
+
+      this.storage.set('positions', positionId, {
+        positionId,
+        indexId: position.indexId,
+        orderIds: position.orders.map(order => order.id),
+        createdAt: position.createdAt
+      });
+      this.savedPositions.set(positionId, position.orders.length);
+    }
+
+    for (const positionId of Array.from(this.savedPositions.keys())) {
+      if (!this.positions.has(positionId)) {
+        this.storage.delete('positions', positionId);
+        this.savedPositions.delete(positionId);
+      }
+    }
+  }
+
+  /**
+   * Write the execution history entries added since the last flush
+   * The history only grows until the queues are cleared, so only the chunks
+   * from the last one written on change
+   * @param {Array<string>} executionHistory - The ids of the history orders
+   * @private
+   */
+  flushHistory(executionHistory) {
+    if (executionHistory.length === this.savedHistoryLength) {
+      return;
+    }
+
+    const chunkCount = Math.ceil(executionHistory.length / HISTORY_CHUNK_SIZE);
+    const savedChunkCount = Math.ceil(this.savedHistoryLength / HISTORY_CHUNK_SIZE);
+    const firstChanged = executionHistory.length > this.savedHistoryLength
+      ? Math.floor(this.savedHistoryLength / HISTORY_CHUNK_SIZE)
+      : 0;
+
+    for (let chunk = firstChanged; chunk < chunkCount; chunk++) {
+      const ids = executionHistory.slice(chunk * HISTORY_CHUNK_SIZE, (chunk + 1) * HISTORY_CHUNK_SIZE);
+      this.storage.set('queues', `history_${chunk}`, ids);
+    }
+    for (let chunk = chunkCount; chunk < savedChunkCount; chunk++) {
+      this.storage.delete('queues', `history_${chunk}`);
+    }
+
+    this.savedHistoryLength = executionHistory.length;
+  }
+
+  /**
+   * Read the execution history chunks of the queue state
+   * @return {Array<string>} The ids of the history orders
+   * @private
+   */
+  readHistory() {
+    const ids = [];
+    for (let chunk = 0; ; chunk++) {
+      const chunkIds = this.storage.get('queues', `history_${chunk}`);
+      if (!chunkIds) {
+        return ids;
+      }
+      ids.push(...chunkIds);
+    }
+  }
+
+  /**
+   * Make a stored collection match the given records, writing only changes
+   * @param {string} collection - The collection name
+   * @param {Map<string, Object>} records - The live records by key
+   * @private
+   */
+  syncCollection(collection, records) {
+    const snapshots = this.getSnapshots(collection);
+
+    for (const [key, value] of records) {
+      const json = JSON.stringify(value);
+      if (snapshots.get(key) !== json) {
+        this.storage.set(collection, key, value);
+        snapshots.set(key, json);
+      }
+    }
+
+    for (const key of Array.from(snapshots.keys())) {
+      if (!records.has(key)) {
+        this.storage.delete(collection, key);
+        snapshots.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remember what was last written for a record
+   * @param {string} collection - The collection name
+   * @param {string} key - The record key
+   * @param {Object} value - The stored value
+   * @private
+   */
+  rememberSnapshot(collection, key, value) {
+    this.getSnapshots(collection).set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Get the snapshot map of a collection
+   * @param {string} collection - The collection name
+   * @return {Map<string, string>} The snapshots by key
+   * @private
+   */
+  getSnapshots(collection) {
+    if (!this.savedSnapshots.has(collection)) {
+      this.savedSnapshots.set(collection, new Map());
+    }
+    return this.savedSnapshots.get(collection);
+  }
+}
+
+module.exports = StateStore;
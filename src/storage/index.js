@@ -0,0 +1,28 @@
+const { STORAGE_TYPE, STORAGE_PATH } = require('../utils/constants');
+const MemoryStorage = require('./MemoryStorage');
+const FileStorage = require('./FileStorage');
+const StateStore = require('./StateStore');
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {string} type - The storage type ('memory' or 'file')
+ * @param {string} storagePath - The directory used by file storage
+ * @return {MemoryStorage} The storage instance
+ */
+const createStorage = (type = STORAGE_TYPE, storagePath = STORAGE_PATH) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(storagePath);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  FileStorage,
+  StateStore
+};
@@ -0,0 +1,388 @@
+// Digits kept after the decimal point: the product of two 8-decimal exchange
+// values (price x quantity) needs 16, two more absorb division rounding
+const SCALE = 18;
+const SCALE_FACTOR = 10n ** BigInt(SCALE);
+
+// Values within this many units of the next step are floored up to it,
+// so a division landing just below a step does not lose the step
+const STEP_TOLERANCE = 10n ** 6n;
+
+// Plain and exponential notation, as written by exchanges and String(number)
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Bounds on parsed text, far beyond any amount, so a request cannot make
+// the BigInt scaling below take unbounded time or memory
+const MAX_DIGITS = 64;
+const MAX_EXPONENT = 64;
+
+/**
+ * Divide two BigInts, rounding half away from zero
+ * @param {bigint} numerator - The numerator
+ * @param {bigint} denominator - The denominator
+ * @return {bigint} The rounded quotient
+ */
+const divideRounded = (numerator, denominator) => {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const abs = value => (value < 0n ? -value : value);
+
+  if (abs(remainder) * 2n < abs(denominator)) {
+    return quotient;
+  }
+  return (numerator < 0n) === (denominator < 0n) ? quotient + 1n : quotient - 1n;
+};
+
+/**
+ * Fixed-point decimal for quantities, prices and quote amounts
+ * Values are held as a BigInt count of 10^-18 units, so sums and differences
+ * are exact and products and quotients are rounded once, half away from zero,
+ * at the 18th decimal. Instances are immutable; every operation accepts a
+ * Decimal, a number or a numeric string.
+ *
+ * Decimals serialize to JSON as strings. valueOf() returns the nearest
+ * number, so comparisons and percentages can use plain operators, but sums
+ * must use plus(): `+` would fall back to floating point.
+ */
+class Decimal {
+  /**
+   * Create a new decimal
+   * @param {Decimal|number|string} value - The value; numbers are taken at their shortest representation
+   * @throws {Error} If the value is not a finite number
+   */
+  constructor(value = 0) {
+    this.units = Decimal.toUnits(value);
+    Object.freeze(this);
+  }
+
+  /**
+   * Convert a value into units of 10^-18
+   * Digits beyond the 18th decimal are rounded half away from zero
+   * @param {Decimal|number|string} value - The value
+   * @return {bigint} The units
+   * @throws {Error} If the value is not a finite number, or has more than
+   * MAX_DIGITS digits or an exponent beyond MAX_EXPONENT
+   * @private
+   */
+  static toUnits(value) {
+    if (value instanceof Decimal) {
+      return value.units;
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Not a finite decimal: ${value}`);
+    }
+
+    const match = typeof value === 'number' || typeof value === 'string'
+      ? DECIMAL_PATTERN.exec(String(value).trim())
+      : null;
+
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Not a finite decimal: ${value}`);
+    }
+
+    const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+    if (integer.length + fraction.length > MAX_DIGITS || Math.abs(parseInt(exponent, 10)) > MAX_EXPONENT) {
+      throw new Error(`Decimal out of range: ${String(value).slice(0, 32)}`);
+    }
+
+    const shift = parseInt(exponent, 10) - fraction.length + SCALE;
+    let units = BigInt(`${integer}${fraction}` || '0');
+
+    units = shift >= 0
+      ? units * 10n ** BigInt(shift)
+      : divideRounded(units, 10n ** BigInt(-shift));
+
+    return sign === '-' ? -units : units;
+  }
+
+  /**
+   * Create a decimal from units of 10^-18
+   * @param {bigint} units - The units
+   * @return {Decimal} The decimal
+   * @private
+   */
+  static fromUnits(units) {
+    const decimal = Object.create(Decimal.prototype);
+    decimal.units = units;
+    return Object.freeze(decimal);
+  }
+
+  /**
+   * Get a value as a decimal
+   * @param {Decimal|number|string} value - The value
+   * @return {Decimal} The value itself if it is a decimal, a new decimal otherwise
+   */
+  static from(value) {
+    return value instanceof Decimal ? value : new Decimal(value);
+  }
+
+  /**
+   * Add up values
+   * @param {Array<Decimal|number|string>} values - The values
+   * @return {Decimal} The sum, zero for no values
+   */
+  static sum(values) {
+    return Decimal.fromUnits(values.reduce((sum, value) => sum + Decimal.toUnits(value), 0n));
+  }
+
+  /**
+   * Get the smallest of some values
+   * @param {...(Decimal|number|string)} values - The values
+   * @return {Decimal} The smallest value
+   */
+  static min(...values) {
+    return values.map(Decimal.from).reduce((min, value) => (value.lt(min) ? value : min));
+  }
+
+  /**
+   * Get the largest of some values
+   * @param {...(Decimal|number|string)} values - The values
+   * @return {Decimal} The largest value
+   */
+  static max(...values) {
+    return values.map(Decimal.from).reduce((max, value) => (value.gt(max) ? value : max));
+  }
+
+  /**
+   * Add a value
+   * @param {Decimal|number|string} other - The value to add
+   * @return {Decimal} The sum
+   */
+  plus(other) {
+    return Decimal.fromUnits(this.units + Decimal.toUnits(other));
+  }
+
+  /**
+   * Subtract a value
+   * @param {Decimal|number|string} other - The value to subtract
+   * @return {Decimal} The difference
+   */
+  minus(other) {
+    return Decimal.fromUnits(this.units - Decimal.toUnits(other));
+  }
+
+  /**
+   * Multiply by a value
+   * @param {Decimal|number|string} other - The factor
+   * @return {Decimal} The product, rounded at the 18th decimal
+   */
+  times(other) {
+    return Decimal.fromUnits(divideRounded(this.units * Decimal.toUnits(other), SCALE_FACTOR));
+  }
+
+  /**
+   * Divide by a value
+   * @param {Decimal|number|string} other - The divisor
+   * @return {Decimal} The quotient, rounded at the 18th decimal
+   * @throws {Error} If the divisor is zero
+   */
+  div(other) {
+    const divisor = Decimal.toUnits(other);
+
+    if (divisor === 0n) {
+      throw new Error(`Division of ${this} by zero`);
+    }
+    return Decimal.fromUnits(divideRounded(this.units * SCALE_FACTOR, divisor));
+  }
+
+  /**
+   * Get the negated value
+   * @return {Decimal} The value with the opposite sign
+   */
+  neg() {
+    return Decimal.fromUnits(-this.units);
+  }
+
+  /**
+   * Get the absolute value
+   * @return {Decimal} The value without its sign
+   */
+  abs() {
+    return this.units < 0n ? this.neg() : this;
+  }
+
+  /**
+   * Get the sign of the value
+   * @return {number} -1, 0 or 1
+   */
+  sign() {
+    return this.units < 0n ? -1 : this.units > 0n ? 1 : 0;
+  }
+
+  /**
+   * Compare with a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {number} -1 if smaller, 0 if equal, 1 if larger
+   */
+  cmp(other) {
+    const units = Decimal.toUnits(other);
+    return this.units < units ? -1 : this.units > units ? 1 : 0;
+  }
+
+  /**
+   * Check if equal to a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {boolean} True if equal
+   */
+  eq(other) {
+    return this.cmp(other) === 0;
+  }
+
+  /**
+   * Check if larger than a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {boolean} True if larger
+   */
+  gt(other) {
+    return this.cmp(other) > 0;
+  }
+
+  /**
+   * Check if larger than or equal to a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {boolean} True if larger or equal
+   */
+  gte(other) {
+    return this.cmp(other) >= 0;
+  }
+
+  /**
+   * Check if smaller than a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {boolean} True if smaller
+   */
+  lt(other) {
+    return this.cmp(other) < 0;
+  }
+
+  /**
+   * Check if smaller than or equal to a value
+   * @param {Decimal|number|string} other - The value to compare with
+   * @return {boolean} True if smaller or equal
+   */
+  lte(other) {
+    return this.cmp(other) <= 0;
+  }
+
+  /**
+   * Check if the value is zero
+   * @return {boolean} True for zero
+   */
+  isZero() {
+    return this.units === 0n;
+  }
+
+  /**
+   * Check if the value is above zero
+   * @return {boolean} True for positive values
+   */
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  /**
+   * Check if the value is below zero
+   * @return {boolean} True for negative values
+   */
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  /**
+   * Round down to a multiple of a step size (e.g. an exchange lot step)
+   * Values within 10^-12 of the next step are rounded up to it
+   * @param {Decimal|number|string} step - The step size
+   * @return {Decimal} The rounded value
+   * @throws {Error} If the step is not positive
+   */
+  floorToStep(step) {
+    const stepUnits = Decimal.toUnits(step);
+
+    if (stepUnits <= 0n) {
+      throw new Error(`Step size must be positive: ${step}`);
+    }
+
+    const units = this.units + STEP_TOLERANCE;
+    let steps = units / stepUnits;
+    if (units % stepUnits !== 0n && units < 0n) {
+      steps -= 1n;
+    }
+    return Decimal.fromUnits(steps * stepUnits);
+  }
+
+  /**
+   * Round to the nearest multiple of a step size (e.g. an exchange price tick)
+   * @param {Decimal|number|string} step - The step size
+   * @return {Decimal} The rounded value
+   * @throws {Error} If the step is not positive
+   */
+  roundToStep(step) {
+    const stepUnits = Decimal.toUnits(step);
+
+    if (stepUnits <= 0n) {
+      throw new Error(`Step size must be positive: ${step}`);
+    }
+    return Decimal.fromUnits(divideRounded(this.units, stepUnits) * stepUnits);
+  }
+
+  /**
+   * Round to a number of decimals
+   * @param {number} decimals - The decimals to keep
+   * @return {Decimal} The rounded value
+   */
+  round(decimals = 8) {
+    return Decimal.fromUnits(divideRounded(this.units, 10n ** BigInt(SCALE - decimals)) * 10n ** BigInt(SCALE - decimals));
+  }
+
+  /**
+   * Format with a fixed number of decimals, rounding half away from zero
+   * @param {number} decimals - The decimals to show
+   * @return {string} The formatted value
+   */
+  toFixed(decimals = 0) {
+    const units = divideRounded(this.units, 10n ** BigInt(SCALE - decimals));
+    const digits = (units < 0n ? -units : units).toString().padStart(decimals + 1, '0');
+    const integer = digits.slice(0, digits.length - decimals);
+    const fraction = decimals > 0 ? `.${digits.slice(digits.length - decimals)}` : '';
+
+    return `${units < 0n ? '-' : ''}${integer}${fraction}`;
+  }
+
+  /**
+   * Get the nearest number
+   * @return {number} The value as a number
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Format in plain notation without trailing zeros
+   * @return {string} The value (e.g. "0.00012")
+   */
+  toString() {
+    const fixed = this.toFixed(SCALE);
+    return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+  }
+
+  /**
+   * Serialize as a string, so no precision is lost in JSON
+   * @return {string} The value
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Get the nearest number when used with an operator
+   * @return {number} The value as a number
+   */
+  valueOf() {
+    return this.toNumber();
+  }
+}
+
+Decimal.SCALE = SCALE;
+Decimal.ZERO = new Decimal(0);
+
+module.exports = Decimal;
@@ -13,10 +13,47 @@ module.exports = {
   DEFAULT_INDEX_PRICE: 1000, // Initial index price
   
   // Fees
-  TRADING_FEE_PERCENT: 0.1, // 0.1% trading fee
+  TRADING_FEE_PERCENT: 0.1, // 0.1% taker fee
+  MAKER_FEE_PERCENT: 0.1, // 0.1% maker fee
+  FEE_ASSET: process.env.FEE_ASSET || 'quote', // 'quote' or 'base': the asset buys pay their fees in
+  FEE_VOLUME_WINDOW_MS: 30 * 24 * 60 * 60 * 1000, // 30 days of traded volume count towards the fee tier
+  FEE_SCHEDULE: process.env.FEE_SCHEDULE || '', // JSON fee schedule with maker/taker rates, assets, tiers and venues
   
   // Order settings
   DEFAULT_BATCH_SIZE: 10,
+  MARKET_MAX_SLIPPAGE_PERCENT: 1, // Default price band around the reference price for market orders
+  ALLOW_SHORT_SELLING: process.env.ALLOW_SHORT_SELLING === 'true', // Sells beyond holdings need this and an explicit short flag
+  LEG_IMBALANCE_TOLERANCE_PERCENT: 1, // Spread of leg fill rates accepted in a basket execution
+  LEG_RECONCILIATION: process.env.LEG_RECONCILIATION || 'top_up', // 'top_up' (then unwind what still lags) or 'unwind'
+  
+  // Rebalancing
+  REBALANCE_WEIGHT_TOLERANCE: 0.0001, // Target weights must sum to 1 within this
+  REBALANCE_CHECK_INTERVAL_MS: parseInt(process.env.REBALANCE_CHECK_INTERVAL_MS, 10) || 60000, // How often rebalance policies are evaluated
+  REBALANCE_DRIFT_COOLDOWN_MS: 60 * 60 * 1000, // Drift triggers no sooner than this after the last rebalance
+  REBALANCE_PREVIEW_TTL_MS: 15 * 60 * 1000, // How long a previewed rebalance plan can be approved
+  REBALANCE_PREVIEW_TOLERANCE_PERCENT: 1, // Default price move since a preview accepted when it is approved
+  
+  // Persistence
+  STORAGE_TYPE: process.env.STORAGE_TYPE || 'memory', // 'memory' or 'file'
+  STORAGE_PATH: process.env.STORAGE_PATH || './data',
+  STORAGE_JOURNAL_MAX_BYTES: parseInt(process.env.STORAGE_JOURNAL_MAX_BYTES, 10) || 4 * 1024 * 1024, // File storage compacts its journal into the snapshot beyond this
+  
+  // Exchange
+  EXCHANGE_MODE: process.env.EXCHANGE_MODE || 'mock', // 'mock' (simulated) or 'live' (Binance REST API)
+  EXCHANGE_VENUES: process.env.EXCHANGE_VENUES || 'binance', // Comma separated venues as name[:feePercent]
+  BINANCE_BASE_URL: process.env.BINANCE_BASE_URL || 'https://api.binance.com',
+  BINANCE_API_KEY: process.env.BINANCE_API_KEY || '',
+  BINANCE_API_SECRET: process.env.BINANCE_API_SECRET || '',
+  BINANCE_QUOTE_ASSET: process.env.BINANCE_QUOTE_ASSET || 'USDT',
+  BINANCE_RECV_WINDOW: 5000, // Validity of signed requests in ms
+  BINANCE_WEIGHT_LIMIT: 6000, // Request weight per window
+  BINANCE_WEIGHT_WINDOW_MS: 60000, // 1 minute window
+  BINANCE_DEPTH_LIMIT: 20, // Order book levels to fetch
+  
+  // Market simulation
+  SIMULATION_SEED: process.env.SIMULATION_SEED, // Random seed when unset
+  SIMULATION_PRICE_PROCESS: process.env.SIMULATION_PRICE_PROCESS || 'random_walk', // random_walk, trending, jump
+  SIMULATION_TICK_MS: parseInt(process.env.SIMULATION_TICK_MS, 10) || 0, // 0 disables automatic price moves
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -0,0 +1,153 @@
+/**
+ * Calendar schedules as cron expressions
+ * Five fields: minute, hour, day of month, month and day of week (0 or 7 is
+ * Sunday), each `*`, a value, a range `a-b`, a step `*\/n` or `a-b/n`, or a
+ * comma separated list of those. Times are in UTC. As in cron, a day matches
+ * either field when both day fields are restricted.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Shorthands for the usual index review calendars
+const PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@quarterly': '0 0 1 1,4,7,10 *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// A schedule with no run within this many years never runs (e.g. February 30th)
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - The field
+ * @param {Object} field - The field definition ({name, min, max})
+ * @return {Set<number>} The values the field matches
+ * @throws {Error} If the field is not valid
+ */
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end, 10) : step !== undefined ? max : from;
+    const increment = step !== undefined ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Check if a UTC date matches the day fields of a schedule
+ * @param {Object} cron - The parsed schedule
+ * @param {Date} date - The date
+ * @return {boolean} True if the schedule runs on that day
+ */
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Get the first time after a timestamp at which a schedule runs
+ * @param {Object} cron - The parsed schedule, see parseCron()
+ * @param {number} from - The timestamp to search from (exclusive)
+ * @return {number} The timestamp of the next run, on a whole minute
+ * @throws {Error} If the schedule never runs
+ */
+const getNextCronRun = (cron, from) => {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match
+  while (date <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  throw new Error(`Schedule ${cron.expression} never runs`);
+};
+
+/**
+ * Parse a cron expression or preset (@hourly, @daily, @weekly, @monthly, @quarterly, @yearly)
+ * @param {string} expression - The schedule
+ * @return {Object} The values each field matches
+ * @throws {Error} If the expression is not valid or never runs
+ */
+const parseCron = (expression) => {
+  if (typeof expression !== 'string') {
+    throw new Error('A schedule must be a cron expression or preset');
+  }
+
+  const fields = (PRESETS[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`A cron expression has ${FIELDS.length} fields (minute hour day-of-month month day-of-week), or is one of ${Object.keys(PRESETS).join(', ')}: ${expression}`);
+  }
+
+  const cron = { expression };
+  FIELDS.forEach((field, position) => {
+    cron[field.name] = parseField(fields[position], field);
+  });
+
+  // Sunday is both 0 and 7
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  // Like Vixie cron, a day field starting with * (e.g. */2) does not count as restricted
+  cron.dayOfMonthRestricted = !fields[2].startsWith('*');
+  cron.dayOfWeekRestricted = !fields[4].startsWith('*');
+
+  // Reject schedules that can never run
+  getNextCronRun(cron, Date.UTC(2000, 0, 1));
+
+  return cron;
+};
+
+module.exports = {
+  parseCron,
+  getNextCronRun,
+  PRESETS
+};
@@ -1,3 +1,5 @@
+const Decimal = require('./Decimal');
+
 /**
  * Utility helper functions
  */
@@ -71,19 +73,53 @@ const generateId = (prefix = '') => {
 /**
  * Check if an order price is triggerable
  * @param {string} type - Order type ('buy' or 'sell')
- * @param {number} limitPrice - The order limit price
- * @param {number} currentPrice - The current market price
+ * @param {Decimal|number} limitPrice - The order limit price
+ * @param {Decimal|number} currentPrice - The current market price
  * @return {boolean} Whether the order is triggerable
  */
 const isOrderTriggerable = (type, limitPrice, currentPrice) => {
   if (type === 'buy') {
-    return limitPrice >= currentPrice;
+    return Decimal.from(limitPrice).gte(currentPrice);
+  } else if (type === 'sell') {
+    return Decimal.from(limitPrice).lte(currentPrice);
+  }
+  return false;
+};
+
+/**
+ * Check if a stop order is triggered
+ * Sell stops trigger when the price falls to the stop price, buy stops
+ * when it rises to it
+ * @param {string} type - Order type ('buy' or 'sell')
+ * @param {Decimal|number} stopPrice - The order stop price
+ * @param {Decimal|number} currentPrice - The current market price
+ * @return {boolean} Whether the stop is triggered
+ */
+const isStopTriggered = (type, stopPrice, currentPrice) => {
+  if (type === 'buy') {
+    return Decimal.from(currentPrice).gte(stopPrice);
   } else if (type === 'sell') {
-    return limitPrice <= currentPrice;
+    return Decimal.from(currentPrice).lte(stopPrice);
   }
   return false;
 };
 
+/**
+ * Build the default intraday volume profile for VWAP slicing
+ * Trading volume is highest at the open and the close, so the slices follow
+ * a U-shaped curve: the outer slices carry twice the weight of the middle one
+ * @param {number} sliceCount - The number of slices
+ * @return {Array<number>} The slice weights, summing to 1
+ */
+const buildVolumeProfile = (sliceCount) => {
+  const weights = Array.from({ length: sliceCount }, (_, slice) => {
+    const position = sliceCount > 1 ? (2 * slice) / (sliceCount - 1) - 1 : 0;
+    return 1 + position * position;
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => weight / total);
+};
+
 module.exports = {
   sleep,
   formatNumber,
@@ -91,5 +127,7 @@ module.exports = {
   groupBy,
   deepClone,
   generateId,
-  isOrderTriggerable
+  isOrderTriggerable,
+  isStopTriggered,
+  buildVolumeProfile
 };
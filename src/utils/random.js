@@ -0,0 +1,51 @@
+/**
+ * Seeded pseudo-random number generation
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} value - The string to hash
+ * @return {number} The hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - The seed; equal seeds produce equal sequences
+ * @return {Function} A function returning floats in [0, 1)
+ */
+const createRng = (seed) => {
+  let state = hashString(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw a standard normal value using the Box-Muller transform
+ * @param {Function} rng - A function returning floats in [0, 1)
+ * @return {number} A normally distributed value (mean 0, standard deviation 1)
+ */
+const normal = (rng) => {
+  const u = 1 - rng(); // (0, 1] so the log is finite
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+module.exports = {
+  hashString,
+  createRng,
+  normal
+};
@@ -3,15 +3,20 @@ const {
   indices, 
   positions, 
   orderProcessor, 
+  rebalanceScheduler, 
   queueManager, 
   liquidityAnalyzer, 
   binanceAdapter, 
-  rebalanceManager 
+  rebalanceManager,
+  stopTimers
 } = require('../src/index');
 const request = require('supertest');
 const Index = require('../src/models/Index');
 const Asset = require('../src/models/Asset');
-const { RATE_LIMIT_WINDOW_MS } = require('../src/utils/constants');
+const Order = require('../src/models/Order');
+const Position = require('../src/models/Position');
+const Decimal = require('../src/utils/Decimal');
+const { RATE_LIMIT, RATE_LIMIT_WINDOW_MS } = require('../src/utils/constants');
 
 // Mock the rate limit window to make tests faster
 jest.mock('../src/utils/constants', () => ({
@@ -27,17 +32,41 @@ jest.mock('../src/utils/logger', () => ({
   debug: jest.fn()
 }));
 
+/**
+ * Give a position filled holdings without going through the processor
+ */
+const seedHoldings = (positionId, indexId, units, price) => {
+  const order = Order.createBuyOrder(positionId, indexId, units, price);
+  order.updateStatus('processing');
+  order.updateStatus('filled', { fillPercentage: 100, fill: { quantity: units, price, fee: 0 } });
+  
+  const position = new Position(positionId, indexId);
+  position.addOrder(order);
+  positions.set(positionId, position);
+  return position;
+};
+
+/**
+ * Run a test body with the background processor stopped, so the orders it
+ * queues stay queued until the test processes them
+ */
+const withProcessorStopped = async fn => {
+  orderProcessor.stop();
+  try {
+    return await fn();
+  } finally {
+    orderProcessor.start(100);
+  }
+};
+
 describe('ETF Solver Integration Tests', () => {
   beforeAll(() => {
-    // Stop the processor that was started in index.js
-    orderProcessor.stop();
-    
-    // Configure the processor to run more frequently for testing
+    // index.js starts no timers under test, run the processor more frequently
     orderProcessor.start(100);
   });
   
   afterAll(done => {
-    orderProcessor.stop();
+    stopTimers();
     done();
   });
   
@@ -67,7 +96,7 @@ describe('ETF Solver Integration Tests', () => {
       expect(res.statusCode).toBe(201);
       expect(res.body.id).toBe('test-index');
       expect(res.body.assets.length).toBe(3);
-      expect(res.body.currentPrice).toBe(30);
+      expect(res.body.currentPrice).toBe('30');
     });
     
     test('should get an index by ID', async () => {
@@ -89,7 +118,7 @@ describe('ETF Solver Integration Tests', () => {
       expect(res.statusCode).toBe(200);
       expect(res.body.id).toBe('test-index-2');
       expect(res.body.assets.length).toBe(2);
-      expect(res.body.currentPrice).toBe(50);
+      expect(res.body.currentPrice).toBe('50');
     });
     
     test('should get all indices', async () => {
@@ -117,6 +146,93 @@ describe('ETF Solver Integration Tests', () => {
       expect(res.body.map(i => i.id)).toContain('index-a');
       expect(res.body.map(i => i.id)).toContain('index-b');
     });
+    
+    test('should create a weighted index at its base value', async () => {
+      const res = await request(app)
+        .post('/api/indices')
+        .send({
+          id: 'weighted-index',
+          weighting: 'custom',
+          baseValue: 1000,
+          assets: [
+            { id: 'A', price: 20, weight: 0.6 },
+            { id: 'B', price: 5, weight: 0.4 }
+          ]
+        });
+      
+      expect(res.statusCode).toBe(201);
+      expect(res.body.weighting).toBe('custom');
+      expect(res.body.currentPrice).toBe('1000');
+      expect(res.body.divisor).toBe('1');
+      expect(res.body.assets.map(asset => asset.quantity)).toEqual(['30', '80']);
+      expect(res.body.targetWeights).toEqual({ A: '0.6', B: '0.4' });
+      
+      // Weights drift with prices while the targets stay
+      const priceRes = await request(app)
+        .put('/api/indices/weighted-index/assets/A/price')
+        .send({ price: 40 });
+      
+      expect(priceRes.body.currentPrice).toBe('1600');
+      expect(priceRes.body.weights.A).toBe('0.75');
+      expect(priceRes.body.targetWeights.A).toBe('0.6');
+    });
+    
+    test('should reject an invalid index definition', async () => {
+      const res = await request(app)
+        .post('/api/indices')
+        .send({
+          id: 'invalid-index',
+          weighting: 'cap',
+          assets: [{ id: 'A', price: 20 }]
+        });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch('marketCap');
+      
+      const quantityRes = await request(app)
+        .post('/api/indices')
+        .send({
+          id: 'invalid-index',
+          assets: [{ id: 'A', quantity: 'many', price: 20 }]
+        });
+      
+      expect(quantityRes.statusCode).toBe(400);
+      expect(quantityRes.body.error).toMatch('positive quantity');
+    });
+    
+    test('should reject an invalid asset price', async () => {
+      await request(app)
+        .post('/api/indices')
+        .send({
+          id: 'price-index',
+          assets: [{ id: 'A', quantity: 1, price: 10 }]
+        });
+      
+      const res = await request(app)
+        .put('/api/indices/price-index/assets/A/price')
+        .send({ price: 'abc' });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch('positive number');
+    });
+    
+    test('should quote the simulated order books around an updated asset price', async () => {
+      await request(app)
+        .post('/api/indices')
+        .send({
+          id: 'quote-index',
+          assets: [{ id: 'QUOTE', quantity: 1, price: 10 }]
+        });
+      await binanceAdapter.getOrderBook('QUOTE', 10);
+      
+      await request(app)
+        .put('/api/indices/quote-index/assets/QUOTE/price')
+        .send({ price: 50 });
+      
+      const orderBook = await binanceAdapter.getOrderBook('QUOTE');
+      expect(Number(orderBook.bids[0][0])).toBeGreaterThan(49.9);
+      expect(Number(orderBook.asks[0][0])).toBeLessThan(50.1);
+    });
   });
   
   describe('Order Management API', () => {
@@ -135,98 +251,547 @@ describe('ETF Solver Integration Tests', () => {
     });
     
     test('should create a buy order', async () => {
+      await withProcessorStopped(async () => {
+        const res = await request(app)
+          .post('/api/orders/buy')
+          .send({
+            positionId: 'position-1',
+            indexId: 'order-test-index',
+            quantity: 10,
+            indexPrice: 30
+          });
+        
+        expect(res.statusCode).toBe(201);
+        expect(res.body.type).toBe('buy');
+        expect(res.body.positionId).toBe('position-1');
+        expect(res.body.quantity).toBe('10');
+        expect(res.body.status).toBe('pending');
+        
+        // Check that the order was queued
+        const queueStats = await request(app)
+          .get('/api/queue/status');
+        
+        expect(queueStats.body.queued.buy).toBe(1);
+      });
+    });
+    
+    test('should create a sell order', async () => {
+      await withProcessorStopped(async () => {
+        seedHoldings('position-2', 'order-test-index', 5, 30);
+        
+        const res = await request(app)
+          .post('/api/orders/sell')
+          .send({
+            positionId: 'position-2',
+            indexId: 'order-test-index',
+            quantity: 5,
+            indexPrice: 30
+          });
+        
+        expect(res.statusCode).toBe(201);
+        expect(res.body.type).toBe('sell');
+        expect(res.body.positionId).toBe('position-2');
+        expect(res.body.quantity).toBe('5');
+        expect(res.body.status).toBe('pending');
+        
+        // Check that the order was queued
+        const queueStats = await request(app)
+          .get('/api/queue/status');
+        
+        expect(queueStats.body.queued.sell).toBe(1);
+      });
+    });
+    
+    test('should accept time in force on orders', async () => {
+      const expiresAt = new Date(Date.now() + 60000).toISOString();
       const res = await request(app)
         .post('/api/orders/buy')
         .send({
-          positionId: 'position-1',
+          positionId: 'gtd-position',
           indexId: 'order-test-index',
           quantity: 10,
-          indexPrice: 30
+          indexPrice: 25,
+          timeInForce: 'GTD',
+          expiresAt
         });
       
       expect(res.statusCode).toBe(201);
-      expect(res.body.type).toBe('buy');
-      expect(res.body.positionId).toBe('position-1');
-      expect(res.body.quantity).toBe(10);
-      expect(res.body.status).toBe('pending');
-      
-      // Check that the order was queued
-      const queueStats = await request(app)
-        .get('/api/queue/status');
-      
-      expect(queueStats.body.queued.buy).toBe(1);
+      expect(res.body.timeInForce).toBe('GTD');
+      expect(res.body.expiresAt).toBe(new Date(expiresAt).getTime());
     });
     
-    test('should create a sell order', async () => {
+    test('should take amounts as decimal strings without losing precision', async () => {
       const res = await request(app)
-        .post('/api/orders/sell')
+        .post('/api/orders/buy')
         .send({
-          positionId: 'position-2',
+          positionId: 'position-decimal',
           indexId: 'order-test-index',
-          quantity: 5,
-          indexPrice: 30
+          quantity: '0.123456789012345678',
+          indexPrice: '30.1'
         });
       
       expect(res.statusCode).toBe(201);
-      expect(res.body.type).toBe('sell');
-      expect(res.body.positionId).toBe('position-2');
-      expect(res.body.quantity).toBe(5);
-      expect(res.body.status).toBe('pending');
+      expect(res.body.quantity).toBe('0.123456789012345678');
+      expect(res.body.indexPrice).toBe('30.1');
       
-      // Check that the order was queued
-      const queueStats = await request(app)
-        .get('/api/queue/status');
+      const invalid = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'position-decimal-2', indexId: 'order-test-index', quantity: 'ten', indexPrice: 30 });
+      
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.error).toMatch('Quantity must be a positive number');
       
-      expect(queueStats.body.queued.sell).toBe(1);
+      // Exponents too large to scale are rejected up front
+      const huge = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'position-decimal-3', indexId: 'order-test-index', quantity: '1e10000000', indexPrice: 30 });
+      
+      expect(huge.statusCode).toBe(400);
+      expect(huge.body.error).toMatch('Quantity must be a positive number');
     });
     
-    test('should create a cancel order', async () => {
-      // First create an order to cancel
-      await request(app)
+    test('should reject invalid time in force', async () => {
+      const unknown = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'tif-position', indexId: 'order-test-index', quantity: 10, indexPrice: 30, timeInForce: 'DAY' });
+      
+      expect(unknown.statusCode).toBe(400);
+      
+      const expired = await request(app)
         .post('/api/orders/buy')
         .send({
-          positionId: 'position-to-cancel',
+          positionId: 'tif-position',
           indexId: 'order-test-index',
-          quantity: 15,
-          indexPrice: 30
+          quantity: 10,
+          indexPrice: 30,
+          timeInForce: 'GTD',
+          expiresAt: Date.now() - 1000
         });
       
-      // Then cancel it
+      expect(expired.statusCode).toBe(400);
+      expect(expired.body.error).toBe('GTD orders need an expiresAt in the future');
+    });
+    
+    test('should create a market order for a notional amount', async () => {
       const res = await request(app)
-        .post('/api/orders/cancel')
+        .post('/api/orders/buy')
         .send({
-          positionId: 'position-to-cancel'
+          positionId: 'notional-position',
+          indexId: 'order-test-index',
+          notional: 10000,
+          orderType: 'market'
         });
       
       expect(res.statusCode).toBe(201);
-      expect(res.body.type).toBe('cancel');
-      expect(res.body.positionId).toBe('position-to-cancel');
-      expect(res.body.status).toBe('pending');
+      expect(res.body.orderType).toBe('market');
+      expect(res.body.notional).toBe('10000');
+      expect(res.body.quantity).toBeNull();
+      expect(res.body.indexPrice).toBeNull();
+      expect(res.body.maxSlippagePercent).toBe(1);
+    });
+    
+    test('should reject orders without exactly one of quantity and notional', async () => {
+      const both = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'size-position', indexId: 'order-test-index', quantity: 10, notional: 300, indexPrice: 30 });
+      
+      expect(both.statusCode).toBe(400);
+      expect(both.body.error).toBe('Either quantity or notional is required');
+      
+      const limitWithoutPrice = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'size-position', indexId: 'order-test-index', notional: 300 });
+      
+      expect(limitWithoutPrice.statusCode).toBe(400);
+      expect(limitWithoutPrice.body.error).toBe('Limit orders need a positive indexPrice');
+    });
+    
+    test('should check notional sells against holdings at the current price', async () => {
+      seedHoldings('notional-held-position', 'order-test-index', 10, 30);
+      
+      // 10 units at the current index price of 30 are worth 300
+      const tooLarge = await request(app)
+        .post('/api/orders/sell')
+        .send({ positionId: 'notional-held-position', indexId: 'order-test-index', notional: 450, orderType: 'market' });
+      
+      expect(tooLarge.statusCode).toBe(400);
+      expect(tooLarge.body.availableUnits).toBe('10');
+      
+      const res = await request(app)
+        .post('/api/orders/sell')
+        .send({ positionId: 'notional-held-position', indexId: 'order-test-index', notional: 150, indexPrice: 1000 });
+      
+      expect(res.statusCode).toBe(201);
+    });
+    
+    test('should not sell more units than held when prices fall before execution', async () => {
+      await withProcessorStopped(async () => {
+        seedHoldings('falling-position', 'order-test-index', 10, 30);
+        
+        // 300 is worth the 10 units held at the index price of 30
+        const res = await request(app)
+          .post('/api/orders/sell')
+          .send({ positionId: 'falling-position', indexId: 'order-test-index', notional: 300, orderType: 'market' });
+        
+        expect(res.statusCode).toBe(201);
+        
+        // Every asset price halves: 300 would now be 20 units
+        for (const [assetId, price] of [['A', 5], ['B', 2.5], ['C', 1]]) {
+          await request(app)
+            .put(`/api/indices/order-test-index/assets/${assetId}/price`)
+            .send({ price });
+        }
+        
+        await orderProcessor.processBatch();
+        
+        const position = positions.get('falling-position');
+        const order = position.getLatestOrder();
+        expect(order.filledQuantity.isPositive()).toBe(true);
+        expect(order.filledQuantity.lte(10)).toBe(true);
+        expect(position.getUnitsHeld().isNegative()).toBe(false);
+      });
+    });
+    
+    test('should trigger a stop-loss when the index price falls to its stop price', async () => {
+      seedHoldings('stop-position', 'order-test-index', 10, 30);
+      
+      const res = await request(app)
+        .post('/api/orders/sell')
+        .send({ positionId: 'stop-position', indexId: 'order-test-index', quantity: 10, orderType: 'stop', stopPrice: 25 });
+      
+      expect(res.statusCode).toBe(201);
+      expect(res.body.orderType).toBe('stop');
+      expect(res.body.indexPrice).toBeNull();
+      
+      const waiting = await request(app)
+        .get('/api/queue/status');
+      
+      expect(waiting.body.stops).toBe(1);
+      
+      // Index price 30 -> 24
+      await request(app)
+        .put('/api/indices/order-test-index/assets/A/price')
+        .send({ price: 4 });
+      
+      const stopOrder = positions.get('stop-position').getLatestOrder();
+      expect(stopOrder.orderType).toBe('market');
+      expect(stopOrder.stopType).toBe('stop');
+      expect(stopOrder.triggeredAt).not.toBeNull();
+      expect(queueManager.getStats().stops).toBe(0);
+    });
+    
+    test('should reject stop orders without a valid trigger', async () => {
+      const res = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'bad-stop-position', indexId: 'order-test-index', quantity: 10, orderType: 'trailing_stop', trailingPercent: 0 });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch('trailingPercent');
+      
+      // A string would be concatenated into the stop price instead of added
+      const stringPercent = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'bad-stop-position', indexId: 'order-test-index', quantity: 10, orderType: 'trailing_stop', trailingPercent: '5' });
+      
+      expect(stringPercent.statusCode).toBe(400);
+      expect(stringPercent.body.error).toMatch('trailingPercent must be a number');
+    });
+    
+    test('should create TWAP and VWAP orders and reject schedules faster than the rate limit', async () => {
+      const twap = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'twap-position', indexId: 'order-test-index', quantity: 10, indexPrice: 30, algorithm: 'twap', horizonMs: 6 * RATE_LIMIT_WINDOW_MS });
+      
+      expect(twap.statusCode).toBe(201);
+      expect(twap.body.algorithm).toBe('twap');
+      expect(twap.body.sliceCount).toBe(6);
+      
+      const vwap = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'vwap-position', indexId: 'order-test-index', quantity: 10, indexPrice: 30, algorithm: 'vwap', horizonMs: 3 * RATE_LIMIT_WINDOW_MS, volumeProfile: [3, 1, 2] });
+      
+      expect(vwap.statusCode).toBe(201);
+      expect(vwap.body.volumeProfile).toEqual([3, 1, 2]);
+      
+      const tooFast = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'fast-twap-position', indexId: 'order-test-index', quantity: 10, indexPrice: 30, algorithm: 'twap', horizonMs: 6 * RATE_LIMIT_WINDOW_MS, sliceCount: 60 });
+      
+      expect(tooFast.statusCode).toBe(400);
+      expect(tooFast.body.error).toMatch('sliceCount');
+    });
+    
+    test('should create POV and iceberg orders', async () => {
+      const pov = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'pov-position', indexId: 'order-test-index', quantity: 10, orderType: 'market', algorithm: 'pov', participationRate: 5, displaySize: 2 });
+      
+      expect(pov.statusCode).toBe(201);
+      expect(pov.body.participationRate).toBe(5);
+      expect(pov.body.displaySize).toBe('2');
+      
+      const badRate = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'bad-pov-position', indexId: 'order-test-index', quantity: 10, orderType: 'market', algorithm: 'pov' });
+      
+      expect(badRate.statusCode).toBe(400);
+      expect(badRate.body.error).toMatch('participationRate');
+      
+      const badDisplay = await request(app)
+        .post('/api/orders/buy')
+        .send({ positionId: 'bad-iceberg-position', indexId: 'order-test-index', quantity: 10, indexPrice: 30, displaySize: 1, timeInForce: 'FOK' });
+      
+      expect(badDisplay.statusCode).toBe(400);
+      expect(badDisplay.body.error).toMatch('displaySize');
+    });
+    
+    test('should estimate the cost of an order without queueing it', async () => {
+      const res = await request(app)
+        .post('/api/orders/estimate')
+        .send({ side: 'buy', indexId: 'order-test-index', quantity: 2, orderType: 'market' });
+
+      expect(res.statusCode).toBe(200);
+      expect(Number(res.body.expectedFillPercent)).toBeGreaterThan(0);
+      expect(res.body.assets.map(asset => asset.assetId)).toEqual(['A', 'B', 'C']);
+      expect(Number(res.body.fees)).toBeGreaterThan(0);
+      // Amounts are decimal strings that add up exactly
+      expect(new Decimal(res.body.expectedLoss)).toEqual(new Decimal(res.body.slippageCost).plus(res.body.fees));
+      expect(res.body.worstAsset).toEqual(expect.any(String));
+
+      const queueStats = await request(app).get('/api/queue/status');
+      expect(queueStats.body.queued.buy).toBe(0);
+      expect(positions.has('estimate')).toBe(false);
+
+      const badSide = await request(app)
+        .post('/api/orders/estimate')
+        .send({ side: 'rebalance', indexId: 'order-test-index', quantity: 2 });
+      expect(badSide.statusCode).toBe(400);
+
+      const missingIndex = await request(app)
+        .post('/api/orders/estimate')
+        .send({ side: 'sell', indexId: 'missing-index', quantity: 2 });
+      expect(missingIndex.statusCode).toBe(404);
+    });
+
+    test('should amend a resting order in place', async () => {
+      await withProcessorStopped(async () => {
+        await request(app)
+          .post('/api/orders/buy')
+          .send({ positionId: 'amend-position', indexId: 'order-test-index', quantity: 10, indexPrice: 20 });
+        
+        const res = await request(app)
+          .patch('/api/orders/amend-position')
+          .send({ quantity: 6, indexPrice: 22 });
+        
+        expect(res.statusCode).toBe(200);
+        expect(res.body.quantity).toBe('6');
+        expect(res.body.indexPrice).toBe('22');
+        expect(res.body.priorityReset).toBe(true);
+        
+        const increase = await request(app)
+          .patch('/api/orders/amend-position')
+          .send({ quantity: 8 });
+        
+        expect(increase.statusCode).toBe(400);
+        
+        const missing = await request(app)
+          .patch('/api/orders/unknown-position')
+          .send({ quantity: 1 });
+        
+        expect(missing.statusCode).toBe(404);
+      });
+    });
+    
+    test('should reject a sell without holdings', async () => {
+      const res = await request(app)
+        .post('/api/orders/sell')
+        .send({
+          positionId: 'unheld-position',
+          indexId: 'order-test-index',
+          quantity: 5,
+          indexPrice: 30
+        });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.availableUnits).toBe('0');
       
-      // Check that the cancel order was queued
       const queueStats = await request(app)
         .get('/api/queue/status');
       
-      expect(queueStats.body.queued.cancel).toBe(1);
+      expect(queueStats.body.queued.sell).toBe(0);
+    });
+    
+    test('should reject sells beyond the units not already being sold', async () => {
+      seedHoldings('held-position', 'order-test-index', 10, 30);
+      
+      const firstSell = await request(app)
+        .post('/api/orders/sell')
+        .send({ positionId: 'held-position', indexId: 'order-test-index', quantity: 6, indexPrice: 1000 });
+      
+      expect(firstSell.statusCode).toBe(201);
+      
+      const secondSell = await request(app)
+        .post('/api/orders/sell')
+        .send({ positionId: 'held-position', indexId: 'order-test-index', quantity: 5, indexPrice: 1000 });
+      
+      expect(secondSell.statusCode).toBe(400);
+      expect(secondSell.body.availableUnits).toBe('4');
+    });
+    
+    test('should reject short sells unless enabled', async () => {
+      const res = await request(app)
+        .post('/api/orders/sell')
+        .send({
+          positionId: 'short-position',
+          indexId: 'order-test-index',
+          quantity: 5,
+          indexPrice: 30,
+          short: true
+        });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Short selling is not enabled');
+    });
+    
+    test('should create a cancel order', async () => {
+      await withProcessorStopped(async () => {
+        // First create an order to cancel
+        await request(app)
+          .post('/api/orders/buy')
+          .send({
+            positionId: 'position-to-cancel',
+            indexId: 'order-test-index',
+            quantity: 15,
+            indexPrice: 30
+          });
+        
+        // Then cancel it
+        const res = await request(app)
+          .post('/api/orders/cancel')
+          .send({
+            positionId: 'position-to-cancel'
+          });
+        
+        expect(res.statusCode).toBe(201);
+        expect(res.body.type).toBe('cancel');
+        expect(res.body.positionId).toBe('position-to-cancel');
+        expect(res.body.status).toBe('pending');
+        
+        // Check that the cancel order was queued
+        const queueStats = await request(app)
+          .get('/api/queue/status');
+        
+        expect(queueStats.body.queued.cancel).toBe(1);
+      });
     });
     
     test('should create a rebalance order', async () => {
+      await withProcessorStopped(async () => {
+        const res = await request(app)
+          .post('/api/orders/rebalance')
+          .send({
+            indexId: 'order-test-index'
+          });
+        
+        expect(res.statusCode).toBe(201);
+        expect(res.body.type).toBe('rebalance');
+        expect(res.body.indexId).toBe('order-test-index');
+        expect(res.body.status).toBe('pending');
+        
+        // Check that the rebalance order was queued
+        const queueStats = await request(app)
+          .get('/api/queue/status');
+        
+        expect(queueStats.body.queued.rebalance).toBe(1);
+      });
+    });
+    
+    test('should create a rebalance order with a target composition', async () => {
       const res = await request(app)
         .post('/api/orders/rebalance')
         .send({
-          indexId: 'order-test-index'
+          indexId: 'order-test-index',
+          target: { weights: { A: 0.5, B: '0.5' } }
         });
       
       expect(res.statusCode).toBe(201);
-      expect(res.body.type).toBe('rebalance');
-      expect(res.body.indexId).toBe('order-test-index');
-      expect(res.body.status).toBe('pending');
+      expect(res.body.rebalanceTarget).toEqual({ weights: { A: '0.5', B: '0.5' } });
+    });
+    
+    test('should reject an invalid rebalance target', async () => {
+      const res = await request(app)
+        .post('/api/orders/rebalance')
+        .send({
+          indexId: 'order-test-index',
+          target: { weights: { A: 0.5, B: 0.3 } }
+        });
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch('must sum to 1');
       
-      // Check that the rebalance order was queued
       const queueStats = await request(app)
         .get('/api/queue/status');
       
-      expect(queueStats.body.queued.rebalance).toBe(1);
+      expect(queueStats.body.queued.rebalance).toBe(0);
+    });
+    
+    test('should queue a rebalance when the weights drift beyond the policy threshold', async () => {
+      const policyRes = await request(app)
+        .put('/api/indices/order-test-index/rebalance-policy')
+        .send({ schedule: '@monthly', driftThresholdPercent: 5 });
+      
+      expect(policyRes.statusCode).toBe(200);
+      expect(policyRes.body.rebalancePolicy.schedule).toBe('@monthly');
+      expect(policyRes.body.rebalancePolicy.nextRunAt).toBeGreaterThan(Date.now());
+      
+      // No timers run under test, rebalances are only queued by evaluate()
+      expect(rebalanceScheduler.isRunning).toBe(false);
+      
+      // Equal thirds: nothing to do yet
+      expect(rebalanceScheduler.evaluate()).toHaveLength(0);
+      
+      // A doubles to half of the basket, 16.7 points over its target
+      await request(app)
+        .put('/api/indices/order-test-index/assets/A/price')
+        .send({ price: 20 });
+      
+      const queued = rebalanceScheduler.evaluate();
+      expect(queued).toHaveLength(1);
+      expect(queued[0].type).toBe('rebalance');
+      expect(queued[0].indexId).toBe('order-test-index');
+      
+      // The drift is served by the queued rebalance
+      expect(rebalanceScheduler.evaluate()).toHaveLength(0);
+      
+      const indexRes = await request(app)
+        .get('/api/indices/order-test-index');
+      
+      expect(indexRes.body.rebalancePolicy.lastTrigger).toBe('drift');
+    });
+    
+    test('should validate and remove rebalance policies', async () => {
+      const invalidRes = await request(app)
+        .put('/api/indices/order-test-index/rebalance-policy')
+        .send({ schedule: '0 0 31 2 *' });
+      
+      expect(invalidRes.statusCode).toBe(400);
+      expect(invalidRes.body.error).toMatch('never runs');
+      
+      const emptyRes = await request(app)
+        .put('/api/indices/order-test-index/rebalance-policy')
+        .send({});
+      
+      expect(emptyRes.statusCode).toBe(400);
+      
+      await request(app)
+        .put('/api/indices/order-test-index/rebalance-policy')
+        .send({ driftThresholdPercent: 1 });
+      
+      const deleteRes = await request(app)
+        .delete('/api/indices/order-test-index/rebalance-policy');
+      
+      expect(deleteRes.statusCode).toBe(200);
+      expect(deleteRes.body.rebalancePolicy).toBeNull();
     });
   });
   
@@ -261,11 +826,12 @@ describe('ETF Solver Integration Tests', () => {
       expect(res.statusCode).toBe(200);
       expect(res.body.positionId).toBe('test-position');
       expect(res.body.indexId).toBe('position-test-index');
-      expect(res.body.quantity).toBe(10);
+      expect(res.body.quantity).toBe('10');
     });
     
     test('should get all positions', async () => {
       // Create another position
+      seedHoldings('another-position', 'position-test-index', 5, 20);
       await request(app)
         .post('/api/orders/sell')
         .send({
@@ -318,7 +884,7 @@ describe('ETF Solver Integration Tests', () => {
       expect(res.body.orderType).toBe('buy');
       expect(res.body.indexId).toBe('reporting-test-index');
       expect(res.body.status).toBe('pending');
-      expect(res.body.fillPercentage).toBe(0);
+      expect(res.body.fillPercentage).toBe('0');
     });
     
     test('should get rebalance report for an index', async () => {
@@ -379,7 +945,8 @@ describe('ETF Solver Integration Tests', () => {
       
       // Should now be filled or partially filled
       expect(['filled', 'partially_filled']).toContain(positionRes.body.status);
-      expect(positionRes.body.fillPercentage).toBeGreaterThan(0);
+      expect(Number(positionRes.body.fillPercentage)).toBeGreaterThan(0);
+      expect(Number(positionRes.body.units)).toBeCloseTo(10 * positionRes.body.fillPercentage / 100);
       
       // Check the fill report
       const fillRes = await request(app)
@@ -387,6 +954,9 @@ describe('ETF Solver Integration Tests', () => {
       
       expect(fillRes.body.status).toBe(positionRes.body.status);
       expect(fillRes.body.fillPercentage).toBe(positionRes.body.fillPercentage);
+      // The loss is broken out into fees and slippage
+      expect(Number(fillRes.body.fees)).toBeGreaterThan(0);
+      expect(new Decimal(fillRes.body.loss)).toEqual(new Decimal(fillRes.body.fees).plus(fillRes.body.slippageLoss));
     });
     
     test('should process a cancel order', async () => {
@@ -463,6 +1033,100 @@ describe('ETF Solver Integration Tests', () => {
       expect(updatedIndexRes.body.assets).not.toEqual(initialAssets);
     });
     
+    test('should preview a rebalance and execute it once approved', async () => {
+      const previewRes = await request(app)
+        .post('/api/indices/e2e-test-index/rebalance/preview')
+        .send({
+          target: { weights: { A: 0.5, B: 0.25, C: 0.25 } }
+        });
+      
+      expect(previewRes.statusCode).toBe(201);
+      expect(previewRes.body.status).toBe('pending');
+      expect(Number(previewRes.body.turnover.percent)).toBeGreaterThan(0);
+      expect(Number(previewRes.body.resultingWeights.A)).toBeCloseTo(0.5);
+      expect(previewRes.body.plan.assetChanges.length).toBe(3);
+      expect(previewRes.body.plan.estimatedCosts.totalCost).toBeDefined();
+      
+      // Nothing is traded or queued by a preview
+      const queueStats = await request(app)
+        .get('/api/queue/status');
+      
+      expect(queueStats.body.queued.rebalance).toBe(0);
+      
+      const previewId = previewRes.body.id;
+      const approveRes = await request(app)
+        .post(`/api/indices/e2e-test-index/rebalance/preview/${previewId}/approve`)
+        .send({ tolerancePercent: 5 });
+      
+      expect(approveRes.statusCode).toBe(201);
+      expect(approveRes.body.type).toBe('rebalance');
+      expect(approveRes.body.rebalancePreviewId).toBe(previewId);
+      
+      // Wait for processing
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const indexRes = await request(app)
+        .get('/api/indices/e2e-test-index');
+      
+      // The index books what the legs filled, not what the plan asked for
+      const historyRes = await request(app)
+        .get('/api/reporting/rebalance/e2e-test-index');
+      const { executionResults } = historyRes.body[historyRes.body.length - 1];
+      const expected = { A: 1, B: 2, C: 5 };
+      for (const result of executionResults) {
+        for (const leg of result.assets) {
+          expected[leg.assetId] += (result.side === 'buy' ? 1 : -1) * Number(leg.filledQuantity);
+        }
+      }
+      
+      for (const asset of indexRes.body.assets) {
+        expect(Number(asset.quantity)).toBeCloseTo(expected[asset.id]);
+      }
+      
+      const againRes = await request(app)
+        .post(`/api/indices/e2e-test-index/rebalance/preview/${previewId}/approve`)
+        .send({});
+      
+      expect(againRes.statusCode).toBe(409);
+      expect(againRes.body.error).toMatch('is already executed');
+    });
+    
+    test('should reject invalid rebalance previews and approvals', async () => {
+      const invalidRes = await request(app)
+        .post('/api/indices/e2e-test-index/rebalance/preview')
+        .send({
+          target: { weights: { A: 0.5 } }
+        });
+      
+      expect(invalidRes.statusCode).toBe(400);
+      
+      const unknownRes = await request(app)
+        .post('/api/indices/e2e-test-index/rebalance/preview/preview_unknown/approve')
+        .send({});
+      
+      expect(unknownRes.statusCode).toBe(404);
+      
+      const previewRes = await request(app)
+        .post('/api/indices/e2e-test-index/rebalance/preview')
+        .send({});
+      
+      const toleranceRes = await request(app)
+        .post(`/api/indices/e2e-test-index/rebalance/preview/${previewRes.body.id}/approve`)
+        .send({ tolerancePercent: 'any' });
+      
+      expect(toleranceRes.statusCode).toBe(400);
+      
+      // The market of A moved more than the default tolerance since the preview
+      binanceAdapter.updateOrderBook('A', 3);
+      
+      const movedRes = await request(app)
+        .post(`/api/indices/e2e-test-index/rebalance/preview/${previewRes.body.id}/approve`)
+        .send({});
+      
+      expect(movedRes.statusCode).toBe(409);
+      expect(movedRes.body.error).toMatch('The price of A moved');
+    });
+    
     test('should handle rate limiting for multiple orders', async () => {
       // Submit many orders at once
       const orderCount = 150;
@@ -511,8 +1175,11 @@ describe('ETF Solver Integration Tests', () => {
       const finalQueueRes = await request(app)
         .get('/api/queue/status');
       
-      // Some orders should have been moved to history
-      expect(finalQueueRes.body.history).toBeGreaterThan(0);
+      // No batch takes more orders than the rate limit. Filled orders move to
+      // history; partially filled ones rest in the queue for their remainder
+      const { queued, processing, history, ordersInCurrentBatch } = finalQueueRes.body;
+      expect(ordersInCurrentBatch).toBeLessThanOrEqual(RATE_LIMIT);
+      expect(queued.buy + processing.buy + history).toBe(orderCount);
     });
   });
 });
@@ -1,5 +1,6 @@
 const Index = require('../../src/models/Index');
 const Asset = require('../../src/models/Asset');
+const Decimal = require('../../src/utils/Decimal');
 
 describe('Index Model', () => {
   let index;
@@ -22,12 +23,12 @@ describe('Index Model', () => {
   
   test('should calculate the current price correctly', () => {
     // 1*10 + 2*5 + 5*2 = 10 + 10 + 10 = 30
-    expect(index.getCurrentPrice()).toBe(30);
+    expect(index.getCurrentPrice().toNumber()).toBe(30);
   });
   
   test('should calculate the initial price correctly', () => {
     // 1*10 + 2*5 + 5*2 = 10 + 10 + 10 = 30
-    expect(index.getInitialPrice()).toBe(30);
+    expect(index.getInitialPrice().toNumber()).toBe(30);
   });
   
   test('should update asset prices', () => {
@@ -35,7 +36,7 @@ describe('Index Model', () => {
     index.updateAssetPrice('B', 10);
     
     // 1*20 + 2*10 + 5*2 = 20 + 20 + 10 = 50
-    expect(index.getCurrentPrice()).toBe(50);
+    expect(index.getCurrentPrice().toNumber()).toBe(50);
   });
   
   test('should add an asset', () => {
@@ -45,8 +46,10 @@ describe('Index Model', () => {
     expect(index.assets.length).toBe(4);
     expect(index.getAsset('D')).toBe(newAsset);
     
-    // 1*10 + 2*5 + 5*2 + 3*7 = 10 + 10 + 10 + 21 = 51
-    expect(index.getCurrentPrice()).toBe(51);
+    // The basket is worth 1*10 + 2*5 + 5*2 + 3*7 = 51, the divisor keeps the level at 30
+    expect(index.getBasketValue().toNumber()).toBe(51);
+    expect(index.divisor.toNumber()).toBe(1.7);
+    expect(index.getCurrentPrice().toNumber()).toBe(30);
   });
   
   test('should remove an asset', () => {
@@ -56,8 +59,10 @@ describe('Index Model', () => {
     expect(index.assets.length).toBe(2);
     expect(index.getAsset('B')).toBeNull();
     
-    // 1*10 + 5*2 = 10 + 10 = 20
-    expect(index.getCurrentPrice()).toBe(20);
+    // The basket is worth 1*10 + 5*2 = 20, the divisor keeps the level at 30
+    expect(index.getBasketValue().toNumber()).toBe(20);
+    expect(index.getCurrentPrice().toNumber()).toBe(30);
+    expect(index.removeAsset('B')).toBe(false);
   });
   
   test('should perform a rebalance', () => {
@@ -69,7 +74,7 @@ describe('Index Model', () => {
     const rebalanceResult = index.rebalance(newAssets);
     
     // Check the rebalance report
-    expect(rebalanceResult.oldPrice).toBe(30);
+    expect(rebalanceResult.oldPrice.toNumber()).toBe(30);
     expect(rebalanceResult.addedAssets.length).toBe(1); // D was added
     expect(rebalanceResult.removedAssets.length).toBe(2); // B and C were removed
     
@@ -80,8 +85,29 @@ describe('Index Model', () => {
     expect(index.getAsset('B')).toBeNull();
     expect(index.getAsset('C')).toBeNull();
     
-    // 2*15 + 3*5 = 30 + 15 = 45
-    expect(index.getCurrentPrice()).toBe(45);
+    // The basket is worth 2*15 + 3*5 = 45, the divisor keeps the level at 30
+    expect(index.getBasketValue().toNumber()).toBe(45);
+    expect(index.getCurrentPrice().toNumber()).toBe(30);
+    expect(rebalanceResult.newPrice.toNumber()).toBe(30);
+    expect(rebalanceResult.newDivisor.toNumber()).toBe(1.5);
+    
+    // One index unit holds the quantities divided by the divisor
+    expect(index.getUnitQuantity(index.getAsset('A')).toNumber()).toBeCloseTo(2 / 1.5, 12);
+    expect(index.targetWeights.A.toNumber()).toBeCloseTo(30 / 45, 12);
+  });
+  
+  test('should keep the level continuous over composition changes', () => {
+    index.updateAssetPrice('A', 20);
+    expect(index.getCurrentPrice().toNumber()).toBe(40);
+    
+    index.removeAsset('C');
+    index.addAsset(new Asset('D', 10, 4, 4));
+    expect(index.getCurrentPrice().toNumber()).toBeCloseTo(40, 12);
+    
+    // Prices move the level from there
+    index.updateAssetPrice('D', 8);
+    // Basket 20 + 10 + 80 = 110 against 20 + 10 + 40 = 70 before the move
+    expect(index.getCurrentPrice().toNumber()).toBeCloseTo(40 * 110 / 70, 12);
   });
   
   test('should clone an index', () => {
@@ -90,12 +116,12 @@ describe('Index Model', () => {
     expect(clone).not.toBe(index); // Different object
     expect(clone.id).toBe(index.id);
     expect(clone.assets.length).toBe(index.assets.length);
-    expect(clone.getCurrentPrice()).toBe(index.getCurrentPrice());
+    expect(clone.getCurrentPrice()).toEqual(index.getCurrentPrice());
     
     // Modifying the clone should not affect the original
     clone.updateAssetPrice('A', 20);
-    expect(clone.getCurrentPrice()).toBe(40);
-    expect(index.getCurrentPrice()).toBe(30);
+    expect(clone.getCurrentPrice().toNumber()).toBe(40);
+    expect(index.getCurrentPrice().toNumber()).toBe(30);
   });
   
   test('should serialize and deserialize', () => {
@@ -104,6 +130,119 @@ describe('Index Model', () => {
     
     expect(reconstructed.id).toBe(index.id);
     expect(reconstructed.assets.length).toBe(index.assets.length);
-    expect(reconstructed.getCurrentPrice()).toBe(index.getCurrentPrice());
+    expect(reconstructed.getCurrentPrice()).toEqual(index.getCurrentPrice());
+  });
+  
+  test('should restore the divisor and target weights', () => {
+    index.addAsset(new Asset('D', 3, 7, 7));
+    const reconstructed = Index.fromObject(JSON.parse(JSON.stringify(index.toObject())));
+    
+    expect(reconstructed.divisor).toEqual(index.divisor);
+    expect(reconstructed.targetWeights).toEqual(index.targetWeights);
+    expect(reconstructed.baseValue.toNumber()).toBe(30);
+    expect(reconstructed.getCurrentPrice()).toEqual(index.getCurrentPrice());
+    
+    // Indices saved before divisors existed start with a divisor of 1
+    const { divisor, targetWeights, baseValue, weighting, ...legacy } = index.toObject();
+    const restored = Index.fromObject(legacy);
+    expect(restored.weighting).toBe('quantity');
+    expect(restored.divisor.toNumber()).toBe(1);
+    expect(restored.getCurrentPrice().toNumber()).toBe(51);
+  });
+  
+  describe('Weighted definitions', () => {
+    test('should derive equal weighted quantities from the base value', () => {
+      const equal = Index.fromDefinition('equal-index', [
+        { id: 'A', price: 10 },
+        { id: 'B', price: 40 }
+      ], 'equal', 1000);
+      
+      expect(equal.weighting).toBe('equal');
+      expect(equal.getAsset('A').quantity.toNumber()).toBe(50);
+      expect(equal.getAsset('B').quantity.toNumber()).toBe(12.5);
+      expect(equal.divisor.toNumber()).toBe(1);
+      expect(equal.getCurrentPrice().toNumber()).toBe(1000);
+      expect(equal.targetWeights.A.toNumber()).toBe(0.5);
+    });
+    
+    test('should start at the base value when weights do not divide evenly', () => {
+      const equal = Index.fromDefinition('thirds-index', [
+        { id: 'A', price: 10 },
+        { id: 'B', price: 3 },
+        { id: 'C', price: 7 }
+      ], 'equal');
+      
+      expect(equal.getCurrentPrice().toString()).toBe('1000');
+      expect(equal.baseValue.toNumber()).toBe(1000);
+    });
+    
+    test('should weight by market capitalization', () => {
+      const cap = Index.fromDefinition('cap-index', [
+        { id: 'A', price: 100, marketCap: 300 },
+        { id: 'B', price: 50, marketCap: 100 }
+      ], 'cap', 100);
+      
+      expect(cap.targetWeights.A.toNumber()).toBe(0.75);
+      expect(cap.getAsset('A').quantity.toNumber()).toBe(0.75);
+      expect(cap.getAsset('B').quantity.toNumber()).toBe(0.5);
+      expect(cap.getCurrentPrice().toNumber()).toBe(100);
+    });
+    
+    test('should normalize custom weights and let them drift with prices', () => {
+      const custom = Index.fromDefinition('custom-index', [
+        { id: 'A', price: '20', weight: 60 },
+        { id: 'B', price: '5', weight: 40 }
+      ], 'custom', '500');
+      
+      expect(custom.getAsset('A').quantity.toNumber()).toBe(15);
+      expect(custom.getAsset('B').quantity.toNumber()).toBe(40);
+      
+      custom.updateAssetPrice('A', 40);
+      
+      // A doubled: 600 of 800
+      expect(custom.getCurrentPrice().toNumber()).toBe(800);
+      expect(custom.getWeights().A.toNumber()).toBe(0.75);
+      expect(custom.targetWeights.A.toNumber()).toBe(0.6);
+    });
+    
+    test('should report the drift from the target weights in percentage points', () => {
+      const custom = Index.fromDefinition('custom', [
+        { id: 'A', price: 20, weight: 0.6 },
+        { id: 'B', price: 5, weight: 0.4 }
+      ], 'custom', 500);
+      
+      expect(custom.getDrift()).toEqual({ A: Decimal.ZERO, B: Decimal.ZERO });
+      
+      custom.updateAssetPrice('A', 40);
+      const drift = custom.getDrift();
+      
+      expect(drift.A.toNumber()).toBe(15);
+      expect(drift.B.toNumber()).toBe(-15);
+      
+      // A quantity weighted index drifts from the weights of its last composition change
+      expect(index.getDrift()).toEqual({ A: Decimal.ZERO, B: Decimal.ZERO, C: Decimal.ZERO });
+    });
+    
+    test('should reject invalid definitions', () => {
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }], 'random')).toMatch('weighting must be one of');
+      expect(Index.getDefinitionError([], 'equal')).toMatch('at least one asset');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }, { id: 'A', price: 10 }], 'equal')).toMatch('only appear once');
+      expect(Index.getDefinitionError([{ id: 'A', price: 0 }], 'equal')).toMatch('positive price');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }], 'custom')).toMatch('positive weight');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10, marketCap: 'big' }], 'cap')).toMatch('positive marketCap');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }], 'equal', -1)).toMatch('baseValue');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }], 'equal')).toBeNull();
+      
+      expect(() => Index.fromDefinition('bad', [], 'equal')).toThrow('at least one asset');
+    });
+    
+    test('should validate the quantities and prices of quantity indices', () => {
+      expect(Index.getDefinitionError([null])).toMatch('needs an id');
+      expect(Index.getDefinitionError([{ quantity: 1, price: 10 }])).toMatch('needs an id');
+      expect(Index.getDefinitionError([{ id: 'A', price: 10 }])).toMatch('positive quantity');
+      expect(Index.getDefinitionError([{ id: 'A', quantity: '1e999', price: 10 }])).toMatch('positive quantity');
+      expect(Index.getDefinitionError([{ id: 'A', quantity: 1, price: -10 }])).toMatch('positive price');
+      expect(Index.getDefinitionError([{ id: 'A', quantity: '1.5', price: 10 }])).toBeNull();
+    });
   });
 });
@@ -1,4 +1,5 @@
 const Order = require('../../src/models/Order');
+const Decimal = require('../../src/utils/Decimal');
 
 describe('Order Model', () => {
   test('should create a buy order', () => {
@@ -7,11 +8,11 @@ describe('Order Model', () => {
     expect(order.type).toBe('buy');
     expect(order.positionId).toBe('position1');
     expect(order.indexId).toBe('index1');
-    expect(order.quantity).toBe(10);
-    expect(order.indexPrice).toBe(100);
+    expect(order.quantity.toNumber()).toBe(10);
+    expect(order.indexPrice.toNumber()).toBe(100);
     expect(order.status).toBe('pending');
-    expect(order.fillPercentage).toBe(0);
-    expect(order.loss).toBe(0);
+    expect(order.fillPercentage.toNumber()).toBe(0);
+    expect(order.loss.toNumber()).toBe(0);
   });
   
   test('should create a sell order', () => {
@@ -20,8 +21,8 @@ describe('Order Model', () => {
     expect(order.type).toBe('sell');
     expect(order.positionId).toBe('position2');
     expect(order.indexId).toBe('index1');
-    expect(order.quantity).toBe(5);
-    expect(order.indexPrice).toBe(200);
+    expect(order.quantity.toNumber()).toBe(5);
+    expect(order.indexPrice.toNumber()).toBe(200);
     expect(order.status).toBe('pending');
   });
   
@@ -44,6 +45,33 @@ describe('Order Model', () => {
     expect(order.quantity).toBeNull();
     expect(order.indexPrice).toBeNull();
     expect(order.status).toBe('pending');
+    expect(order.rebalanceTarget).toBeNull();
+  });
+  
+  test('should keep the target composition of a rebalance order', () => {
+    const order = Order.createRebalanceOrder('index2', Date.now(), { weights: { A: '0.6', B: 0.4 } });
+    
+    expect(order.rebalanceTarget.weights.A).toEqual(new Decimal('0.6'));
+    
+    const restored = Order.fromObject(JSON.parse(JSON.stringify(order.toObject())));
+    expect(restored.rebalanceTarget).toEqual({ weights: { A: new Decimal('0.6'), B: new Decimal('0.4') } });
+  });
+  
+  test('should keep the preview a rebalance order executes', () => {
+    const order = Order.createRebalanceOrder('index2', Date.now(), null, 'preview_index2_1');
+    const restored = Order.fromObject(JSON.parse(JSON.stringify(order.toObject())));
+    
+    expect(restored.rebalancePreviewId).toBe('preview_index2_1');
+    expect(Order.createRebalanceOrder('index2').rebalancePreviewId).toBeNull();
+  });
+  
+  test('should keep whether a sell is short', () => {
+    const order = Order.createSellOrder('position4', 'index3', 15, 50, Date.now(), { short: true });
+    const restored = Order.fromObject(JSON.parse(JSON.stringify(order.toObject())));
+    
+    expect(restored.short).toBe(true);
+    expect(restored.createSlice(new Decimal(5)).short).toBe(true);
+    expect(() => Order.createBuyOrder('position4', 'index3', 15, 50, Date.now(), { short: true })).toThrow('Only sell orders can be short');
   });
   
   test('should update order status', () => {
@@ -54,8 +82,8 @@ describe('Order Model', () => {
     
     order.updateStatus('filled', { fillPercentage: 100, loss: 5 });
     expect(order.status).toBe('filled');
-    expect(order.fillPercentage).toBe(100);
-    expect(order.loss).toBe(5);
+    expect(order.fillPercentage.toNumber()).toBe(100);
+    expect(order.loss.toNumber()).toBe(5);
   });
   
   test('should add execution details', () => {
@@ -90,11 +118,52 @@ describe('Order Model', () => {
     
     expect(order.isComplete()).toBe(false);
     
+    order.updateStatus('processing');
+    expect(order.isComplete()).toBe(false);
+    
     order.updateStatus('filled');
     expect(order.isComplete()).toBe(true);
     
-    order.updateStatus('canceled');
-    expect(order.isComplete()).toBe(true);
+    const canceledOrder = Order.createBuyOrder('position7', 'index6', 30, 200);
+    canceledOrder.updateStatus('canceled');
+    expect(canceledOrder.isComplete()).toBe(true);
+    
+    const partialOrder = Order.createBuyOrder('position7', 'index6', 30, 200);
+    partialOrder.updateStatus('processing');
+    partialOrder.updateStatus('partially_filled');
+    expect(partialOrder.isComplete()).toBe(false);
+    expect(partialOrder.isActive()).toBe(true);
+  });
+  
+  test('should reject illegal status transitions', () => {
+    const order = Order.createBuyOrder('position12', 'index6', 30, 200);
+    order.updateStatus('processing');
+    order.updateStatus('filled');
+    
+    expect(() => order.updateStatus('pending')).toThrow('Illegal status transition');
+    expect(() => order.updateStatus('canceled')).toThrow('Illegal status transition');
+    expect(order.status).toBe('filled');
+    
+    expect(() => Order.createBuyOrder('position13', 'index6', 30, 200).updateStatus('filled')).toThrow('Illegal status transition');
+    expect(() => order.updateStatus('unknown')).toThrow('Unknown order status');
+  });
+  
+  test('should log every transition', () => {
+    const order = Order.createBuyOrder('position14', 'index6', 30, 200);
+    order.updateStatus('processing');
+    order.updateStatus('pending', { reason: 'Price condition not met' });
+    order.updateStatus('pending');
+    order.updateStatus('processing');
+    order.updateStatus('filled');
+    
+    expect(order.transitions.map(({ from, to }) => `${from}->${to}`)).toEqual([
+      'pending->processing',
+      'processing->pending',
+      'pending->processing',
+      'processing->filled'
+    ]);
+    expect(order.transitions[1].reason).toBe('Price condition not met');
+    expect(Order.fromObject(order.toObject()).transitions).toEqual(order.transitions);
   });
   
   test('should check order type', () => {
@@ -123,6 +192,243 @@ describe('Order Model', () => {
     expect(rebalanceOrder.isRebalance()).toBe(true);
   });
   
+  test('should default to good-till-canceled', () => {
+    const order = Order.createBuyOrder('position15', 'index1', 10, 100);
+    
+    expect(order.timeInForce).toBe('GTC');
+    expect(order.expiresAt).toBeNull();
+    expect(order.isImmediate()).toBe(false);
+    expect(order.isExpired()).toBe(false);
+  });
+  
+  test('should validate time in force', () => {
+    expect(() => Order.createBuyOrder('position16', 'index1', 10, 100, Date.now(), { timeInForce: 'DAY' })).toThrow('Unknown time in force');
+    expect(() => Order.createBuyOrder('position16', 'index1', 10, 100, Date.now(), { timeInForce: 'GTD' })).toThrow('expiresAt is required');
+    expect(() => Order.createBuyOrder('position16', 'index1', 10, 100, Date.now(), { timeInForce: 'IOC', expiresAt: 1 })).toThrow('only allowed');
+    
+    expect(Order.createSellOrder('position16', 'index1', 10, 100, Date.now(), { timeInForce: 'FOK' }).isImmediate()).toBe(true);
+  });
+  
+  test('should expire good-till-date orders at their expiry', () => {
+    const expiresAt = Date.now() + 1000;
+    const order = Order.createBuyOrder('position17', 'index1', 10, 100, Date.now(), { timeInForce: 'GTD', expiresAt });
+    
+    expect(order.isExpired(expiresAt - 1)).toBe(false);
+    expect(order.isExpired(expiresAt)).toBe(true);
+    expect(Order.fromObject(order.toObject()).expiresAt).toBe(expiresAt);
+  });
+  
+  test('should create market and notional orders', () => {
+    const order = Order.createBuyOrder('position18', 'index1', null, null, Date.now(), { orderType: 'market', notional: 10000 });
+    
+    expect(order.isMarket()).toBe(true);
+    expect(order.isNotional()).toBe(true);
+    expect(order.maxSlippagePercent).toBe(1);
+    expect(order.getRemainingNotional().toNumber()).toBe(10000);
+    
+    order.updateStatus('processing');
+    order.updateStatus('partially_filled', { fill: { quantity: 40, price: 100, fee: 4 } });
+    
+    expect(order.filledQuantity.toNumber()).toBe(40);
+    expect(order.getRemainingNotional().toNumber()).toBe(6000);
+    
+    const reconstructed = Order.fromObject(order.toObject());
+    expect(reconstructed.orderType).toBe('market');
+    expect(reconstructed.notional.toNumber()).toBe(10000);
+    expect(reconstructed.filledNotional.toNumber()).toBe(4000);
+  });
+  
+  test('should validate order type and size', () => {
+    expect(() => Order.createBuyOrder('position19', 'index1', 10, 100, Date.now(), { orderType: 'oco' })).toThrow('Unknown order type');
+    expect(() => Order.createBuyOrder('position19', 'index1', 10, 100, Date.now(), { notional: 1000 })).toThrow('not both');
+    
+    const limit = Order.createBuyOrder('position19', 'index1', 10, 100);
+    expect(limit.isMarket()).toBe(false);
+    expect(limit.isNotional()).toBe(false);
+    expect(limit.maxSlippagePercent).toBeNull();
+  });
+  
+  test('should trigger stop orders at their stop price', () => {
+    const stopLoss = Order.createSellOrder('position20', 'index1', 10, null, Date.now(), { orderType: 'stop', stopPrice: 90 });
+    const buyStop = Order.createBuyOrder('position21', 'index1', 10, null, Date.now(), { orderType: 'stop', stopPrice: 110 });
+    
+    expect(stopLoss.isStop()).toBe(true);
+    expect(stopLoss.maxSlippagePercent).toBe(1);
+    expect(stopLoss.checkStopTrigger(95)).toBe(false);
+    expect(stopLoss.checkStopTrigger(90)).toBe(true);
+    expect(buyStop.checkStopTrigger(105)).toBe(false);
+    expect(buyStop.checkStopTrigger(111)).toBe(true);
+    
+    stopLoss.triggerStop(90);
+    
+    expect(stopLoss.isStop()).toBe(false);
+    expect(stopLoss.isMarket()).toBe(true);
+    expect(stopLoss.stopType).toBe('stop');
+    expect(() => stopLoss.triggerStop(90)).toThrow('not a waiting stop order');
+  });
+  
+  test('should validate stop orders', () => {
+    expect(() => Order.createSellOrder('position22', 'index1', 10, null, Date.now(), { orderType: 'stop' })).toThrow('positive stopPrice');
+    expect(() => Order.createSellOrder('position22', 'index1', 10, null, Date.now(), { orderType: 'trailing_stop', trailingPercent: 100 })).toThrow('trailingPercent');
+    expect(() => Order.createSellOrder('position22', 'index1', 10, 100, Date.now(), { trailingPercent: 5 })).toThrow('trailingPercent');
+    expect(() => Order.createSellOrder('position22', 'index1', 10, null, Date.now(), { orderType: 'trailing_stop', trailingPercent: '5' })).toThrow('trailingPercent');
+  });
+  
+  test('should restore triggered trailing stops', () => {
+    const order = Order.createSellOrder('position23', 'index1', 10, null, Date.now(), { orderType: 'trailing_stop', trailingPercent: 5 });
+    order.checkStopTrigger(200);
+    order.triggerStop(190);
+    
+    const reconstructed = Order.fromObject(order.toObject());
+    
+    expect(reconstructed.orderType).toBe('market');
+    expect(reconstructed.stopType).toBe('trailing_stop');
+    expect(reconstructed.stopPrice.toNumber()).toBeCloseTo(190);
+    expect(reconstructed.trailingAnchor.toNumber()).toBe(200);
+    expect(reconstructed.triggeredAt).toBe(order.triggeredAt);
+  });
+  
+  test('should amend the limit price and reduce the quantity', () => {
+    const order = Order.createBuyOrder('position24', 'index1', 10, 100);
+    order.updateStatus('processing');
+    order.updateStatus('partially_filled', { fill: { quantity: 4, price: 100, fee: 0 } });
+    
+    expect(order.amend({ quantity: 8 })).toBe(false);
+    expect(order.quantity.toNumber()).toBe(8);
+    expect(order.fillPercentage.toNumber()).toBe(50);
+    
+    expect(order.amend({ indexPrice: 105 })).toBe(true);
+    expect(order.indexPrice.toNumber()).toBe(105);
+    expect(order.amendments.map(amendment => amendment.priorityReset)).toEqual([false, true]);
+    expect(Order.fromObject(order.toObject()).amendments.length).toBe(2);
+  });
+  
+  test('should reject amendments that are not allowed', () => {
+    const order = Order.createBuyOrder('position25', 'index1', 10, 100);
+    
+    expect(order.getAmendmentError({})).toMatch('Nothing to amend');
+    expect(order.getAmendmentError({ quantity: 12 })).toMatch('only be reduced');
+    expect(order.getAmendmentError({ quantity: 0 })).toMatch('above the filled quantity');
+    expect(order.getAmendmentError({ indexPrice: -1 })).toMatch('positive');
+    expect(order.getAmendmentError({ indexPrice: '1e10000000' })).toMatch('must be numbers');
+    expect(order.getAmendmentError({ quantity: '9.5' })).toBeNull();
+    
+    const market = Order.createBuyOrder('position26', 'index1', 10, null, Date.now(), { orderType: 'market' });
+    expect(market.getAmendmentError({ indexPrice: 100 })).toMatch('no limit price');
+    
+    order.updateStatus('processing');
+    expect(() => order.amend({ quantity: 5 })).toThrow('cannot be amended');
+  });
+  
+  test('should schedule TWAP slices evenly over the horizon', () => {
+    const order = Order.createBuyOrder('position12', 'index11', 12, 100, Date.now(), { algorithm: 'twap', horizonMs: 40000 });
+    
+    // One slice per rate limit window by default
+    expect(order.sliceCount).toBe(4);
+    expect(order.isSliceDue(0)).toBe(true);
+    
+    order.startSchedule(0);
+    expect(order.getSliceDue(0).toNumber()).toBeCloseTo(3);
+    expect(order.getNextSliceAt(0)).toBe(10000);
+    
+    order.recordFill({ quantity: 3, price: 100 });
+    expect(order.isSliceDue(9999)).toBe(false);
+    expect(order.getSliceDue(25000).toNumber()).toBeCloseTo(6);
+    expect(order.getSliceDue(100000).toNumber()).toBeCloseTo(9);
+    expect(order.getNextSliceAt(35000)).toBeNull();
+  });
+  
+  test('should schedule VWAP slices along the volume profile', () => {
+    const order = Order.createSellOrder('position13', 'index11', 10, 100, Date.now(), {
+      algorithm: 'vwap',
+      horizonMs: 30000,
+      volumeProfile: [2, 1, 2]
+    });
+    order.startSchedule(0);
+    
+    expect(order.getSliceDue(0).toNumber()).toBeCloseTo(4);
+    expect(order.getSliceDue(10000).toNumber()).toBeCloseTo(6);
+    
+    // The default profile is U-shaped
+    const defaulted = Order.createBuyOrder('position14', 'index11', 10, 100, Date.now(), { algorithm: 'vwap', horizonMs: 50000 });
+    expect(defaulted.volumeProfile[0]).toBeCloseTo(defaulted.volumeProfile[4]);
+    expect(defaulted.volumeProfile[0]).toBeCloseTo(2 * defaulted.volumeProfile[2]);
+  });
+  
+  test('should aggregate child slices into the parent', () => {
+    const order = Order.createBuyOrder('position15', 'index11', null, 100, Date.now(), {
+      notional: 1000,
+      algorithm: 'twap',
+      horizonMs: 20000
+    });
+    order.startSchedule(0);
+    
+    const child = order.createSlice(order.getSliceDue(0), 0);
+    expect(child.notional.toNumber()).toBe(500);
+    expect(child.timeInForce).toBe('IOC');
+    expect(child.parentId).toBe(order.id);
+    
+    // A cancel of the parent reaches the slice being worked
+    order.requestCancel();
+    expect(child.cancelRequested).toBe(true);
+    
+    child.updateStatus('processing');
+    child.updateStatus('partially_filled', { loss: 2, fill: { quantity: 4, price: 100 } });
+    order.recordSlice(child);
+    
+    expect(order.filledNotional.toNumber()).toBe(400);
+    expect(order.fillPercentage.toNumber()).toBeCloseTo(40);
+    expect(order.loss.toNumber()).toBe(2);
+    expect(order.slices).toEqual([expect.objectContaining({ id: child.id, slice: 0, filledNotional: new Decimal(400) })]);
+    expect(order.activeSlice).toBeNull();
+  });
+  
+  test('should validate execution algorithms', () => {
+    const create = options => Order.createBuyOrder('position16', 'index11', 10, 100, Date.now(), options);
+    
+    expect(() => create({ algorithm: 'arrival', horizonMs: 60000 })).toThrow('Unknown execution algorithm');
+    expect(() => create({ algorithm: 'twap', horizonMs: 5000 })).toThrow('at least the rate limit window');
+    expect(() => create({ algorithm: 'twap', horizonMs: 60000, sliceCount: 10 })).toThrow('sliceCount');
+    expect(() => create({ algorithm: 'twap', horizonMs: 60000, timeInForce: 'IOC' })).toThrow('GTC or GTD');
+    expect(() => create({ algorithm: 'twap', horizonMs: 60000, volumeProfile: [1] })).toThrow('only allowed for VWAP');
+    expect(() => create({ algorithm: 'vwap', horizonMs: 30000, volumeProfile: [1, 2] })).toThrow('weight per slice');
+    expect(() => create({ horizonMs: 60000 })).toThrow('only allowed with an execution algorithm');
+    
+    const order = create({ algorithm: 'vwap', horizonMs: 60000, sliceCount: 3 });
+    order.startSchedule(1000);
+    const restored = Order.fromObject(order.toObject());
+    expect(restored.volumeProfile).toEqual(order.volumeProfile);
+    expect(restored.scheduleStartedAt).toBe(1000);
+  });
+  
+  test('should work POV and iceberg orders every pass', () => {
+    const pov = Order.createBuyOrder('position17', 'index11', 10, 100, Date.now(), { algorithm: 'pov', participationRate: 10 });
+    pov.startSchedule(0);
+    
+    expect(pov.isScheduled()).toBe(false);
+    expect(pov.isSliceDue(1e9)).toBe(true);
+    expect(pov.getSliceDue(0).toNumber()).toBe(10);
+    expect(pov.getNextSliceAt(0)).toBeNull();
+    
+    const iceberg = Order.createSellOrder('position18', 'index11', 10, 100, Date.now(), { displaySize: 2 });
+    expect(iceberg.isAlgorithmic()).toBe(false);
+    expect(iceberg.isSliced()).toBe(true);
+    expect(Order.fromObject(iceberg.toObject()).displaySize.toNumber()).toBe(2);
+    expect(Order.fromObject(pov.toObject()).participationRate).toBe(10);
+  });
+  
+  test('should validate POV and iceberg orders', () => {
+    const create = options => Order.createBuyOrder('position19', 'index11', 10, 100, Date.now(), options);
+    
+    expect(() => create({ algorithm: 'pov' })).toThrow('participationRate');
+    expect(() => create({ algorithm: 'pov', participationRate: 120 })).toThrow('participationRate');
+    expect(() => create({ algorithm: 'pov', participationRate: 10, horizonMs: 60000 })).toThrow('POV orders take no horizonMs');
+    expect(() => create({ algorithm: 'twap', horizonMs: 60000, participationRate: 10 })).toThrow('only allowed for POV');
+    expect(() => create({ participationRate: 10 })).toThrow('only allowed with an execution algorithm');
+    expect(() => create({ displaySize: 0 })).toThrow('displaySize');
+    expect(() => create({ displaySize: 1, timeInForce: 'IOC' })).toThrow('displaySize');
+  });
+  
   test('should serialize and deserialize', () => {
     const order = Order.createBuyOrder('position11', 'index10', 45, 350);
     order.updateStatus('processing');
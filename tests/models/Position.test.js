@@ -0,0 +1,121 @@
+const Position = require('../../src/models/Position');
+const Order = require('../../src/models/Order');
+const Decimal = require('../../src/utils/Decimal');
+
+/**
+ * Create an order for the position with a single fill
+ */
+const filledOrder = (type, quantity, price, fee = 0) => {
+  const order = new Order(type, 'position1', 'index1', quantity, price);
+  order.updateStatus('processing');
+  order.updateStatus('filled', { fillPercentage: 100, fill: { quantity, price, fee } });
+  return order;
+};
+
+describe('Position Model', () => {
+  let position;
+  
+  beforeEach(() => {
+    position = new Position('position1', 'index1');
+  });
+  
+  test('should average the entry price over buys', () => {
+    position.addOrder(filledOrder('buy', 10, 100, 1));
+    position.addOrder(filledOrder('buy', 10, 110, 1.1));
+    
+    const accounting = position.getAccounting();
+    expect(accounting.units.toNumber()).toBe(20);
+    expect(accounting.avgEntryPrice.toNumber()).toBeCloseTo(105);
+    expect(accounting.costBasis.toNumber()).toBeCloseTo(2100);
+    expect(accounting.fees.toNumber()).toBeCloseTo(2.1);
+    expect(accounting.realizedPnl.toNumber()).toBe(0);
+  });
+  
+  test('should realize PnL when selling against the average entry price', () => {
+    position.addOrder(filledOrder('buy', 10, 100));
+    position.addOrder(filledOrder('sell', 4, 120, 0.5));
+    
+    const accounting = position.getAccounting();
+    expect(accounting.units.toNumber()).toBe(6);
+    expect(accounting.avgEntryPrice.toNumber()).toBe(100);
+    expect(accounting.realizedPnl.toNumber()).toBeCloseTo(80);
+    expect(position.getUnrealizedPnl(90).toNumber()).toBeCloseTo(-60);
+  });
+  
+  test('should open a short when selling more than held', () => {
+    position.addOrder(filledOrder('buy', 5, 100));
+    position.addOrder(filledOrder('sell', 8, 110));
+    
+    const accounting = position.getAccounting();
+    expect(accounting.units.toNumber()).toBe(-3);
+    expect(accounting.avgEntryPrice.toNumber()).toBe(110);
+    expect(accounting.realizedPnl.toNumber()).toBeCloseTo(50);
+    expect(position.getUnrealizedPnl(100).toNumber()).toBeCloseTo(30);
+  });
+  
+  test('should only count filled quantities', () => {
+    const order = Order.createBuyOrder('position1', 'index1', 10, 100);
+    order.updateStatus('processing');
+    order.updateStatus('partially_filled', { fillPercentage: 40, fill: { quantity: 4, price: 100, fee: 0.4 } });
+    position.addOrder(order);
+    
+    expect(position.getUnitsHeld().toNumber()).toBe(4);
+    expect(order.filledQuantity.toNumber()).toBe(4);
+  });
+  
+  test('should reserve units for sells still in flight', () => {
+    position.addOrder(filledOrder('buy', 10, 100));
+    position.addOrder(Order.createSellOrder('position1', 'index1', 6, 100));
+    
+    expect(position.getUnitsHeld().toNumber()).toBe(10);
+    expect(position.getAvailableUnits().toNumber()).toBe(4);
+  });
+  
+  test('should net the rounding residue of buys and sells per asset', () => {
+    const buy = Order.createBuyOrder('position1', 'test-index', 10, 30);
+    buy.recordRoundingResidue([{ assetId: 'A', quantity: 0.4 }]);
+    buy.recordRoundingResidue([{ assetId: 'A', quantity: 0.1 }, { assetId: 'B', quantity: 0.2 }]);
+    const sell = Order.createSellOrder('position1', 'test-index', 5, 30);
+    sell.recordRoundingResidue([{ assetId: 'B', quantity: 0.5 }]);
+    position.addOrder(buy);
+    position.addOrder(sell);
+    
+    // Buys hold less than their baskets, sells hold more; the netting is exact
+    expect(position.getRoundingResidue()).toEqual([
+      { assetId: 'A', quantity: new Decimal('-0.5') },
+      { assetId: 'B', quantity: new Decimal('0.3') }
+    ]);
+    expect(Order.fromObject(buy.toObject()).roundingResidue).toEqual(buy.roundingResidue);
+  });
+  
+  test('should net the leg residuals of buys and sells per asset', () => {
+    const buy = filledOrder('buy', 10, 100);
+    buy.recordResidual([{ assetId: 'A', quantity: 2 }, { assetId: 'B', quantity: 1 }]);
+    buy.recordResidual([{ assetId: 'A', quantity: 0.5 }]);
+    const sell = filledOrder('sell', 5, 100);
+    sell.recordResidual([{ assetId: 'B', quantity: 3 }]);
+    
+    position.addOrder(buy);
+    position.addOrder(sell);
+    
+    expect(position.getResidualLegs()).toEqual([
+      { assetId: 'A', quantity: new Decimal('2.5') },
+      { assetId: 'B', quantity: new Decimal(-2) }
+    ]);
+    expect(Order.fromObject(buy.toObject()).residualLegs).toEqual(buy.residualLegs);
+  });
+  
+  test('should report PnL and the latest order status', () => {
+    position.addOrder(filledOrder('buy', 10, 100, 1));
+    position.addOrder(Order.createSellOrder('position1', 'index1', 5, 150));
+    
+    const data = position.toObject(110);
+    expect(data.type).toBe('sell');
+    expect(data.status).toBe('pending');
+    expect(data.units.toNumber()).toBe(10);
+    expect(data.unrealizedPnl.toNumber()).toBeCloseTo(100);
+    expect(data.marketValue.toNumber()).toBeCloseTo(1100);
+    expect(data.netPnl.toNumber()).toBeCloseTo(99);
+    expect(data.orders.length).toBe(2);
+  });
+});
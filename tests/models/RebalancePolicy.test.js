@@ -0,0 +1,91 @@
+const RebalancePolicy = require('../../src/models/RebalancePolicy');
+const Index = require('../../src/models/Index');
+const { REBALANCE_DRIFT_COOLDOWN_MS } = require('../../src/utils/constants');
+
+describe('RebalancePolicy Model', () => {
+  const start = Date.parse('2024-03-10T10:00:00Z');
+  let index;
+
+  beforeEach(() => {
+    index = Index.fromDefinition('test-index', [
+      { id: 'A', price: 10 },
+      { id: 'B', price: 10 }
+    ], 'equal', 100);
+  });
+
+  test('should trigger when the schedule is due', () => {
+    const policy = new RebalancePolicy({ schedule: '@daily' }, start);
+
+    expect(policy.nextRunAt).toBe(Date.parse('2024-03-11T00:00:00Z'));
+    expect(policy.getTrigger(index, Date.parse('2024-03-10T23:59:59Z'))).toBeNull();
+
+    const due = Date.parse('2024-03-11T00:00:30Z');
+    expect(policy.getTrigger(index, due)).toBe('schedule');
+
+    policy.recordTrigger('schedule', due);
+    expect(policy.nextRunAt).toBe(Date.parse('2024-03-12T00:00:00Z'));
+    expect(policy.getTrigger(index, due)).toBeNull();
+  });
+
+  test('should make up missed runs once', () => {
+    const policy = new RebalancePolicy({ schedule: '@daily' }, start);
+    const later = Date.parse('2024-03-15T08:00:00Z');
+
+    expect(policy.getTrigger(index, later)).toBe('schedule');
+    policy.recordTrigger('schedule', later);
+    expect(policy.nextRunAt).toBe(Date.parse('2024-03-16T00:00:00Z'));
+  });
+
+  test('should trigger on drift beyond the threshold after the cooldown', () => {
+    const policy = new RebalancePolicy({ driftThresholdPercent: 10 }, start);
+
+    // A at 14 is 58.3% of the basket
+    index.updateAssetPrice('A', 14);
+    expect(policy.getTrigger(index, start)).toBeNull();
+
+    // A at 15 is 60%, 10 points over
+    index.updateAssetPrice('A', 15);
+    expect(policy.getTrigger(index, start)).toBeNull();
+
+    index.updateAssetPrice('A', 16);
+    expect(policy.getTrigger(index, start)).toBe('drift');
+
+    policy.recordTrigger('drift', start);
+    expect(policy.lastTrigger).toBe('drift');
+    expect(policy.nextRunAt).toBeNull();
+    expect(policy.getTrigger(index, start + REBALANCE_DRIFT_COOLDOWN_MS - 1)).toBeNull();
+    expect(policy.getTrigger(index, start + REBALANCE_DRIFT_COOLDOWN_MS)).toBe('drift');
+  });
+
+  test('should put a due schedule before drift', () => {
+    const policy = new RebalancePolicy({ schedule: '@hourly', driftThresholdPercent: 5 }, start);
+    index.updateAssetPrice('A', 20);
+
+    expect(policy.getTrigger(index, start)).toBe('drift');
+    expect(policy.getTrigger(index, start + 3600000)).toBe('schedule');
+  });
+
+  test('should reject invalid policies', () => {
+    expect(() => new RebalancePolicy()).toThrow('needs a schedule, a driftThresholdPercent or both');
+    expect(() => new RebalancePolicy({ driftThresholdPercent: 0 })).toThrow('driftThresholdPercent must be');
+    expect(() => new RebalancePolicy({ driftThresholdPercent: '5' })).toThrow('driftThresholdPercent must be');
+    expect(() => new RebalancePolicy({ driftThresholdPercent: 101 })).toThrow('driftThresholdPercent must be');
+    expect(() => new RebalancePolicy({ schedule: 'every day' })).toThrow('has 5 fields');
+  });
+
+  test('should serialize and deserialize', () => {
+    const policy = new RebalancePolicy({ schedule: '@weekly', driftThresholdPercent: 2.5 }, start);
+    policy.recordTrigger('drift', start);
+
+    const reconstructed = RebalancePolicy.fromObject(JSON.parse(JSON.stringify(policy.toObject())));
+
+    expect(reconstructed.toObject()).toEqual(policy.toObject());
+    expect(reconstructed.getTrigger(index, policy.nextRunAt)).toBe('schedule');
+
+    // The policy travels with its index
+    index.rebalancePolicy = policy;
+    const restored = Index.fromObject(JSON.parse(JSON.stringify(index.toObject())));
+    expect(restored.rebalancePolicy.toObject()).toEqual(policy.toObject());
+    expect(index.clone().rebalancePolicy).not.toBe(policy);
+  });
+});
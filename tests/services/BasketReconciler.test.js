@@ -0,0 +1,167 @@
+const BasketReconciler = require('../../src/services/BasketReconciler');
+const ExchangeAdapter = require('../../src/services/ExchangeAdapter');
+const Decimal = require('../../src/utils/Decimal');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Build an asset leg as the exchange adapters report it
+ */
+function leg(assetId, targetQuantity, filledQuantity, price = 10) {
+  return {
+    assetId,
+    targetQuantity,
+    filledQuantity,
+    targetPrice: price,
+    avgPrice: filledQuantity > 0 ? price : 0,
+    notional: filledQuantity * price,
+    fills: filledQuantity > 0 ? [{ price, quantity: filledQuantity }] : [],
+    fee: 0,
+    slippageLoss: 0,
+    loss: 0
+  };
+}
+
+describe('BasketReconciler', () => {
+  let exchangeAdapter;
+
+  beforeEach(() => {
+    // Fills the given share of every reconciling order at its target price
+    exchangeAdapter = {
+      fillRate: 1,
+      getSymbolInfo: jest.fn().mockImplementation(async assetId => ({
+        assetId,
+        minNotional: 1,
+        minQuantity: 0.01,
+        maxQuantity: 1000,
+        stepSize: 0.01,
+        tickSize: 0.01
+      })),
+      applySymbolFilters: ExchangeAdapter.prototype.applySymbolFilters,
+      executeOrder: jest.fn().mockImplementation(async (side, assetOrders) => ({
+        assets: assetOrders.map(order => ({
+          ...leg(order.assetId, order.quantity, order.quantity * exchangeAdapter.fillRate, order.targetPrice),
+          fee: 0.5,
+          loss: 0.5
+        }))
+      }))
+    };
+  });
+
+  test('should leave legs within the tolerance alone', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'top_up' });
+    const executionResult = { assets: [leg('A', 10, 10), leg('B', 20, 19.9)], filled: 99.7, canceled: false };
+
+    const result = await reconciler.reconcile('buy', executionResult, 'position1', exchangeAdapter);
+
+    expect(exchangeAdapter.executeOrder).not.toHaveBeenCalled();
+    expect(result.filled.toNumber()).toBe(99.5);
+    expect(result.reconciliation.residualLegs).toEqual([{ assetId: 'A', quantity: new Decimal('0.05') }]);
+  });
+
+  test('should top up lagging legs to the leading leg', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'top_up' });
+    const executionResult = { assets: [leg('A', 10, 10), leg('B', 20, 10), leg('C', 5, 5)], filled: 80, canceled: false };
+
+    const result = await reconciler.reconcile('buy', executionResult, 'position2', exchangeAdapter);
+
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledWith('buy', [
+      { assetId: 'B', quantity: new Decimal(10), targetPrice: new Decimal(10), side: 'buy' }
+    ], 'position2');
+    expect(result.filled.toNumber()).toBe(100);
+    expect(result.assets[1].filledQuantity.toNumber()).toBeCloseTo(20);
+    expect(result.assets[1].notional.toNumber()).toBeCloseTo(200);
+    expect(result.reconciliation.topUps).toEqual([{ assetId: 'B', quantity: 10, notional: 100 }]);
+    expect(result.reconciliation.unwinds).toEqual([]);
+    expect(result.reconciliation.residualLegs).toEqual([]);
+    expect(result.loss.toNumber()).toBeCloseTo(0.5);
+
+    // The original execution result is not touched
+    expect(executionResult.assets[1].filledQuantity).toBe(10);
+  });
+
+  test('should unwind the excess when a top-up cannot fill', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'top_up' });
+    exchangeAdapter.executeOrder
+      .mockImplementationOnce(async (side, assetOrders) => ({
+        assets: assetOrders.map(order => leg(order.assetId, order.quantity, 0))
+      }));
+    const executionResult = { assets: [leg('A', 10, 10), leg('B', 20, 10)], filled: 66.7, canceled: false };
+
+    const result = await reconciler.reconcile('buy', executionResult, 'position3', exchangeAdapter);
+
+    expect(exchangeAdapter.executeOrder).toHaveBeenLastCalledWith('sell', [
+      { assetId: 'A', quantity: new Decimal(5), targetPrice: new Decimal(10), side: 'sell' }
+    ], 'position3');
+    expect(result.filled.toNumber()).toBe(50);
+    expect(result.assets[0].filledQuantity.toNumber()).toBeCloseTo(5);
+    expect(result.assets[0].notional.toNumber()).toBeCloseTo(50);
+    expect(result.reconciliation.unwinds).toEqual([{ assetId: 'A', quantity: 5, notional: 50 }]);
+    expect(result.reconciliation.residualImbalancePercent.toNumber()).toBe(0);
+  });
+
+  test('should report what could not be unwound as residual', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'unwind' });
+    exchangeAdapter.fillRate = 0.5;
+    const executionResult = { assets: [leg('A', 10, 8), leg('B', 20, 8)], filled: 53.3, canceled: false };
+
+    const result = await reconciler.reconcile('sell', executionResult, 'position4', exchangeAdapter);
+
+    // Only half of the 4 excess units of A were bought back
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledTimes(1);
+    expect(exchangeAdapter.executeOrder.mock.calls[0][0]).toBe('buy');
+    expect(result.filled.toNumber()).toBe(40);
+    expect(result.reconciliation.imbalancePercent.toNumber()).toBe(40);
+    expect(result.reconciliation.residualLegs).toEqual([{ assetId: 'A', quantity: new Decimal(2) }]);
+  });
+
+  test('should only unwind canceled executions', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'top_up' });
+    const executionResult = { assets: [leg('A', 10, 10), leg('B', 20, 0)], filled: 33.3, canceled: true };
+
+    const result = await reconciler.reconcile('buy', executionResult, 'position5', exchangeAdapter);
+
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledTimes(1);
+    expect(exchangeAdapter.executeOrder.mock.calls[0][0]).toBe('sell');
+    expect(result.filled.toNumber()).toBe(0);
+    expect(result.assets[0].filledQuantity.toNumber()).toBeCloseTo(0);
+    expect(result.reconciliation.residualLegs).toEqual([]);
+  });
+
+  test('should size reconciling orders to the symbol filters', async () => {
+    const reconciler = new BasketReconciler({ tolerancePercent: 1, mode: 'top_up' });
+    exchangeAdapter.getSymbolInfo.mockImplementation(async assetId => ({
+      assetId,
+      minNotional: 1,
+      minQuantity: 1,
+      maxQuantity: 1000,
+      stepSize: 1,
+      tickSize: 0.01
+    }));
+    const executionResult = { assets: [leg('A', 10, 10), leg('B', 20, 12.5)], filled: 62.5, canceled: false };
+
+    const result = await reconciler.reconcile('buy', executionResult, 'position6', exchangeAdapter);
+
+    // The top-up of 7.5 rounds down to 7, the half unit stays short;
+    // the quarter unit of A to unwind then is below the step
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledTimes(1);
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledWith('buy', [
+      { assetId: 'B', quantity: new Decimal(7), targetPrice: new Decimal(10), side: 'buy' }
+    ], 'position6');
+    expect(result.reconciliation.roundingResidue).toEqual([
+      { assetId: 'B', quantity: new Decimal('0.5'), side: 'buy' },
+      { assetId: 'A', quantity: new Decimal('0.25'), side: 'sell' }
+    ]);
+    expect(result.assets[1].filledQuantity.toNumber()).toBe(19.5);
+    expect(result.filled.toNumber()).toBe(97.5);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new BasketReconciler({ mode: 'hedge' })).toThrow('Unknown leg reconciliation mode');
+  });
+});
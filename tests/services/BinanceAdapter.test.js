@@ -0,0 +1,207 @@
+const BinanceAdapter = require('../../src/services/BinanceAdapter');
+const FeeModel = require('../../src/services/FeeModel');
+const Decimal = require('../../src/utils/Decimal');
+const { TRADING_FEE_PERCENT } = require('../../src/utils/constants');
+const { sleep } = require('../../src/utils/helpers');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('BinanceAdapter', () => {
+  let binanceAdapter;
+  
+  beforeEach(() => {
+    binanceAdapter = new BinanceAdapter();
+    binanceAdapter.orderBooks.set('A', {
+      assetId: 'A',
+      bids: [['99.00000000', '5.00000000'], ['98.00000000', '10.00000000']],
+      asks: [['101.00000000', '5.00000000'], ['102.00000000', '10.00000000']],
+      timestamp: Date.now()
+    });
+  });
+  
+  test('should walk the ask levels for a buy', async () => {
+    const result = await binanceAdapter.executeOrder('buy', [
+      { assetId: 'A', quantity: 8, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    const [asset] = result.assets;
+    expect(asset.fills).toEqual([
+      { price: new Decimal(101), quantity: new Decimal(5) },
+      { price: new Decimal(102), quantity: new Decimal(3) }
+    ]);
+    expect(asset.filledQuantity.toNumber()).toBe(8);
+    expect(asset.notional.toNumber()).toBe(811);
+    expect(asset.vwap.toNumber()).toBeCloseTo(811 / 8);
+    expect(asset.fee.toNumber()).toBeCloseTo(811 * TRADING_FEE_PERCENT / 100);
+    expect(asset.feePercent).toBe(TRADING_FEE_PERCENT);
+    expect(asset.liquidity).toBe('taker');
+    expect(asset.feeAsset).toBe('USDT');
+    expect(asset.slippageLoss.toNumber()).toBeCloseTo(11);
+    expect(asset.loss).toEqual(asset.slippageLoss.plus(asset.fee));
+    expect(result.filled.toNumber()).toBe(100);
+  });
+  
+  test('should charge fees from the fee model of the venue', async () => {
+    binanceAdapter = new BinanceAdapter(undefined, {
+      feeModel: new FeeModel({ takerPercent: 0.2, assets: { A: { takerPercent: 0.05 } } })
+    });
+    binanceAdapter.orderBooks.set('A', {
+      assetId: 'A',
+      bids: [],
+      asks: [['100.00000000', '10.00000000']],
+      timestamp: Date.now()
+    });
+    
+    const result = await binanceAdapter.executeOrder('buy', [
+      { assetId: 'A', quantity: 4, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    const [asset] = result.assets;
+    expect(asset.fee.toNumber()).toBeCloseTo(0.2);
+    expect(asset.feeAsset).toBe('USDT');
+    expect(asset.feeQuantity.toNumber()).toBeCloseTo(0.2);
+    // Fees are paid in the quote asset, the filled units are received in full
+    expect(asset.filledQuantity.toNumber()).toBe(4);
+    expect(result.fees.toNumber()).toBeCloseTo(0.2);
+    expect(result.slippageLoss.toNumber()).toBeCloseTo(0);
+    expect(binanceAdapter.getFeePercent()).toBe(0.2);
+    expect(binanceAdapter.feeModel.getVolume().toNumber()).toBeCloseTo(400);
+  });
+  
+  test('should keep fees charged in the base asset from the units a buy fills', async () => {
+    binanceAdapter = new BinanceAdapter(undefined, {
+      feeModel: new FeeModel({ takerPercent: 0.1, feeAsset: 'base' })
+    });
+    binanceAdapter.orderBooks.set('A', {
+      assetId: 'A',
+      bids: [['100.00000000', '10.00000000']],
+      asks: [['100.00000000', '10.00000000']],
+      timestamp: Date.now()
+    });
+    
+    const buy = await binanceAdapter.executeOrder('buy', [
+      { assetId: 'A', quantity: 4, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    const [bought] = buy.assets;
+    expect(bought.feeAsset).toBe('A');
+    expect(bought.feeQuantity).toEqual(new Decimal('0.004'));
+    expect(bought.filledQuantity).toEqual(new Decimal('3.996'));
+    expect(bought.notional).toEqual(new Decimal(400));
+    // The fee is in the fee, not in the slippage
+    expect(bought.fee).toEqual(new Decimal('0.4'));
+    expect(bought.slippageLoss).toEqual(Decimal.ZERO);
+    
+    const sell = await binanceAdapter.executeOrder('sell', [
+      { assetId: 'A', quantity: 2, targetPrice: 100, side: 'sell' }
+    ], 'position1');
+    
+    expect(sell.assets[0].feeAsset).toBe('USDT');
+    expect(sell.assets[0].filledQuantity).toEqual(new Decimal(2));
+  });
+  
+  test('should round asset orders to the symbol filters', async () => {
+    // Symbols priced around 100 trade in steps of 0.001 with a tick of 0.0001
+    const symbol = await binanceAdapter.getSymbolInfo('A', 100);
+    expect(symbol).toMatchObject({
+      stepSize: new Decimal('0.001'),
+      tickSize: new Decimal('0.0001'),
+      minNotional: new Decimal(5),
+      maxQuantity: new Decimal(1000000)
+    });
+    
+    const { assetOrders, roundingResidue } = await binanceAdapter.applySymbolFilters([
+      { assetId: 'A', quantity: 1.23456, targetPrice: 100.00004, side: 'buy' },
+      { assetId: 'A', quantity: 0.04, targetPrice: 100, side: 'buy' },
+      { assetId: 'A', quantity: 2000000, targetPrice: 100, side: 'buy' }
+    ]);
+    
+    expect(assetOrders).toEqual([
+      { assetId: 'A', quantity: new Decimal('1.234'), targetPrice: new Decimal(100), side: 'buy' },
+      { assetId: 'A', quantity: new Decimal(1000000), targetPrice: new Decimal(100), side: 'buy' }
+    ]);
+    // The $4 leg is below the minimum notional and rounds away entirely
+    expect(roundingResidue.map(residue => residue.quantity.toString())).toEqual(['0.00056', '0.04', '1000000']);
+  });
+  
+  test('should size symbols by the exact order of magnitude of their price', async () => {
+    // log10 of a price just below a power of ten rounds up to the power as a float
+    expect((await binanceAdapter.getSymbolInfo('B', '999.9999999999999')).stepSize).toEqual(new Decimal('0.001'));
+    expect((await binanceAdapter.getSymbolInfo('C', 1000)).stepSize).toEqual(new Decimal('0.0001'));
+  });
+  
+  test('should consume depth so later orders see less liquidity', async () => {
+    await binanceAdapter.executeOrder('sell', [
+      { assetId: 'A', quantity: 12, targetPrice: 100, side: 'sell' }
+    ], 'position1');
+    
+    const orderBook = await binanceAdapter.getOrderBook('A');
+    expect(orderBook.bids).toEqual([['98.00000000', '3.00000000']]);
+    
+    const result = await binanceAdapter.executeOrder('sell', [
+      { assetId: 'A', quantity: 6, targetPrice: 100, side: 'sell' }
+    ], 'position2');
+    
+    expect(result.assets[0].filledQuantity.toNumber()).toBe(3);
+    expect(result.filled.toNumber()).toBe(50);
+  });
+  
+  test('should center generated order books on the reference price', async () => {
+    const orderBook = await binanceAdapter.getOrderBook('B', 50);
+    
+    expect(parseFloat(orderBook.asks[0][0])).toBeGreaterThanOrEqual(50);
+    expect(parseFloat(orderBook.bids[0][0])).toBeLessThanOrEqual(50);
+    expect(parseFloat(orderBook.asks[19][0])).toBeLessThan(52);
+  });
+  
+  test('should stop the legs not sent when an execution is canceled', async () => {
+    binanceAdapter.orderBooks.set('B', {
+      assetId: 'B',
+      bids: [['49.00000000', '10.00000000']],
+      asks: [['51.00000000', '10.00000000']],
+      timestamp: Date.now()
+    });
+    
+    // Hold the second leg at the rate limiter so the cancel arrives before it is sent
+    let rateLimitChecks = 0;
+    binanceAdapter.checkRateLimit = jest.fn(async () => {
+      if (++rateLimitChecks === 2) {
+        await sleep(50);
+      }
+    });
+    
+    const execution = binanceAdapter.executeOrder('buy', [
+      { assetId: 'A', quantity: 2, targetPrice: 100, side: 'buy' },
+      { assetId: 'B', quantity: 4, targetPrice: 50, side: 'buy' }
+    ], 'position1');
+    await sleep(10);
+    
+    const cancelResult = await binanceAdapter.cancelOrder('position1', 'buy');
+    const result = await execution;
+    
+    expect(cancelResult.success).toBe(true);
+    expect(cancelResult.filledLegs).toEqual([
+      expect.objectContaining({ assetId: 'A', filledQuantity: new Decimal(2), avgPrice: new Decimal(101) })
+    ]);
+    expect(cancelResult.unsentLegs).toEqual([{ assetId: 'B', quantity: new Decimal(4) }]);
+    expect(result.canceled).toBe(true);
+    expect(binanceAdapter.orderBooks.get('B').asks).toEqual([['51.00000000', '10.00000000']]);
+  });
+  
+  test('should report nothing to cancel once an execution has settled', async () => {
+    await binanceAdapter.executeOrder('buy', [
+      { assetId: 'A', quantity: 2, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    const cancelResult = await binanceAdapter.cancelOrder('position1', 'buy');
+    
+    expect(cancelResult.success).toBe(false);
+    expect(cancelResult.fillPercentage.toNumber()).toBe(0);
+    expect(cancelResult.loss.toNumber()).toBe(0);
+  });
+});
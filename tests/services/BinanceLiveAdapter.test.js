@@ -0,0 +1,245 @@
+const http = require('http');
+const crypto = require('crypto');
+const BinanceLiveAdapter = require('../../src/services/BinanceLiveAdapter');
+const Decimal = require('../../src/utils/Decimal');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+/**
+ * Start a local HTTP server mimicking the Binance spot endpoints used by the adapter
+ */
+const startStubServer = (state) => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+    state.requests.push({ method: req.method, path: url.pathname, params, headers: req.headers });
+
+    const reply = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'x-mbx-used-weight-1m': String(state.requests.length)
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    // Verify signed requests the way Binance does
+    if (params.signature !== undefined) {
+      const query = url.search.slice(1).replace(/&signature=[^&]*$/, '');
+      const expected = crypto.createHmac('sha256', API_SECRET).update(query).digest('hex');
+      if (req.headers['x-mbx-apikey'] !== API_KEY || params.signature !== expected) {
+        return reply(401, { code: -1022, msg: 'Signature for this request is not valid.' });
+      }
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v3/depth') {
+      return reply(200, {
+        lastUpdateId: 1,
+        bids: [['99.00000000', '2.00000000']],
+        asks: [['101.00000000', '1.00000000'], ['102.00000000', '5.00000000']]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v3/exchangeInfo') {
+      return reply(200, {
+        symbols: [{
+          symbol: params.symbol,
+          filters: [
+            { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+            { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+            { filterType: 'NOTIONAL', minNotional: '5.00000000', applyToMarket: true }
+          ]
+        }]
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v3/order') {
+      return reply(200, state.nextOrderResponse(params));
+    }
+
+    if (req.method === 'DELETE' && url.pathname === '/api/v3/order') {
+      return reply(200, { symbol: params.symbol, status: 'CANCELED', executedQty: '0.50000000' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v3/myTrades') {
+      return reply(200, [
+        { price: '100.00000000', qty: '2.00000000', commission: '0.20000000', commissionAsset: 'USDT' }
+      ]);
+    }
+
+    return reply(404, { code: -1, msg: 'Not found' });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('BinanceLiveAdapter', () => {
+  let server;
+  let state;
+  let adapter;
+
+  beforeEach(async () => {
+    state = {
+      requests: [],
+      nextOrderResponse: params => ({
+        symbol: params.symbol,
+        orderId: 123,
+        clientOrderId: params.newClientOrderId,
+        status: 'FILLED',
+        executedQty: '2.00000000',
+        fills: [
+          { price: '101.00000000', qty: '1.00000000', commission: '0.10100000', commissionAsset: 'USDT' },
+          { price: '102.00000000', qty: '1.00000000', commission: '0.00100000', commissionAsset: 'BTC' }
+        ]
+      })
+    };
+    server = await startStubServer(state);
+
+    adapter = new BinanceLiveAdapter({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      apiKey: API_KEY,
+      apiSecret: API_SECRET
+    });
+  });
+
+  afterEach(done => {
+    server.close(done);
+  });
+
+  test('should fetch and map the order book', async () => {
+    const orderBook = await adapter.getOrderBook('BTC');
+
+    expect(state.requests[0].params).toEqual({ symbol: 'BTCUSDT', limit: '20' });
+    expect(orderBook.assetId).toBe('BTC');
+    expect(orderBook.asks[0]).toEqual(['101.00000000', '1.00000000']);
+    expect(orderBook.bids.length).toBe(1);
+  });
+
+  test('should load the symbol filters once from exchangeInfo', async () => {
+    const symbol = await adapter.getSymbolInfo('BTC');
+    await adapter.getSymbolInfo('BTC');
+
+    expect(state.requests).toHaveLength(1);
+    expect(state.requests[0].params).toEqual({ symbol: 'BTCUSDT' });
+    expect(symbol).toEqual({
+      assetId: 'BTC',
+      minNotional: new Decimal(5),
+      minQuantity: new Decimal('0.00001'),
+      maxQuantity: new Decimal(9000),
+      stepSize: new Decimal('0.00001'),
+      tickSize: new Decimal('0.01')
+    });
+  });
+
+  test('should place signed market orders and report fills and fees', async () => {
+    const result = await adapter.executeOrder('buy', [
+      { assetId: 'BTC', quantity: 2, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+
+    const [request] = state.requests;
+    expect(request.method).toBe('POST');
+    expect(request.params).toMatchObject({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '2.00000000' });
+
+    const [asset] = result.assets;
+    expect(asset.fills).toEqual([{ price: new Decimal(101), quantity: new Decimal(1) }, { price: new Decimal(102), quantity: new Decimal(1) }]);
+    expect(asset.vwap.toNumber()).toBeCloseTo(101.5);
+    expect(asset.fee.toNumber()).toBeCloseTo(0.101 + 0.001 * 102);
+    expect(asset.slippageLoss.toNumber()).toBeCloseTo(3);
+    // The commission paid in BTC is taken off the BTC received
+    expect(asset.filledQuantity).toEqual(new Decimal('1.999'));
+    expect(result.filled).toEqual(new Decimal('99.95'));
+  });
+
+  test('should fall back to the trade list when the response has no fills', async () => {
+    state.nextOrderResponse = params => ({
+      symbol: params.symbol,
+      orderId: 456,
+      status: 'FILLED',
+      executedQty: '2.00000000'
+    });
+
+    const result = await adapter.executeOrder('sell', [
+      { assetId: 'ETH', quantity: 2, targetPrice: 101, side: 'sell' }
+    ], 'position1');
+
+    expect(state.requests[1].path).toBe('/api/v3/myTrades');
+    expect(state.requests[1].params.orderId).toBe('456');
+    expect(result.assets[0].fills).toEqual([{ price: new Decimal(100), quantity: new Decimal(2) }]);
+    expect(result.assets[0].fee.toNumber()).toBeCloseTo(0.2);
+    expect(result.assets[0].filledQuantity).toEqual(new Decimal(2));
+  });
+
+  test('should cancel open orders of a position', async () => {
+    state.nextOrderResponse = params => ({
+      symbol: params.symbol,
+      orderId: 789,
+      status: 'NEW',
+      executedQty: '0.00000000',
+      fills: []
+    });
+
+    await adapter.executeOrder('buy', [
+      { assetId: 'BTC', quantity: 1, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+
+    const cancelResult = await adapter.cancelOrder('position1', 'buy');
+    const cancelRequest = state.requests[state.requests.length - 1];
+
+    expect(cancelRequest.method).toBe('DELETE');
+    expect(cancelRequest.params.symbol).toBe('BTCUSDT');
+    expect(cancelResult.success).toBe(true);
+    expect(cancelResult.affectedOrders.length).toBe(1);
+    expect(cancelResult.fillPercentage.toNumber()).toBe(50);
+  });
+
+  test('should surface Binance errors', async () => {
+    const badAdapter = new BinanceLiveAdapter({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      apiKey: API_KEY,
+      apiSecret: 'wrong-secret'
+    });
+
+    await expect(badAdapter.executeOrder('buy', [
+      { assetId: 'BTC', quantity: 1, targetPrice: 100, side: 'buy' }
+    ], 'position1')).rejects.toThrow('Binance API error -1022');
+  });
+
+  test('should wait when the request weight limit is reached', async () => {
+    const limitedAdapter = new BinanceLiveAdapter({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      weightLimit: 10,
+      weightWindowMs: 200
+    });
+
+    const start = Date.now();
+    await limitedAdapter.getOrderBook('BTC');
+    await limitedAdapter.getOrderBook('BTC');
+    expect(Date.now() - start).toBeLessThan(150);
+
+    // Depth requests weigh 5, so the third one has to wait for the next window
+    await limitedAdapter.getOrderBook('BTC');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+  });
+
+  test('should queue parallel requests waiting for the same window', async () => {
+    const limitedAdapter = new BinanceLiveAdapter({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      weightLimit: 10,
+      weightWindowMs: 200
+    });
+
+    // Two depth requests fit per window: six take three windows, not two
+    const start = Date.now();
+    await Promise.all(Array.from({ length: 6 }, () => limitedAdapter.getOrderBook('BTC')));
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(390);
+    expect(state.requests).toHaveLength(6);
+  });
+});
@@ -0,0 +1,178 @@
+const BinanceAdapter = require('../../src/services/BinanceAdapter');
+const ExchangeRouter = require('../../src/services/ExchangeRouter');
+const Decimal = require('../../src/utils/Decimal');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Create a mock venue with a fixed ask side
+ */
+const createVenue = (name, feePercent, asks) => {
+  const venue = new BinanceAdapter(undefined, { name, feePercent });
+  venue.orderBooks.set('A', {
+    assetId: 'A',
+    bids: [['99.00000000', '10.00000000']],
+    asks,
+    timestamp: Date.now()
+  });
+  return venue;
+};
+
+describe('ExchangeRouter', () => {
+  let cheap;
+  let expensive;
+  let router;
+  
+  beforeEach(() => {
+    cheap = createVenue('cheap', 0.1, [['100.00000000', '5.00000000'], ['103.00000000', '10.00000000']]);
+    expensive = createVenue('expensive', 1, [['101.00000000', '10.00000000']]);
+    router = new ExchangeRouter([cheap, expensive]);
+  });
+  
+  test('should split a leg across venues by fee-adjusted price and depth', async () => {
+    const result = await router.executeOrder('buy', [
+      { assetId: 'A', quantity: 12, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    const [asset] = result.assets;
+    expect(asset.venues.map(venue => [venue.venue, venue.filledQuantity.toString()])).toEqual([
+      ['cheap', '5'],
+      ['expensive', '7']
+    ]);
+    expect(asset.fills).toEqual([
+      { price: new Decimal(100), quantity: new Decimal(5), venue: 'cheap' },
+      { price: new Decimal(101), quantity: new Decimal(7), venue: 'expensive' }
+    ]);
+    expect(asset.filledQuantity.toNumber()).toBe(12);
+    expect(asset.notional.toNumber()).toBe(1207);
+    expect(asset.fee.toNumber()).toBeCloseTo(0.5 + 7.07);
+    expect(asset.slippageLoss.toNumber()).toBeCloseTo(7);
+    expect(result.fees.toNumber()).toBeCloseTo(7.57);
+    expect(result.filled.toNumber()).toBe(100);
+    expect(result.venueOrders.length).toBe(2);
+  });
+  
+  test('should prefer the venue with the lower all-in price', async () => {
+    const noFee = createVenue('nofee', 0, [['100.05000000', '10.00000000']]);
+    router = new ExchangeRouter([cheap, noFee]);
+    
+    const result = await router.executeOrder('buy', [
+      { assetId: 'A', quantity: 5, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    expect(result.assets[0].venues.map(venue => venue.venue)).toEqual(['nofee']);
+  });
+  
+  test('should expose a consolidated order book', async () => {
+    const orderBook = await router.getOrderBook('A');
+    
+    expect(orderBook.asks).toEqual([
+      ['100.00000000', '5.00000000'],
+      ['101.00000000', '10.00000000'],
+      ['103.00000000', '10.00000000']
+    ]);
+    expect(orderBook.bids).toEqual([['99.00000000', '20.00000000']]);
+  });
+  
+  test('should merge levels whose prices are equal as decimals', () => {
+    const asks = router.mergeLevels([
+      [['100', '1'], ['101.5', '2']],
+      [['100.0', '3'], ['101.50000000', '4']]
+    ], 'asc');
+    
+    expect(asks).toEqual([
+      ['100.00000000', '4.00000000'],
+      ['101.50000000', '6.00000000']
+    ]);
+  });
+  
+  test('should cancel only on the venues an order was routed to', async () => {
+    let reachVenue;
+    const reached = new Promise(resolve => { reachVenue = resolve; });
+    const executeOrder = cheap.executeOrder.bind(cheap);
+    jest.spyOn(cheap, 'executeOrder').mockImplementation((...args) => {
+      const result = executeOrder(...args);
+      reachVenue();
+      return result;
+    });
+    
+    const execution = router.executeOrder('buy', [
+      { assetId: 'A', quantity: 3, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    await reached;
+    
+    const cancelResult = await router.cancelOrder('position1', 'buy');
+    await execution;
+    
+    expect(cancelResult.venues.map(venue => venue.venue)).toEqual(['cheap']);
+  });
+  
+  test('should forget the venues of a position once its execution settles', async () => {
+    await router.executeOrder('buy', [
+      { assetId: 'A', quantity: 3, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    expect(router.routedPositions.size).toBe(0);
+    
+    // Nothing is in flight anymore, so the cancel asks every venue
+    const cancelResult = await router.cancelOrder('position1', 'buy');
+    expect(cancelResult.success).toBe(false);
+    expect(cancelResult.venues.map(venue => venue.venue)).toEqual(['cheap', 'expensive']);
+  });
+  
+  test('should stop a routed execution before it reaches the venues', async () => {
+    jest.spyOn(cheap, 'executeOrder');
+    
+    const execution = router.executeOrder('buy', [
+      { assetId: 'A', quantity: 3, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    const cancelResult = await router.cancelOrder('position1', 'buy');
+    const result = await execution;
+    
+    expect(cancelResult.success).toBe(true);
+    expect(cancelResult.filledLegs).toEqual([]);
+    expect(cancelResult.unsentLegs).toEqual([{ assetId: 'A', quantity: new Decimal(3) }]);
+    expect(result.canceled).toBe(true);
+    expect(cheap.executeOrder).not.toHaveBeenCalled();
+  });
+  
+  test('should pass through a single venue unchanged', async () => {
+    router = new ExchangeRouter([cheap]);
+    
+    const result = await router.executeOrder('buy', [
+      { assetId: 'A', quantity: 8, targetPrice: 100, side: 'buy' }
+    ], 'position1');
+    
+    expect(result.assets[0].venues).toEqual([
+      expect.objectContaining({ venue: 'cheap', filledQuantity: new Decimal(8) })
+    ]);
+  });
+  
+  test('should apply the strictest symbol filters of its venues', async () => {
+    cheap.symbols.set('A', { assetId: 'A', minNotional: 5, minQuantity: 0.01, maxQuantity: 100, stepSize: 0.01, tickSize: 0.01 });
+    expensive.symbols.set('A', { assetId: 'A', minNotional: 10, minQuantity: 0.001, maxQuantity: 50, stepSize: 0.001, tickSize: 0.1 });
+    
+    expect(await router.getSymbolInfo('A', 100)).toEqual({
+      assetId: 'A',
+      minNotional: new Decimal(10),
+      minQuantity: new Decimal('0.01'),
+      maxQuantity: new Decimal(50),
+      stepSize: new Decimal('0.01'),
+      tickSize: new Decimal('0.1')
+    });
+    
+    // A venue without a maximum quantity leaves the other venue's maximum
+    expensive.symbols.set('A', { assetId: 'A', minNotional: 10, minQuantity: 0.001, maxQuantity: null, stepSize: 0.001, tickSize: 0.1 });
+    expect((await router.getSymbolInfo('A', 100)).maxQuantity).toEqual(new Decimal(100));
+  });
+  
+  test('should quote the highest fee of its venues', () => {
+    expect(router.getFeePercent()).toBe(1);
+    expect(new ExchangeRouter([cheap]).getFeePercent()).toBe(0.1);
+  });
+});
@@ -0,0 +1,95 @@
+const FeeModel = require('../../src/services/FeeModel');
+const Decimal = require('../../src/utils/Decimal');
+
+describe('FeeModel', () => {
+  let feeModel;
+
+  beforeEach(() => {
+    feeModel = new FeeModel({
+      makerPercent: 0.1,
+      takerPercent: 0.2,
+      assets: { BTC: { takerPercent: 0.05 } },
+      tiers: [
+        { minVolume: 10000, makerPercent: 0.08, takerPercent: 0.15 },
+        { minVolume: 1000, takerPercent: 0.18 }
+      ],
+      volumeWindowMs: 1000
+    });
+  });
+
+  test('should charge maker and taker rates', () => {
+    expect(feeModel.getRate('ETH', 'maker')).toBe(0.1);
+    expect(feeModel.getRate('ETH', 'taker')).toBe(0.2);
+
+    const charge = feeModel.charge({ assetId: 'ETH', notional: 500 });
+
+    expect(charge).toEqual({ fee: new Decimal(1), feePercent: 0.2, liquidity: 'taker', feeAsset: 'USDT', feeQuantity: new Decimal(1) });
+    expect(() => feeModel.getRate('ETH', 'hidden')).toThrow('Unknown liquidity');
+  });
+
+  test('should lower the rates by volume tier within the volume window', () => {
+    const now = Date.now();
+
+    feeModel.charge({ assetId: 'ETH', notional: 2000 }, now);
+    expect(feeModel.getRate('ETH', 'taker', now)).toBe(0.18);
+    // The tier leaves the maker rate alone
+    expect(feeModel.getRate('ETH', 'maker', now)).toBe(0.1);
+
+    feeModel.charge({ assetId: 'ETH', notional: 9000 }, now);
+    expect(feeModel.getRate('ETH', 'taker', now)).toBe(0.15);
+    expect(feeModel.getRate('ETH', 'maker', now)).toBe(0.08);
+
+    // Volume older than the window no longer counts
+    expect(feeModel.getVolume(now + 1000).toNumber()).toBe(0);
+    expect(feeModel.getRate('ETH', 'taker', now + 1000)).toBe(0.2);
+  });
+
+  test('should prefer per-asset rates over tiers and base rates', () => {
+    feeModel.recordVolume(20000);
+
+    expect(feeModel.getRate('BTC', 'taker')).toBe(0.05);
+    expect(feeModel.getRate('BTC', 'maker')).toBe(0.08);
+    expect(feeModel.getRate(null, 'taker')).toBe(0.15);
+  });
+
+  test('should charge buys in the base asset when configured', () => {
+    feeModel = new FeeModel({ takerPercent: 0.1, feeAsset: 'base' });
+
+    const buy = feeModel.charge({ assetId: 'ETH', side: 'buy', notional: 1000, price: 50 });
+
+    expect(buy.fee.toNumber()).toBeCloseTo(1);
+    expect(buy.feeAsset).toBe('ETH');
+    expect(buy.feeQuantity).toEqual(new Decimal('0.02'));
+
+    // Sells receive the quote asset and pay their fee in it
+    const sell = feeModel.charge({ assetId: 'ETH', side: 'sell', notional: 1000, price: 50 });
+    expect(sell.feeAsset).toBe('USDT');
+    expect(sell.feeQuantity).toEqual(new Decimal(1));
+  });
+
+  test('should reject invalid schedules', () => {
+    expect(() => new FeeModel({ takerPercent: -1 })).toThrow('Base takerPercent');
+    expect(() => new FeeModel({ assets: { BTC: { makerPercent: 'low' } } })).toThrow('Asset BTC makerPercent');
+    expect(() => new FeeModel({ tiers: [{ takerPercent: 0.1 }] })).toThrow('Fee tier 0 needs a minVolume');
+    expect(() => new FeeModel({ feeAsset: 'BNB' })).toThrow('feeAsset must be one of quote, base');
+  });
+
+  test('should build venue fee models from a schedule', () => {
+    const schedule = {
+      makerPercent: 0.02,
+      takerPercent: 0.04,
+      tiers: [{ minVolume: 100, takerPercent: 0.03 }],
+      venues: { venue2: { takerPercent: 0.01 } }
+    };
+
+    const binance = FeeModel.forVenue(schedule, 'binance');
+    const venue2 = FeeModel.forVenue(schedule, 'venue2', 0.1);
+    const venue3 = FeeModel.forVenue(schedule, 'venue3', 0.1);
+
+    expect(binance.getRate(null, 'taker')).toBe(0.04);
+    expect(binance.tiers).toHaveLength(1);
+    expect(venue2.getRate(null, 'taker')).toBe(0.01);
+    expect(venue2.getRate(null, 'maker')).toBe(0.1);
+    expect(venue3.getRate(null, 'maker')).toBe(0.1);
+  });
+});
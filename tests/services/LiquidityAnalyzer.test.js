@@ -0,0 +1,170 @@
+const LiquidityAnalyzer = require('../../src/services/LiquidityAnalyzer');
+const MarketSimulator = require('../../src/services/MarketSimulator');
+const Order = require('../../src/models/Order');
+const Index = require('../../src/models/Index');
+const Asset = require('../../src/models/Asset');
+const Decimal = require('../../src/utils/Decimal');
+const ExchangeAdapter = require('../../src/services/ExchangeAdapter');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('LiquidityAnalyzer', () => {
+  let liquidityAnalyzer;
+  let index;
+  let exchangeAdapter;
+  
+  beforeEach(() => {
+    liquidityAnalyzer = new LiquidityAnalyzer(new MarketSimulator({ seed: 1 }));
+    
+    // Index price 150: A carries 100, B carries 50
+    index = new Index('test-index', [
+      new Asset('A', 1, 100, 100),
+      new Asset('B', 1, 50, 50)
+    ]);
+    
+    exchangeAdapter = {
+      getSymbolInfo: jest.fn().mockImplementation(async (assetId) => ({
+        assetId,
+        minNotional: 5,
+        minQuantity: 0.01,
+        maxQuantity: 1000,
+        stepSize: 0.01,
+        tickSize: 0.01
+      })),
+      applySymbolFilters: ExchangeAdapter.prototype.applySymbolFilters,
+      getOrderBook: jest.fn().mockImplementation(async (assetId, price) => ({
+        assetId,
+        bids: [[String(price), '100']],
+        asks: [
+          [String(price), '4'],
+          [String(price * 1.005), '4'],
+          [String(price * 1.02), '100']
+        ]
+      }))
+    };
+  });
+  
+  test('should size the legs of a notional order by index weight', async () => {
+    const order = Order.createBuyOrder('position1', 'test-index', null, 200, Date.now(), { notional: 1500 });
+    
+    const result = await liquidityAnalyzer.analyzeOrderLiquidity(order, index, exchangeAdapter);
+    
+    // $1500 at an index price of 150 is 10 index units
+    expect(result.targetQuantity.toNumber()).toBeCloseTo(10);
+    expect(result.fillablePercent.toNumber()).toBeCloseTo(100);
+    expect(result.assetAnalysis.map(asset => asset.notional.toString())).toEqual(['1000', '500']);
+    expect(result.assetOrders.map(asset => [asset.assetId, asset.quantity.toString()])).toEqual([['A', '10'], ['B', '10']]);
+  });
+  
+  test('should size the legs per index unit when the divisor is not 1', async () => {
+    // Adding C doubles the basket value, the divisor of 2 keeps the level at 150
+    index.addAsset(new Asset('C', 3, 50, 50));
+    const order = Order.createBuyOrder('position9', 'test-index', 10, 150);
+    
+    const result = await liquidityAnalyzer.analyzeOrderLiquidity(order, index, exchangeAdapter);
+    const depth = await liquidityAnalyzer.getVisibleDepth(order, index, exchangeAdapter);
+    
+    expect(index.getCurrentPrice().toNumber()).toBe(150);
+    expect(result.assetOrders.map(asset => [asset.assetId, asset.quantity.toString()])).toEqual([['A', '5'], ['B', '5'], ['C', '15']]);
+    // 108 units of the asks of C cover 72 index units of 1.5 each
+    expect(depth.indexUnits.toNumber()).toBeCloseTo(72);
+  });
+  
+  test('should round the legs to the symbol filters and report the residue', async () => {
+    exchangeAdapter.getSymbolInfo.mockImplementation(async (assetId) => ({
+      assetId,
+      minNotional: assetId === 'B' ? 200 : 5,
+      minQuantity: 1,
+      maxQuantity: 1000,
+      stepSize: 1,
+      tickSize: 0.5
+    }));
+    const order = Order.createBuyOrder('position8', 'test-index', 2.5, 150);
+    
+    const result = await liquidityAnalyzer.analyzeOrderLiquidity(order, index, exchangeAdapter);
+    
+    // B's $125 leg is below its minimum notional, A's 2.5 units round down to 2
+    expect(result.assetOrders).toEqual([{ assetId: 'A', quantity: new Decimal(2), targetPrice: new Decimal(100), side: 'buy' }]);
+    expect(result.roundingResidue).toEqual([
+      { assetId: 'B', quantity: new Decimal('2.5') },
+      { assetId: 'A', quantity: new Decimal('0.5') }
+    ]);
+  });
+  
+  test('should only count book levels within the slippage band of market orders', async () => {
+    const order = Order.createBuyOrder('position2', 'test-index', 10, null, Date.now(), { orderType: 'market' });
+    
+    const result = await liquidityAnalyzer.analyzeOrderLiquidity(order, index, exchangeAdapter);
+    
+    // Only the first two levels (8 of 10 units) are within 1% of the price
+    expect(result.fillablePercent.toNumber()).toBeCloseTo(80);
+    expect(result.fullyFillable).toBe(false);
+  });
+  
+  test('should measure the visible depth in index units', async () => {
+    const limit = Order.createBuyOrder('position6', 'test-index', 10, 160);
+    const market = Order.createBuyOrder('position7', 'test-index', 10, null, Date.now(), { orderType: 'market' });
+    
+    const limitDepth = await liquidityAnalyzer.getVisibleDepth(limit, index, exchangeAdapter);
+    const marketDepth = await liquidityAnalyzer.getVisibleDepth(market, index, exchangeAdapter);
+    
+    expect(limitDepth.indexUnits.toNumber()).toBeCloseTo(108);
+    expect(limitDepth.assets.map(asset => asset.assetId)).toEqual(['A', 'B']);
+    // Market orders only see the two levels within their slippage band
+    expect(marketDepth.indexUnits.toNumber()).toBeCloseTo(8);
+  });
+  
+  test('should estimate slippage, fees and loss of the legs as sent', async () => {
+    exchangeAdapter.getFeePercent = jest.fn().mockReturnValue(0.1);
+    const order = Order.createBuyOrder('estimate', 'test-index', 10, null, Date.now(), { orderType: 'market' });
+    
+    const estimate = await liquidityAnalyzer.estimateOrderCost(order, index, exchangeAdapter, 'buy');
+    
+    // Both legs are scaled to 8 units: 4 at the price and 4 half a percent above
+    expect(estimate.expectedFillPercent.toNumber()).toBeCloseTo(80);
+    expect(estimate.expectedQuantity.toNumber()).toBeCloseTo(8);
+    expect(estimate.worstAsset).toBe('A');
+    expect(estimate.assets.map(asset => asset.fillableQuantity.toString())).toEqual(['8', '8']);
+    expect(estimate.assets[0].averagePrice.toNumber()).toBeCloseTo(100.25);
+    expect(estimate.assets[0].slippagePercent.toNumber()).toBeCloseTo(0.25);
+    expect(estimate.assets[0].slippageCost.toNumber()).toBeCloseTo(2);
+    expect(estimate.assets[1].slippageCost.toNumber()).toBeCloseTo(1);
+    expect(estimate.fees.toNumber()).toBeCloseTo(1.203);
+    expect(estimate.expectedLoss.toNumber()).toBeCloseTo(4.203);
+    expect(estimate.averageIndexPrice.toNumber()).toBeCloseTo(150.375);
+  });
+  
+  test('should name the costliest asset when every leg fills', async () => {
+    exchangeAdapter.getFeePercent = jest.fn().mockReturnValue(0);
+    // B has a deep top of book, only A walks into its second level
+    exchangeAdapter.getOrderBook.mockImplementation(async (assetId, price) => ({
+      assetId,
+      bids: [[String(price), '100']],
+      asks: assetId === 'A'
+        ? [[String(price), '4'], [String(price * 1.005), '100']]
+        : [[String(price), '100']]
+    }));
+    const order = Order.createBuyOrder('estimate', 'test-index', 6, 160);
+    
+    const estimate = await liquidityAnalyzer.estimateOrderCost(order, index, exchangeAdapter, 'buy');
+    
+    expect(estimate.fullyFillable).toBe(true);
+    expect(estimate.worstAsset).toBe('A');
+    expect(estimate.expectedLoss.toNumber()).toBeGreaterThan(0);
+  });
+  
+  test('should value quantity orders at the current price for market orders', () => {
+    const market = Order.createBuyOrder('position3', 'test-index', 10, null, Date.now(), { orderType: 'market' });
+    const limit = Order.createBuyOrder('position4', 'test-index', 10, 160);
+    const notional = Order.createBuyOrder('position5', 'test-index', null, null, Date.now(), { orderType: 'market', notional: 900 });
+    
+    expect(liquidityAnalyzer.getOrderNotional(market, index).toNumber()).toBe(1500);
+    expect(liquidityAnalyzer.getOrderNotional(limit, index).toNumber()).toBe(1600);
+    expect(liquidityAnalyzer.getOrderNotional(notional, index).toNumber()).toBe(900);
+  });
+});
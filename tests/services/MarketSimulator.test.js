@@ -0,0 +1,73 @@
+const MarketSimulator = require('../../src/services/MarketSimulator');
+const BinanceAdapter = require('../../src/services/BinanceAdapter');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('MarketSimulator', () => {
+  test('should replay the same market for the same seed', () => {
+    const first = new MarketSimulator({ seed: 42 });
+    const second = new MarketSimulator({ seed: 42 });
+
+    const firstBook = first.generateOrderBook('BTC');
+    const secondBook = second.generateOrderBook('BTC');
+
+    expect(secondBook.bids).toEqual(firstBook.bids);
+    expect(secondBook.asks).toEqual(firstBook.asks);
+    expect(second.step('BTC')).toBe(first.step('BTC'));
+  });
+
+  test('should produce different markets for different seeds', () => {
+    const first = new MarketSimulator({ seed: 1 });
+    const second = new MarketSimulator({ seed: 2 });
+
+    expect(second.getPrice('BTC')).not.toBe(first.getPrice('BTC'));
+  });
+
+  test('should keep assets independent of the call order', () => {
+    const first = new MarketSimulator({ seed: 'scenario' });
+    const second = new MarketSimulator({ seed: 'scenario' });
+
+    first.generateOrderBook('A', 10);
+    const firstB = first.generateOrderBook('B', 20);
+
+    const secondB = second.generateOrderBook('B', 20);
+    second.generateOrderBook('A', 10);
+
+    expect(secondB.asks).toEqual(firstB.asks);
+  });
+
+  test('should follow the configured price process', () => {
+    const simulator = new MarketSimulator({ seed: 7, priceProcess: 'trending', processOptions: { drift: 0.01, volatility: 0 } });
+    simulator.setPrice('A', 100);
+
+    simulator.step('A');
+    expect(simulator.getPrice('A')).toBeCloseTo(101);
+
+    simulator.setPriceProcess('A', 'jump', { volatility: 0, jumpProbability: 1, jumpSize: 0.1 });
+    const price = simulator.step('A');
+    expect([90.9, 111.1]).toContainEqual(parseFloat(price.toFixed(1)));
+  });
+
+  test('should reject unknown price processes', () => {
+    expect(() => new MarketSimulator({ seed: 1, priceProcess: 'teleport' })).toThrow('Unknown price process');
+  });
+
+  test('should replay adapter executions bit-for-bit', async () => {
+    const run = async () => {
+      const adapter = new BinanceAdapter(new MarketSimulator({ seed: 99 }));
+      await adapter.getOrderBook('A', 50);
+      adapter.simulateMarketTick();
+      const result = await adapter.executeOrder('buy', [
+        { assetId: 'A', quantity: 30, targetPrice: 50, side: 'buy' }
+      ], 'position1');
+      return result.assets[0].fills;
+    };
+
+    expect(await run()).toEqual(await run());
+  });
+});
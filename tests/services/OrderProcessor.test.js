@@ -4,8 +4,10 @@ const LiquidityAnalyzer = require('../../src/services/LiquidityAnalyzer');
 const BinanceAdapter = require('../../src/services/BinanceAdapter');
 const RebalanceManager = require('../../src/services/RebalanceManager');
 const Order = require('../../src/models/Order');
+const Position = require('../../src/models/Position');
 const Index = require('../../src/models/Index');
 const Asset = require('../../src/models/Asset');
+const Decimal = require('../../src/utils/Decimal');
 const { sleep } = require('../../src/utils/helpers');
 
 jest.mock('../../src/utils/logger', () => ({
@@ -110,6 +112,8 @@ describe('OrderProcessor', () => {
         indexId: 'test-index',
         timestamp: Date.now(),
         totalLoss: 3,
+        totalFees: 1,
+        totalSlippageLoss: 2,
         executionResults: [],
         rebalanceReport: {}
       };
@@ -137,8 +141,9 @@ describe('OrderProcessor', () => {
     const processedOrder = await orderProcessor.processOrder(order);
     
     expect(processedOrder.status).toBe('partially_filled');
-    expect(processedOrder.fillPercentage).toBe(90);
-    expect(processedOrder.loss).toBe(2);
+    // 90% fillable liquidity executed at a 90% fill rate
+    expect(processedOrder.fillPercentage.toNumber()).toBeCloseTo(81);
+    expect(processedOrder.loss.toNumber()).toBe(2);
     expect(liquidityAnalyzer.analyzeOrderLiquidity).toHaveBeenCalledTimes(1);
     expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(1);
   });
@@ -160,12 +165,45 @@ describe('OrderProcessor', () => {
     const processedOrder = await orderProcessor.processOrder(order);
     
     expect(processedOrder.status).toBe('partially_filled');
-    expect(processedOrder.fillPercentage).toBe(90);
-    expect(processedOrder.loss).toBe(2);
+    // 90% fillable liquidity executed at a 90% fill rate
+    expect(processedOrder.fillPercentage.toNumber()).toBeCloseTo(81);
+    expect(processedOrder.loss.toNumber()).toBe(2);
     expect(liquidityAnalyzer.analyzeOrderLiquidity).toHaveBeenCalledTimes(1);
     expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(1);
   });
   
+  test('should limit sells to the units held when they execute', async () => {
+    const position = new Position('held-position', 'test-index');
+    const bought = Order.createBuyOrder('held-position', 'test-index', 4, 30);
+    bought.updateStatus('processing');
+    bought.updateStatus('filled', { fillPercentage: 100, fill: { quantity: new Decimal(4), price: new Decimal(30), fee: 0 } });
+    position.addOrder(bought);
+    orderProcessor.positions = new Map([['held-position', position]]);
+    
+    const order = Order.createSellOrder('held-position', 'test-index', 10, 30);
+    position.addOrder(order);
+    await orderProcessor.processOrder(order);
+    
+    // The sell's own reservation does not count against it
+    expect(liquidityAnalyzer.analyzeOrderLiquidity.mock.calls[0][4]).toEqual(new Decimal(4));
+    
+    // Short sells are not limited
+    const short = Order.createSellOrder('held-position', 'test-index', 10, 30, Date.now(), { short: true });
+    await orderProcessor.processOrder(short);
+    expect(liquidityAnalyzer.analyzeOrderLiquidity.mock.calls[1][4]).toBeNull();
+  });
+  
+  test('should cancel a sell once its position has no units left', async () => {
+    orderProcessor.positions = new Map([['empty-position', new Position('empty-position', 'test-index')]]);
+    
+    const order = Order.createSellOrder('empty-position', 'test-index', 10, 30);
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('canceled');
+    expect(order.transitions[order.transitions.length - 1].reason).toMatch('Insufficient holdings');
+    expect(binanceAdapter.executeOrder).not.toHaveBeenCalled();
+  });
+  
   test('should process a cancel order for a pending order', async () => {
     // First queue a buy order
     const buyOrder = Order.createBuyOrder('test-position-4', 'test-index', 10, 30);
@@ -193,9 +231,85 @@ describe('OrderProcessor', () => {
     const processedOrder = await orderProcessor.processOrder(cancelOrder);
     
     expect(processedOrder.status).toBe('filled');
+    expect(buyOrder.cancelRequested).toBe(true);
     expect(binanceAdapter.cancelOrder).toHaveBeenCalledTimes(1);
   });
   
+  test('should cancel the remainder of an order once its in-flight execution settles', async () => {
+    binanceAdapter.executeOrder.mockImplementation(async () => {
+      await sleep(20);
+      return { assets: [{ assetId: 'A', notional: 90 }], filled: 50, loss: 1, fees: 0.1 };
+    });
+    
+    const buyOrder = Order.createBuyOrder('test-position-20', 'test-index', 10, 30);
+    queueManager.processing.buy.push(buyOrder);
+    
+    const working = orderProcessor.processOrder(buyOrder);
+    await sleep(5);
+    const cancelOrder = await orderProcessor.processOrder(Order.createCancelOrder('test-position-20'));
+    await working;
+    
+    expect(cancelOrder.status).toBe('filled');
+    expect(buyOrder.status).toBe('canceled');
+    // The legs filled before the cancel are kept: 90% fillable at a 50% fill rate
+    expect(buyOrder.filledQuantity.toNumber()).toBeCloseTo(4.5);
+    expect(buyOrder.transitions.map(transition => transition.to)).toEqual(['processing', 'partially_filled', 'canceled']);
+  });
+  
+  test('should report the legs the reconciliation unwinds after a cancel', async () => {
+    binanceAdapter.executeOrder.mockImplementation(async () => {
+      await sleep(20);
+      return { assets: [{ assetId: 'A', notional: 90 }], filled: 30, loss: 1, fees: 0.1, canceled: true };
+    });
+    binanceAdapter.cancelOrder.mockImplementation(async () => ({
+      success: true,
+      filledLegs: [{ assetId: 'A', filledQuantity: new Decimal(9) }],
+      unsentLegs: [{ assetId: 'B', quantity: new Decimal(18) }],
+      fillPercentage: new Decimal(30)
+    }));
+    // B never traded, so A is unwound back to no complete basket
+    orderProcessor.basketReconciler.reconcile = jest.fn().mockImplementation(async (side, executionResult) => ({
+      ...executionResult,
+      assets: [],
+      filled: Decimal.ZERO,
+      loss: new Decimal(2),
+      fees: new Decimal('0.2'),
+      reconciliation: { unwinds: [{ assetId: 'A', quantity: new Decimal(9), notional: new Decimal(88) }], residualLegs: [] }
+    }));
+    
+    const buyOrder = Order.createBuyOrder('test-position-22', 'test-index', 10, 30);
+    queueManager.processing.buy.push(buyOrder);
+    
+    const working = orderProcessor.processOrder(buyOrder);
+    await sleep(5);
+    const cancelOrder = await orderProcessor.processOrder(Order.createCancelOrder('test-position-22'));
+    await working;
+    
+    const { cancelResult } = cancelOrder.executionDetails[cancelOrder.executionDetails.length - 1];
+    expect(cancelResult.filledLegs).toEqual([{ assetId: 'A', filledQuantity: new Decimal(9) }]);
+    expect(cancelResult.unsentLegs).toEqual([{ assetId: 'B', quantity: new Decimal(18) }]);
+    expect(cancelResult.unwoundLegs).toEqual([{ assetId: 'A', quantity: new Decimal(9), notional: new Decimal(88) }]);
+    expect(cancelResult.fillPercentage).toEqual(Decimal.ZERO);
+    expect(buyOrder.status).toBe('canceled');
+    expect(buyOrder.filledQuantity).toEqual(Decimal.ZERO);
+    expect(orderProcessor.activePasses.size).toBe(0);
+  });
+  
+  test('should cancel the open remainder of a resting partially filled order', async () => {
+    const buyOrder = Order.createBuyOrder('test-position-21', 'test-index', 10, 30);
+    await orderProcessor.processOrder(buyOrder);
+    queueManager.queueOrder(buyOrder);
+    
+    const cancelOrder = await orderProcessor.processOrder(Order.createCancelOrder('test-position-21'));
+    
+    expect(cancelOrder.status).toBe('filled');
+    expect(cancelOrder.executionDetails[0].canceledQuantity.quantity.toNumber()).toBeCloseTo(1.9);
+    expect(buyOrder.status).toBe('canceled');
+    expect(buyOrder.filledQuantity.toNumber()).toBeCloseTo(8.1);
+    expect(queueManager.getOpenOrder('test-position-21')).toBeNull();
+    expect(binanceAdapter.cancelOrder).not.toHaveBeenCalled();
+  });
+  
   test('should fail to cancel non-existent order', async () => {
     const cancelOrder = Order.createCancelOrder('non-existent');
     
@@ -211,7 +325,9 @@ describe('OrderProcessor', () => {
     const processedOrder = await orderProcessor.processOrder(order);
     
     expect(processedOrder.status).toBe('filled');
-    expect(processedOrder.loss).toBe(3);
+    expect(processedOrder.loss.toNumber()).toBe(3);
+    expect(processedOrder.fees.toNumber()).toBe(1);
+    expect(processedOrder.slippageLoss.toNumber()).toBe(2);
     expect(rebalanceManager.createRebalancePlan).toHaveBeenCalledTimes(1);
     expect(rebalanceManager.executeRebalance).toHaveBeenCalledTimes(1);
   });
@@ -239,11 +355,289 @@ describe('OrderProcessor', () => {
     // Process the batch
     await orderProcessor.processBatch();
     
-    // Check that orders were processed
-    expect(queueManager.queues.buy.length).toBe(0);
-    expect(queueManager.queues.sell.length).toBe(0);
+    // The partially filled buy and sell rest in their queues for the next batch
+    expect(queueManager.queues.buy).toEqual([buy1]);
+    expect(queueManager.queues.sell).toEqual([sell1]);
+    expect(buy1.status).toBe('partially_filled');
     expect(queueManager.queues.cancel.length).toBe(0);
-    expect(queueManager.executionHistory.length).toBe(3);
+    expect(queueManager.executionHistory).toEqual([cancel1]);
+  });
+  
+  test('should catch errors raised while preparing a batch', async () => {
+    jest.spyOn(queueManager, 'getNextBatch').mockRejectedValueOnce(new Error('Index lookup failed'));
+    
+    await expect(orderProcessor.processBatch()).resolves.toBeUndefined();
+    expect(binanceAdapter.executeOrder).not.toHaveBeenCalled();
+  });
+  
+  test('should work the remaining quantity of a partially filled order', async () => {
+    const order = Order.createBuyOrder('test-position-11', 'test-index', 10, 30);
+    
+    await orderProcessor.processOrder(order);
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(8.1);
+    
+    await orderProcessor.processOrder(order);
+    
+    // The second pass fills 81% of the remaining 1.9 units
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(8.1 + 1.539);
+    expect(order.fillPercentage.toNumber()).toBeCloseTo(96.39);
+    expect(order.loss.toNumber()).toBe(4);
+    expect(order.fills.length).toBe(2);
+    
+    // Once within rounding distance the order is closed out
+    await orderProcessor.processOrder(order);
+    await orderProcessor.processOrder(order);
+    expect(order.status).toBe('filled');
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(10);
+  });
+  
+  test('should keep a partially filled order partially filled while untriggered', async () => {
+    const order = Order.createBuyOrder('test-position-12', 'test-index', 10, 30);
+    await orderProcessor.processOrder(order);
+    
+    indices.get('test-index').updateAssetPrice('A', 20);
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('partially_filled');
+    expect(order.transitions[order.transitions.length - 1].reason).toBe('Price condition not met');
+  });
+  
+  test('should cancel the unfilled rest of an IOC order', async () => {
+    const order = Order.createBuyOrder('test-position-13', 'test-index', 10, 30, Date.now(), { timeInForce: 'IOC' });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('canceled');
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(8.1);
+    expect(order.transitions.map(transition => transition.to)).toEqual(['processing', 'partially_filled', 'canceled']);
+  });
+  
+  test('should cancel an untriggered IOC order instead of resting it', async () => {
+    const order = Order.createBuyOrder('test-position-14', 'test-index', 10, 25, Date.now(), { timeInForce: 'IOC' });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('canceled');
+    expect(binanceAdapter.executeOrder).not.toHaveBeenCalled();
+  });
+  
+  test('should kill a FOK order that is not fully fillable', async () => {
+    const order = Order.createBuyOrder('test-position-15', 'test-index', 10, 30, Date.now(), { timeInForce: 'FOK' });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('canceled');
+    expect(order.filledQuantity.toNumber()).toBe(0);
+    expect(binanceAdapter.executeOrder).not.toHaveBeenCalled();
+  });
+  
+  test('should execute a FOK order that is fully fillable', async () => {
+    liquidityAnalyzer.analyzeOrderLiquidity.mockImplementation(async (order) => ({
+      orderId: order.id,
+      fillablePercent: 100,
+      fullyFillable: true,
+      assetOrders: [{ assetId: 'A', quantity: 10, targetPrice: 10, side: order.type }]
+    }));
+    binanceAdapter.executeOrder.mockImplementation(async () => ({ assets: [], filled: 100, loss: 1 }));
+    
+    const order = Order.createBuyOrder('test-position-16', 'test-index', 10, 30, Date.now(), { timeInForce: 'FOK' });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('filled');
+    expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should expire a GTD order past its expiry', async () => {
+    const order = Order.createBuyOrder('test-position-17', 'test-index', 10, 30, Date.now(), {
+      timeInForce: 'GTD',
+      expiresAt: Date.now() - 1
+    });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('expired');
+    expect(liquidityAnalyzer.analyzeOrderLiquidity).not.toHaveBeenCalled();
+  });
+  
+  test('should execute a market order regardless of the index price', async () => {
+    const order = Order.createBuyOrder('test-position-18', 'test-index', 10, null, Date.now(), { orderType: 'market' });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('partially_filled');
+    expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should measure the fill of a notional order by the notional spent', async () => {
+    // $300 at an index price of 30 is 10 units
+    liquidityAnalyzer.analyzeOrderLiquidity.mockImplementation(async (order) => ({
+      orderId: order.id,
+      targetQuantity: 10,
+      fillablePercent: 100,
+      fullyFillable: true,
+      assetOrders: [{ assetId: 'A', quantity: 10, targetPrice: 10, side: order.type }]
+    }));
+    binanceAdapter.executeOrder.mockImplementation(async () => ({
+      assets: [{ assetId: 'A', notional: 150 }],
+      filled: 50,
+      loss: 1,
+      fees: 0.15
+    }));
+    
+    const order = Order.createBuyOrder('test-position-19', 'test-index', null, null, Date.now(), {
+      orderType: 'market',
+      notional: 300
+    });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('partially_filled');
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(5);
+    expect(order.fillPercentage.toNumber()).toBeCloseTo(50);
+    expect(order.getRemainingNotional().toNumber()).toBeCloseTo(150);
+    // Fees are broken out of the loss, the rest is slippage
+    expect(order.fees.toNumber()).toBeCloseTo(0.15);
+    expect(order.slippageLoss.toNumber()).toBeCloseTo(0.85);
+  });
+  
+  test('should keep the rounding residue of the baskets that filled', async () => {
+    liquidityAnalyzer.analyzeOrderLiquidity.mockImplementation(async (order) => ({
+      orderId: order.id,
+      targetQuantity: 10,
+      fillablePercent: 100,
+      fullyFillable: true,
+      assetOrders: [{ assetId: 'A', quantity: 9.99, targetPrice: 10, side: order.type }],
+      roundingResidue: [{ assetId: 'A', quantity: 0.01 }, { assetId: 'B', quantity: 2 }]
+    }));
+    binanceAdapter.executeOrder.mockImplementation(async () => ({
+      assets: [],
+      filled: 50,
+      loss: 0
+    }));
+    
+    const order = Order.createBuyOrder('test-position-23', 'test-index', 10, 30);
+    await orderProcessor.processOrder(order);
+    
+    expect(order.roundingResidue).toEqual([
+      { assetId: 'A', quantity: new Decimal('0.005') },
+      { assetId: 'B', quantity: new Decimal(1) }
+    ]);
+  });
+  
+  test('should fill complete baskets only and keep the residual of unreconciled legs', async () => {
+    const legResult = (assetId, targetQuantity, filledQuantity) => ({
+      assetId, targetQuantity, filledQuantity, targetPrice: 10, notional: filledQuantity * 10, fills: [], fee: 0, slippageLoss: 0, loss: 0
+    });
+    binanceAdapter.executeOrder
+      .mockImplementationOnce(async () => ({
+        assets: [legResult('A', 0.9, 0.9), legResult('B', 1.8, 0.9), legResult('C', 4.5, 4.5)],
+        filled: 80,
+        loss: 0
+      }))
+      // Neither the top-up nor the unwind find any liquidity
+      .mockImplementation(async (side, assetOrders) => ({
+        assets: assetOrders.map(assetOrder => legResult(assetOrder.assetId, assetOrder.quantity, 0))
+      }));
+    
+    const order = Order.createBuyOrder('test-position-22', 'test-index', 10, 30);
+    await orderProcessor.processOrder(order);
+    
+    expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(3);
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(4.5);
+    expect(order.residualLegs).toEqual([
+      { assetId: 'A', quantity: new Decimal('0.45') },
+      { assetId: 'C', quantity: new Decimal('2.25') }
+    ]);
+    expect(order.executionDetails[0].reconciliation.imbalancePercent.toNumber()).toBeCloseTo(50);
+  });
+  
+  test('should work TWAP orders one slice at a time', async () => {
+    liquidityAnalyzer.analyzeOrderLiquidity.mockImplementation(async (order) => ({
+      orderId: order.id,
+      targetQuantity: order.getRemainingQuantity(),
+      fillablePercent: 100,
+      fullyFillable: true,
+      assetOrders: [{ assetId: 'A', quantity: order.getRemainingQuantity(), targetPrice: 10, side: order.type }]
+    }));
+    binanceAdapter.executeOrder.mockImplementation(async () => ({
+      assets: [{ assetId: 'A', notional: 150 }],
+      filled: 100,
+      loss: 1,
+      fees: 0.1
+    }));
+    
+    const order = Order.createBuyOrder('test-position-23', 'test-index', 10, 30, Date.now(), {
+      algorithm: 'twap',
+      horizonMs: 20000
+    });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('partially_filled');
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(5);
+    expect(order.fillPercentage.toNumber()).toBeCloseTo(50);
+    expect(order.slices).toHaveLength(1);
+    expect(order.executionDetails[0].message).toBe('Slice 1/2 filled');
+    
+    // The second slice is not due before the next window
+    await orderProcessor.processOrder(order);
+    expect(binanceAdapter.executeOrder).toHaveBeenCalledTimes(1);
+    expect(order.executionDetails[1].message).toBe('Next slice not due');
+    
+    order.scheduleStartedAt -= 10000;
+    await orderProcessor.processOrder(order);
+    
+    expect(order.status).toBe('filled');
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(10);
+    expect(order.loss.toNumber()).toBe(2);
+    expect(order.fills).toHaveLength(2);
+    expect(order.slices.map(slice => slice.slice)).toEqual([0, 1]);
+  });
+  
+  test('should size POV children by visible depth and cap them at the display size', async () => {
+    liquidityAnalyzer.getVisibleDepth = jest.fn().mockResolvedValue({ indexUnits: 20, assets: [] });
+    liquidityAnalyzer.analyzeOrderLiquidity.mockImplementation(async (order) => ({
+      orderId: order.id,
+      targetQuantity: order.getRemainingQuantity(),
+      fillablePercent: 100,
+      fullyFillable: true,
+      assetOrders: [{ assetId: 'A', quantity: order.getRemainingQuantity(), targetPrice: 10, side: order.type }]
+    }));
+    binanceAdapter.executeOrder.mockImplementation(async () => ({ assets: [], filled: 100, loss: 0 }));
+    
+    const pov = Order.createBuyOrder('test-position-24', 'test-index', 10, 30, Date.now(), {
+      algorithm: 'pov',
+      participationRate: 10
+    });
+    await orderProcessor.processOrder(pov);
+    
+    // 10% of 20 visible index units
+    expect(pov.filledQuantity.toNumber()).toBeCloseTo(2);
+    expect(pov.status).toBe('partially_filled');
+    expect(pov.executionDetails[0].message).toBe('Slice 1 filled');
+    
+    const iceberg = Order.createBuyOrder('test-position-25', 'test-index', 10, 30, Date.now(), {
+      algorithm: 'pov',
+      participationRate: 10,
+      displaySize: 1.5
+    });
+    await orderProcessor.processOrder(iceberg);
+    await orderProcessor.processOrder(iceberg);
+    
+    expect(iceberg.filledQuantity.toNumber()).toBeCloseTo(3);
+    expect(iceberg.slices.map(slice => slice.quantity.toString())).toEqual(['1.5', '1.5']);
+  });
+  
+  test('should work iceberg orders one display size per pass', async () => {
+    const order = Order.createBuyOrder('test-position-26', 'test-index', 10, 30, Date.now(), { displaySize: 4 });
+    
+    await orderProcessor.processOrder(order);
+    
+    expect(liquidityAnalyzer.analyzeOrderLiquidity.mock.calls[0][0].quantity.toNumber()).toBe(4);
+    expect(order.slices[0].quantity.toNumber()).toBe(4);
+    // 90% fillable at a 90% fill rate of the displayed 4 units
+    expect(order.filledQuantity.toNumber()).toBeCloseTo(3.24);
   });
   
   test('should handle errors during order processing', async () => {
@@ -1,5 +1,8 @@
 const QueueManager = require('../../src/services/QueueManager');
 const Order = require('../../src/models/Order');
+const Index = require('../../src/models/Index');
+const Asset = require('../../src/models/Asset');
+const { RATE_LIMIT, RATE_LIMIT_WINDOW_MS } = require('../../src/utils/constants');
 
 describe('Queue Manager', () => {
   let queueManager;
@@ -56,35 +59,41 @@ describe('Queue Manager', () => {
     expect(nonexistent).toBeNull();
   });
   
-  test('should get batches respecting rate limits', () => {
+  test('should get batches respecting rate limits', async () => {
     // Fill the queue with 200 buy orders
     for (let i = 0; i < 200; i++) {
       const order = Order.createBuyOrder(`position${i}`, 'index1', 10, 100);
       queueManager.queueOrder(order);
     }
     
-    // Simple prioritizer function that just returns the first N orders
-    const simplePrioritizer = (orders, limit) => {
-      return orders.slice(0, limit);
+    // Simple prioritizer that just returns the first N orders
+    const simplePrioritizer = {
+      prioritizeOrders: async (orders, indices, limit) => orders.slice(0, limit)
     };
     
     // Get first batch
-    const batch1 = queueManager.getNextBatch(simplePrioritizer);
-    expect(batch1.length).toBe(100); // Should respect the rate limit
+    const batch1 = await queueManager.getNextBatch(simplePrioritizer);
+    expect(batch1.length).toBe(RATE_LIMIT); // Should respect the rate limit
     
     // Since we're processing a batch, the next should be empty
-    const batch2 = queueManager.getNextBatch(simplePrioritizer);
+    const batch2 = await queueManager.getNextBatch(simplePrioritizer);
     expect(batch2.length).toBe(0);
     
-    // Complete the batch
+    // Complete the batch: the unfilled orders rest at the end of the queue
     queueManager.completeBatch(batch1);
+    expect(queueManager.queues.buy.slice(-RATE_LIMIT)).toEqual(batch1);
     
-    // Now we should be able to get another batch
-    const batch3 = queueManager.getNextBatch(simplePrioritizer);
-    expect(batch3.length).toBe(100);
+    // The rate limit is used up until the window passes
+    expect(await queueManager.getNextBatch(simplePrioritizer)).toEqual([]);
+    queueManager.lastBatchTime -= RATE_LIMIT_WINDOW_MS;
+    
+    // Now we should be able to get another batch, starting with the orders not yet worked
+    const batch3 = await queueManager.getNextBatch(simplePrioritizer);
+    expect(batch3.length).toBe(RATE_LIMIT);
+    expect(batch3[0].positionId).toBe('position100');
   });
   
-  test('should prioritize cancellations first', () => {
+  test('should prioritize cancellations first', async () => {
     // Add 50 buy orders and 10 cancel orders
     for (let i = 0; i < 50; i++) {
       const order = Order.createBuyOrder(`position_buy_${i}`, 'index1', 10, 100);
@@ -97,12 +106,12 @@ describe('Queue Manager', () => {
     }
     
     // Simple prioritizer
-    const simplePrioritizer = (orders, limit) => {
-      return orders.slice(0, limit);
+    const simplePrioritizer = {
+      prioritizeOrders: async (orders, indices, limit) => orders.slice(0, limit)
     };
     
     // Get batch - should have all cancellations first
-    const batch = queueManager.getNextBatch(simplePrioritizer);
+    const batch = await queueManager.getNextBatch(simplePrioritizer);
     
     // Count cancellations at the start of the batch
     let cancelCount = 0;
@@ -115,6 +124,125 @@ describe('Queue Manager', () => {
     }
     
     expect(cancelCount).toBe(10);
+    expect(batch.length).toBe(60);
+  });
+  
+  test('should expire good-till-date orders', () => {
+    const now = Date.now();
+    const expiring = Order.createBuyOrder('position12', 'index1', 10, 100, now, { timeInForce: 'GTD', expiresAt: now + 1000 });
+    const resting = Order.createBuyOrder('position13', 'index1', 10, 100);
+    
+    queueManager.queueOrder(expiring);
+    queueManager.queueOrder(resting);
+    
+    expect(queueManager.expireOrders(now)).toEqual([]);
+    expect(queueManager.expireOrders(now + 1000)).toEqual([expiring]);
+    
+    expect(expiring.status).toBe('expired');
+    expect(queueManager.queues.buy).toEqual([resting]);
+    expect(queueManager.executionHistory).toEqual([expiring]);
+  });
+  
+  test('should hold stop orders until the index price triggers them', () => {
+    const index = new Index('index1', [new Asset('A', 1, 100, 100)]);
+    const indices = new Map([['index1', index]]);
+    const stopLoss = Order.createSellOrder('position14', 'index1', 5, null, Date.now(), { orderType: 'stop', stopPrice: 90 });
+    const stopLimit = Order.createSellOrder('position15', 'index1', 5, 85, Date.now(), { orderType: 'stop_limit', stopPrice: 80 });
+    
+    queueManager.queueOrder(stopLoss);
+    queueManager.queueOrder(stopLimit);
+    
+    expect(queueManager.getStats().stops).toBe(2);
+    expect(queueManager.getOrderByPositionId('position14')).toBe(stopLoss);
+    expect(queueManager.triggerStopOrders(indices)).toEqual([]);
+    
+    index.updateAssetPrice('A', 90);
+    
+    expect(queueManager.triggerStopOrders(indices)).toEqual([stopLoss]);
+    expect(stopLoss.orderType).toBe('market');
+    expect(stopLoss.triggeredAt).not.toBeNull();
+    expect(queueManager.queues.sell).toEqual([stopLoss]);
+    expect(queueManager.stopOrders).toEqual([stopLimit]);
+    
+    index.updateAssetPrice('A', 75);
+    queueManager.triggerStopOrders(indices);
+    
+    expect(stopLimit.orderType).toBe('limit');
+    expect(stopLimit.indexPrice.toNumber()).toBe(85);
+    expect(queueManager.queues.sell).toEqual([stopLoss, stopLimit]);
+  });
+  
+  test('should ratchet trailing stops with the index price', () => {
+    const index = new Index('index1', [new Asset('A', 1, 100, 100)]);
+    const indices = new Map([['index1', index]]);
+    const trailing = Order.createSellOrder('position16', 'index1', 5, null, Date.now(), { orderType: 'trailing_stop', trailingPercent: 10 });
+    
+    queueManager.queueOrder(trailing);
+    queueManager.triggerStopOrders(indices);
+    expect(trailing.stopPrice.toNumber()).toBeCloseTo(90);
+    
+    index.updateAssetPrice('A', 120);
+    queueManager.triggerStopOrders(indices);
+    expect(trailing.stopPrice.toNumber()).toBeCloseTo(108);
+    
+    // Falling prices do not move the stop back down
+    index.updateAssetPrice('A', 110);
+    expect(queueManager.triggerStopOrders(indices)).toEqual([]);
+    expect(trailing.stopPrice.toNumber()).toBeCloseTo(108);
+    
+    index.updateAssetPrice('A', 107);
+    expect(queueManager.triggerStopOrders(indices)).toEqual([trailing]);
+  });
+  
+  test('should remove and persist waiting stop orders', () => {
+    const stop = Order.createBuyOrder('position17', 'index1', 5, null, Date.now(), { orderType: 'stop', stopPrice: 110 });
+    queueManager.queueOrder(stop);
+    
+    const restored = new QueueManager();
+    restored.restore(queueManager.toObject(), new Map([[stop.id, stop]]));
+    expect(restored.stopOrders).toEqual([stop]);
+    
+    expect(queueManager.removeOrderByPositionId('position17')).toBe(stop);
+    expect(queueManager.getStats().stops).toBe(0);
+  });
+  
+  test('should keep priority on quantity reductions and reset it on price changes', () => {
+    const first = Order.createBuyOrder('position18', 'index1', 10, 100);
+    const second = Order.createBuyOrder('position19', 'index1', 10, 100);
+    queueManager.queueOrder(first);
+    queueManager.queueOrder(second);
+    
+    expect(queueManager.amendOrder(first, { quantity: 5 })).toBe(false);
+    expect(queueManager.queues.buy).toEqual([first, second]);
+    
+    expect(queueManager.amendOrder(first, { indexPrice: 101 })).toBe(true);
+    expect(queueManager.queues.buy).toEqual([second, first]);
+  });
+  
+  test('should not amend orders taken into a batch', async () => {
+    const order = Order.createBuyOrder('position20', 'index1', 10, 100);
+    queueManager.queueOrder(order);
+    await queueManager.getNextBatch();
+    
+    expect(queueManager.isOrderProcessing(order)).toBe(true);
+    expect(() => queueManager.amendOrder(order, { quantity: 5 })).toThrow('not resting in a queue');
+  });
+  
+  test('should only batch algorithmic orders when their next slice is due', async () => {
+    const sliced = Order.createBuyOrder('position21', 'index1', 10, 100, Date.now(), { algorithm: 'twap', horizonMs: 20000 });
+    const plain = Order.createBuyOrder('position22', 'index1', 10, 100);
+    sliced.startSchedule(Date.now());
+    sliced.recordFill({ quantity: 5, price: 100 });
+    
+    queueManager.queueOrder(sliced);
+    queueManager.queueOrder(plain);
+    
+    expect(await queueManager.getNextBatch()).toEqual([plain]);
+    expect(queueManager.queues.buy).toEqual([sliced]);
+    queueManager.completeBatch([]);
+    
+    sliced.scheduleStartedAt -= 10000;
+    expect(await queueManager.getNextBatch()).toEqual([sliced]);
   });
   
   test('should clear all queues', () => {
@@ -0,0 +1,286 @@
+const RebalanceManager = require('../../src/services/RebalanceManager');
+const ExchangeAdapter = require('../../src/services/ExchangeAdapter');
+const Index = require('../../src/models/Index');
+const Asset = require('../../src/models/Asset');
+const Decimal = require('../../src/utils/Decimal');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('RebalanceManager', () => {
+  let rebalanceManager;
+  let index;
+  let exchangeAdapter;
+
+  beforeEach(() => {
+    rebalanceManager = new RebalanceManager();
+
+    // Basket value 100: A carries 50, B 30 and C 20
+    index = new Index('test-index', [
+      new Asset('A', 5, 10, 10),
+      new Asset('B', 3, 10, 10),
+      new Asset('C', 2, 10, 10)
+    ]);
+
+    // Books quote every asset at its price; D is listed at 25, UNKNOWN is not listed
+    exchangeAdapter = {
+      getOrderBook: jest.fn().mockImplementation(async (assetId, price) => {
+        if (assetId === 'UNKNOWN') {
+          throw new Error('Invalid symbol');
+        }
+        const quote = String(price || 25);
+        return { assetId, bids: [[quote, '1000']], asks: [[quote, '1000']] };
+      }),
+      getSymbolInfo: jest.fn().mockImplementation(async assetId => ({
+        assetId,
+        minNotional: 5,
+        minQuantity: 0.0001,
+        maxQuantity: 100000,
+        stepSize: 0.0001,
+        tickSize: 0.01
+      })),
+      applySymbolFilters: ExchangeAdapter.prototype.applySymbolFilters,
+      getFeePercent: jest.fn().mockReturnValue(0.1),
+      // Every leg fills in full
+      executeOrder: jest.fn().mockImplementation(async (side, assetOrders) => ({
+        side,
+        loss: 0,
+        fees: 0,
+        slippageLoss: 0,
+        assets: assetOrders.map(order => ({ assetId: order.assetId, filledQuantity: order.quantity }))
+      }))
+    };
+  });
+
+  test('should plan the trades to reach target weights', async () => {
+    const plan = await rebalanceManager.createRebalancePlan(index, exchangeAdapter, {
+      weights: { A: 0.25, B: 0.25, D: 0.5 }
+    });
+
+    const changes = Object.fromEntries(plan.assetChanges.map(change => [change.assetId, change]));
+
+    // The weights are applied to the basket value of 100
+    expect(plan.newAssets.map(asset => [asset.id, asset.quantity.toString()])).toEqual([['A', '2.5'], ['B', '2.5'], ['D', '2']]);
+    expect(changes.A.changeQuantity.toString()).toBe('-2.5');
+    expect(changes.B.changeQuantity.toString()).toBe('-0.5');
+    expect(changes.C.action).toBe('remove');
+    expect(changes.D.action).toBe('add');
+    expect(changes.D.newPrice.toNumber()).toBe(25);
+    expect(plan.estimatedCosts.totalSellNotional.toNumber()).toBe(50);
+    expect(plan.estimatedCosts.totalBuyNotional.toNumber()).toBe(50);
+
+    // The weights aimed at become the index's targets
+    await rebalanceManager.executeRebalance(index, plan, exchangeAdapter);
+    expect(index.targetWeights).toEqual({ A: new Decimal(0.25), B: new Decimal(0.25), D: new Decimal(0.5) });
+  });
+
+  test('should estimate slippage by walking the order books', async () => {
+    // Selling 2.5 A takes 1 at 10 and 1.5 at 9; the other books quote at the price
+    const quoteAtPrice = exchangeAdapter.getOrderBook.getMockImplementation();
+    exchangeAdapter.getOrderBook.mockImplementation(async (assetId, price) => (assetId === 'A'
+      ? { assetId, bids: [['10', '1'], ['9', '10']], asks: [['10', '1000']] }
+      : quoteAtPrice(assetId, price)));
+
+    const plan = await rebalanceManager.createRebalancePlan(index, exchangeAdapter, {
+      weights: { A: 0.25, B: 0.25, D: 0.5 }
+    });
+
+    const sellA = plan.estimatedCosts.sellEstimates.find(estimate => estimate.assetId === 'A');
+    expect(sellA.estimatedSlippage).toEqual(new Decimal('0.06'));
+    expect(sellA.estimatedSlippageCost).toEqual(new Decimal('1.5'));
+    expect(plan.estimatedCosts.totalSlippageCost).toEqual(new Decimal('1.5'));
+    expect(plan.estimatedCosts.totalFees.toNumber()).toBeCloseTo(0.1);
+  });
+
+  test('should execute a target quantity rebalance at a continuous level', async () => {
+    const plan = await rebalanceManager.createRebalancePlan(index, exchangeAdapter, {
+      quantities: { A: 5, B: '6', C: 0 }
+    });
+
+    const result = await rebalanceManager.executeRebalance(index, plan, exchangeAdapter);
+
+    const [sell, buy] = exchangeAdapter.executeOrder.mock.calls;
+    expect(sell[0]).toBe('sell');
+    expect(sell[1].map(order => [order.assetId, order.quantity.toString()])).toEqual([['C', '2']]);
+    expect(buy[1].map(order => [order.assetId, order.quantity.toString()])).toEqual([['B', '3']]);
+
+    // The basket grew from 100 to 110, the divisor keeps the level at 100
+    expect(index.assets.map(asset => [asset.id, asset.quantity.toString()])).toEqual([['A', '5'], ['B', '6']]);
+    expect(index.getCurrentPrice().toNumber()).toBe(100);
+    expect(result.rebalanceReport.newDivisor.toNumber()).toBe(1.1);
+  });
+
+  test('should book what the legs filled, not what was planned', async () => {
+    exchangeAdapter.getSymbolInfo.mockImplementation(async assetId => ({
+      assetId,
+      minNotional: 5,
+      minQuantity: 1,
+      maxQuantity: 100000,
+      stepSize: 1,
+      tickSize: 0.01
+    }));
+    // Sells fill three quarters
+    exchangeAdapter.executeOrder.mockImplementation(async (side, assetOrders) => ({
+      side,
+      loss: 0,
+      fees: 0,
+      slippageLoss: 0,
+      assets: assetOrders.map(order => ({
+        assetId: order.assetId,
+        filledQuantity: side === 'sell' ? order.quantity.times(0.75) : order.quantity
+      }))
+    }));
+
+    const plan = await rebalanceManager.createRebalancePlan(index, exchangeAdapter, {
+      quantities: { A: 5, B: '6.5', C: 0 }
+    });
+    const result = await rebalanceManager.executeRebalance(index, plan, exchangeAdapter);
+
+    // B's buy of 3.5 rounds down to 3, half of C is left unsold
+    expect(result.roundingResidue).toEqual([{ assetId: 'B', quantity: new Decimal('0.5'), side: 'buy' }]);
+    expect(index.assets.map(asset => [asset.id, asset.quantity.toString()])).toEqual([['A', '5'], ['B', '6'], ['C', '0.5']]);
+  });
+
+  test('should rebalance back to the target weights without a target', async () => {
+    index.updateAssetPrice('A', 30);
+    exchangeAdapter.getOrderBook.mockImplementation(async (assetId) => {
+      const quote = assetId === 'A' ? '30' : '10';
+      return { assetId, bids: [[quote, '1000']], asks: [[quote, '1000']] };
+    });
+
+    const plan = await rebalanceManager.createRebalancePlan(index, exchangeAdapter);
+
+    // A tripled to 150 of a 200 basket; back at 50%, 30% and 20% of 200
+    expect(plan.target.weights.A.toNumber()).toBe(0.5);
+    expect(plan.newAssets.map(asset => [asset.id, asset.quantity.toString()]))
+      .toEqual([['A', '3.333333333333333333'], ['B', '6'], ['C', '4']]);
+  });
+
+  test('should preview a rebalance without trading', async () => {
+    const preview = await rebalanceManager.previewRebalance(index, exchangeAdapter, {
+      weights: { A: 0.25, B: 0.25, D: 0.5 }
+    });
+
+    expect(preview.status).toBe('pending');
+    expect(preview.indexId).toBe('test-index');
+    expect(rebalanceManager.getPreview(preview.id)).toBe(preview);
+    expect(preview.plan.estimatedCosts.totalCost.isPositive()).toBe(true);
+    // 50 of the basket value of 100 is sold and bought back
+    expect(preview.turnover.notional.toNumber()).toBe(50);
+    expect(preview.turnover.percent.toNumber()).toBe(50);
+    expect(preview.resultingWeights).toEqual({ A: new Decimal(0.25), B: new Decimal(0.25), D: new Decimal(0.5) });
+
+    expect(exchangeAdapter.executeOrder).not.toHaveBeenCalled();
+    expect(index.assets.map(asset => asset.id)).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should execute an approved preview', async () => {
+    const preview = await rebalanceManager.previewRebalance(index, exchangeAdapter, {
+      weights: { A: 0.25, B: 0.25, D: 0.5 }
+    });
+
+    expect(await rebalanceManager.approvePreview(index, preview, exchangeAdapter, 1)).toBeNull();
+    expect(preview.status).toBe('approved');
+
+    const result = await rebalanceManager.executePreview(index, preview.id, exchangeAdapter);
+
+    expect(preview.status).toBe('executed');
+    expect(result.rebalanceReport.newDivisor.toNumber()).toBe(1);
+    expect(index.assets.map(asset => [asset.id, asset.quantity.toString()])).toEqual([['A', '2.5'], ['B', '2.5'], ['D', '2']]);
+    expect(await rebalanceManager.approvePreview(index, preview, exchangeAdapter, 1)).toMatch('is already executed');
+  });
+
+  test('should approve and execute a preview once when asked concurrently', async () => {
+    const preview = await rebalanceManager.previewRebalance(index, exchangeAdapter, {
+      weights: { A: 0.25, B: 0.25, D: 0.5 }
+    });
+
+    const approvals = await Promise.all([
+      rebalanceManager.approvePreview(index, preview, exchangeAdapter, 1),
+      rebalanceManager.approvePreview(index, preview, exchangeAdapter, 1)
+    ]);
+    expect(approvals[0]).toBeNull();
+    expect(approvals[1]).toMatch('is already approved');
+
+    const executions = await Promise.allSettled([
+      rebalanceManager.executePreview(index, preview.id, exchangeAdapter),
+      rebalanceManager.executePreview(index, preview.id, exchangeAdapter)
+    ]);
+    expect(executions.map(execution => execution.status)).toEqual(['fulfilled', 'rejected']);
+    expect(executions[1].reason.message).toMatch('is executing, not approved');
+
+    // One sell and one buy
+    expect(exchangeAdapter.executeOrder).toHaveBeenCalledTimes(2);
+    expect(rebalanceManager.getRebalanceHistory('test-index')).toHaveLength(1);
+  });
+
+  test('should refuse previews the market or the index moved away from', async () => {
+    const target = { quantities: { A: 4, B: 4, C: 2 } };
+    const preview = await rebalanceManager.previewRebalance(index, exchangeAdapter, target);
+    const other = await rebalanceManager.previewRebalance(index, exchangeAdapter, target);
+    const approve = (approved, tolerancePercent, now) => rebalanceManager.approvePreview(index, approved, exchangeAdapter, tolerancePercent, now);
+
+    expect(await approve(preview, 1, preview.expiresAt + 1)).toMatch(`Rebalance preview ${preview.id} expired at`);
+    expect(await approve(preview, 1)).toBeNull();
+
+    // A is quoted 2% above its previewed price
+    exchangeAdapter.getOrderBook.mockImplementation(async (assetId, price) => {
+      const quote = assetId === 'A' ? '10.2' : String(price);
+      return { assetId, bids: [[quote, '1000']], asks: [[quote, '1000']] };
+    });
+
+    // A refused approval releases the preview
+    expect(await approve(other, 1)).toMatch('The price of A moved 2.00% since rebalance preview');
+    expect(other.status).toBe('pending');
+    expect(await approve(other, 5)).toBeNull();
+
+    // A move after approval fails the execution
+    await expect(rebalanceManager.executePreview(index, preview.id, exchangeAdapter)).rejects.toThrow('The price of A moved 2.00%');
+    expect(preview.status).toBe('failed');
+    expect(exchangeAdapter.executeOrder).not.toHaveBeenCalled();
+
+    const changed = await rebalanceManager.previewRebalance(index, exchangeAdapter, target);
+    index.removeAsset('C');
+    expect(await approve(changed, 5)).toMatch('Index test-index changed since rebalance preview');
+  });
+
+  test('should preview an index worth nothing without dividing by zero', async () => {
+    index.assets.forEach(asset => index.updateAssetPrice(asset.id, 0));
+    exchangeAdapter.getOrderBook.mockImplementation(async (assetId) => {
+      const quote = assetId === 'D' ? '25' : '0';
+      return { assetId, bids: [[quote, '1000']], asks: [[quote, '1000']] };
+    });
+
+    expect(await rebalanceManager.getTargetError(index, { weights: index.targetWeights }, exchangeAdapter)).toMatch('index test-index is worth nothing');
+
+    const preview = await rebalanceManager.previewRebalance(index, exchangeAdapter, { quantities: { D: 1 } });
+
+    expect(preview.turnover.notional.toNumber()).toBe(25);
+    expect(preview.turnover.percent).toBeNull();
+    expect(preview.resultingWeights.D.toNumber()).toBe(1);
+  });
+
+  test('should reject invalid targets', async () => {
+    const error = target => rebalanceManager.getTargetError(index, target, exchangeAdapter);
+
+    expect(await error(null)).toMatch('either weights or quantities');
+    expect(await error({ weights: { A: 1 }, quantities: { A: 1 } })).toMatch('either weights or quantities');
+    expect(await error({ weights: { A: 'half', B: 0.5 } })).toMatch('must be numbers');
+    expect(await error({ quantities: { A: -1, B: 2 } })).toMatch('cannot be negative');
+    expect(await error({ quantities: { A: 0 } })).toMatch('at least one asset');
+    expect(await error({ weights: { A: 0.5, B: 0.4 } })).toMatch('must sum to 1 (got 0.9)');
+    expect(await error({ weights: { A: 0.5, UNKNOWN: 0.5 } })).toMatch('Unknown asset UNKNOWN');
+    // 1% of the basket is a $1 position
+    expect(await error({ weights: { A: 0.99, B: 0.01 } })).toMatch('Asset B would be worth 1.00, below its minimum notional of 5');
+
+    expect(await error({ weights: { A: 0.6, D: 0.4 } })).toBeNull();
+    expect(await error({ quantities: { A: 1, B: 1 } })).toBeNull();
+
+    await expect(rebalanceManager.createRebalancePlan(index, exchangeAdapter, { weights: { A: 2 } }))
+      .rejects.toThrow('Invalid rebalance target for index test-index');
+  });
+});
@@ -0,0 +1,98 @@
+const RebalanceScheduler = require('../../src/services/RebalanceScheduler');
+const QueueManager = require('../../src/services/QueueManager');
+const RebalancePolicy = require('../../src/models/RebalancePolicy');
+const Index = require('../../src/models/Index');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('RebalanceScheduler', () => {
+  const start = Date.parse('2024-03-10T10:00:00Z');
+  let queueManager;
+  let indices;
+  let stateStore;
+  let scheduler;
+
+  const createIndex = (id, policy) => {
+    const index = Index.fromDefinition(id, [
+      { id: 'A', price: 10 },
+      { id: 'B', price: 10 }
+    ], 'equal', 100);
+    index.rebalancePolicy = policy ? new RebalancePolicy(policy, start) : null;
+    indices.set(id, index);
+    return index;
+  };
+
+  beforeEach(() => {
+    queueManager = new QueueManager();
+    indices = new Map();
+    stateStore = { flush: jest.fn() };
+    scheduler = new RebalanceScheduler(queueManager, indices, stateStore);
+  });
+
+  afterEach(() => {
+    if (scheduler.isRunning) {
+      scheduler.stop();
+    }
+  });
+
+  test('should queue rebalances for the indices whose policies trigger', () => {
+    createIndex('scheduled', { schedule: '@daily' });
+    const drifting = createIndex('drifting', { driftThresholdPercent: 5 });
+    createIndex('unmanaged', null);
+
+    drifting.updateAssetPrice('A', 20);
+    const queued = scheduler.evaluate(start);
+
+    expect(queued.map(order => [order.type, order.indexId])).toEqual([['rebalance', 'drifting']]);
+    expect(queued[0].rebalanceTarget).toBeNull();
+    expect(queueManager.getStats().queued.rebalance).toBe(1);
+    expect(stateStore.flush).toHaveBeenCalledTimes(1);
+
+    // The schedule comes due at midnight
+    const midnight = Date.parse('2024-03-11T00:00:00Z');
+    expect(scheduler.evaluate(midnight).map(order => order.indexId)).toEqual(['scheduled']);
+    expect(indices.get('scheduled').rebalancePolicy.lastTriggeredAt).toBe(midnight);
+  });
+
+  test('should not queue a second rebalance while one is open', () => {
+    const index = createIndex('scheduled', { schedule: '@hourly' });
+
+    const firstRun = start + 3600000;
+    expect(scheduler.evaluate(firstRun)).toHaveLength(1);
+
+    // The next run is due while the first rebalance is still queued
+    const nextRun = firstRun + 3600000;
+    expect(scheduler.evaluate(nextRun)).toHaveLength(0);
+    expect(index.rebalancePolicy.nextRunAt).toBe(nextRun + 3600000);
+    expect(queueManager.getStats().queued.rebalance).toBe(1);
+  });
+
+  test('should not flush when nothing triggers', () => {
+    createIndex('scheduled', { schedule: '@daily' });
+
+    expect(scheduler.evaluate(start)).toHaveLength(0);
+    expect(stateStore.flush).not.toHaveBeenCalled();
+  });
+
+  test('should evaluate on an interval while running', () => {
+    jest.useFakeTimers();
+    try {
+      const evaluate = jest.spyOn(scheduler, 'evaluate');
+
+      scheduler.start(1000);
+      jest.advanceTimersByTime(3000);
+      expect(evaluate).toHaveBeenCalledTimes(3);
+
+      scheduler.stop();
+      jest.advanceTimersByTime(3000);
+      expect(evaluate).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
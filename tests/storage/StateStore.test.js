@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage, StateStore } = require('../../src/storage');
+const QueueManager = require('../../src/services/QueueManager');
+const Order = require('../../src/models/Order');
+const Index = require('../../src/models/Index');
+const Asset = require('../../src/models/Asset');
+const Position = require('../../src/models/Position');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Storage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'etf-solver-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('memory storage should store detached copies', () => {
+    const storage = new MemoryStorage();
+    const value = { id: 'A', quantity: 1 };
+
+    storage.set('assets', 'A', value);
+    value.quantity = 2;
+
+    expect(storage.get('assets', 'A').quantity).toBe(1);
+    expect(storage.get('assets', 'missing')).toBeNull();
+    expect(Object.keys(storage.getAll('assets'))).toEqual(['A']);
+  });
+
+  test('file storage should survive a restart', () => {
+    const storage = new FileStorage(directory);
+    storage.set('assets', 'A', { id: 'A', quantity: 1 });
+    storage.set('assets', 'B', { id: 'B', quantity: 2 });
+    storage.delete('assets', 'B');
+
+    const reopened = new FileStorage(directory);
+
+    expect(reopened.getAll('assets')).toEqual({ A: { id: 'A', quantity: 1 } });
+  });
+
+  test('file storage should write a transaction once', () => {
+    const storage = new FileStorage(directory);
+    const appendSpy = jest.spyOn(storage, 'appendJournal');
+
+    storage.transaction(() => {
+      storage.set('assets', 'A', { id: 'A' });
+      storage.set('orders', 'B', { id: 'B' });
+      storage.delete('orders', 'missing');
+    });
+
+    // Both collections are committed in one journal entry
+    expect(appendSpy).toHaveBeenCalledTimes(1);
+    expect(appendSpy).toHaveBeenCalledWith([
+      { collection: 'assets', key: 'A', value: { id: 'A' } },
+      { collection: 'orders', key: 'B', value: { id: 'B' } }
+    ]);
+    expect(fs.readdirSync(directory)).toEqual(['journal.log']);
+  });
+
+  test('file storage should discard a transaction torn by a crash', () => {
+    const storage = new FileStorage(directory);
+    storage.set('assets', 'A', { id: 'A' });
+    storage.clear('orders');
+    fs.appendFileSync(path.join(directory, 'journal.log'), '{"changes":[{"collection":"assets","key":"B","val');
+
+    const reopened = new FileStorage(directory);
+
+    expect(reopened.getAll('assets')).toEqual({ A: { id: 'A' } });
+    // The torn entry was compacted away, so later entries replay
+    reopened.set('assets', 'B', { id: 'B' });
+    expect(new FileStorage(directory).getAll('assets')).toEqual({ A: { id: 'A' }, B: { id: 'B' } });
+  });
+
+  test('file storage should reject a corrupt journal', () => {
+    fs.writeFileSync(path.join(directory, 'journal.log'), 'not json\n');
+
+    expect(() => new FileStorage(directory)).toThrow('Corrupt entry 1');
+  });
+
+  test('file storage should compact the journal into a snapshot', () => {
+    const storage = new FileStorage(directory, 200);
+    for (let i = 0; i < 5; i++) {
+      storage.set('assets', `A${i}`, { id: `A${i}` });
+    }
+    storage.delete('assets', 'A0');
+
+    expect(fs.readdirSync(directory)).toContain('snapshot.json');
+    expect(storage.journalSize).toBeLessThan(200);
+    expect(Object.keys(new FileStorage(directory).getAll('assets'))).toEqual(['A1', 'A2', 'A3', 'A4']);
+  });
+
+  test('file storage should read the collection files of earlier versions', () => {
+    fs.writeFileSync(path.join(directory, 'assets.json'), JSON.stringify({ A: { id: 'A' } }));
+
+    const storage = new FileStorage(directory);
+
+    expect(storage.getAll('assets')).toEqual({ A: { id: 'A' } });
+    expect(fs.readdirSync(directory)).toEqual(['snapshot.json']);
+  });
+
+  test('state store should rehydrate indices, positions and queues', () => {
+    const stateStore = new StateStore(new FileStorage(directory));
+    const queueManager = new QueueManager();
+    const { indices, positions } = stateStore.restore(queueManager);
+
+    indices.set('index1', new Index('index1', [new Asset('A', 1, 10, 10), new Asset('B', 2, 5, 5)]));
+
+    const queued = Order.createBuyOrder('position1', 'index1', 10, 20);
+    const interrupted = Order.createBuyOrder('position2', 'index1', 5, 20);
+    const notStarted = Order.createBuyOrder('position3', 'index1', 2, 20);
+    for (const order of [queued, interrupted, notStarted]) {
+      positions.set(order.positionId, new Position(order.positionId, 'index1'));
+      positions.get(order.positionId).addOrder(order);
+    }
+    queueManager.queueOrder(interrupted);
+    queueManager.queueOrder(notStarted);
+    queueManager.queueOrder(queued);
+
+    // Simulate a crash in the middle of a batch: one order was executing, the next one not yet
+    queueManager.queues.buy.splice(0, 2);
+    interrupted.updateStatus('processing');
+    queueManager.processing.buy.push(interrupted, notStarted);
+    stateStore.flush();
+
+    const restoredQueueManager = new QueueManager();
+    const restored = new StateStore(new FileStorage(directory)).restore(restoredQueueManager);
+
+    expect(restored.indices.get('index1').getCurrentPrice().toNumber()).toBe(20);
+    expect(restored.positions.get('position1').getLatestOrder().quantity.toNumber()).toBe(10);
+    expect(restoredQueueManager.queues.buy.map(order => order.positionId)).toEqual(['position3', 'position1']);
+    expect(restoredQueueManager.queues.buy[0].status).toBe('pending');
+
+    // The executing order may have traded legs, so it is not executed again
+    const failed = restored.positions.get('position2').getLatestOrder();
+    expect(failed.status).toBe('failed');
+    expect(failed.executionDetails[0].needsReconciliation).toBe(true);
+    expect(restoredQueueManager.executionHistory).toContain(failed);
+
+    // The queue and the positions map share the same order instances
+    expect(restoredQueueManager.getOrderByPositionId('position1')).toBe(restored.positions.get('position1').getLatestOrder());
+  });
+
+  test('state store should restore every order and fill of a position', () => {
+    const storage = new MemoryStorage();
+    const stateStore = new StateStore(storage);
+    const { positions } = stateStore.restore(new QueueManager());
+
+    const buy = Order.createBuyOrder('position1', 'index1', 10, 20);
+    buy.updateStatus('processing');
+    buy.updateStatus('filled', { fillPercentage: 100, fill: { quantity: 10, price: 20, fee: 0.2 } });
+    const sell = Order.createSellOrder('position1', 'index1', 4, 25);
+
+    const position = new Position('position1', 'index1');
+    position.addOrder(buy);
+    position.addOrder(sell);
+    positions.set('position1', position);
+    stateStore.flush();
+
+    const restored = new StateStore(storage).restore(new QueueManager()).positions.get('position1');
+
+    expect(restored.orders.map(order => order.type)).toEqual(['buy', 'sell']);
+    expect(restored.getUnitsHeld().toNumber()).toBe(10);
+    // Amounts are stored as decimal strings and restored exactly
+    expect(restored.getAccounting().fees.toString()).toBe('0.2');
+  });
+
+  test('state store should restore positions saved as a single order', () => {
+    const storage = new MemoryStorage();
+    const order = Order.createBuyOrder('position1', 'index1', 10, 20);
+    storage.set('orders', order.id, order.toObject());
+    storage.set('positions', 'position1', { orderId: order.id });
+
+    const { positions } = new StateStore(storage).restore(new QueueManager());
+
+    expect(positions.get('position1').indexId).toBe('index1');
+    expect(positions.get('position1').getLatestOrder().id).toBe(order.id);
+  });
+
+  test('state store should fail rebalances approved from a preview lost on restart', () => {
+    const storage = new MemoryStorage();
+    const stateStore = new StateStore(storage);
+    const queueManager = new QueueManager();
+    stateStore.restore(queueManager);
+
+    const approved = Order.createRebalanceOrder('index1', Date.now(), null, 'preview_index1_1');
+    const planned = Order.createRebalanceOrder('index1');
+    queueManager.queueOrder(approved);
+    queueManager.queueOrder(planned);
+    stateStore.flush();
+
+    const restoredQueueManager = new QueueManager();
+    new StateStore(storage).restore(restoredQueueManager);
+
+    expect(restoredQueueManager.queues.rebalance.map(order => order.id)).toEqual([planned.id]);
+    const [failed] = restoredQueueManager.executionHistory;
+    expect(failed.id).toBe(approved.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.executionDetails[0].error).toMatch('Rebalance preview preview_index1_1 was lost on restart');
+  });
+
+  test('state store should not serialize completed orders again', () => {
+    const storage = new MemoryStorage();
+    const stateStore = new StateStore(storage);
+    const queueManager = new QueueManager();
+    const { positions } = stateStore.restore(queueManager);
+
+    const filled = Order.createBuyOrder('position1', 'index1', 10, 20);
+    filled.updateStatus('processing');
+    filled.updateStatus('filled', { fillPercentage: 100 });
+    const open = Order.createBuyOrder('position1', 'index1', 5, 20);
+    positions.set('position1', new Position('position1', 'index1'));
+    positions.get('position1').addOrder(filled);
+    positions.get('position1').addOrder(open);
+    queueManager.executionHistory.push(filled);
+    queueManager.queueOrder(open);
+    stateStore.flush();
+
+    const filledSpy = jest.spyOn(filled, 'toObject');
+    const setSpy = jest.spyOn(storage, 'set');
+    open.amend({ quantity: 4 });
+    stateStore.flush();
+
+    expect(filledSpy).not.toHaveBeenCalled();
+    expect(setSpy.mock.calls.map(([collection, key]) => `${collection}/${key}`)).toEqual([`orders/${open.id}`]);
+
+    // A restored store skips them as well
+    const restoredStore = new StateStore(storage);
+    const restoredQueueManager = new QueueManager();
+    restoredStore.restore(restoredQueueManager);
+    setSpy.mockClear();
+    restoredStore.flush();
+    expect(setSpy).not.toHaveBeenCalled();
+    expect(restoredQueueManager.executionHistory.map(order => order.id)).toEqual([filled.id]);
+  });
+
+  test('state store should write the execution history in chunks', () => {
+    const storage = new MemoryStorage();
+    const stateStore = new StateStore(storage);
+    const queueManager = new QueueManager();
+    stateStore.restore(queueManager);
+
+    const history = Array.from({ length: 1001 }, () => {
+      const order = Order.createBuyOrder('position1', 'index1', 1, 20);
+      order.updateStatus('canceled');
+      return order;
+    });
+    queueManager.executionHistory.push(...history);
+    stateStore.flush();
+
+    expect(storage.get('queues', 'history_0')).toHaveLength(1000);
+    expect(storage.get('queues', 'history_1')).toEqual([history[1000].id]);
+    expect(storage.get('queues', 'state').executionHistory).toBeUndefined();
+
+    // Only the last chunk changes as the history grows
+    const setSpy = jest.spyOn(storage, 'set');
+    const next = Order.createBuyOrder('position1', 'index1', 1, 20);
+    next.updateStatus('canceled');
+    queueManager.executionHistory.push(next);
+    stateStore.flush();
+    expect(setSpy.mock.calls.map(([collection, key]) => `${collection}/${key}`)).toEqual([`orders/${next.id}`, 'queues/history_1']);
+
+    const restoredQueueManager = new QueueManager();
+    new StateStore(storage).restore(restoredQueueManager);
+    expect(restoredQueueManager.executionHistory).toHaveLength(1002);
+
+    queueManager.clear();
+    stateStore.flush();
+    expect(storage.get('queues', 'history_0')).toBeNull();
+  });
+
+  test('state store should only write changed records', () => {
+    const storage = new MemoryStorage();
+    const stateStore = new StateStore(storage);
+    const { indices } = stateStore.restore(new QueueManager());
+
+    indices.set('index1', new Index('index1', [new Asset('A', 1, 10, 10)]));
+    stateStore.flush();
+
+    const setSpy = jest.spyOn(storage, 'set');
+    stateStore.flush();
+    expect(setSpy).not.toHaveBeenCalled();
+
+    indices.delete('index1');
+    stateStore.flush();
+    expect(storage.getAll('indices')).toEqual({});
+  });
+});
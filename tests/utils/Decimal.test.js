@@ -0,0 +1,74 @@
+const Decimal = require('../../src/utils/Decimal');
+
+describe('Decimal', () => {
+  test('should add and subtract exactly', () => {
+    expect(new Decimal(0.1).plus(0.2).toString()).toBe('0.3');
+    expect(Decimal.sum(['0.1', 0.2, new Decimal('0.3')]).toString()).toBe('0.6');
+    expect(Decimal.sum(Array(10).fill('0.00000001')).toString()).toBe('0.0000001');
+    expect(new Decimal('1').minus('0.9').toString()).toBe('0.1');
+    expect(Decimal.sum([]).isZero()).toBe(true);
+  });
+
+  test('should parse numbers and strings in plain and exponential notation', () => {
+    expect(new Decimal('1e-7').toString()).toBe('0.0000001');
+    expect(new Decimal(1e-7).toString()).toBe('0.0000001');
+    expect(new Decimal('-12.50').toString()).toBe('-12.5');
+    expect(new Decimal('.5').toString()).toBe('0.5');
+    expect(new Decimal('2.5E3').toString()).toBe('2500');
+    expect(Decimal.from(new Decimal(3)).toString()).toBe('3');
+
+    expect(() => new Decimal('ten')).toThrow('Not a finite decimal');
+    expect(() => new Decimal(Infinity)).toThrow('Not a finite decimal');
+    expect(() => new Decimal(null)).toThrow('Not a finite decimal');
+    expect(() => new Decimal('')).toThrow('Not a finite decimal');
+    // Amounts from requests cannot make scaling take unbounded time or memory
+    expect(() => new Decimal('1e10000000')).toThrow('Decimal out of range');
+    expect(() => new Decimal('1e-65')).toThrow('Decimal out of range');
+    expect(() => new Decimal('9'.repeat(65))).toThrow('Decimal out of range');
+    expect(new Decimal('1e64').toString()).toBe(`1${'0'.repeat(64)}`);
+  });
+
+  test('should round products and quotients half away from zero at the 18th decimal', () => {
+    expect(new Decimal(1).div(3).toString()).toBe('0.333333333333333333');
+    expect(new Decimal(2).div(3).toString()).toBe('0.666666666666666667');
+    expect(new Decimal(-2).div(3).toString()).toBe('-0.666666666666666667');
+    expect(new Decimal('1.23456789').times('98765.4321').toString()).toBe('121932.631112635269');
+    expect(() => new Decimal(1).div(0)).toThrow('by zero');
+  });
+
+  test('should round to step sizes and decimals', () => {
+    expect(new Decimal('1.23456').floorToStep('0.001').toString()).toBe('1.234');
+    expect(new Decimal('-1.23456').floorToStep('0.001').toString()).toBe('-1.235');
+    // A quotient landing just below a step keeps the step
+    expect(new Decimal(3).div(7).times(7).floorToStep(1).toString()).toBe('3');
+    expect(new Decimal('100.00005').roundToStep('0.0001').toString()).toBe('100.0001');
+    expect(new Decimal('0.125').round(2).toString()).toBe('0.13');
+    expect(new Decimal('-0.125').toFixed(2)).toBe('-0.13');
+    expect(new Decimal('2').toFixed(8)).toBe('2.00000000');
+    expect(() => new Decimal(1).floorToStep(0)).toThrow('Step size must be positive');
+  });
+
+  test('should compare values', () => {
+    const value = new Decimal('0.3');
+
+    expect(value.eq(new Decimal(0.1).plus(0.2))).toBe(true);
+    expect(value.gt('0.29999999999999999')).toBe(true);
+    expect(value.lt(1)).toBe(true);
+    expect(value.cmp('0.3')).toBe(0);
+    expect(Decimal.min(3, '1.5', 2).toString()).toBe('1.5');
+    expect(Decimal.max(3, '1.5', 2).toString()).toBe('3');
+    expect(new Decimal(-2).abs().toString()).toBe('2');
+    expect(new Decimal(-2).sign()).toBe(-1);
+    expect(new Decimal(-2).isNegative()).toBe(true);
+    expect(value > 0.2).toBe(true);
+  });
+
+  test('should serialize as a string and stay immutable', () => {
+    const value = new Decimal('0.00012');
+
+    expect(JSON.stringify({ quantity: value })).toBe('{"quantity":"0.00012"}');
+    expect(value.toNumber()).toBe(0.00012);
+    expect(Object.isFrozen(value)).toBe(true);
+    expect(Object.isFrozen(value.plus(1))).toBe(true);
+  });
+});
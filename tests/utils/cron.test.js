@@ -0,0 +1,50 @@
+const { parseCron, getNextCronRun } = require('../../src/utils/cron');
+
+const next = (expression, from) => new Date(getNextCronRun(parseCron(expression), Date.parse(from))).toISOString();
+
+describe('cron', () => {
+  test('should find the next run of a preset', () => {
+    expect(next('@hourly', '2024-03-10T10:15:30Z')).toBe('2024-03-10T11:00:00.000Z');
+    expect(next('@daily', '2024-03-10T10:15:00Z')).toBe('2024-03-11T00:00:00.000Z');
+    // 2024-03-10 is a Sunday
+    expect(next('@weekly', '2024-03-10T10:15:00Z')).toBe('2024-03-17T00:00:00.000Z');
+    expect(next('@monthly', '2024-12-31T23:59:00Z')).toBe('2025-01-01T00:00:00.000Z');
+    expect(next('@quarterly', '2024-04-01T00:00:00Z')).toBe('2024-07-01T00:00:00.000Z');
+    expect(next('@yearly', '2024-03-10T10:15:00Z')).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('should support ranges, steps and lists', () => {
+    expect(next('*/15 * * * *', '2024-03-10T10:15:00Z')).toBe('2024-03-10T10:30:00.000Z');
+    expect(next('30 9-17/4 * * *', '2024-03-10T13:30:00Z')).toBe('2024-03-10T17:30:00.000Z');
+    expect(next('0 0 * * 1-5', '2024-03-09T12:00:00Z')).toBe('2024-03-11T00:00:00.000Z');
+    expect(next('0 12 15,28 * *', '2024-03-16T00:00:00Z')).toBe('2024-03-28T12:00:00.000Z');
+    // Sunday is 7 as well as 0
+    expect(next('0 0 * * 7', '2024-03-11T00:00:00Z')).toBe('2024-03-17T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('should run on either day field when both are restricted', () => {
+    // The 13th (a Wednesday) or any Friday
+    expect(next('0 0 13 * 5', '2024-03-10T00:00:00Z')).toBe('2024-03-13T00:00:00.000Z');
+    expect(next('0 0 13 * 5', '2024-03-13T00:00:00Z')).toBe('2024-03-15T00:00:00.000Z');
+  });
+
+  test('should run on both day fields when one starts with a star', () => {
+    // Mondays on odd days of the month: 2024-03-13 is odd but a Wednesday, 2024-03-18 a Monday but even.
+    // The 1st on even weekdays: April and May start on a Monday and a Wednesday
+    expect(next('0 0 */2 * 1', '2024-03-11T00:00:00Z')).toBe('2024-03-25T00:00:00.000Z');
+    expect(next('0 0 1 * */2', '2024-03-10T00:00:00Z')).toBe('2024-06-01T00:00:00.000Z');
+  });
+
+  test('should reject invalid schedules', () => {
+    expect(() => parseCron(null)).toThrow('must be a cron expression or preset');
+    expect(() => parseCron('@fortnightly')).toThrow('has 5 fields');
+    expect(() => parseCron('0 0 * *')).toThrow('has 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid minute field: 60 (allowed 0-59)');
+    expect(() => parseCron('0 0 0 * *')).toThrow('Invalid dayOfMonth field');
+    expect(() => parseCron('0 0 * * mon')).toThrow('Invalid dayOfWeek field');
+    expect(() => parseCron('0 5-1 * * *')).toThrow('Invalid hour field');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid minute field');
+    expect(() => parseCron('0 0 30 2 *')).toThrow('Schedule 0 0 30 2 * never runs');
+  });
+});